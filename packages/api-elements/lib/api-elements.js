@@ -20,6 +20,7 @@ const Enum = require('./elements/Enum');
 
 const defineValueOf = require('./define-value-of');
 const defineSourceMapValue = require('./define-source-map-value');
+const defineDeprecated = require('./define-deprecated');
 
 class Namespace extends minim.Namespace {
   constructor() {
@@ -49,6 +50,7 @@ class Namespace extends minim.Namespace {
 
     defineValueOf();
     defineSourceMapValue();
+    defineDeprecated();
   }
 }
 
@@ -0,0 +1,20 @@
+const { MemberElement } = require('minim');
+
+module.exports = () => {
+  /**
+   * @name deprecated
+   * @type BooleanElement
+   * @memberof MemberElement.prototype
+   */
+  if (!Object.getOwnPropertyNames(MemberElement.prototype).includes('deprecated')) {
+    Object.defineProperty(MemberElement.prototype, 'deprecated', {
+      get() {
+        return this.attributes.get('deprecated');
+      },
+
+      set(value) {
+        this.attributes.set('deprecated', value);
+      },
+    });
+  }
+};
@@ -10,6 +10,7 @@ const {
   isFixedType,
   isRequired,
   isNullable,
+  isVariable,
   isOptional,
   isPrimitive,
   isEnum,
@@ -92,8 +93,10 @@ function mapValue(e, f, inheritFixed, elements) {
       return mapValue(result, f, isElementFixed, inheritedElements);
     }
 
+    // objects with own members are generated below including inherited members
+    const hasOwnMembers = isObject(e, elements) && Array.isArray(e.content) && e.content.length > 0;
     const result = elements[e.element];
-    if (result !== undefined) {
+    if (result !== undefined && !hasOwnMembers) {
       const inheritedElements = R.filter(el => !el.id.equals(e.element), elements);
       return mapValue(result, f, isElementFixed, inheritedElements);
     }
@@ -125,6 +128,28 @@ function mapValue(e, f, inheritFixed, elements) {
   return undefined;
 }
 
+/**
+ * Map the member key value
+ *
+ * Variable property names without a content, sample or default value are
+ * given a generic name so that a value of the member can be generated.
+ *
+ * @param {element} member - member element
+ * @param {boolean} inheritFixed - inherited fixed attribute
+ * @param {object=} elements - object map of elements to look for inherited types
+ * @return {any}
+ */
+function mapKeyValue(member, inheritFixed, elements) {
+  const { key } = member;
+
+  if (isVariable(member) && key.content === undefined && !getFirstSample(key) && !getDefault(key)) {
+    return 'key';
+  }
+
+  // eslint-disable-next-line no-use-before-define
+  return mapValue(key, reduceValue, inheritFixed, elements);
+}
+
 /**
  * Reduce the element value
  * @param {element} e - element
@@ -158,7 +183,7 @@ function reduceValue(e, inheritFixed, elements) {
     content.some((item) => {
       const isSkippable = isOptional(item) || (!inheritFixed && !isElementFixedType && !isRequired(item));
 
-      const key = mapValue(item.key, reduceValue, inheritFixed, elements);
+      const key = mapKeyValue(item, inheritFixed, elements);
       if (key === undefined) {
         if (isSkippable) {
           return false;
@@ -27,6 +27,20 @@ class HttpResponse extends HttpMessagePayload {
   set statusCode(value) {
     this.attributes.set('statusCode', value);
   }
+
+  /**
+   * Whether the status code represents a range of status codes, a range is
+   * a status code string where the last two digits are replaced by `XX`
+   * (for example `4XX` for all client error status codes).
+   *
+   * @name isStatusCodeRange
+   * @type boolean
+   * @memberof HttpResponse.prototype
+   */
+  get isStatusCodeRange() {
+    const { statusCode } = this;
+    return statusCode !== undefined && /^[1-5]XX$/.test(String(statusCode.toValue()));
+  }
 }
 
 module.exports = HttpResponse;
@@ -48,6 +48,19 @@ class Transition extends ArrayElement {
     this.attributes.set('relation', value);
   }
 
+  /**
+   * @name deprecated
+   * @type BooleanElement
+   * @memberof Transition.prototype
+   */
+  get deprecated() {
+    return this.attributes.get('deprecated');
+  }
+
+  set deprecated(value) {
+    this.attributes.set('deprecated', value);
+  }
+
   /**
    * @name hosts
    * @type ArraySlice
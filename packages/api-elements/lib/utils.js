@@ -52,6 +52,16 @@ const isFixedType = e => hasTypeAttribute(e, 'fixedType');
  */
 const isRequired = e => hasTypeAttribute(e, 'required');
 
+/**
+ * Check if element is a member with a variable property name
+ * @param {element} e - element
+ * @return {boolean}
+ */
+function isVariable(e) {
+  const variable = getAttribute(e, 'variable');
+  return variable !== undefined && variable.toValue() === true;
+}
+
 /**
  * Check if element has 'nullable' typeAttribute set
  * @param {element} e - element
@@ -241,6 +251,13 @@ const isEmptyArray = (e, elements) => isArray(e, elements)
  */
 const isRef = e => e && e.element === 'ref';
 
+/**
+ * Check if the element type is 'select'
+ * @param {element} e - element
+ * @return {boolean}
+ */
+const isSelect = e => e && e.element === 'select';
+
 /**
  * Check if the element type is object and has all property values undefined
  * @param {element} e - element
@@ -344,6 +361,13 @@ function getAllMembersMap(e, elements) {
       refMembersMap.forEach((refMember) => {
         ownMembersMap.set(getMemberKey(refMember, elements), refMember);
       });
+    } else if (isSelect(member)) {
+      // use the members of the first option
+      const option = Array.isArray(member.content) ? member.content[0] : undefined;
+      const optionMembersMap = getAllMembersMap(option, elements);
+      optionMembersMap.forEach((optionMember) => {
+        ownMembersMap.set(getMemberKey(optionMember, elements), optionMember);
+      });
     } else {
       ownMembersMap.set(getMemberKey(member, elements), member);
     }
@@ -368,6 +392,7 @@ module.exports = {
   isFixedType,
   isRequired,
   isNullable,
+  isVariable,
   isOptional,
   isPrimitive,
   isEnum,
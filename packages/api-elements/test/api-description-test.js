@@ -955,6 +955,16 @@ describe('API description namespace', () => {
       expect(transition.element).to.equal('transition');
     });
 
+    it('should not be deprecated', () => {
+      expect(transition.deprecated).to.be.undefined;
+    });
+
+    it('should set deprecated', () => {
+      transition.deprecated = true;
+      expect(transition.deprecated.toValue()).to.be.true;
+      expect(attrValue(transition, 'deprecated')).to.be.true;
+    });
+
     it('should contain a copy element', () => {
       const items = transition.copy;
       expect(items).to.have.length(1);
@@ -1364,6 +1374,20 @@ describe('API description namespace', () => {
       expect(attrValue(response, 'statusCode')).to.equal(404);
     });
 
+    it('should not be a status code range', () => {
+      expect(response.isStatusCodeRange).to.be.false;
+    });
+
+    it('should be a status code range when set to a range', () => {
+      response.statusCode = '4XX';
+      expect(response.isStatusCodeRange).to.be.true;
+    });
+
+    it('should not be a status code range without a status code', () => {
+      response.attributes.remove('statusCode');
+      expect(response.isStatusCodeRange).to.be.false;
+    });
+
     it('should inherit from HTTP message payload', () => {
       expect(response).to.be.an.instanceof(HttpMessagePayload);
     });
@@ -1545,6 +1569,53 @@ describe('API description namespace', () => {
     });
   });
 
+  context('member element', () => {
+    let member;
+    let refracted;
+
+    beforeEach(() => {
+      refracted = {
+        element: 'member',
+        attributes: {
+          deprecated: {
+            element: 'boolean',
+            content: true,
+          },
+        },
+        content: {
+          key: {
+            element: 'string',
+            content: 'name',
+          },
+          value: {
+            element: 'string',
+          },
+        },
+      };
+
+      member = namespace.fromRefract(refracted);
+    });
+
+    it('should round-trip correctly', () => {
+      expect(namespace.toRefract(member)).to.deep.equal(refracted);
+    });
+
+    it('should get deprecated', () => {
+      expect(member).to.be.an.instanceof(MemberElement);
+      expect(member.deprecated.toValue()).to.be.true;
+    });
+
+    it('should set deprecated', () => {
+      member.deprecated = false;
+      expect(attrValue(member, 'deprecated')).to.be.false;
+    });
+
+    it('should not be deprecated without the attribute', () => {
+      const element = new MemberElement('name');
+      expect(element.deprecated).to.be.undefined;
+    });
+  });
+
   describe('extension element', () => {
     let extension;
     let refracted;
@@ -1391,6 +1391,83 @@ describe('valueOf ObjectElement', () => {
       abc: 3, c: 4, name: 'joe', kingdom: 'Babylon', oneProp: 1,
     });
   });
+
+  it('inherits properties from dereferenced element with samples only', () => {
+    const objectElement = new ObjectElement({ name: new StringElement() });
+    objectElement.id = 'objectElement';
+    objectElement.get('name').attributes.set('samples', ['joe']);
+
+    const element = new ObjectElement({ tag: new StringElement() });
+    element.element = 'objectElement';
+    element.get('tag').attributes.set('samples', ['dog']);
+    const value = element.valueOf(undefined, { objectElement });
+
+    expect(value).to.deep.equal({ name: 'joe', tag: 'dog' });
+  });
+
+  it('generates a key for a variable property without a value', () => {
+    const member = new MemberElement(new StringElement(), new NumberElement(3));
+    member.attributes.set('variable', true);
+
+    const element = new ObjectElement([member]);
+    const value = element.valueOf();
+
+    expect(value).to.deep.equal({ key: 3 });
+  });
+
+  it('uses the sample of a variable property name', () => {
+    const key = new StringElement();
+    key.attributes.set('samples', ['joe']);
+    const member = new MemberElement(key, new NumberElement(3));
+    member.attributes.set('variable', true);
+
+    const element = new ObjectElement([member]);
+    const value = element.valueOf();
+
+    expect(value).to.deep.equal({ joe: 3 });
+  });
+
+  it('generates an object from a reference to a named type', () => {
+    const pet = new ObjectElement({ name: 'doe' });
+    pet.id = 'Pet';
+
+    const element = new Element();
+    element.element = 'Pet';
+    const value = element.valueOf(undefined, { Pet: pet });
+
+    expect(value).to.deep.equal({ name: 'doe' });
+  });
+
+  it('generates an object from an alias of a named type', () => {
+    const user = new ObjectElement({ name: 'doe' });
+    user.id = 'User';
+    const userAlias = new Element();
+    userAlias.element = 'User';
+    userAlias.id = 'UserAlias';
+
+    const element = new Element();
+    element.element = 'UserAlias';
+    const value = element.valueOf(undefined, { User: user, UserAlias: userAlias });
+
+    expect(value).to.deep.equal({ name: 'doe' });
+  });
+
+  it('uses properties from the first option of a select', () => {
+    const firstOption = new Element([new MemberElement('name', 'joe')]);
+    firstOption.element = 'option';
+    const secondOption = new Element([new MemberElement('id', 1)]);
+    secondOption.element = 'option';
+    const select = new Element([firstOption, secondOption]);
+    select.element = 'select';
+
+    const element = new ObjectElement([
+      new MemberElement('kind', 'person'),
+      select,
+    ]);
+    const value = element.valueOf();
+
+    expect(value).to.deep.equal({ kind: 'person', name: 'joe' });
+  });
 });
 
 describe('valueOf ObjectElement with source', () => {
@@ -6,7 +6,7 @@ const nunjucks = require('nunjucks');
 const path = require('path');
 const { renderAttributes, renderDataStructure } = require('./mson');
 const {
-  indent, bodyOnly, resourceShorthand, pretty, getCopy,
+  indent, bodyOnly, resourceShorthand, pretty, getCopy, statusCode, description,
 } = require('./filters');
 
 const env = nunjucks.configure(path.dirname(__dirname), {
@@ -20,6 +20,8 @@ env.addFilter('bodyOnly', bodyOnly);
 env.addFilter('resourceShorthand', resourceShorthand);
 env.addFilter('pretty', pretty);
 env.addFilter('getCopy', getCopy);
+env.addFilter('statusCode', statusCode);
+env.addFilter('description', description);
 
 const name = 'api-blueprint-serializer';
 const mediaTypes = [
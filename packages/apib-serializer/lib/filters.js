@@ -38,7 +38,26 @@ const bodyOnly = (payload) => {
   // (e.g. `+ Response (application/json)`)
   const hasHeaders = payload.headers && payload.headers.exclude('Content-Type').length > 0;
 
-  return payload.content.length === 1 && payload.messageBody !== undefined && !hasHeaders;
+  // Status code ranges are described in the payload (see `statusCode`)
+  const hasDescription = payload.element === 'httpResponse' && payload.isStatusCodeRange;
+
+  return payload.content.length === 1 && payload.messageBody !== undefined
+    && !hasHeaders && !hasDescription;
+};
+
+/*
+  * Return the status code of a response. API Blueprint does not support
+  * status code ranges (e.g. `4XX`), the first status code of a range is used
+  * instead (e.g. `400`).
+  */
+const statusCode = (response) => {
+  const value = String(response.statusCode.toValue());
+
+  if (response.isStatusCodeRange) {
+    return `${value[0]}00`;
+  }
+
+  return value;
 };
 
 /*
@@ -68,6 +87,21 @@ const pretty = (input) => {
   return prettified;
 };
 
+/*
+  * Return the description of an element such as a parameter or data
+  * structure member. API Blueprint does not support marking an element as
+  * deprecated, deprecated elements are described as deprecated instead.
+  */
+const description = (element) => {
+  const text = element.description ? element.description.toValue() : '';
+
+  if (element.attributes.getValue('deprecated') === true) {
+    return text ? `Deprecated. ${text}` : 'Deprecated.';
+  }
+
+  return text;
+};
+
 /*
   * Return all child elements with the element type of `copy` in a plain
   * old js array.
@@ -75,5 +109,5 @@ const pretty = (input) => {
 const getCopy = element => element.children.filter(item => item.element === 'copy').elements;
 
 module.exports = {
-  getCopy, pretty, resourceShorthand, indent, bodyOnly,
+  getCopy, pretty, resourceShorthand, indent, bodyOnly, statusCode, description,
 };
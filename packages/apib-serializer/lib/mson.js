@@ -2,7 +2,7 @@
  * Renders refract elements into MSON.
  */
 
-const { indent } = require('./filters');
+const { indent, description: getDescription } = require('./filters');
 
 /*
  * Get type information for an element, such as the element name, whether
@@ -21,13 +21,30 @@ function getTypeAttributes(element, attributes, parent) {
   if (attributes) {
     const tmp = attributes.get('typeAttributes');
     if (tmp) {
-      typeAttributes = typeAttributes.concat(tmp.toValue() || []);
+      // The `fixedType` type attribute is written as `fixed-type` in MSON
+      const values = (tmp.toValue() || [])
+        .map(value => (value === 'fixedType' ? 'fixed-type' : value));
+      typeAttributes = typeAttributes.concat(values);
     }
   }
 
   return typeAttributes;
 }
 
+/*
+ * Get the name of an object member. Variable property names are wrapped in
+ * asterisks, a generic name is used when the key has no value.
+ */
+function getMemberName(member) {
+  const name = member.key.toValue();
+
+  if (member.attributes.getValue('variable') === true) {
+    return `*${name || 'key'}*`;
+  }
+
+  return name;
+}
+
 /*
  * Handle any element content, e.g. list items, object members, etc.
  * Note, this recursively calls the `handle` method.
@@ -47,7 +64,7 @@ function handleContent(element, spaces, marker) {
       // This is an object type or something similar.
       objectLike = true;
       /* eslint-disable no-use-before-define */
-      renderedContent += handle(item.key.toValue(), item.value, {
+      renderedContent += handle(getMemberName(item), item.value, {
         parent: element,
         spaces,
         marker,
@@ -96,16 +113,16 @@ function handleDescription(description, element, parent, spaces, marker) {
   }
 
   // Finally, an optional description
-  if (description && description.toValue()) {
-    if (description.toValue().indexOf('\n') !== -1) {
+  if (description) {
+    if (description.indexOf('\n') !== -1) {
       // Multiline description, so we can't use the short form!
       useLongDescription = true;
     }
 
     if (useLongDescription) {
-      str += `\n${description.toValue()}`;
+      str += `\n${description}`;
     } else {
-      str += ` - ${description.toValue()}`;
+      str += ` - ${description}`;
     }
   }
 
@@ -192,7 +209,7 @@ function handle(name, element, {
       str += ` (${attributes.join(', ')})`;
     }
 
-    str += handleDescription(attributesElement.description,
+    str += handleDescription(getDescription(attributesElement),
       element, parent, spaces, marker);
   }
 
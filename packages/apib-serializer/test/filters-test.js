@@ -1,6 +1,6 @@
 const { expect } = require('chai');
 const { Fury } = require('@apielements/core');
-const { bodyOnly } = require('../lib/filters');
+const { bodyOnly, statusCode, description } = require('../lib/filters');
 
 const fury = new Fury();
 const { minim: namespace } = fury;
@@ -51,5 +51,60 @@ describe('filters', () => {
 
       expect(bodyOnly(payload)).to.be.true;
     });
+
+    it('returns false when response with a status code range only contains a body', () => {
+      const asset = new namespace.elements.Asset();
+      asset.classes = ['messageBody'];
+      const payload = new namespace.elements.HttpResponse([asset]);
+      payload.statusCode = '4XX';
+
+      expect(bodyOnly(payload)).to.be.false;
+    });
+  });
+
+  describe('statusCode', () => {
+    it('returns the status code of a response', () => {
+      const response = new namespace.elements.HttpResponse();
+      response.statusCode = 201;
+
+      expect(statusCode(response)).to.equal('201');
+    });
+
+    it('returns the first status code of a status code range', () => {
+      const response = new namespace.elements.HttpResponse();
+      response.statusCode = '4XX';
+
+      expect(statusCode(response)).to.equal('400');
+    });
+  });
+
+  describe('description', () => {
+    it('returns the description of a member', () => {
+      const member = new namespace.elements.Member('limit');
+      member.description = 'How many items to return';
+
+      expect(description(member)).to.equal('How many items to return');
+    });
+
+    it('returns an empty description for a member without a description', () => {
+      const member = new namespace.elements.Member('limit');
+
+      expect(description(member)).to.equal('');
+    });
+
+    it('describes a deprecated member as deprecated', () => {
+      const member = new namespace.elements.Member('limit');
+      member.description = 'How many items to return';
+      member.deprecated = true;
+
+      expect(description(member)).to.equal('Deprecated. How many items to return');
+    });
+
+    it('describes a deprecated member without a description as deprecated', () => {
+      const member = new namespace.elements.Member('limit');
+      member.deprecated = true;
+
+      expect(description(member)).to.equal('Deprecated.');
+    });
   });
 });
@@ -6,7 +6,7 @@ const { elements } = (new Fury()).minim;
 const {
   DataStructure,
   Array: ArrayElement,
-  Object: ObjectElement, Member,
+  Object: ObjectElement, Member, String: StringElement,
 } = elements;
 
 describe('Rendering Attributes', () => {
@@ -37,4 +37,34 @@ describe('Rendering Attributes', () => {
 
     expect(renderAttributes(dataStructure)).to.equal('+ Attributes\n\n    + name\n');
   });
+
+  it('can render a fixed type object', () => {
+    const object = new ObjectElement({ name: 'Doe' });
+    object.attributes.set('typeAttributes', ['fixedType']);
+    const dataStructure = new DataStructure(object);
+
+    expect(renderAttributes(dataStructure)).to.equal('+ Attributes (fixed-type)\n\n    + name: Doe\n');
+  });
+
+  it('can render an object with a variable property', () => {
+    const member = new Member(new StringElement(), new ObjectElement({ name: 'Doe' }));
+    member.attributes.set('variable', true);
+
+    const object = new ObjectElement();
+    object.push(member);
+    const dataStructure = new DataStructure(object);
+
+    expect(renderAttributes(dataStructure)).to.equal('+ Attributes\n\n    + *key* (object)\n        + name: Doe\n');
+  });
+
+  it('can render an object with a named variable property', () => {
+    const member = new Member('id', 'Doe');
+    member.attributes.set('variable', true);
+
+    const object = new ObjectElement();
+    object.push(member);
+    const dataStructure = new DataStructure(object);
+
+    expect(renderAttributes(dataStructure)).to.equal('+ Attributes\n\n    + *id*: Doe\n');
+  });
 });
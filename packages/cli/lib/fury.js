@@ -3,6 +3,7 @@
 /* eslint-disable no-console */
 
 const fs = require('fs');
+const path = require('path');
 const repl = require('repl');
 const { isatty } = require('tty');
 const yaml = require('js-yaml');
@@ -15,7 +16,9 @@ const apiBlueprintParser = require('@apielements/apib-parser');
 const apiBlueprintSerializer = require('@apielements/apib-serializer');
 const apiaryBlueprintParser = require('@apielements/apiaryb-parser');
 const oas2Parser = require('@apielements/openapi2-parser');
+const oas2Serializer = require('@apielements/openapi2-serializer');
 const oas3Parser = require('@apielements/openapi3-parser');
+const oas3Serializer = require('@apielements/openapi3-serializer');
 const pkg = require('../package.json');
 
 const adapters = [
@@ -23,14 +26,18 @@ const adapters = [
   '@apielements/apib-serializer',
   '@apielements/apiaryb-parser',
   '@apielements/openapi2-parser',
+  '@apielements/openapi2-serializer',
   '@apielements/openapi3-parser',
+  '@apielements/openapi3-serializer',
 ];
 
 fury.use(apiBlueprintParser);
 fury.use(apiBlueprintSerializer);
 fury.use(apiaryBlueprintParser);
 fury.use(oas2Parser);
+fury.use(oas2Serializer);
 fury.use(oas3Parser);
+fury.use(oas3Serializer);
 
 function isRefract(source) {
   let parseResult;
@@ -44,7 +51,7 @@ function isRefract(source) {
   return parseResult && parseResult.element === 'parseResult';
 }
 
-function printAnnotation(annotation, source) {
+function printAnnotation(annotation, source, externalSources) {
   const type = annotation.classes.toValue()[0] || 'unknown';
 
   process.stderr.write(`${type}:`);
@@ -56,13 +63,25 @@ function printAnnotation(annotation, source) {
   process.stderr.write(` ${annotation.toValue()}`);
 
   if (annotation.sourceMapValue) {
+    // Annotations from external documents have the URI of the document
+    const href = annotation.attributes.get('sourceMap').first.attributes.get('href');
+    const documentSource = href ? externalSources[href.toValue()] : source;
+
     annotation.sourceMapValue.forEach((sourceMap) => {
       if (sourceMap.length !== 2) {
         throw new Error(`Invalid source map ${sourceMap}`);
       }
 
-      const beginning = source.substring(0, sourceMap[0]).split('\n');
-      process.stderr.write(` - line ${beginning.length}`);
+      process.stderr.write(' -');
+
+      if (href) {
+        process.stderr.write(` ${href.toValue()}`);
+      }
+
+      if (documentSource !== undefined) {
+        const beginning = documentSource.substring(0, sourceMap[0]).split('\n');
+        process.stderr.write(` line ${beginning.length}`);
+      }
     });
   }
 
@@ -77,6 +96,22 @@ class FuryCLI {
     this.validate = validate;
     this.generateSourceMap = generateSourceMap;
     this.shell = shell;
+
+    // Sources of the external documents referenced from the input by URI
+    this.externalSources = {};
+  }
+
+  /**
+   * Resolves an external document referenced from the input, relative to the
+   * directory of the input
+   * @param uri {string}
+   * @returns {string} the source of the document
+   */
+  resolveRef(uri) {
+    const basePath = this.inputPath === '-' ? process.cwd() : path.dirname(this.inputPath);
+    const source = fs.readFileSync(path.resolve(basePath, decodeURI(uri)), 'utf8');
+    this.externalSources[uri] = source;
+    return source;
   }
 
   run() {
@@ -97,6 +132,9 @@ class FuryCLI {
     const options = {
       source,
       generateSourceMap: this.generateSourceMap,
+      adapterOptions: {
+        resolveRef: uri => this.resolveRef(uri),
+      },
     };
 
     const functionName = this.validate ? 'validate' : 'parse';
@@ -128,7 +166,7 @@ class FuryCLI {
       process.stderr.write('\n');
     }
 
-    result.annotations.forEach(annotation => printAnnotation(annotation, source));
+    result.annotations.forEach(annotation => printAnnotation(annotation, source, this.externalSources));
 
     if (result.errors.length > 0) {
       process.exit(1);
@@ -163,13 +201,29 @@ class FuryCLI {
       this.write(output, true);
       this.validateResult(result, source);
     } else {
-      fury.serialize({ api: result.api, mediaType: this.outputFormat }, (err, content) => {
+      // Elements which the serializer could not represent in the output
+      const omitted = [];
+      const options = {
+        api: result.api,
+        mediaType: this.outputFormat,
+        adapterOptions: {
+          report: message => omitted.push(message),
+        },
+      };
+
+      fury.serialize(options, (err, content) => {
         if (err) {
           console.error(err);
           process.exit(2);
         }
 
         this.write(content);
+
+        if (omitted.length > 0) {
+          process.stderr.write('\n');
+        }
+
+        omitted.forEach(message => process.stderr.write(`warning: ${message}\n`));
         this.validateResult(result, source);
       });
     }
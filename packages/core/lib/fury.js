@@ -42,6 +42,8 @@ const findAdapter = (adapters, mediaType, method) => {
  * @property {boolean} generateSourceMap
  * @property {boolean} generateMessageBody
  * @property {boolean} generateMessageBodySchema
+ * @property {function} report - called by serializers with a message for each
+ *   element which cannot be represented in the output format
  */
 
 /**
@@ -263,8 +265,9 @@ class Fury {
    * @param {Object} options
    * @param {Category} options.api
    * @param {string} [options.mediaType]
+   * @param {AdapterOptions} [options.adapterOptions]
    */
-  serializeSync({ api, mediaType = 'text/vnd.apiblueprint' }) {
+  serializeSync({ api, mediaType = 'text/vnd.apiblueprint', adapterOptions }) {
     const adapter = findAdapter(this.adapters, mediaType, 'serializeSync');
 
     if (!adapter) {
@@ -276,7 +279,13 @@ class Fury {
       api = new this.minim.elements.Category();
     }
 
-    return adapter.serializeSync({ api, namespace: this.minim, mediaType });
+    let options = { api, namespace: this.minim, mediaType };
+
+    if (adapterOptions) {
+      options = Object.assign(options, adapterOptions);
+    }
+
+    return adapter.serializeSync(options);
   }
 
   /**
@@ -292,9 +301,10 @@ class Fury {
    * @param {Object} options
    * @param {Category} options.api
    * @param {string} [options.mediaType]
+   * @param {AdapterOptions} [options.adapterOptions]
    * @param callback {SerializeCallback}
    */
-  serialize({ api, mediaType = 'text/vnd.apiblueprint' }, done) {
+  serialize({ api, mediaType = 'text/vnd.apiblueprint', adapterOptions }, done) {
     const adapter = findAdapter(this.adapters, mediaType, 'serialize');
 
     if (!adapter) {
@@ -313,7 +323,13 @@ class Fury {
       api = new this.minim.elements.Category();
     }
 
-    const promise = adapter.serialize({ api, namespace: this.minim, mediaType });
+    let options = { api, namespace: this.minim, mediaType };
+
+    if (adapterOptions) {
+      options = Object.assign(options, adapterOptions);
+    }
+
+    const promise = adapter.serialize(options);
 
     if (done) {
       promise.then(result => done(null, result), done);
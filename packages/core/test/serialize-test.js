@@ -107,6 +107,30 @@ describe('Serialize', () => {
       const result = await fury.serialize({ api, mediaType: 'application/json' });
       expect(result).to.equal('{"element":"category"}');
     });
+
+    it('passes adapter options to the adapter', async () => {
+      const fury = new Fury();
+      fury.use({
+        name: 'json',
+        mediaTypes: ['application/json'],
+        serialize: ({ report }) => {
+          report('element has been omitted');
+          return Promise.resolve('{}');
+        },
+      });
+
+      const api = new fury.minim.elements.Category();
+      const messages = [];
+
+      const result = await fury.serialize({
+        api,
+        mediaType: 'application/json',
+        adapterOptions: { report: message => messages.push(message) },
+      });
+
+      expect(result).to.equal('{}');
+      expect(messages).to.deep.equal(['element has been omitted']);
+    });
   });
 
   describe('using serializeSync', () => {
@@ -145,5 +169,29 @@ describe('Serialize', () => {
       const result = fury.serializeSync({ api, mediaType: 'application/json' });
       expect(result).to.equal('{"element":"category"}');
     });
+
+    it('passes adapter options to the adapter', () => {
+      const fury = new Fury();
+      fury.use({
+        name: 'json',
+        mediaTypes: ['application/json'],
+        serializeSync: ({ report }) => {
+          report('element has been omitted');
+          return '{}';
+        },
+      });
+
+      const api = new fury.minim.elements.Category();
+      const messages = [];
+
+      const result = fury.serializeSync({
+        api,
+        mediaType: 'application/json',
+        adapterOptions: { report: message => messages.push(message) },
+      });
+
+      expect(result).to.equal('{}');
+      expect(messages).to.deep.equal(['element has been omitted']);
+    });
   });
 });
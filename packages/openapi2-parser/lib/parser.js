@@ -890,6 +890,18 @@ class Parser {
         transition.id = methodValue.operationId;
       }
 
+      if (methodValue.deprecated === true) {
+        this.withPath('deprecated', () => {
+          transition.deprecated = true;
+
+          if (this.generateSourceMap) {
+            this.createSourceMap(transition.deprecated, this.path);
+          }
+
+          return transition.deprecated;
+        });
+      }
+
       // For each uriParameter, create an hrefVariable
       const methodHrefVariables = this.createHrefVariables(transitionParams);
       if (methodHrefVariables) {
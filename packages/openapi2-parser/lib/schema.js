@@ -3,6 +3,13 @@
 const _ = require('lodash');
 const { parseReference, lookupReference, dereference } = require('./json-schema');
 
+// JSON Schema validation keywords, exposed in the `validation` attribute
+const validationKeys = [
+  'multipleOf', 'maximum', 'exclusiveMaximum', 'minimum', 'exclusiveMinimum',
+  'maxLength', 'minLength', 'pattern', 'maxItems', 'minItems', 'uniqueItems',
+  'maxProperties', 'minProperties',
+];
+
 const idForDataStructure = (reference) => {
   return `definitions/${parseReference(reference)}`;
 };
@@ -350,6 +357,12 @@ class DataStructureGenerator {
         }
       }
 
+      const validation = _.pick(schema, validationKeys);
+
+      if (!_.isEmpty(validation)) {
+        element.attributes.set('validation', validation);
+      }
+
       const validationDescriptions = this.generateValidationDescriptions(schema);
 
       if (validationDescriptions.length > 0) {
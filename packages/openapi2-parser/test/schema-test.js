@@ -217,6 +217,25 @@ describe('JSON Schema to Data Structure', () => {
           + '- Length of string must be less than, or equal to 10\n'
           + '- Length of string must be greater than, or equal to 2');
     });
+
+    it('produces string element with validation attribute', () => {
+      const schema = {
+        type: 'string',
+        minLength: 2,
+        maxLength: 10,
+        pattern: '^hi',
+      };
+
+      const dataStructure = schemaToDataStructure(schema);
+
+      const validation = dataStructure.content.attributes.get('validation');
+      expect(validation).to.be.instanceof(ObjectElement);
+      expect(validation.toValue()).to.deep.equal({
+        minLength: 2,
+        maxLength: 10,
+        pattern: '^hi',
+      });
+    });
   });
 
   context('boolean schema', () => {
@@ -390,6 +409,27 @@ describe('JSON Schema to Data Structure', () => {
       expect(dataStructure.content.description.toValue())
         .to.equal('- Number must be more than 1');
     });
+
+    it('produces number element with validation attribute', () => {
+      const schema = {
+        type: 'number',
+        minimum: 0,
+        maximum: 10,
+        exclusiveMaximum: true,
+        multipleOf: 2,
+      };
+
+      const dataStructure = schemaToDataStructure(schema);
+
+      const validation = dataStructure.content.attributes.get('validation');
+      expect(validation).to.be.instanceof(ObjectElement);
+      expect(validation.toValue()).to.deep.equal({
+        minimum: 0,
+        maximum: 10,
+        exclusiveMaximum: true,
+        multipleOf: 2,
+      });
+    });
   });
 
   context('integer schema', () => {
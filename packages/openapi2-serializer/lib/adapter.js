@@ -0,0 +1,30 @@
+const yaml = require('js-yaml');
+const serializeSwagger = require('./serializeSwagger');
+
+const name = 'openapi2-serializer';
+const mediaTypes = [
+  'application/swagger+json',
+  'application/swagger+yaml',
+];
+
+/*
+ * Elements which cannot be represented in Swagger 2.0 are reported to the
+ * optional `report` function with a message describing what was omitted.
+ */
+function serializeSync({ api, mediaType, report }) {
+  const document = serializeSwagger(api, { report });
+
+  if (mediaType === 'application/swagger+yaml') {
+    return yaml.safeDump(document, { noRefs: true });
+  }
+
+  return JSON.stringify(document, null, 2);
+}
+
+function serialize(options) {
+  return new Promise(resolve => resolve(serializeSync(options)));
+}
+
+module.exports = {
+  name, mediaTypes, serialize, serializeSync,
+};
@@ -0,0 +1,303 @@
+const {
+  getMetaValue, getAttribute, getAttributeValue, hasTypeAttribute, definitionName,
+} = require('./utils');
+
+const primitiveTypes = ['string', 'number', 'boolean', 'null'];
+const baseTypes = primitiveTypes.concat([
+  'object', 'array', 'enum', 'select', 'option', 'ref', 'member', 'extend', 'element',
+]);
+
+const isPrimitive = element => primitiveTypes.includes(element.element);
+const isNamedType = element => !baseTypes.includes(element.element);
+const hasValue = element => element.content !== undefined && element.content !== null;
+
+const report = (options, message) => {
+  if (options.report) {
+    options.report(message);
+  }
+};
+
+/**
+ * Creates a Schema Object referencing the given data structure
+ * @param id {string} - data structure identifier
+ * @returns {object}
+ * @private
+ */
+const referenceSchema = id => ({ $ref: `#/definitions/${definitionName(id)}` });
+
+/**
+ * Attaches the given annotations (description, default etc) to a schema.
+ *
+ * Siblings of `$ref` are ignored in Swagger 2.0, in that case the reference
+ * is wrapped in `allOf` so the annotations are retained.
+ *
+ * @param schema {object}
+ * @param annotations {object}
+ * @returns {object}
+ * @private
+ */
+function annotateSchema(schema, annotations) {
+  const keys = Object.keys(annotations).filter(key => annotations[key] !== undefined);
+
+  if (keys.length === 0) {
+    return schema;
+  }
+
+  const result = schema.$ref ? { allOf: [schema] } : schema;
+
+  keys.forEach((key) => {
+    result[key] = annotations[key];
+  });
+
+  return result;
+}
+
+/* eslint-disable no-use-before-define */
+
+function serializePrimitive(element, options) {
+  if (element.element === 'null') {
+    report(options, 'Swagger 2.0 does not support the null type, it has been omitted');
+    return {};
+  }
+
+  const schema = { type: element.element };
+
+  if (hasValue(element)) {
+    if (options.fixed) {
+      schema.enum = [element.toValue()];
+    } else {
+      schema.example = element.toValue();
+    }
+  }
+
+  return schema;
+}
+
+function serializeMember(member, options) {
+  const memberOptions = Object.assign({}, options, {
+    fixed: options.fixed || hasTypeAttribute(member, 'fixed'),
+  });
+
+  const schema = member.value ? serializeSchema(member.value, memberOptions) : {};
+
+  if (hasTypeAttribute(member, 'nullable')) {
+    report(options, `Swagger 2.0 does not support nullable properties, 'nullable' of '${member.key.toValue()}' has been omitted`);
+  }
+
+  if (getAttributeValue(member, 'writeOnly') === true) {
+    report(options, `Swagger 2.0 does not support write only properties, 'writeOnly' of '${member.key.toValue()}' has been omitted`);
+  }
+
+  return annotateSchema(schema, {
+    description: getMetaValue(member, 'description') || undefined,
+    readOnly: getAttributeValue(member, 'readOnly') === true || undefined,
+  });
+}
+
+function serializeObject(element, options) {
+  const schema = { type: 'object' };
+  const properties = {};
+  const required = [];
+  const mixins = [];
+  let additionalProperties;
+
+  (element.content || []).forEach((item) => {
+    if (item.element === 'member') {
+      if (getAttributeValue(item, 'variable') === true) {
+        // Variable property names describe the additional properties
+        additionalProperties = serializeMember(item, options);
+        return;
+      }
+
+      const key = item.key && item.key.toValue();
+
+      if (key === undefined) {
+        return;
+      }
+
+      properties[key] = serializeMember(item, options);
+
+      if (hasTypeAttribute(item, 'required')) {
+        required.push(key);
+      }
+    } else if (item.element === 'ref') {
+      mixins.push(referenceSchema(item.toValue()));
+    } else if (item.element === 'select') {
+      report(options, 'Swagger 2.0 does not support mutually exclusive properties (select), they have been omitted');
+    }
+  });
+
+  if (Object.keys(properties).length > 0) {
+    schema.properties = properties;
+  }
+
+  if (required.length > 0) {
+    schema.required = required;
+  }
+
+  if (options.fixed || hasTypeAttribute(element, 'fixedType')) {
+    schema.additionalProperties = false;
+  } else if (additionalProperties) {
+    schema.additionalProperties = additionalProperties;
+  }
+
+  if (mixins.length > 0) {
+    if (!schema.properties && !schema.required) {
+      return { allOf: mixins };
+    }
+
+    return { allOf: mixins.concat([schema]) };
+  }
+
+  return schema;
+}
+
+function serializeArray(element, options) {
+  const schema = { type: 'array' };
+  const content = element.content || [];
+
+  const isSamePrimitive = content.length > 0
+    && content.every(item => isPrimitive(item) && item.element === content[0].element);
+
+  if (isSamePrimitive && !options.fixed) {
+    schema.items = content[0].element === 'null'
+      ? serializePrimitive(content[0], options)
+      : { type: content[0].element };
+
+    if (content.some(hasValue)) {
+      schema.example = element.toValue();
+    }
+  } else if (content.length === 1) {
+    schema.items = serializeSchema(content[0], options);
+  } else if (content.length > 1) {
+    report(options, 'Swagger 2.0 does not support arrays with items of different types, the item types have been omitted');
+    schema.items = {};
+  } else {
+    schema.items = {};
+  }
+
+  return schema;
+}
+
+function serializeEnum(element, options) {
+  const enumerations = getAttribute(element, 'enumerations');
+  const values = enumerations ? enumerations.content : [];
+  const schema = {};
+
+  const supported = values.every(value => isPrimitive(value) && value.element !== 'null' && hasValue(value))
+    && values.every(value => value.element === values[0].element);
+
+  if (supported) {
+    if (values.length > 0) {
+      schema.type = values[0].element;
+    }
+
+    schema.enum = values.map(value => value.toValue());
+  } else {
+    report(options, 'Swagger 2.0 only supports enumerations of primitive values of the same type, the enumerations have been omitted');
+  }
+
+  if (hasValue(element)) {
+    schema.example = element.toValue();
+  }
+
+  return schema;
+}
+
+function serializeNamedType(element, options) {
+  const reference = referenceSchema(element.element);
+  const content = Array.isArray(element.content) ? element.content : [];
+
+  if (content.length === 0) {
+    if (hasValue(element) && !Array.isArray(element.content)) {
+      return annotateSchema(reference, { example: element.toValue() });
+    }
+
+    return reference;
+  }
+
+  const isObjectLike = content.some(item => ['member', 'ref', 'select'].includes(item.element));
+  const extension = isObjectLike ? serializeObject(element, options) : serializeArray(element, options);
+
+  return { allOf: [reference, extension] };
+}
+
+/**
+ * Serialize an API Elements data structure into a Swagger Schema Object
+ *
+ * @param element {Element} - A data structure element or the content of a
+ *   data structure element
+ * @param options {object}
+ * @param options.report {function} - Called with a message for each
+ *   element which cannot be represented in Swagger 2.0
+ * @returns {object} Schema Object
+ * @private
+ */
+function serializeSchema(element, options = {}) {
+  if (element === undefined) {
+    return {};
+  }
+
+  if (element.element === 'dataStructure') {
+    return serializeSchema(element.content, options);
+  }
+
+  const elementOptions = Object.assign({}, options, {
+    fixed: options.fixed || hasTypeAttribute(element, 'fixed'),
+  });
+
+  let schema;
+
+  if (element.element === 'ref') {
+    schema = referenceSchema(element.toValue());
+  } else if (isPrimitive(element)) {
+    schema = serializePrimitive(element, elementOptions);
+  } else if (element.element === 'object' || element.element === 'option') {
+    schema = serializeObject(element, elementOptions);
+  } else if (element.element === 'array') {
+    schema = serializeArray(element, elementOptions);
+  } else if (element.element === 'enum') {
+    schema = serializeEnum(element, elementOptions);
+  } else if (element.element === 'select') {
+    report(options, 'Swagger 2.0 does not support mutually exclusive properties (select), they have been omitted');
+    schema = {};
+  } else if (isNamedType(element)) {
+    schema = serializeNamedType(element, elementOptions);
+  } else {
+    schema = {};
+  }
+
+  if (hasTypeAttribute(element, 'nullable')) {
+    report(options, 'Swagger 2.0 does not support nullable types, \'nullable\' has been omitted');
+  }
+
+  const defaultValue = getAttribute(element, 'default');
+  const samples = getAttribute(element, 'samples');
+
+  // Validation keywords (minimum, pattern etc) are kept as is
+  const validation = getAttribute(element, 'validation');
+  const keywords = {};
+  if (validation && Array.isArray(validation.content)) {
+    validation.content.forEach((member) => {
+      const key = member.key.toValue();
+
+      if (key === 'not') {
+        report(options, 'Swagger 2.0 does not support negated schemas, \'not\' has been omitted');
+      } else {
+        keywords[key] = member.value.toValue();
+      }
+    });
+  }
+
+  return annotateSchema(schema, Object.assign({
+    title: getMetaValue(element, 'title') || undefined,
+    description: getMetaValue(element, 'description') || undefined,
+    default: defaultValue ? defaultValue.toValue() : undefined,
+    example: samples && !samples.isEmpty ? samples.first.toValue() : undefined,
+  }, keywords));
+}
+
+/* eslint-enable no-use-before-define */
+
+module.exports = serializeSchema;
+module.exports.referenceSchema = referenceSchema;
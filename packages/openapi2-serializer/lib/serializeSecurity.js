@@ -0,0 +1,189 @@
+const {
+  getMetaValue, getAttributeValue, hasClass, definitionName,
+} = require('./utils');
+
+// API Elements grant type to Swagger 'Security Scheme Object' flow
+const flows = {
+  implicit: 'implicit',
+  'resource owner password credentials': 'password',
+  'client credentials': 'application',
+  'authorization code': 'accessCode',
+};
+
+const isOAuth2Scheme = element => element.element === 'OAuth2 Scheme' || element.element === 'Oauth2 Scheme';
+
+const report = (options, message) => {
+  if (options.report) {
+    options.report(message);
+  }
+};
+
+/**
+ * Finds the value of the member with the given key in an auth scheme
+ * @param scheme {AuthScheme}
+ * @param key {string}
+ * @returns {Element}
+ * @private
+ */
+function findMemberValue(scheme, key) {
+  const member = scheme.content.find(item => item.element === 'member' && item.key.toValue() === key);
+  return member ? member.value : undefined;
+}
+
+function serializeScopes(scheme) {
+  const scopes = {};
+  const value = findMemberValue(scheme, 'scopes');
+
+  if (value && Array.isArray(value.content)) {
+    value.content.forEach((scope) => {
+      scopes[scope.toValue()] = getMetaValue(scope, 'description') || '';
+    });
+  }
+
+  return scopes;
+}
+
+function serializeOAuth2(scheme, name, options) {
+  const securityScheme = { type: 'oauth2' };
+
+  scheme.content
+    .filter(item => item.element === 'transition')
+    .forEach((transition) => {
+      const relation = getAttributeValue(transition, 'relation');
+      const href = getAttributeValue(transition, 'href');
+
+      if (relation === 'authorize') {
+        securityScheme.authorizationUrl = href;
+      } else if (relation === 'token') {
+        securityScheme.tokenUrl = href;
+      } else if (relation === 'refresh') {
+        report(options, `Swagger 2.0 does not support OAuth 2 refresh URLs, the refresh URL of '${name}' has been omitted`);
+      }
+    });
+
+  const grantType = findMemberValue(scheme, 'grantType');
+  let flow = grantType && flows[grantType.toValue()];
+
+  if (!flow) {
+    // Infer the flow from the available URLs when there is no grant type
+    if (securityScheme.authorizationUrl && securityScheme.tokenUrl) {
+      flow = 'accessCode';
+    } else if (securityScheme.tokenUrl) {
+      flow = 'application';
+    } else {
+      flow = 'implicit';
+    }
+  }
+
+  securityScheme.flow = flow;
+  securityScheme.scopes = serializeScopes(scheme);
+
+  return securityScheme;
+}
+
+function serializeTokenAuthentication(scheme, name, options) {
+  const headerName = findMemberValue(scheme, 'httpHeaderName');
+  if (headerName) {
+    return { type: 'apiKey', name: headerName.toValue(), in: 'header' };
+  }
+
+  const queryParameterName = findMemberValue(scheme, 'queryParameterName');
+  if (queryParameterName) {
+    return { type: 'apiKey', name: queryParameterName.toValue(), in: 'query' };
+  }
+
+  if (findMemberValue(scheme, 'cookieName')) {
+    report(options, `Swagger 2.0 does not support API keys in cookies, '${name}' has been described as an 'Authorization' header`);
+  } else {
+    report(options, `Swagger 2.0 does not support bearer authentication, '${name}' has been described as an 'Authorization' header`);
+  }
+
+  return { type: 'apiKey', name: 'Authorization', in: 'header' };
+}
+
+/**
+ * Serialize an API Elements auth scheme into a Swagger Security Scheme Object
+ * @param scheme {AuthScheme}
+ * @param options {object}
+ * @param options.report {function}
+ * @returns {object|undefined}
+ * @private
+ */
+function serializeSecurityScheme(scheme, options = {}) {
+  const name = getMetaValue(scheme, 'id') || scheme.element;
+  let securityScheme;
+
+  if (scheme.element === 'Basic Authentication Scheme') {
+    securityScheme = { type: 'basic' };
+  } else if (scheme.element === 'Token Authentication Scheme') {
+    securityScheme = serializeTokenAuthentication(scheme, name, options);
+  } else if (isOAuth2Scheme(scheme)) {
+    securityScheme = serializeOAuth2(scheme, name, options);
+  } else {
+    report(options, `Swagger 2.0 does not support the auth scheme '${scheme.element}', it has been omitted`);
+    return undefined;
+  }
+
+  const title = getMetaValue(scheme, 'title');
+  if (title) {
+    securityScheme['x-summary'] = title;
+  }
+
+  const description = getMetaValue(scheme, 'description');
+  if (description) {
+    securityScheme.description = description;
+  }
+
+  return securityScheme;
+}
+
+/**
+ * Serialize all of the auth schemes found in `authSchemes` categories
+ * @param api {Category}
+ * @param options {object}
+ * @returns {object} - Security Scheme Objects keyed by their name
+ * @private
+ */
+function serializeSecurityDefinitions(api, options) {
+  const securityDefinitions = {};
+
+  const groups = api.content
+    .filter(item => item.element === 'category' && hasClass(item, 'authSchemes'));
+
+  groups.forEach((group) => {
+    group.content.forEach((scheme) => {
+      const id = getMetaValue(scheme, 'id');
+      const securityScheme = serializeSecurityScheme(scheme, options);
+
+      if (id && securityScheme) {
+        securityDefinitions[definitionName(id)] = securityScheme;
+      }
+    });
+  });
+
+  return securityDefinitions;
+}
+
+/**
+ * Serialize the `authSchemes` attribute of a transaction into a Swagger
+ * Security Requirement Object
+ * @param authSchemes {ArrayElement}
+ * @returns {object}
+ * @private
+ */
+function serializeSecurityRequirement(authSchemes) {
+  const requirement = {};
+
+  authSchemes.forEach((scheme) => {
+    const scopes = findMemberValue(scheme, 'scopes');
+    requirement[definitionName(scheme.element)] = scopes ? scopes.toValue() : [];
+  });
+
+  return requirement;
+}
+
+module.exports = {
+  serializeSecurityScheme,
+  serializeSecurityDefinitions,
+  serializeSecurityRequirement,
+};
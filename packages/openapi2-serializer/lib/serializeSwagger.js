@@ -0,0 +1,556 @@
+const { URL } = require('url');
+const serializeInfo = require('./serializeInfo');
+const serializeSchema = require('./serializeSchema');
+const { serializeSecurityDefinitions, serializeSecurityRequirement } = require('./serializeSecurity');
+const {
+  getMetaValue, getAttribute, getAttributeValue, hasTypeAttribute, hasClass,
+  getDescription, filterContent, findAsset, getHeaders, getContentType,
+  isJSONMediaType, parseHref, findHrefVariable, definitionName,
+} = require('./utils');
+
+// Headers which are described by other parts of a Swagger document
+const reservedHeaders = ['content-type', 'accept', 'authorization'];
+
+const methods = ['get', 'put', 'post', 'delete', 'options', 'head', 'patch'];
+
+// Properties of a Schema Object which may be used in a non-body parameter
+const parameterSchemaKeys = ['type', 'items', 'enum', 'default'];
+
+/**
+ * Converts a Schema Object into the subset of properties allowed in a non-body
+ * Parameter Object or a Header Object.
+ * @param schema {object}
+ * @param name {string}
+ * @param context {object}
+ * @returns {object}
+ * @private
+ */
+function flattenSchema(schema, name, context) {
+  const result = {};
+
+  if (schema.$ref || schema.allOf || schema.type === 'object' || schema.type === undefined) {
+    if (schema.$ref || schema.allOf || schema.type === 'object') {
+      context.report(`Swagger 2.0 only supports primitive and array types for '${name}', it has been described as a string`);
+    }
+
+    result.type = 'string';
+  }
+
+  parameterSchemaKeys
+    .filter(key => schema[key] !== undefined && result[key] === undefined)
+    .forEach((key) => {
+      result[key] = schema[key];
+    });
+
+  if (schema.example !== undefined) {
+    result['x-example'] = schema.example;
+  }
+
+  return result;
+}
+
+function serializeParameter(variable, location, member, context) {
+  const parameter = { name: variable.name, in: location };
+
+  const description = member && getMetaValue(member, 'description');
+  if (description) {
+    parameter.description = description;
+  }
+
+  if (location === 'path' || (member && hasTypeAttribute(member, 'required'))) {
+    parameter.required = true;
+  }
+
+  const schema = (member && member.value) ? serializeSchema(member.value, context) : { type: 'string' };
+  Object.assign(parameter, flattenSchema(schema, variable.name, context));
+
+  if (parameter.type === 'array' && location === 'query') {
+    parameter.collectionFormat = variable.explode ? 'multi' : 'csv';
+  }
+
+  return parameter;
+}
+
+function serializeHeaderParameters(request, context) {
+  return getHeaders(request)
+    .filter(member => !reservedHeaders.includes(member.key.toValue().toLowerCase()))
+    .map(member => serializeParameter({ name: member.key.toValue() }, 'header', member, context));
+}
+
+const hasPayload = message => filterContent(message, 'dataStructure').length > 0
+  || findAsset(message, 'messageBody') !== undefined
+  || findAsset(message, 'messageBodySchema') !== undefined;
+
+function serializePayloadSchema(message, context) {
+  const dataStructure = filterContent(message, 'dataStructure')[0];
+
+  if (dataStructure) {
+    return serializeSchema(dataStructure, context);
+  }
+
+  const messageBodySchema = findAsset(message, 'messageBodySchema');
+  if (messageBodySchema) {
+    try {
+      return JSON.parse(messageBodySchema.toValue());
+    } catch (error) {
+      context.report('Message body schema is not valid JSON, it has been omitted');
+    }
+  }
+
+  return undefined;
+}
+
+function serializeExample(message, mediaType) {
+  const messageBody = findAsset(message, 'messageBody');
+
+  if (!messageBody || !messageBody.toValue()) {
+    return undefined;
+  }
+
+  const body = messageBody.toValue();
+
+  if (isJSONMediaType(mediaType)) {
+    try {
+      return JSON.parse(body);
+    } catch (error) {
+      // Retain the body as a string
+    }
+  }
+
+  return body;
+}
+
+const addMediaType = (list, mediaType) => {
+  if (mediaType && !list.includes(mediaType)) {
+    list.push(mediaType);
+  }
+};
+
+function serializeBodyParameter(request, schema, mediaType) {
+  let parameterSchema = Object.assign({}, schema);
+  const example = serializeExample(request, mediaType);
+
+  if (example !== undefined) {
+    if (parameterSchema.$ref) {
+      parameterSchema = { allOf: [schema] };
+    }
+
+    parameterSchema.example = example;
+  }
+
+  const parameter = {
+    name: 'body',
+    in: 'body',
+    schema: parameterSchema,
+  };
+
+  const description = getDescription(request);
+  if (description) {
+    parameter.description = description;
+  }
+
+  return parameter;
+}
+
+function serializeResponseHeaders(response, context) {
+  const headers = {};
+
+  getHeaders(response)
+    .filter(member => member.key.toValue().toLowerCase() !== 'content-type')
+    .forEach((member) => {
+      const name = member.key.toValue();
+      const schema = member.value ? serializeSchema(member.value, context) : { type: 'string' };
+      const header = flattenSchema(schema, name, context);
+
+      const description = getMetaValue(member, 'description');
+      if (description) {
+        header.description = description;
+      }
+
+      headers[name] = header;
+    });
+
+  return headers;
+}
+
+function mergeRequest(operation, request, context) {
+  if (!hasPayload(request)) {
+    return;
+  }
+
+  const mediaType = getContentType(request);
+  const schema = serializePayloadSchema(request, context) || {};
+
+  /* eslint-disable no-param-reassign */
+  operation.consumes = operation.consumes || [];
+  addMediaType(operation.consumes, mediaType);
+
+  const parameters = operation.parameters || [];
+
+  if (context.bodySchemas.has(operation)) {
+    if (JSON.stringify(schema) !== context.bodySchemas.get(operation)) {
+      context.report(`Swagger 2.0 only supports a single request body per operation, additional request bodies (${mediaType || 'without a content type'}) have been omitted`);
+    }
+  } else {
+    context.bodySchemas.set(operation, JSON.stringify(schema));
+    operation.parameters = parameters.concat([serializeBodyParameter(request, schema, mediaType)]);
+  }
+  /* eslint-enable no-param-reassign */
+}
+
+function mergeResponse(operation, response, context) {
+  const statusCode = getAttributeValue(response, 'statusCode');
+  const key = (statusCode === undefined || statusCode === null || statusCode === '') ? 'default' : String(statusCode);
+
+  if (/^[1-5]XX$/i.test(key)) {
+    context.report(`Swagger 2.0 does not support the response status code range '${key}', the response has been omitted`);
+    return;
+  }
+
+  let object = operation.responses[key];
+  if (object === undefined) {
+    object = {
+      // description is required in the 'Response Object'
+      description: getDescription(response) || '',
+    };
+
+    const headers = serializeResponseHeaders(response, context);
+    if (Object.keys(headers).length > 0) {
+      object.headers = headers;
+    }
+
+    // eslint-disable-next-line no-param-reassign
+    operation.responses[key] = object;
+  }
+
+  if (!hasPayload(response)) {
+    return;
+  }
+
+  const mediaType = getContentType(response);
+  if (mediaType) {
+    // eslint-disable-next-line no-param-reassign
+    operation.produces = operation.produces || [];
+    addMediaType(operation.produces, mediaType);
+  }
+
+  const schema = serializePayloadSchema(response, context);
+  if (schema) {
+    if (object.schema === undefined) {
+      object.schema = schema;
+    } else if (JSON.stringify(schema) !== JSON.stringify(object.schema)) {
+      context.report(`Swagger 2.0 only supports a single schema per response, additional schemas for the '${key}' response have been omitted`);
+    }
+  }
+
+  const example = serializeExample(response, mediaType);
+  if (example !== undefined) {
+    if (mediaType) {
+      object.examples = object.examples || {};
+
+      if (object.examples[mediaType] === undefined) {
+        object.examples[mediaType] = example;
+      }
+    } else {
+      context.report(`Swagger 2.0 requires a content type for response examples, the example for the '${key}' response has been omitted`);
+    }
+  }
+}
+
+function mergeTransaction(operation, transaction, context) {
+  const request = filterContent(transaction, 'httpRequest')[0];
+  const response = filterContent(transaction, 'httpResponse')[0];
+
+  if (request) {
+    mergeRequest(operation, request, context);
+  }
+
+  if (response) {
+    mergeResponse(operation, response, context);
+  }
+
+  const authSchemes = getAttribute(transaction, 'authSchemes');
+  if (authSchemes && !authSchemes.isEmpty && operation.security === undefined) {
+    // eslint-disable-next-line no-param-reassign
+    operation.security = [serializeSecurityRequirement(authSchemes)];
+  }
+}
+
+function serializeTransition(transition, resource, tag, paths, context) {
+  const href = getAttributeValue(transition, 'href') || getAttributeValue(resource, 'href') || '/';
+  const { path, pathVariables, queryVariables } = parseHref(href);
+
+  pathVariables
+    .filter(variable => variable.operator !== '')
+    .map(variable => variable.expression)
+    .filter((expression, index, expressions) => expressions.indexOf(expression) === index)
+    .forEach((expression) => {
+      context.report(`Swagger 2.0 does not support the URI Template expression '${expression}' in '${href}', it has been described as a simple path parameter`);
+    });
+
+  const hrefVariables = [getAttribute(transition, 'hrefVariables'), getAttribute(resource, 'hrefVariables')]
+    .filter(variables => variables !== undefined);
+
+  if (paths[path] === undefined) {
+    // eslint-disable-next-line no-param-reassign
+    paths[path] = {};
+
+    const summary = getMetaValue(resource, 'title');
+    if (summary) {
+      // eslint-disable-next-line no-param-reassign
+      paths[path]['x-summary'] = summary;
+    }
+
+    const description = getDescription(resource);
+    if (description) {
+      // eslint-disable-next-line no-param-reassign
+      paths[path]['x-description'] = description;
+    }
+  }
+
+  const pathItem = paths[path];
+
+  filterContent(transition, 'httpTransaction').forEach((transaction) => {
+    const request = filterContent(transaction, 'httpRequest')[0];
+    const method = ((request && getAttributeValue(request, 'method')) || 'get').toLowerCase();
+
+    if (!methods.includes(method)) {
+      context.report(`Swagger 2.0 does not support the HTTP method '${method.toUpperCase()}', the transaction for '${path}' has been omitted`);
+      return;
+    }
+
+    if (pathItem[method] === undefined) {
+      const operation = {};
+
+      const summary = getMetaValue(transition, 'title');
+      if (summary) {
+        operation.summary = summary;
+      }
+
+      const description = getDescription(transition);
+      if (description) {
+        operation.description = description;
+      }
+
+      const operationId = getMetaValue(transition, 'id');
+      if (operationId) {
+        operation.operationId = operationId;
+      }
+
+      if (tag) {
+        operation.tags = [tag];
+      }
+
+      const parameters = []
+        .concat(pathVariables.map(variable => serializeParameter(variable, 'path', findHrefVariable(variable.name, hrefVariables), context)))
+        .concat(queryVariables.map(variable => serializeParameter(variable, 'query', findHrefVariable(variable.name, hrefVariables), context)))
+        .concat(request ? serializeHeaderParameters(request, context) : []);
+
+      if (parameters.length > 0) {
+        operation.parameters = parameters;
+      }
+
+      operation.responses = {};
+      pathItem[method] = operation;
+    }
+
+    mergeTransaction(pathItem[method], transaction, context);
+  });
+}
+
+function serializeResource(resource, tag, paths, context) {
+  filterContent(resource, 'transition').forEach((transition) => {
+    serializeTransition(transition, resource, tag, paths, context);
+  });
+}
+
+/**
+ * Finds the URLs of the hosts for the API, from the `HOST` metadata and
+ * the hosts category.
+ * @param api {Category}
+ * @param context {object}
+ * @returns {string[]}
+ * @private
+ */
+/**
+ * Adds a default response to the operations without a response, the
+ * Responses Object of an operation must contain at least one response
+ * @param paths {object}
+ * @private
+ */
+function addDefaultResponses(paths) {
+  Object.keys(paths).forEach((path) => {
+    methods
+      .map(method => paths[path][method])
+      .filter(operation => operation !== undefined && Object.keys(operation.responses).length === 0)
+      .forEach((operation) => {
+        // eslint-disable-next-line no-param-reassign
+        operation.responses.default = { description: '' };
+      });
+  });
+}
+
+function findHosts(api, context) {
+  const hosts = [];
+
+  const metadata = getAttribute(api, 'metadata');
+  if (metadata) {
+    const host = filterContent(metadata, 'member').find(member => member.key.toValue() === 'HOST');
+
+    if (host && host.value) {
+      hosts.push(host.value.toValue());
+    }
+  }
+
+  filterContent(api, 'category')
+    .filter(category => hasClass(category, 'hosts'))
+    .forEach((category) => {
+      filterContent(category, 'resource').forEach((resource) => {
+        const href = getAttributeValue(resource, 'href');
+        const hrefVariables = getAttribute(resource, 'hrefVariables');
+
+        if (hrefVariables && !hrefVariables.isEmpty) {
+          context.report(`Swagger 2.0 does not support host variables, the host '${href}' has been omitted`);
+        } else if (href) {
+          hosts.push(href);
+        }
+      });
+    });
+
+  return hosts;
+}
+
+function serializeHost(document, api, context) {
+  const hosts = findHosts(api, context);
+
+  if (hosts.length === 0) {
+    return;
+  }
+
+  if (hosts.length > 1) {
+    context.report('Swagger 2.0 only supports a single host, only the first host has been used');
+  }
+
+  let host;
+  try {
+    host = new URL(hosts[0]);
+  } catch (error) {
+    context.report(`The host '${hosts[0]}' is not an absolute URL, it has been omitted`);
+    return;
+  }
+
+  /* eslint-disable no-param-reassign */
+  document.host = host.host;
+
+  if (host.pathname && host.pathname !== '/') {
+    document.basePath = host.pathname.replace(/[/]+$/, '');
+  }
+
+  document.schemes = [host.protocol.replace(/:$/, '')];
+  /* eslint-enable no-param-reassign */
+}
+
+function serializeDefinitions(api, context) {
+  const definitions = {};
+
+  filterContent(api, 'category')
+    .filter(category => hasClass(category, 'dataStructures'))
+    .forEach((category) => {
+      filterContent(category, 'dataStructure').forEach((dataStructure) => {
+        const id = dataStructure.content && getMetaValue(dataStructure.content, 'id');
+
+        if (id) {
+          definitions[definitionName(id)] = serializeSchema(dataStructure, context);
+        }
+      });
+    });
+
+  return definitions;
+}
+
+/**
+ * Serialize an API Elements API category into a Swagger 2.0 document
+ *
+ * Elements which cannot be represented in Swagger 2.0 are reported to the
+ * given `report` function with a message describing what was lost.
+ *
+ * @param api {Category} - The API category, a parse result is also accepted
+ * @param options {object}
+ * @param options.report {function}
+ * @returns {object} Swagger Object
+ * @private
+ */
+function serializeSwagger(api, options = {}) {
+  if (api.element === 'parseResult') {
+    const category = filterContent(api, 'category').find(item => hasClass(item, 'api'));
+
+    if (category === undefined) {
+      throw new Error('Parse result does not contain an API');
+    }
+
+    return serializeSwagger(category, options);
+  }
+
+  const context = {
+    report: options.report || (() => {}),
+
+    // Schema of the body parameter of each operation
+    bodySchemas: new WeakMap(),
+  };
+
+  const document = {
+    swagger: '2.0',
+    info: serializeInfo(api),
+  };
+
+  serializeHost(document, api, context);
+
+  const tags = [];
+  const paths = {};
+
+  filterContent(api, 'resource').forEach((resource) => {
+    serializeResource(resource, undefined, paths, context);
+  });
+
+  filterContent(api, 'category')
+    .filter(category => hasClass(category, 'resourceGroup'))
+    .forEach((category) => {
+      const name = getMetaValue(category, 'title');
+
+      if (name) {
+        const tag = { name };
+        const description = getDescription(category);
+
+        if (description) {
+          tag.description = description;
+        }
+
+        tags.push(tag);
+      }
+
+      filterContent(category, 'resource').forEach((resource) => {
+        serializeResource(resource, name || undefined, paths, context);
+      });
+    });
+
+  if (tags.length > 0) {
+    document.tags = tags;
+  }
+
+  addDefaultResponses(paths);
+  document.paths = paths;
+
+  const definitions = serializeDefinitions(api, context);
+  if (Object.keys(definitions).length > 0) {
+    document.definitions = definitions;
+  }
+
+  const securityDefinitions = serializeSecurityDefinitions(api, context);
+  if (Object.keys(securityDefinitions).length > 0) {
+    document.securityDefinitions = securityDefinitions;
+  }
+
+  return document;
+}
+
+module.exports = serializeSwagger;
@@ -0,0 +1,227 @@
+/* eslint-disable no-underscore-dangle */
+
+const contentType = require('content-type');
+
+/*
+ * Helpers for reading API Elements without mutating them. Accessing `meta`
+ * or `attributes` on an element will attach empty objects to it, so these
+ * helpers check the private `_meta` and `_attributes` first.
+ */
+
+/**
+ * Returns the value of the given meta property or undefined
+ * @param element {Element}
+ * @param name {string}
+ * @returns {any}
+ * @private
+ */
+const getMetaValue = (element, name) => element._meta && element._meta.getValue(name);
+
+/**
+ * Returns the given attribute or undefined
+ * @param element {Element}
+ * @param name {string}
+ * @returns {Element}
+ * @private
+ */
+const getAttribute = (element, name) => element._attributes && element._attributes.get(name);
+
+/**
+ * Returns the value of the given attribute or undefined
+ * @param element {Element}
+ * @param name {string}
+ * @returns {any}
+ * @private
+ */
+const getAttributeValue = (element, name) => element._attributes && element._attributes.getValue(name);
+
+/**
+ * Returns whether the element contains the given type attribute (such as
+ * `required`, `fixed` or `nullable`)
+ * @param element {Element}
+ * @param name {string}
+ * @returns {boolean}
+ * @private
+ */
+function hasTypeAttribute(element, name) {
+  const typeAttributes = getAttributeValue(element, 'typeAttributes');
+  return Array.isArray(typeAttributes) && typeAttributes.includes(name);
+}
+
+/**
+ * Returns whether the element has the given class
+ * @param element {Element}
+ * @param name {string}
+ * @returns {boolean}
+ * @private
+ */
+function hasClass(element, name) {
+  const classes = getMetaValue(element, 'classes');
+  return Array.isArray(classes) && classes.includes(name);
+}
+
+/**
+ * Returns the text of all copy elements in the given element joined as
+ * paragraphs, falls back to the description meta property.
+ * @param element {Element}
+ * @returns {string|undefined}
+ * @private
+ */
+function getDescription(element) {
+  if (Array.isArray(element.content)) {
+    const copy = element.content
+      .filter(item => item.element === 'copy')
+      .map(item => item.toValue());
+
+    if (copy.length > 0) {
+      return copy.join('\n\n');
+    }
+  }
+
+  return getMetaValue(element, 'description') || undefined;
+}
+
+/**
+ * Returns the elements of the given element type in the content of the
+ * given element
+ * @param element {Element}
+ * @param name {string}
+ * @returns {Element[]}
+ * @private
+ */
+const filterContent = (element, name) => (Array.isArray(element.content) ? element.content : [])
+  .filter(item => item.element === name);
+
+/**
+ * Returns the first asset of the given element with the given class (such as
+ * `messageBody` or `messageBodySchema`)
+ * @param element {Element}
+ * @param className {string}
+ * @returns {Asset|undefined}
+ * @private
+ */
+const findAsset = (element, className) => filterContent(element, 'asset')
+  .find(asset => hasClass(asset, className));
+
+/**
+ * Returns the members of the HTTP headers of the given HTTP message
+ * @param message {HttpRequest|HttpResponse}
+ * @returns {MemberElement[]}
+ * @private
+ */
+function getHeaders(message) {
+  const headers = getAttribute(message, 'headers');
+  return headers ? filterContent(headers, 'member') : [];
+}
+
+/**
+ * Returns the content type of the given HTTP message from its `Content-Type`
+ * header or its message body
+ * @param message {HttpRequest|HttpResponse}
+ * @returns {string|undefined}
+ * @private
+ */
+function getContentType(message) {
+  const header = getHeaders(message)
+    .find(member => member.key.toValue().toLowerCase() === 'content-type');
+
+  if (header && header.value) {
+    return header.value.toValue();
+  }
+
+  const messageBody = findAsset(message, 'messageBody');
+  return (messageBody && getAttributeValue(messageBody, 'contentType')) || undefined;
+}
+
+/**
+ * Returns whether the given media type is JSON (`application/json` or a
+ * `+json` structured syntax suffix)
+ * @param mediaType {string}
+ * @returns {boolean}
+ * @private
+ */
+const isJSONMediaType = (mediaType) => {
+  try {
+    const { type } = contentType.parse(mediaType);
+    return type === 'application/json' || type.endsWith('+json');
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Parses an RFC 6570 URI Template into the path and the variables found
+ * within the template. Each variable has the `name`, whether it is exploded,
+ * the `operator` (an empty string for simple expansion) and the `expression`
+ * it is found in.
+ * @param href {string}
+ * @returns {object} - `{ path, path variables, query variables }`
+ * @private
+ */
+function parseHref(href) {
+  const pathVariables = [];
+  const queryVariables = [];
+
+  const path = href.replace(/{([^}]*)}/g, (match, expression) => {
+    const operator = /^[+#./;?&]/.test(expression) ? expression.charAt(0) : '';
+    const variables = expression.substring(operator.length)
+      .split(',')
+      .map(variable => ({
+        name: variable.replace(/(\*|:\d+)$/, ''),
+        explode: variable.endsWith('*'),
+        operator,
+        expression: match,
+      }));
+
+    if (operator === '?' || operator === '&') {
+      queryVariables.push(...variables);
+      return '';
+    }
+
+    pathVariables.push(...variables);
+    return variables.map(variable => `{${variable.name}}`).join(',');
+  });
+
+  return { path: path || '/', pathVariables, queryVariables };
+}
+
+/**
+ * Finds the member describing the given variable in the first of the given
+ * href variables which contains it
+ * @param name {string}
+ * @param hrefVariables {HrefVariables[]}
+ * @returns {MemberElement|undefined}
+ * @private
+ */
+const findHrefVariable = (name, hrefVariables) => hrefVariables
+  .map(variables => filterContent(variables, 'member').find(item => item.key.toValue() === name))
+  .find(member => member !== undefined);
+
+/**
+ * Converts the given API Element identifier into a name for the Swagger
+ * Definitions Object. Identifiers created by the OpenAPI 2 parser are
+ * prefixed with `definitions/` which is removed.
+ * @param id {string}
+ * @returns {string}
+ * @private
+ */
+const definitionName = id => String(id)
+  .replace(/^definitions\//, '')
+  .replace(/[^a-zA-Z0-9.\-_]/g, '_');
+
+module.exports = {
+  getMetaValue,
+  getAttribute,
+  getAttributeValue,
+  hasTypeAttribute,
+  hasClass,
+  getDescription,
+  filterContent,
+  findAsset,
+  getHeaders,
+  getContentType,
+  isJSONMediaType,
+  parseHref,
+  findHrefVariable,
+  definitionName,
+};
@@ -0,0 +1,68 @@
+const { expect } = require('chai');
+const { Fury } = require('@apielements/core');
+const adapter = require('../lib/adapter');
+
+describe('OpenAPI 2 Serialiser Adapter', () => {
+  let fury;
+  let api;
+
+  before(() => {
+    fury = new Fury();
+    fury.use(adapter);
+  });
+
+  beforeEach(() => {
+    api = new fury.minim.elements.Category([], { classes: ['api'], title: 'Polls API' });
+  });
+
+  it('has a name', () => {
+    expect(adapter.name).to.equal('openapi2-serializer');
+  });
+
+  it('has Swagger media types', () => {
+    expect(adapter.mediaTypes).to.deep.equal([
+      'application/swagger+json',
+      'application/swagger+yaml',
+    ]);
+  });
+
+  it('can serialize an API asynchronously as JSON', (done) => {
+    fury.serialize({ api, mediaType: 'application/swagger+json' }, (error, result) => {
+      expect(error).to.be.null;
+      expect(JSON.parse(result)).to.deep.equal({
+        swagger: '2.0',
+        info: {
+          title: 'Polls API',
+          version: '1.0.0',
+        },
+        paths: {},
+      });
+      done();
+    });
+  });
+
+  it('can serialize an API synchronously as YAML', () => {
+    const result = fury.serializeSync({ api, mediaType: 'application/swagger+yaml' });
+
+    expect(result).to.equal('swagger: \'2.0\'\ninfo:\n  title: Polls API\n  version: 1.0.0\npaths: {}\n');
+  });
+
+  it('reports elements which cannot be represented to the report option', () => {
+    const createHost = (href) => {
+      const host = new fury.minim.elements.Resource();
+      host.classes = ['host'];
+      host.href = href;
+      return host;
+    };
+
+    api.push(new fury.minim.elements.Category([
+      createHost('https://eu.example.com'),
+      createHost('https://us.example.com'),
+    ], { classes: ['hosts'] }));
+
+    const messages = [];
+    adapter.serializeSync({ api, mediaType: 'application/swagger+json', report: message => messages.push(message) });
+
+    expect(messages).to.deep.equal(['Swagger 2.0 only supports a single host, only the first host has been used']);
+  });
+});
@@ -0,0 +1,177 @@
+const { expect } = require('chai');
+const { Fury } = require('@apielements/core');
+const serializeSchema = require('../lib/serializeSchema');
+
+const { minim: namespace } = new Fury();
+
+describe('#serializeSchema', () => {
+  let messages;
+  let options;
+
+  beforeEach(() => {
+    messages = [];
+    options = { report: message => messages.push(message) };
+  });
+
+  it('can serialize a primitive', () => {
+    const element = new namespace.elements.String('Doe');
+
+    expect(serializeSchema(element, options)).to.deep.equal({ type: 'string', example: 'Doe' });
+    expect(messages).to.be.empty;
+  });
+
+  it('can serialize validation keywords', () => {
+    const element = new namespace.elements.String();
+    element.attributes.set('validation', { minLength: 1, pattern: '^[a-z]+$' });
+
+    expect(serializeSchema(element, options)).to.deep.equal({
+      type: 'string',
+      minLength: 1,
+      pattern: '^[a-z]+$',
+    });
+  });
+
+  it('reports the not validation keyword', () => {
+    const not = new namespace.elements.Enum();
+    not.enumerations = ['admin'];
+    const element = new namespace.elements.String();
+    element.attributes.set('validation', {
+      minLength: 1,
+      not,
+    });
+
+    expect(serializeSchema(element, options)).to.deep.equal({
+      type: 'string',
+      minLength: 1,
+    });
+    expect(messages).to.deep.equal([
+      "Swagger 2.0 does not support negated schemas, 'not' has been omitted",
+    ]);
+  });
+
+  it('can serialize read and write only properties', () => {
+    const id = new namespace.elements.Member('id', new namespace.elements.String());
+    id.attributes.set('readOnly', true);
+    const password = new namespace.elements.Member('password', new namespace.elements.String());
+    password.attributes.set('writeOnly', true);
+    const element = new namespace.elements.Object([id, password]);
+
+    expect(serializeSchema(element, options)).to.deep.equal({
+      type: 'object',
+      properties: {
+        id: {
+          type: 'string',
+          readOnly: true,
+        },
+        password: {
+          type: 'string',
+        },
+      },
+    });
+    expect(messages).to.deep.equal([
+      'Swagger 2.0 does not support write only properties, \'writeOnly\' of \'password\' has been omitted',
+    ]);
+  });
+
+  it('can serialize an object with required properties', () => {
+    const name = new namespace.elements.Member('name', new namespace.elements.String());
+    name.attributes.set('typeAttributes', ['required']);
+    const element = new namespace.elements.Object([name]);
+
+    expect(serializeSchema(element, options)).to.deep.equal({
+      type: 'object',
+      properties: {
+        name: { type: 'string' },
+      },
+      required: ['name'],
+    });
+  });
+
+  it('can serialize an object with a variable property as additional properties', () => {
+    const member = new namespace.elements.Member('id', new namespace.elements.Number());
+    member.attributes.set('variable', true);
+    const element = new namespace.elements.Object([member]);
+
+    expect(serializeSchema(element, options)).to.deep.equal({
+      type: 'object',
+      additionalProperties: { type: 'number' },
+    });
+  });
+
+  it('can serialize a reference to a definition created by the OpenAPI 2 parser', () => {
+    const element = new namespace.elements.Element();
+    element.element = 'definitions/User';
+
+    expect(serializeSchema(element, options)).to.deep.equal({ $ref: '#/definitions/User' });
+  });
+
+  it('can serialize a mixin', () => {
+    const element = new namespace.elements.Object([
+      new namespace.elements.Ref('User'),
+      new namespace.elements.Member('admin', true),
+    ]);
+
+    expect(serializeSchema(element, options)).to.deep.equal({
+      allOf: [
+        { $ref: '#/definitions/User' },
+        {
+          type: 'object',
+          properties: {
+            admin: { type: 'boolean', example: true },
+          },
+        },
+      ],
+    });
+  });
+
+  it('can serialize an enum', () => {
+    const element = new namespace.elements.Enum();
+    element.enumerations = ['north', 'south'];
+
+    expect(serializeSchema(element, options)).to.deep.equal({
+      type: 'string',
+      enum: ['north', 'south'],
+    });
+  });
+
+  it('reports an enum of mixed types', () => {
+    const element = new namespace.elements.Enum();
+    element.enumerations = ['north', 5];
+
+    expect(serializeSchema(element, options)).to.deep.equal({});
+    expect(messages).to.deep.equal([
+      'Swagger 2.0 only supports enumerations of primitive values of the same type, the enumerations have been omitted',
+    ]);
+  });
+
+  it('reports a select element', () => {
+    const select = new namespace.elements.Array([]);
+    select.element = 'select';
+
+    const element = new namespace.elements.Object([select]);
+
+    expect(serializeSchema(element, options)).to.deep.equal({ type: 'object' });
+    expect(messages).to.deep.equal([
+      'Swagger 2.0 does not support mutually exclusive properties (select), they have been omitted',
+    ]);
+  });
+
+  it('reports a nullable type', () => {
+    const element = new namespace.elements.String();
+    element.attributes.set('typeAttributes', ['nullable']);
+
+    expect(serializeSchema(element, options)).to.deep.equal({ type: 'string' });
+    expect(messages).to.deep.equal([
+      'Swagger 2.0 does not support nullable types, \'nullable\' has been omitted',
+    ]);
+  });
+
+  it('reports an array of mixed types', () => {
+    const element = new namespace.elements.Array(['one', 2]);
+
+    expect(serializeSchema(element, options)).to.deep.equal({ type: 'array', items: {} });
+    expect(messages).to.deep.equal([
+      'Swagger 2.0 does not support arrays with items of different types, the item types have been omitted',
+    ]);
+  });
+});
@@ -0,0 +1,89 @@
+const { expect } = require('chai');
+const { Fury } = require('@apielements/core');
+const { serializeSecurityScheme } = require('../lib/serializeSecurity');
+
+const { minim: namespace } = new Fury();
+
+describe('#serializeSecurityScheme', () => {
+  let messages;
+  let options;
+
+  const createScheme = (element, members) => {
+    const scheme = new namespace.elements.AuthScheme(members);
+    scheme.element = element;
+    scheme.id = 'auth';
+    return scheme;
+  };
+
+  beforeEach(() => {
+    messages = [];
+    options = { report: message => messages.push(message) };
+  });
+
+  it('serializes a basic authentication scheme', () => {
+    const scheme = createScheme('Basic Authentication Scheme');
+    scheme.description = 'Basic auth';
+
+    expect(serializeSecurityScheme(scheme, options)).to.deep.equal({
+      type: 'basic',
+      description: 'Basic auth',
+    });
+  });
+
+  it('serializes a token authentication scheme with a query parameter name', () => {
+    const scheme = createScheme('Token Authentication Scheme', [
+      new namespace.elements.Member('queryParameterName', 'api_key'),
+    ]);
+
+    expect(serializeSecurityScheme(scheme, options)).to.deep.equal({
+      type: 'apiKey',
+      name: 'api_key',
+      in: 'query',
+    });
+    expect(messages).to.be.empty;
+  });
+
+  it('reports a token authentication scheme without a location', () => {
+    const scheme = createScheme('Token Authentication Scheme');
+
+    expect(serializeSecurityScheme(scheme, options)).to.deep.equal({
+      type: 'apiKey',
+      name: 'Authorization',
+      in: 'header',
+    });
+    expect(messages).to.deep.equal([
+      'Swagger 2.0 does not support bearer authentication, \'auth\' has been described as an \'Authorization\' header',
+    ]);
+  });
+
+  it('serializes an OAuth 2 scheme', () => {
+    const token = new namespace.elements.Transition();
+    token.relation = 'token';
+    token.href = 'https://example.com/token';
+
+    const scope = new namespace.elements.String('read');
+    scope.description = 'Read access';
+
+    const scheme = createScheme('OAuth2 Scheme', [
+      new namespace.elements.Member('grantType', 'client credentials'),
+      new namespace.elements.Member('scopes', [scope]),
+      token,
+    ]);
+
+    expect(serializeSecurityScheme(scheme, options)).to.deep.equal({
+      type: 'oauth2',
+      tokenUrl: 'https://example.com/token',
+      flow: 'application',
+      scopes: {
+        read: 'Read access',
+      },
+    });
+  });
+
+  it('reports an unknown scheme', () => {
+    expect(serializeSecurityScheme(createScheme('Custom Scheme'), options)).to.be.undefined;
+    expect(messages).to.deep.equal([
+      'Swagger 2.0 does not support the auth scheme \'Custom Scheme\', it has been omitted',
+    ]);
+  });
+});
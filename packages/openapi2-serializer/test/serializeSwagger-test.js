@@ -0,0 +1,339 @@
+const { expect } = require('chai');
+const { Fury } = require('@apielements/core');
+const serializeSwagger = require('../lib/serializeSwagger');
+
+const { minim: namespace } = new Fury();
+
+const {
+  Category, Copy, Resource, Transition, HttpTransaction, HttpRequest,
+  HttpResponse, HttpHeaders, HrefVariables, Member, Asset, DataStructure,
+  Object: ObjectElement, String: StringElement, Array: ArrayElement, AuthScheme,
+} = namespace.elements;
+
+describe('#serializeSwagger', () => {
+  let api;
+  let messages;
+  let options;
+
+  beforeEach(() => {
+    api = new Category([], { classes: ['api'], title: 'Polls API' });
+    messages = [];
+    options = { report: message => messages.push(message) };
+  });
+
+  it('serializes the API title and description into the info object', () => {
+    api.push(new Copy('Polls is a simple API'));
+
+    expect(serializeSwagger(api, options)).to.deep.equal({
+      swagger: '2.0',
+      info: {
+        title: 'Polls API',
+        version: '1.0.0',
+        description: 'Polls is a simple API',
+      },
+      paths: {},
+    });
+  });
+
+  it('serializes the HOST metadata into host, basePath and schemes', () => {
+    api.attributes.set('metadata', [new Member('HOST', 'https://polls.example.com/v1/')]);
+
+    const document = serializeSwagger(api, options);
+
+    expect(document.host).to.equal('polls.example.com');
+    expect(document.basePath).to.equal('/v1');
+    expect(document.schemes).to.deep.equal(['https']);
+  });
+
+  it('reports additional hosts', () => {
+    const createHost = (href) => {
+      const host = new Resource();
+      host.classes = ['host'];
+      host.href = href;
+      return host;
+    };
+
+    api.push(new Category([
+      createHost('https://eu.example.com'),
+      createHost('https://us.example.com'),
+    ], { classes: ['hosts'] }));
+
+    expect(serializeSwagger(api, options).host).to.equal('eu.example.com');
+    expect(messages).to.deep.equal([
+      'Swagger 2.0 only supports a single host, only the first host has been used',
+    ]);
+  });
+
+  describe('paths', () => {
+    let resource;
+    let transition;
+    let request;
+    let response;
+
+    beforeEach(() => {
+      request = new HttpRequest();
+      request.method = 'POST';
+
+      response = new HttpResponse();
+      response.statusCode = 201;
+      response.push(new Copy('Created'));
+
+      transition = new Transition([new HttpTransaction([request, response])]);
+      transition.title = 'Create a Question';
+
+      resource = new Resource([transition]);
+      resource.title = 'Questions';
+      resource.href = '/questions';
+    });
+
+    it('serializes a resource into a path item', () => {
+      api.push(resource);
+
+      expect(serializeSwagger(api, options).paths).to.deep.equal({
+        '/questions': {
+          'x-summary': 'Questions',
+          post: {
+            summary: 'Create a Question',
+            responses: {
+              201: {
+                description: 'Created',
+              },
+            },
+          },
+        },
+      });
+    });
+
+    it('serializes href variables into path and query parameters', () => {
+      resource.href = '/questions/{id}{?tags*}';
+
+      const id = new Member('id', new StringElement('1'));
+      id.description = 'Question identifier';
+
+      const tags = new Member('tags', new ArrayElement(['new']));
+
+      resource.hrefVariables = new HrefVariables([id, tags]);
+      api.push(resource);
+
+      const operation = serializeSwagger(api, options).paths['/questions/{id}'].post;
+
+      expect(operation.parameters).to.deep.equal([
+        {
+          name: 'id',
+          in: 'path',
+          description: 'Question identifier',
+          required: true,
+          type: 'string',
+          'x-example': '1',
+        },
+        {
+          name: 'tags',
+          in: 'query',
+          type: 'array',
+          items: { type: 'string' },
+          'x-example': ['new'],
+          collectionFormat: 'multi',
+        },
+      ]);
+    });
+
+    it('reports href variables with an object value', () => {
+      resource.href = '/questions{?filter}';
+      resource.hrefVariables = new HrefVariables([
+        new Member('filter', new ObjectElement({ name: 'Doe' })),
+      ]);
+      api.push(resource);
+
+      const operation = serializeSwagger(api, options).paths['/questions'].post;
+
+      expect(operation.parameters[0].type).to.equal('string');
+      expect(messages).to.deep.equal([
+        'Swagger 2.0 only supports primitive and array types for \'filter\', it has been described as a string',
+      ]);
+    });
+
+    it('reports URI template expressions which are not simple path parameters', () => {
+      resource.href = '/files/{+path}';
+      api.push(resource);
+
+      const operation = serializeSwagger(api, options).paths['/files/{path}'].post;
+
+      expect(operation.parameters).to.deep.equal([
+        {
+          name: 'path',
+          in: 'path',
+          required: true,
+          type: 'string',
+        },
+      ]);
+      expect(messages).to.deep.equal([
+        'Swagger 2.0 does not support the URI Template expression \'{+path}\' in \'/files/{+path}\', it has been described as a simple path parameter',
+      ]);
+    });
+
+    it('serializes request message body into a body parameter', () => {
+      request.headers = new HttpHeaders([new Member('Content-Type', 'application/json')]);
+      request.push(new Asset('{"question": "Favourite language?"}', { classes: ['messageBody'] }));
+      api.push(resource);
+
+      const operation = serializeSwagger(api, options).paths['/questions'].post;
+
+      expect(operation.consumes).to.deep.equal(['application/json']);
+      expect(operation.parameters).to.deep.equal([
+        {
+          name: 'body',
+          in: 'body',
+          schema: {
+            example: { question: 'Favourite language?' },
+          },
+        },
+      ]);
+    });
+
+    it('reports additional request bodies', () => {
+      const createRequest = (contentType, value) => {
+        const message = new HttpRequest([new DataStructure(value)]);
+        message.method = 'POST';
+        message.headers = new HttpHeaders([new Member('Content-Type', contentType)]);
+        return message;
+      };
+
+      transition.content = [
+        new HttpTransaction([createRequest('application/json', new ObjectElement()), response.clone()]),
+        new HttpTransaction([createRequest('text/plain', new StringElement()), response.clone()]),
+      ];
+      api.push(resource);
+
+      const operation = serializeSwagger(api, options).paths['/questions'].post;
+
+      expect(operation.consumes).to.deep.equal(['application/json', 'text/plain']);
+      expect(operation.parameters).to.have.length(1);
+      expect(operation.parameters[0].schema).to.deep.equal({ type: 'object' });
+      expect(messages).to.deep.equal([
+        'Swagger 2.0 only supports a single request body per operation, additional request bodies (text/plain) have been omitted',
+      ]);
+    });
+
+    it('serializes response message body into examples', () => {
+      response.headers = new HttpHeaders([
+        new Member('Content-Type', 'application/json'),
+        new Member('Location', '/questions/1'),
+      ]);
+      response.push(new DataStructure(new ObjectElement({ question: 'Favourite language?' })));
+      response.push(new Asset('{"question": "Favourite language?"}', { classes: ['messageBody'] }));
+      api.push(resource);
+
+      const operation = serializeSwagger(api, options).paths['/questions'].post;
+
+      expect(operation.produces).to.deep.equal(['application/json']);
+      expect(operation.responses[201]).to.deep.equal({
+        description: 'Created',
+        headers: {
+          Location: {
+            type: 'string',
+            'x-example': '/questions/1',
+          },
+        },
+        schema: {
+          type: 'object',
+          properties: {
+            question: { type: 'string', example: 'Favourite language?' },
+          },
+        },
+        examples: {
+          'application/json': { question: 'Favourite language?' },
+        },
+      });
+    });
+
+    it('serializes an operation without a response with a default response', () => {
+      transition.transactions.first.content = [request];
+      api.push(resource);
+
+      const operation = serializeSwagger(api, options).paths['/questions'].post;
+
+      expect(operation.responses).to.deep.equal({
+        default: { description: '' },
+      });
+    });
+
+    it('reports responses with a range of status codes', () => {
+      response.statusCode = '4XX';
+      api.push(resource);
+
+      const operation = serializeSwagger(api, options).paths['/questions'].post;
+
+      expect(operation.responses).to.deep.equal({
+        default: { description: '' },
+      });
+      expect(messages).to.deep.equal([
+        'Swagger 2.0 does not support the response status code range \'4XX\', the response has been omitted',
+      ]);
+    });
+
+    it('reports transactions with an unsupported HTTP method', () => {
+      request.method = 'TRACE';
+      api.push(resource);
+
+      expect(serializeSwagger(api, options).paths['/questions']).to.deep.equal({
+        'x-summary': 'Questions',
+      });
+      expect(messages).to.deep.equal([
+        'Swagger 2.0 does not support the HTTP method \'TRACE\', the transaction for \'/questions\' has been omitted',
+      ]);
+    });
+
+    it('serializes resource groups into tags', () => {
+      api.push(new Category([resource], {
+        classes: ['resourceGroup'],
+        title: 'Questions',
+      }));
+
+      const document = serializeSwagger(api, options);
+
+      expect(document.tags).to.deep.equal([{ name: 'Questions' }]);
+      expect(document.paths['/questions'].post.tags).to.deep.equal(['Questions']);
+    });
+
+    it('serializes transaction auth schemes into security requirements', () => {
+      const requirement = new AuthScheme();
+      requirement.element = 'oauth';
+      requirement.push(new Member('scopes', ['read']));
+
+      transition.transactions.first.attributes.set('authSchemes', [requirement]);
+      api.push(resource);
+
+      const operation = serializeSwagger(api, options).paths['/questions'].post;
+
+      expect(operation.security).to.deep.equal([{ oauth: ['read'] }]);
+    });
+  });
+
+  it('serializes data structures into definitions', () => {
+    const user = new ObjectElement({ name: 'Doe' });
+    user.id = 'definitions/User';
+
+    api.push(new Category([new DataStructure(user)], { classes: ['dataStructures'] }));
+
+    expect(serializeSwagger(api, options).definitions).to.deep.equal({
+      User: {
+        type: 'object',
+        properties: {
+          name: { type: 'string', example: 'Doe' },
+        },
+      },
+    });
+  });
+
+  it('serializes auth schemes into security definitions', () => {
+    const basic = new AuthScheme();
+    basic.element = 'Basic Authentication Scheme';
+    basic.id = 'basic';
+
+    api.push(new Category([basic], { classes: ['authSchemes'] }));
+
+    expect(serializeSwagger(api, options).securityDefinitions).to.deep.equal({
+      basic: { type: 'basic' },
+    });
+  });
+});
@@ -1,5 +1,7 @@
 const parser = require('./parser');
 const Context = require('./context');
+const parseYAML = require('./parser/parseYAML');
+const { loadExternalDocuments } = require('./parser/externalReferences');
 
 const name = 'oas3';
 
@@ -13,27 +15,42 @@ function detect(source) {
   return !!source.match(/(["']?)openapi\1\s*:\s*(["']?)3\.\d+\.\d+\2/g);
 }
 
+/**
+ * Parse an OpenAPI 3 document
+ *
+ * External references are only resolved when the `resolveRef` option is
+ * given. It is called with the normalized URI of each referenced document
+ * (resolved against the URI of the referencing document, so it is relative to
+ * the document being parsed) and returns the source of the document, or a
+ * promise of it.
+ *
+ * @param options {object}
+ * @param options.source {string}
+ * @param options.namespace {Namespace}
+ * @param options.generateSourceMap {boolean}
+ * @param options.generateMessageBody {boolean}
+ * @param options.generateMessageBodySchema {boolean}
+ * @param options.resolveRef {function} - optional resolver of external documents
+ * @returns {Promise<ParseResult>}
+ */
 function parse(options) {
   const context = new Context(
     options.namespace,
     {
       generateSourceMap: options.generateSourceMap,
       generateMessageBody: options.generateMessageBody,
+      generateMessageBodySchema: options.generateMessageBodySchema,
+      resolveRef: options.resolveRef,
     }
   );
 
-  return new Promise((resolve, reject) => {
-    let parseResult;
+  // The source is parsed once, for finding the external references and for
+  // parsing the document
+  const document = parseYAML(options.source, context);
 
-    try {
-      parseResult = parser(options.source, context);
-    } catch (error) {
-      reject(error);
-      return;
-    }
-
-    resolve(parseResult);
-  });
+  return Promise.resolve()
+    .then(() => loadExternalDocuments(context, document))
+    .then(() => parser(options.source, context, document));
 }
 
 module.exports = {
@@ -18,6 +18,10 @@ class Context {
       this.options.generateMessageBody = true;
     }
 
+    if (this.options.generateMessageBodySchema === undefined) {
+      this.options.generateMessageBodySchema = true;
+    }
+
     this.state = new State();
   }
 
@@ -37,6 +41,14 @@ class Context {
     return this.state.hasScheme(id);
   }
 
+  registerOperation(path, method, transition, tags) {
+    if (this.state.reparsedPathItems > 0) {
+      return this.state.registerReferencedOperation(transition, tags);
+    }
+
+    return this.state.registerOperation(path, method, transition, tags);
+  }
+
   // Versioning
   isOpenAPIVersionLessThan(major, minor) {
     return this.openapiVersion.major < major || (this.openapiVersion.major === major && this.openapiVersion.minor < minor);
@@ -81,10 +81,7 @@ const filterSourceMaps = recurseSkippingAnnotations(removeSourceMap);
 
 const isUnsupportedWarning = R.both(
   isWarningAnnotation,
-  annotation => (
-    annotation.content.includes('contains unsupported key')
-    || annotation.content === "'Media Type Object' 'examples' only one example is supported, other examples have been ignored"
-  )
+  annotation => annotation.content.includes('contains unsupported key')
 );
 
 const deduplicateUnsupportedAnnotations = R.curry((namespace, parseResult) => {
@@ -119,9 +116,16 @@ const deduplicateUnsupportedAnnotations = R.curry((namespace, parseResult) => {
   return result;
 });
 
-function parse(source, context) {
-  const document = parseYAML(source, context);
-
+/**
+ * Parses an OpenAPI 3 document
+ * @param source {string}
+ * @param context
+ * @param document {ParseResult} - the parsed YAML of the source, when the
+ *   source has already been parsed
+ * @returns {ParseResult}
+ * @private
+ */
+function parse(source, context, document = parseYAML(source, context)) {
   const parseDocument = pipeParseResult(context.namespace,
     R.unless(isObjectOrAnnotation, createError(context.namespace, 'Source document is not an object')),
     R.unless(isAnnotation, parseOpenAPIObject(context)));
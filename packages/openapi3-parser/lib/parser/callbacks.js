@@ -0,0 +1,23 @@
+const R = require('ramda');
+
+/**
+ * Finds the elements of the given element name within the given element,
+ * including the elements within callbacks which are kept in the `callbacks`
+ * attribute of transitions
+ * @param element {Element}
+ * @param elementName {string} - such as `httpResponse` or `httpTransaction`
+ * @returns {Element[]}
+ * @private
+ */
+function findRecursiveWithCallbacks(element, elementName) {
+  const callbacks = element.findRecursive('transition').elements
+    .map(transition => transition.attributes.get('callbacks'))
+    .filter(categories => categories !== undefined);
+
+  return element.findRecursive(elementName).elements
+    .concat(R.chain(categories => findRecursiveWithCallbacks(categories, elementName), callbacks));
+}
+
+module.exports = {
+  findRecursiveWithCallbacks,
+};
@@ -0,0 +1,35 @@
+const { isObject, isExtension } = require('../predicates');
+
+const profile = 'https://help.apiary.io/profiles/api-elements/vendor-extensions/';
+
+/**
+ * Creates an extension element containing the specification extensions
+ * (members with a key starting with `x-`) of the given object. The extension
+ * element has a link to the vendor extensions profile.
+ * @param namespace
+ * @param object {Element}
+ * @returns {Extension} - undefined when the object does not contain any extensions
+ * @private
+ */
+function createExtension(namespace, object) {
+  if (!isObject(object)) {
+    return undefined;
+  }
+
+  const members = object.content.filter(isExtension);
+  if (members.length === 0) {
+    return undefined;
+  }
+
+  const profileLink = new namespace.elements.Link();
+  profileLink.relation = 'profile';
+  profileLink.href = profile;
+
+  const extension = new namespace.elements.Extension(members.map(member => member.clone()));
+  extension.links = [profileLink];
+  return extension;
+}
+
+module.exports = {
+  createExtension,
+};
@@ -0,0 +1,311 @@
+const R = require('ramda');
+const url = require('url');
+const {
+  isObject, isArray, isString, isAnnotation,
+} = require('../predicates');
+const { createError } = require('./annotations');
+const parseYAML = require('./parseYAML');
+
+const unescapeJSONPointer = token => token.replace(/~1/g, '/').replace(/~0/g, '~');
+
+/**
+ * Splits a URI into the URI of the document and the JSON pointer of the
+ * fragment
+ * @param uri {string}
+ * @returns {object} - the `document` and the `pointer`
+ * @private
+ */
+function splitURI(uri) {
+  const index = uri.indexOf('#');
+
+  if (index === -1) {
+    return { document: uri, pointer: '' };
+  }
+
+  return { document: uri.substr(0, index), pointer: uri.substr(index + 1) };
+}
+
+/**
+ * Resolves a reference against the given base URI. The URI of the document
+ * is normalized (such as `./schemas/../user.yaml` to `user.yaml`) so that a
+ * document is identified by a single URI, the JSON pointer is kept as is.
+ * @param base {string} - URI of the referencing document, an empty string
+ *   for the document being parsed
+ * @param ref {string}
+ * @returns {string}
+ * @private
+ */
+function normalizeURI(base, ref) {
+  const index = ref.indexOf('#');
+  const documentURI = index === -1 ? ref : ref.substr(0, index);
+  const fragment = index === -1 ? '' : ref.substr(index);
+
+  if (documentURI === '') {
+    return base + fragment;
+  }
+
+  return url.resolve(base, documentURI) + fragment;
+}
+
+/**
+ * Returns the URI of the document containing the element currently being
+ * parsed, an empty string for the document being parsed
+ * @param context
+ * @returns {string}
+ * @private
+ */
+function baseURI(context) {
+  const { references } = context.state;
+
+  if (references.length === 0) {
+    return '';
+  }
+
+  return splitURI(references[references.length - 1]).document;
+}
+
+/**
+ * Resolves a reference against the document containing the element
+ * currently being parsed
+ * @param context
+ * @param ref {string}
+ * @returns {string}
+ * @private
+ */
+function resolveURI(context, ref) {
+  return normalizeURI(baseURI(context), ref);
+}
+
+/**
+ * Finds the element referenced by a JSON pointer
+ * @param element {Element}
+ * @param pointer {string}
+ * @returns {Element} - undefined when the pointer does not reference an element
+ * @private
+ */
+function resolvePointer(element, pointer) {
+  if (pointer === '') {
+    return element;
+  }
+
+  if (!pointer.startsWith('/')) {
+    return undefined;
+  }
+
+  let tokens;
+  try {
+    tokens = pointer.substr(1).split('/')
+      .map(token => unescapeJSONPointer(decodeURIComponent(token)));
+  } catch (error) {
+    return undefined;
+  }
+
+  return tokens.reduce((value, token) => {
+    if (value === undefined) {
+      return undefined;
+    }
+
+    if (isObject(value)) {
+      return value.get(token);
+    }
+
+    if (isArray(value) && /^(0|[1-9][0-9]*)$/.test(token)) {
+      return value.get(Number(token));
+    }
+
+    return undefined;
+  }, element);
+}
+
+/**
+ * Finds the values of the `$ref` members of the given element
+ * @param element {Element}
+ * @returns {string[]}
+ * @private
+ */
+function findReferences(element) {
+  if (isObject(element)) {
+    return R.chain((member) => {
+      if (member.key.toValue() === '$ref' && isString(member.value)) {
+        return [member.value.toValue()];
+      }
+
+      return member.value ? findReferences(member.value) : [];
+    }, element.content);
+  }
+
+  if (isArray(element)) {
+    return R.chain(findReferences, element.content);
+  }
+
+  return [];
+}
+
+/**
+ * Loads the external documents referenced from the given source, and the
+ * external documents referenced from them, using the `resolveRef` option.
+ * Each external document is parsed with its own source map which has the
+ * URI of the document as `href`.
+ *
+ * @param context
+ * @param document {ParseResult} - the parsed source of the document being parsed
+ * @returns {Promise}
+ * @private
+ */
+function loadExternalDocuments(context, document) {
+  const { resolveRef } = context.options;
+  const { documents } = context.state;
+
+  if (!resolveRef) {
+    return Promise.resolve();
+  }
+
+  const load = (base, parseResult) => {
+    const uris = findReferences(R.reject(isAnnotation, parseResult).first)
+      .map(ref => splitURI(normalizeURI(base, ref)).document)
+      .filter(uri => uri !== '' && !documents.has(uri));
+
+    return Promise.all(R.uniq(uris).map((uri) => {
+      const externalDocument = {};
+      documents.set(uri, externalDocument);
+
+      return Promise.resolve()
+        .then(() => resolveRef(uri))
+        .then((externalSource) => {
+          externalDocument.parseResult = parseYAML(String(externalSource), context, uri);
+          return load(uri, externalDocument.parseResult);
+        }, (error) => {
+          externalDocument.error = error;
+        });
+    }));
+  };
+
+  return load('', document);
+}
+
+/**
+ * Is the given reference a reference to an external document which has been
+ * loaded
+ * @param context
+ * @param ref {string}
+ * @returns {boolean}
+ * @private
+ */
+function isExternalReference(context, ref) {
+  const { document } = splitURI(resolveURI(context, ref));
+  return document !== '' && context.state.documents.has(document);
+}
+
+/**
+ * Finds the document containing the element referenced by a reference, the
+ * document being parsed or a loaded external document
+ * @param context
+ * @param ref {StringElement}
+ * @param documentURI {string}
+ * @returns {object} - the `root` element of the document and the
+ *   `annotations` to include, or the `annotations` when the document is not
+ *   available
+ * @private
+ */
+function findDocument(context, ref, documentURI) {
+  const { namespace } = context;
+
+  if (documentURI === '') {
+    if (context.state.document === undefined) {
+      return { annotations: [createError(namespace, `'${ref.toValue()}' is not defined`, ref)] };
+    }
+
+    return { root: context.state.document, annotations: [] };
+  }
+
+  const document = context.state.documents.get(documentURI);
+
+  if (document === undefined) {
+    return {
+      annotations: [
+        createError(namespace, `Unable to resolve '${documentURI}', external references require the 'resolveRef' option`, ref),
+      ],
+    };
+  }
+
+  if (document.error) {
+    const message = document.error.message || document.error;
+    return {
+      annotations: [
+        createError(namespace, `Unable to resolve '${documentURI}': ${message}`, ref),
+      ],
+    };
+  }
+
+  let annotations = [];
+  if (!document.reported) {
+    document.reported = true;
+    annotations = document.parseResult.content.filter(isAnnotation);
+  }
+
+  const root = R.reject(isAnnotation, document.parseResult).first;
+  if (!root) {
+    return {
+      annotations: [createError(namespace, `Unable to parse '${documentURI}'`, ref)].concat(annotations),
+    };
+  }
+
+  return { root, annotations };
+}
+
+/**
+ * Parses the element referenced by a reference to the document being parsed
+ * or to an external document with the given parser. References within the
+ * referenced element are resolved relative to the document containing it.
+ * Circular references are reported as an error. Annotations from parsing an
+ * external document are included the first time the document is referenced.
+ *
+ * @param context
+ * @param ref {StringElement}
+ * @param parser {function} - parser for the referenced element
+ * @returns ParseResult
+ * @private
+ */
+function parseReferencedElement(context, ref, parser) {
+  const { namespace } = context;
+  const { references } = context.state;
+
+  const uri = resolveURI(context, ref.toValue());
+  const { document: documentURI, pointer } = splitURI(uri);
+  const { root, annotations } = findDocument(context, ref, documentURI);
+
+  if (!root) {
+    return new namespace.elements.ParseResult(annotations);
+  }
+
+  if (references.includes(uri)) {
+    const via = references.slice(references.indexOf(uri)).concat([uri]);
+    return new namespace.elements.ParseResult([
+      createError(namespace, `Reference cannot be circular, '${ref.toValue()}' causes a circular reference via ${via.join(', ')}`, ref),
+    ].concat(annotations));
+  }
+
+  const element = resolvePointer(root, pointer);
+  if (element === undefined) {
+    return new namespace.elements.ParseResult([
+      createError(namespace, `'${ref.toValue()}' is not defined`, ref),
+    ].concat(annotations));
+  }
+
+  references.push(uri);
+  try {
+    const parseResult = parser(element);
+    return new namespace.elements.ParseResult(parseResult.content.concat(annotations));
+  } finally {
+    references.pop();
+  }
+}
+
+module.exports = {
+  unescapeJSONPointer,
+  splitURI,
+  resolveURI,
+  loadExternalDocuments,
+  isExternalReference,
+  parseReferencedElement,
+};
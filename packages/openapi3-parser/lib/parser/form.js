@@ -0,0 +1,206 @@
+const R = require('ramda');
+const { findMember, findItem } = require('./structure');
+
+const isPlainObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Delimiters of array and object values for each style when not exploded
+const delimiters = {
+  form: ',',
+  spaceDelimited: '%20',
+  pipeDelimited: '|',
+};
+
+const isJSONContentType = contentType => /^application\/([^;]+\+)?json\b/.test(contentType);
+
+// Returns the first content type of an Encoding Object `contentType`, which
+// may be a comma separated list of content types
+const firstContentType = contentType => contentType.split(',')[0].trim();
+
+/**
+ * Returns the properties of the Encoding Object for the given property
+ * @param encoding {ObjectElement} - Encoding Objects keyed by property name
+ * @param key {string}
+ * @returns {object}
+ * @private
+ */
+function propertyEncoding(encoding, key) {
+  const object = encoding && encoding.get(key);
+
+  if (object === undefined) {
+    return {};
+  }
+
+  return {
+    contentType: object.getValue('contentType'),
+    headers: object.get('headers'),
+    style: object.getValue('style'),
+    explode: object.getValue('explode'),
+    allowReserved: object.getValue('allowReserved'),
+  };
+}
+
+const stringify = value => (typeof value === 'object' && value !== null ? JSON.stringify(value) : R.defaultTo('', value));
+
+/**
+ * Serialises a property of a form into pairs of encoded names and values
+ * reflecting the style and explode of the Encoding Object
+ * @param key {string}
+ * @param value {any}
+ * @param encoding {object} - properties of the Encoding Object of the property
+ * @returns {string[][]}
+ * @private
+ */
+function serialiseFormProperty(key, value, encoding) {
+  const encode = encoding.allowReserved ? encodeURI : encodeURIComponent;
+  const encodeValue = item => encode(String(stringify(item)));
+  const encodedKey = encodeURIComponent(key);
+
+  if (encoding.contentType !== undefined) {
+    // A property with a content type is serialised as a whole
+    const contentType = firstContentType(encoding.contentType);
+    const serialised = isJSONContentType(contentType) ? JSON.stringify(value) : stringify(value);
+    return [[encodedKey, encode(String(serialised))]];
+  }
+
+  const style = encoding.style || 'form';
+  const explode = R.defaultTo(style === 'form', encoding.explode);
+  const delimiter = delimiters[style] || delimiters.form;
+
+  if (Array.isArray(value)) {
+    if (style === 'form' && explode) {
+      return value.map(item => [encodedKey, encodeValue(item)]);
+    }
+
+    return [[encodedKey, value.map(encodeValue).join(delimiter)]];
+  }
+
+  if (isPlainObject(value)) {
+    const entries = Object.keys(value).map(property => [property, value[property]]);
+
+    if (style === 'deepObject') {
+      return entries.map(([property, item]) => [`${encodedKey}[${encodeURIComponent(property)}]`, encodeValue(item)]);
+    }
+
+    if (style === 'form' && explode) {
+      return entries.map(([property, item]) => [encodeURIComponent(property), encodeValue(item)]);
+    }
+
+    return [[encodedKey, R.flatten(entries).map(encodeValue).join(delimiter)]];
+  }
+
+  return [[encodedKey, encodeValue(value)]];
+}
+
+/**
+ * Generates an `application/x-www-form-urlencoded` body for a value generated
+ * from a data structure, each property is serialised with the `style`,
+ * `explode`, `allowReserved` and `contentType` of its Encoding Object (by
+ * default as form-style and exploded)
+ *
+ * @param value {any} - value generated from the data structure
+ * @param encoding {ObjectElement} - Encoding Objects keyed by property name
+ * @returns {string} - undefined when the value is not an object
+ * @private
+ */
+function generateFormURLEncoded(value, encoding) {
+  if (!isPlainObject(value)) {
+    return undefined;
+  }
+
+  return R.chain(key => serialiseFormProperty(key, value[key], propertyEncoding(encoding, key)), Object.keys(value))
+    .map(([key, item]) => `${key}=${item}`)
+    .join('&');
+}
+
+/**
+ * Returns the default content type of a part of a multipart body, strings
+ * with the `binary` format are files
+ * @param value {any}
+ * @param element {Element} - element describing the value
+ * @returns {string}
+ * @private
+ */
+function defaultContentType(value, element) {
+  if (typeof value === 'object' && value !== null) {
+    return 'application/json';
+  }
+
+  const validation = element && element.attributes.get('validation');
+  const format = validation && validation.getValue('format');
+
+  if (format === 'binary' || format === 'base64') {
+    return 'application/octet-stream';
+  }
+
+  return 'text/plain';
+}
+
+/**
+ * Generates a `multipart/form-data` (or other multipart) body for a value
+ * generated from a data structure. Each property is a part, array properties
+ * are a part for each item unless they have a JSON content type. The content
+ * type of a part is given by the Encoding Object of the property, otherwise
+ * JSON for objects, `application/octet-stream` for binary strings and plain
+ * text for other values. Parts which aren't text or JSON are files. The
+ * `headers` of the Encoding Object are included in the part.
+ *
+ * @param element {Element} - the element of the data structure
+ * @param elements {object} - data structures of the schema components keyed by their identifier
+ * @param value {any} - value generated from the data structure
+ * @param encoding {ObjectElement} - Encoding Objects keyed by property name
+ * @param boundary {string}
+ * @returns {string} - undefined when the value is not an object
+ * @private
+ */
+function generateMultipart(element, elements, value, encoding, boundary) {
+  if (!isPlainObject(value)) {
+    return undefined;
+  }
+
+  const parts = R.chain((key) => {
+    const member = findMember(element, key, elements);
+    const propertyElement = member ? member.value : undefined;
+    const { contentType, headers } = propertyEncoding(encoding, key);
+    const propertyValue = value[key];
+
+    const isWhole = !Array.isArray(propertyValue)
+      || (contentType !== undefined && isJSONContentType(firstContentType(contentType)));
+    const items = isWhole ? [propertyValue] : propertyValue;
+
+    return items.map((item, index) => {
+      const itemElement = isWhole ? propertyElement : findItem(propertyElement, index, elements);
+      const partContentType = contentType !== undefined
+        ? firstContentType(contentType)
+        : defaultContentType(item, itemElement);
+      const isFile = partContentType !== 'text/plain' && !isJSONContentType(partContentType);
+
+      const lines = [
+        `--${boundary}`,
+        `Content-Disposition: form-data; name="${key}"${isFile ? `; filename="${key}"` : ''}`,
+      ];
+
+      if (partContentType !== 'text/plain') {
+        lines.push(`Content-Type: ${partContentType}`);
+      }
+
+      if (headers) {
+        headers.forEach((header, name) => {
+          // The content type of a part is described by `contentType`
+          if (header && name.toValue().toLowerCase() !== 'content-type') {
+            lines.push(`${name.toValue()}: ${stringify(header.valueOf(undefined, elements))}`);
+          }
+        });
+      }
+
+      const body = isJSONContentType(partContentType) ? JSON.stringify(item) : stringify(item);
+      return lines.concat(['', body]).join('\r\n');
+    });
+  }, Object.keys(value));
+
+  return parts.concat([`--${boundary}--`, '']).join('\r\n');
+}
+
+module.exports = {
+  generateFormURLEncoded,
+  generateMultipart,
+};
@@ -0,0 +1,101 @@
+const R = require('ramda');
+
+// Sample values of the string formats defined by JSON Schema and OpenAPI,
+// `binary` is omitted as arbitrary octets have no textual representation
+const stringSamples = {
+  'date-time': '2019-08-24T14:15:22Z',
+  date: '2019-08-24',
+  time: '14:15:22Z',
+  duration: 'P3D',
+  email: 'user@example.com',
+  'idn-email': 'user@example.com',
+  hostname: 'example.com',
+  'idn-hostname': 'example.com',
+  ipv4: '192.0.2.1',
+  ipv6: '2001:db8::1',
+  uri: 'https://example.com/',
+  'uri-reference': '/resource',
+  iri: 'https://example.com/',
+  'iri-reference': '/resource',
+  'uri-template': 'https://example.com/{id}',
+  uuid: '095be615-a8ad-4c33-8e9c-c7612fbf6c9f',
+  'json-pointer': '/resource/0',
+  'relative-json-pointer': '0/resource',
+  regex: '^[a-z]+$',
+  byte: 'ZXhhbXBsZQ==',
+  password: 'password',
+};
+
+// Sample values of the number formats defined by OpenAPI
+const numberSamples = {
+  int32: 1,
+  int64: 1,
+  float: 1.5,
+  double: 1.5,
+};
+
+const hasSampleOrDefault = element => element.attributes.hasKey('samples')
+  || element.attributes.hasKey('default');
+
+/**
+ * Returns a sample value valid for the `format` (kept in the `validation`
+ * attribute) of the given element
+ * @param namespace
+ * @param element {Element}
+ * @returns {Element} - undefined when there is no sample for the format or type of the element
+ * @private
+ */
+function formatSample(namespace, element) {
+  const validation = element.attributes.get('validation');
+  const format = validation && validation.getValue('format');
+
+  if (format === undefined) {
+    return undefined;
+  }
+
+  if (element instanceof namespace.elements.String && R.has(format, stringSamples)) {
+    return new namespace.elements.String(stringSamples[format]);
+  }
+
+  if (element instanceof namespace.elements.Number && R.has(format, numberSamples)) {
+    return new namespace.elements.Number(numberSamples[format]);
+  }
+
+  return undefined;
+}
+
+/**
+ * Returns a copy of the given element where elements with a `format` and
+ * without a value, sample or default have a sample for the format, so that
+ * generated message bodies contain values valid for the format rather than
+ * trivial values
+ * @param namespace
+ * @param element {Element}
+ * @returns {Element}
+ * @private
+ */
+function addFormatSamples(namespace, element) {
+  const addSamples = (e) => {
+    if (e.element === 'member') {
+      if (e.value) {
+        addSamples(e.value);
+      }
+    } else if (Array.isArray(e.content)) {
+      e.content.forEach(addSamples);
+    } else if (e.content === undefined && !hasSampleOrDefault(e)) {
+      const sample = formatSample(namespace, e);
+
+      if (sample) {
+        e.attributes.set('samples', [sample]);
+      }
+    }
+  };
+
+  const result = element.clone();
+  addSamples(result);
+  return result;
+}
+
+module.exports = {
+  addFormatSamples,
+};
@@ -0,0 +1,135 @@
+const R = require('ramda');
+
+const isCookie = member => member.key.toValue() === 'Cookie';
+
+/**
+ * Returns the names of the cookies of a `Cookie` header member
+ * @param member {MemberElement}
+ * @returns {string[]}
+ * @private
+ */
+function cookieNames(member) {
+  return String(member.value.toValue())
+    .split('; ')
+    .map(cookie => cookie.split('=')[0]);
+}
+
+/**
+ * Combines the given `Cookie` header members into a single `Cookie` header
+ * with the cookies separated by `; `, the header is required when any of the
+ * cookies is required
+ * @param namespace
+ * @param cookies {MemberElement[]}
+ * @returns {MemberElement}
+ * @private
+ */
+function combineCookies(namespace, cookies) {
+  if (cookies.length === 1) {
+    return cookies[0];
+  }
+
+  const value = cookies.map(cookie => cookie.value.toValue()).join('; ');
+  const member = new namespace.elements.Member('Cookie', value);
+
+  const isRequired = (cookie) => {
+    const typeAttributes = cookie.attributes.get('typeAttributes');
+    return typeAttributes !== undefined && typeAttributes.includes('required');
+  };
+
+  if (cookies.some(isRequired)) {
+    member.attributes.set('typeAttributes', ['required']);
+  }
+
+  member.in = 'cookie';
+  return member;
+}
+
+/**
+ * Adds the header and cookie parameters to the headers of the given
+ * request, headers which are already defined by the request are not
+ * overridden. The cookies are combined into a single `Cookie` header, a
+ * cookie is defined when the `Cookie` header of the request includes a
+ * cookie with the same name.
+ * @param namespace
+ * @param request {HttpRequest}
+ * @param parameters {ObjectElement} - parameters grouped by their location
+ * @private
+ */
+function addHeaderParameters(namespace, request, parameters) {
+  const parameterHeaders = ['header', 'cookie']
+    .map(location => parameters.get(location))
+    .filter(headers => headers !== undefined);
+
+  if (parameterHeaders.length === 0) {
+    return;
+  }
+
+  const headers = R.or(request.headers, new namespace.elements.HttpHeaders());
+  const definedCookies = R.chain(cookieNames, headers.content.filter(isCookie));
+  const isDefined = (member) => {
+    if (isCookie(member)) {
+      return cookieNames(member).every(name => definedCookies.includes(name));
+    }
+
+    return headers.content.some(header => !isCookie(header) && header.key.toValue() === member.key.toValue());
+  };
+
+  parameterHeaders.forEach((parameterHeader) => {
+    headers.content = headers.content.concat(R.reject(isDefined, parameterHeader.content));
+  });
+
+  const cookies = headers.content.filter(isCookie);
+  if (cookies.length > 0) {
+    const index = headers.content.indexOf(cookies[0]);
+    const otherHeaders = R.reject(isCookie, headers.content);
+    headers.content = R.insert(index, combineCookies(namespace, cookies), otherHeaders);
+  }
+
+  request.headers = headers.clone();
+}
+
+/**
+ * Creates a header member from a parsed Header Object, the description of
+ * the header and whether it is required (exploded and deprecated) are moved
+ * from the value to the member
+ * @param namespace
+ * @param key {StringElement} - name of the header
+ * @param header {Element} - value as produced by the Header Object parser
+ * @returns {MemberElement}
+ * @private
+ */
+function createHeaderMember(namespace, key, header) {
+  const value = header.clone();
+  const member = new namespace.elements.Member(key.clone(), value);
+
+  if (value.meta.hasKey('description')) {
+    member.description = value.description;
+    value.meta.remove('description');
+  }
+
+  const typeAttributes = value.attributes.get('typeAttributes');
+  if (typeAttributes && typeAttributes.includes('required')) {
+    member.attributes.set('typeAttributes', ['required']);
+
+    const remaining = typeAttributes.content.filter(attribute => attribute.toValue() !== 'required');
+    if (remaining.length > 0) {
+      typeAttributes.content = remaining;
+    } else {
+      value.attributes.remove('typeAttributes');
+    }
+  }
+
+  ['explode', 'deprecated']
+    .filter(attribute => value.attributes.hasKey(attribute))
+    .forEach((attribute) => {
+      member.attributes.set(attribute, value.attributes.get(attribute));
+      value.attributes.remove(attribute);
+    });
+
+  return member;
+}
+
+module.exports = {
+  addHeaderParameters,
+  createHeaderMember,
+};
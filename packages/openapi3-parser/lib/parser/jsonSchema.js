@@ -0,0 +1,237 @@
+const R = require('ramda');
+const { isReference } = require('./structure');
+
+const primitiveTypes = ['boolean', 'string', 'number', 'null'];
+
+const hasTypeAttribute = R.curry((attribute, element) => {
+  const typeAttributes = element.attributes.getValue('typeAttributes');
+  return typeAttributes !== undefined && typeAttributes.includes(attribute);
+});
+
+// Returns whether the element is a value of an `enum` rather than a subschema
+const isEnumerationValue = element => element.element === 'null' || hasTypeAttribute('fixed', element);
+
+const definitionReference = id => ({ $ref: `#/definitions/${id}` });
+
+/**
+ * Converts elements of parsed schemas into JSON Schema, references to schema
+ * components are recorded so that their definitions can be included
+ * @private
+ */
+class Converter {
+  constructor() {
+    this.references = [];
+  }
+
+  reference(id) {
+    if (!this.references.includes(id)) {
+      this.references.push(id);
+    }
+
+    return definitionReference(id);
+  }
+
+  convertObjectContent(schema, content) {
+    const properties = {};
+    const required = [];
+    const allOf = [];
+
+    content.forEach((item) => {
+      if (item.element === 'ref') {
+        allOf.push(this.reference(item.toValue()));
+      } else if (item.element === 'select') {
+        const options = item.content.map(option => this.convertObjectContent({ type: 'object' }, option.content));
+        allOf.push(item.attributes.hasKey('discriminator') ? { oneOf: options } : { anyOf: options });
+      } else if (item.element === 'member' && item.attributes.getValue('variable') === true) {
+        // eslint-disable-next-line no-param-reassign
+        schema.additionalProperties = item.value ? this.convert(item.value) : {};
+      } else if (item.element === 'member') {
+        const key = item.key.toValue();
+        properties[key] = item.value ? this.convert(item.value) : {};
+
+        if (hasTypeAttribute('required', item)) {
+          required.push(key);
+        }
+      }
+    });
+
+    const result = schema;
+
+    if (!R.isEmpty(properties)) {
+      result.properties = properties;
+    }
+
+    if (required.length > 0) {
+      result.required = required;
+    }
+
+    if (allOf.length > 0) {
+      result.allOf = allOf;
+    }
+
+    return result;
+  }
+
+  convertType(element) {
+    if (isReference(element)) {
+      const reference = this.reference(element.element);
+
+      if (Array.isArray(element.content) && element.content.length > 0) {
+        // Inheriting from the referenced schema with further constraints
+        return { allOf: [reference, this.convertObjectContent({}, element.content)] };
+      }
+
+      return reference;
+    }
+
+    if (hasTypeAttribute('fixed', element)) {
+      return { enum: [element.toValue()] };
+    }
+
+    if (primitiveTypes.includes(element.element)) {
+      return { type: element.element };
+    }
+
+    if (element.element === 'object') {
+      const schema = this.convertObjectContent({ type: 'object' }, element.content);
+
+      if (hasTypeAttribute('fixedType', element)) {
+        schema.additionalProperties = false;
+      }
+
+      return schema;
+    }
+
+    if (element.element === 'array') {
+      const schema = { type: 'array' };
+      const items = element.content.map(item => this.convert(item));
+      const prefixItems = element.attributes.getValue('prefixItems');
+
+      if (prefixItems !== undefined) {
+        // Tuples are positional items, the items after them are additional items
+        schema.items = items.slice(0, prefixItems);
+
+        if (items.length > prefixItems) {
+          [schema.additionalItems] = items.slice(prefixItems);
+        } else if (hasTypeAttribute('fixedType', element)) {
+          schema.additionalItems = false;
+        }
+      } else if (items.length === 1) {
+        [schema.items] = items;
+      } else if (items.length > 1) {
+        schema.items = { anyOf: items };
+      }
+
+      return schema;
+    }
+
+    if (element.element === 'enum') {
+      const enumerations = element.enumerations ? element.enumerations.content : [];
+
+      if (enumerations.length > 0 && enumerations.every(isEnumerationValue)) {
+        return { enum: enumerations.map(value => value.toValue()) };
+      }
+
+      return { anyOf: enumerations.map(item => this.convert(item)) };
+    }
+
+    if (element.element === 'select') {
+      return this.convertObjectContent({}, [element]);
+    }
+
+    return {};
+  }
+
+  convert(element) {
+    let schema = this.convertType(element);
+
+    if (hasTypeAttribute('nullable', element)) {
+      if (typeof schema.type === 'string') {
+        schema.type = [schema.type, 'null'];
+      } else if (schema.enum) {
+        if (!schema.enum.includes(null)) {
+          schema.enum.push(null);
+        }
+      } else {
+        schema = { anyOf: [schema, { type: 'null' }] };
+      }
+    }
+
+    if (element.meta.hasKey('title')) {
+      schema.title = element.meta.getValue('title');
+    }
+
+    if (element.meta.hasKey('description')) {
+      schema.description = element.meta.getValue('description');
+    }
+
+    const validation = element.attributes.get('validation');
+    if (validation) {
+      validation.forEach((value, key) => {
+        // `not` is a subschema, the other keywords are values
+        schema[key.toValue()] = key.toValue() === 'not' ? this.convert(value) : value.toValue();
+      });
+
+      // JSON Schema 2020-12 (OAS 3.1) exclusive bounds are numbers, they are
+      // booleans modifying `maximum` and `minimum` in draft 4
+      [['exclusiveMaximum', 'maximum'], ['exclusiveMinimum', 'minimum']].forEach(([exclusive, bound]) => {
+        if (typeof schema[exclusive] === 'number') {
+          schema[bound] = schema[exclusive];
+          schema[exclusive] = true;
+        }
+      });
+    }
+
+    // Keywords which are not defined in draft 4 (such as `examples`,
+    // `readOnly`, `deprecated` and `contentMediaType`) are not included
+    if (element.attributes.hasKey('default')) {
+      schema.default = element.attributes.get('default').toValue();
+    }
+
+    return schema;
+  }
+}
+
+/**
+ * Generates a JSON Schema (draft 4) from a data structure of a parsed schema.
+ * The schema components referenced by the data structure, directly or
+ * through other schema components, are included as definitions.
+ *
+ * @param dataStructure {DataStructure}
+ * @param elements {object} - data structures of the schema components keyed by their identifier
+ * @returns {object} JSON Schema
+ * @private
+ */
+function generateJSONSchema(dataStructure, elements) {
+  const converter = new Converter();
+
+  let schema = converter.convert(dataStructure.content);
+  const definitions = {};
+
+  for (let i = 0; i < converter.references.length; i += 1) {
+    const id = converter.references[i];
+    const element = elements[id];
+
+    // Converting a definition appends the schema components it references
+    definitions[id] = element ? converter.convert(element) : {};
+  }
+
+  if (schema.$ref) {
+    // Siblings of `$ref` are ignored, the reference is wrapped so that the
+    // definitions can be included
+    schema = { allOf: [schema] };
+  }
+
+  const result = { $schema: 'http://json-schema.org/draft-04/schema#' };
+  Object.assign(result, schema);
+
+  if (!R.isEmpty(definitions)) {
+    result.definitions = definitions;
+  }
+
+  return result;
+}
+
+module.exports = {
+  generateJSONSchema,
+};
@@ -0,0 +1,109 @@
+const { createWarning } = require('./annotations');
+const { findRecursiveWithCallbacks } = require('./callbacks');
+const { unescapeJSONPointer } = require('./externalReferences');
+
+const name = 'Link Object';
+
+/**
+ * Returns the path and method referenced by a local operation reference
+ * such as `#/paths/~1users~1{id}/get`
+ * @param operationRef {string}
+ * @returns {object} - object containing the `path` and `method`, undefined
+ *   when the reference is not a reference to an operation of the document
+ * @private
+ */
+function parseOperationRef(operationRef) {
+  const match = operationRef.match(/^#\/paths\/([^/]+)\/([^/]+)$/);
+  if (!match) {
+    return undefined;
+  }
+
+  try {
+    return {
+      path: unescapeJSONPointer(decodeURIComponent(match[1])),
+      method: unescapeJSONPointer(decodeURIComponent(match[2])),
+    };
+  } catch (error) {
+    return undefined;
+  }
+}
+
+/**
+ * Finds the registered operation targeted by a link
+ * @param operations {object[]} - registered operations
+ * @param link {Link}
+ * @returns {object} - the operation, or a message describing why the link
+ *   cannot be resolved along with the element causing it
+ * @private
+ */
+function findOperation(operations, link) {
+  const operationId = link.attributes.get('operationId');
+  if (operationId) {
+    const operation = operations.find(({ transition }) => transition.id
+      && transition.id.toValue() === operationId.toValue());
+
+    return operation || {
+      message: `'${name}' 'operationId' '${operationId.toValue()}' does not reference an operation`,
+      element: operationId,
+    };
+  }
+
+  const operationRef = link.attributes.get('operationRef');
+  const reference = parseOperationRef(operationRef.toValue());
+  if (!reference) {
+    return {
+      message: `'${name}' 'operationRef' '${operationRef.toValue()}' is unsupported, only references to operations of the document are supported`,
+      element: operationRef,
+    };
+  }
+
+  const operation = operations.find(({ path, method }) => path === reference.path
+    && method === reference.method);
+
+  return operation || {
+    message: `'${name}' 'operationRef' '${operationRef.toValue()}' does not reference an operation`,
+    element: operationRef,
+  };
+}
+
+/**
+ * Resolves the operations targeted by the links of the responses in the
+ * given API, including the responses of callbacks. The `href` of each link
+ * is set to the href of the targeted transition, the name of the link is
+ * kept as the relation of the link.
+ * @param context
+ * @param api {Category}
+ * @returns {Annotation[]} - warnings for links which could not be resolved
+ * @private
+ */
+function resolveLinks(context, api) {
+  const { namespace } = context;
+  const { operations } = context.state;
+  const warnings = {};
+
+  findRecursiveWithCallbacks(api, 'httpResponse')
+    .filter(response => response.meta.hasKey('links'))
+    .forEach((response) => {
+      response.links.forEach((link) => {
+        const operation = findOperation(operations, link);
+
+        if (operation.transition === undefined) {
+          // Responses are duplicated for each transaction, warn once per link
+          if (warnings[operation.message] === undefined) {
+            warnings[operation.message] = createWarning(namespace, operation.message, operation.element);
+          }
+
+          return;
+        }
+
+        const { transition, path } = operation;
+        link.attributes.set('href', transition.href ? transition.href.clone() : path);
+      });
+    });
+
+  return Object.values(warnings);
+}
+
+module.exports = {
+  resolveLinks,
+};
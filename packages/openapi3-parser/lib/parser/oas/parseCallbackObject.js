@@ -0,0 +1,66 @@
+const R = require('ramda');
+const {
+  isObject, isString, isAnnotation, isExtension, getKey, getValue,
+} = require('../../predicates');
+const { createWarning } = require('../annotations');
+const pipeParseResult = require('../../pipeParseResult');
+const parseObject = require('../parseObject');
+
+const name = 'Callback Object';
+
+const isKeyString = R.compose(isString, getKey);
+
+/**
+ * Adds the `callback` class to a resource and each of its transitions
+ * @param resource {Resource}
+ * @returns {Resource}
+ * @private
+ */
+function classifyCallback(resource) {
+  resource.classes.push('callback');
+  resource.transitions.forEach(transition => transition.classes.push('callback'));
+  return resource;
+}
+
+/**
+ * Parse Callback Object
+ *
+ * Each runtime expression of the callback is parsed as a 'Path Item Object'
+ * into a resource, the expression is kept as the href of the resource. The
+ * resource and its transitions have the `callback` class.
+ *
+ * @param context
+ * @param element {Element}
+ * @returns ParseResult<Array<Resource>>
+ *
+ * @see http://spec.openapis.org/oas/v3.0.3#callback-object
+ * @private
+ */
+function parseCallbackObject(context, element) {
+  const { namespace } = context;
+
+  // Path items are required at parse time as callbacks are found within the
+  // operations of path items
+  // eslint-disable-next-line global-require
+  const parsePathItemObject = require('./parsePathItemObject');
+
+  const parseMember = R.cond([
+    [isExtension, () => new namespace.elements.ParseResult()],
+
+    [isKeyString, R.pipe(
+      parsePathItemObject(context),
+      R.map(R.unless(isAnnotation, classifyCallback))
+    )],
+
+    [R.T, member => createWarning(namespace, `'${name}' runtime expression must be a string, found ${member.key.element}`, member.key)],
+  ]);
+
+  const parseCallback = pipeParseResult(namespace,
+    R.unless(isObject, createWarning(namespace, `'${name}' is not an object`)),
+    parseObject(context, name, parseMember),
+    object => new namespace.elements.Array(object.content.map(getValue)));
+
+  return parseCallback(element);
+}
+
+module.exports = R.curry(parseCallbackObject);
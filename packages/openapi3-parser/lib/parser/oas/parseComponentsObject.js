@@ -1,15 +1,15 @@
 const R = require('ramda');
 const {
-  isObject, isAnnotation, hasKey, isExtension, getKey, getValue,
+  isObject, isString, isAnnotation, hasKey, isExtension, getKey, getValue,
 } = require('../../predicates');
 const {
   createError,
   createWarning,
-  createUnsupportedMemberWarning,
   createInvalidMemberWarning,
 } = require('../annotations');
 const parseObject = require('../parseObject');
 const parseReference = require('../parseReference');
+const { resolveURI } = require('../externalReferences');
 const pipeParseResult = require('../../pipeParseResult');
 const parseSchemaObject = require('./parseSchemaObject');
 const parseParameterObject = require('./parseParameterObject');
@@ -18,10 +18,10 @@ const parseRequestBodyObject = require('./parseRequestBodyObject');
 const parseHeaderObject = require('./parseHeaderObject');
 const parseExampleObject = require('./parseExampleObject');
 const parseSecuritySchemeObject = require('./parseSecuritySchemeObject');
+const parseCallbackObject = require('./parseCallbackObject');
+const parseLinkObject = require('./parseLinkObject');
 
 const name = 'Components Object';
-const unsupportedKeys = ['links', 'callbacks'];
-const isUnsupportedKey = R.anyPass(R.map(hasKey, unsupportedKeys));
 
 const valueIsObject = R.compose(isObject, getValue);
 
@@ -100,6 +100,20 @@ function registerComponentStateInContext(context, components) {
         context.state.components.set(key.toValue(), componentObject);
       }
     });
+
+    // Schema components defined by a reference to an external schema are the
+    // named data structure of the schema, so that references to the schema
+    // (such as from itself) reference the component
+    const schemas = components.get('schemas');
+    if (schemas && isObject(schemas)) {
+      schemas.forEach((value, key) => {
+        const ref = value && isObject(value) ? value.get('$ref') : undefined;
+
+        if (ref && isString(ref)) {
+          context.state.schemaReferences.set(resolveURI(context, ref.toValue()), { id: key.toValue() });
+        }
+      });
+    }
   }
 }
 
@@ -149,7 +163,10 @@ function parseComponentsObject(context, element) {
     const parseMember = parseComponentMember(context, parser);
     const parseMemberOrRef = pipeParseResult(namespace,
       validateKeyIsNotReservedKey,
-      m => parseReference(component, () => parseMember(m), context, m.value, false, true));
+      m => parseReference(component,
+        // The component is parsed from the referenced element for external references
+        R.pipe(R.nthArg(1), value => parseMember(new namespace.elements.Member(m.key, value))),
+        context, m.value, false, true));
 
     return pipeParseResult(context.namespace,
       validateIsObject,
@@ -232,10 +249,10 @@ function parseComponentsObject(context, element) {
     [hasKey('examples'), parseComponentObjectMember(parseExampleObject)],
     [hasKey('headers'), parseComponentObjectMember(parseHeaderObject)],
     [hasKey('securitySchemes'), parseSecuritySchemes],
+    [hasKey('callbacks'), parseComponentObjectMember(parseCallbackObject)],
+    [hasKey('links'), parseComponentObjectMember(parseLinkObject)],
 
-    [isUnsupportedKey, createUnsupportedMemberWarning(namespace, name)],
-
-    // FIXME Support exposing extensions into parse result
+    // The Components Object has no resultant element, extensions are ignored
     [isExtension, () => new namespace.elements.ParseResult()],
 
     // Return a warning for additional properties
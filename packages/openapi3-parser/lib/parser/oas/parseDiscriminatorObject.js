@@ -0,0 +1,86 @@
+const R = require('ramda');
+const {
+  createWarning,
+  createInvalidMemberWarning,
+} = require('../annotations');
+const {
+  isObject, isString, hasKey, isExtension, getValue,
+} = require('../../predicates');
+const parseObject = require('../parseObject');
+const parseString = require('../parseString');
+const pipeParseResult = require('../../pipeParseResult');
+
+const name = 'Discriminator Object';
+const requiredKeys = ['propertyName'];
+
+const schemaReferencePrefix = '#/components/schemas/';
+
+/**
+ * Returns the name of the schema component for a mapping value, mapping
+ * values are either a reference or the name of a schema component
+ * @param value {string}
+ * @returns {string}
+ * @private
+ */
+function schemaNameFromMappingValue(value) {
+  if (value.startsWith(schemaReferencePrefix)) {
+    return value.substr(schemaReferencePrefix.length);
+  }
+
+  return value;
+}
+
+/**
+ * Parse a member of the discriminator mapping, the value is resolved against
+ * the schema components and is replaced by a reference to the component
+ * @returns ParseResult<Member<Ref>>
+ * @private
+ */
+const parseMappingMember = R.curry((context, member) => {
+  const { namespace } = context;
+
+  if (!isString(member.value)) {
+    return createWarning(namespace,
+      `'${name}' 'mapping' '${member.key.toValue()}' is not a string`, member.value);
+  }
+
+  const { components } = context.state;
+  const schemas = components && components.get('schemas');
+  const schemaName = schemaNameFromMappingValue(member.value.toValue());
+
+  if (!schemas || !schemaName || schemaName.includes('/') || !schemas.hasKey(schemaName)) {
+    return createWarning(namespace,
+      `'${name}' 'mapping' '${member.key.toValue()}' does not reference a schema in '#/components/schemas', it has been ignored`,
+      member.value);
+  }
+
+  return new namespace.elements.Member(member.key.clone(), new namespace.elements.Ref(schemaName));
+});
+
+const parseMember = context => R.cond([
+  [hasKey('propertyName'), parseString(context, name, false)],
+  [hasKey('mapping'), R.compose(
+    pipeParseResult(context.namespace,
+      R.unless(isObject, createWarning(context.namespace, `'${name}' 'mapping' is not an object`)),
+      parseObject(context, `${name}' 'mapping`, parseMappingMember(context))),
+    getValue
+  )],
+  [isExtension, () => new context.namespace.elements.ParseResult()],
+  [R.T, createInvalidMemberWarning(context.namespace, name)],
+]);
+
+/**
+ * Parse the OpenAPI 'Discriminator Object'
+ *
+ * The mapping values are resolved against the schema components and
+ * represented as references (`ref` elements) to the data structures.
+ *
+ * @see http://spec.openapis.org/oas/v3.0.3#discriminator-object
+ * @returns ParseResult<Object>
+ * @private
+ */
+const parseDiscriminatorObject = context => pipeParseResult(context.namespace,
+  R.unless(isObject, createWarning(context.namespace, `'${name}' is not an object`)),
+  parseObject(context, name, parseMember(context), requiredKeys, [], true));
+
+module.exports = parseDiscriminatorObject;
@@ -0,0 +1,76 @@
+const R = require('ramda');
+const {
+  createWarning,
+  createInvalidMemberWarning,
+} = require('../annotations');
+const { isObject, hasKey, isExtension } = require('../../predicates');
+const pipeParseResult = require('../../pipeParseResult');
+const parseObject = require('../parseObject');
+const parseString = require('../parseString');
+const parseBoolean = require('../parseBoolean');
+const parseMap = require('../parseMap');
+const parseReference = require('../parseReference');
+const parseHeaderObject = require('./parseHeaderObject');
+const { createExtension } = require('../extensions');
+
+const name = 'Encoding Object';
+
+// Permitted values of `style`, as for query parameters
+const styles = ['form', 'spaceDelimited', 'pipeDelimited', 'deepObject'];
+
+/**
+ * Parse Encoding Object
+ *
+ * The encoding of a property of a form (`application/x-www-form-urlencoded`)
+ * or multipart media type, it is used to generate the message body. The
+ * `headers` are parsed as Header Objects, specification extensions are
+ * exposed as the `extensions` attribute of the object.
+ *
+ * @param context
+ * @param element {Element}
+ * @returns ParseResult<Object>
+ *
+ * @see http://spec.openapis.org/oas/v3.0.3#encoding-object
+ * @private
+ */
+function parseEncodingObject(context, element) {
+  const { namespace } = context;
+  const extension = createExtension(namespace, element);
+
+  const parseHeaderObjectOrRef = parseReference('headers', parseHeaderObject);
+
+  const parseStyle = pipeParseResult(namespace,
+    parseString(context, name, false),
+    R.unless(member => styles.includes(member.value.toValue()),
+      member => createWarning(namespace,
+        `'${name}' 'style' must be either ${styles.join(', ')}`, member.value)));
+
+  const parseMember = R.cond([
+    [hasKey('contentType'), parseString(context, name, false)],
+    [hasKey('headers'), parseMap(context, name, 'headers', parseHeaderObjectOrRef)],
+    [hasKey('style'), parseStyle],
+    [hasKey('explode'), parseBoolean(context, name, false)],
+    [hasKey('allowReserved'), parseBoolean(context, name, false)],
+
+    // Extensions are exposed once the object has been parsed
+    [isExtension, () => new namespace.elements.ParseResult()],
+
+    // Return a warning for additional properties
+    [R.T, createInvalidMemberWarning(namespace, name)],
+  ]);
+
+  const parseEncoding = pipeParseResult(namespace,
+    R.unless(isObject, createWarning(namespace, `'${name}' is not an object`)),
+    parseObject(context, name, parseMember),
+    (encoding) => {
+      if (extension) {
+        encoding.attributes.set('extensions', extension);
+      }
+
+      return encoding;
+    });
+
+  return parseEncoding(element);
+}
+
+module.exports = R.curry(parseEncodingObject);
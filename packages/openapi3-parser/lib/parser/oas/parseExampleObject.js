@@ -6,16 +6,20 @@ const {
 const pipeParseResult = require('../../pipeParseResult');
 const { hasKey, isExtension } = require('../../predicates');
 const parseObject = require('../parseObject');
+const parseCopy = require('../parseCopy');
 
 const name = 'Example Object';
 const unsupportedKeys = [
-  'summary', 'description', 'externalValue',
+  'externalValue',
 ];
 const isUnsupportedKey = R.anyPass(R.map(hasKey, unsupportedKeys));
 
 /**
  * Parse Example Object
  *
+ * The `summary` and `description` of the example are parsed into copy
+ * elements.
+ *
  * @param namespace {Namespace}
  * @param element {Element}
  * @returns ParseResult
@@ -27,12 +31,14 @@ function parseExampleObject(context, element) {
   const { namespace } = context;
 
   const parseMember = R.cond([
+    [hasKey('summary'), parseCopy(context, name, false)],
+    [hasKey('description'), parseCopy(context, name, false)],
     [hasKey('value'), R.identity],
 
     [isUnsupportedKey, createUnsupportedMemberWarning(namespace, name)],
 
-    // FIXME Support exposing extensions into parse result
-    [isExtension, () => new namespace.elements.ParseResult()],
+    // Extensions are kept to be exposed in the messages of the example
+    [isExtension, e => e.clone()],
 
     // Return a warning for additional properties
     [R.T, createInvalidMemberWarning(namespace, name)],
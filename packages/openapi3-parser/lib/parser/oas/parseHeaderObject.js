@@ -1,23 +1,35 @@
 const R = require('ramda');
-const { isExtension, hasKey } = require('../../predicates');
+const { isExtension, hasKey, getValue } = require('../../predicates');
 const {
+  createWarning,
   createUnsupportedMemberWarning,
   createInvalidMemberWarning,
 } = require('../annotations');
 const pipeParseResult = require('../../pipeParseResult');
 const parseObject = require('../parseObject');
+const parseString = require('../parseString');
+const parseBoolean = require('../parseBoolean');
+const parseReference = require('../parseReference');
+const parseSchemaObject = require('./parseSchemaObject');
+const parameterValue = require('../parameterValue');
+const { createExtension } = require('../extensions');
 
 const name = 'Header Object';
 const unsupportedKeys = [
-  'description', 'required', 'deprecated', 'allowEmptyValue',
-  'style', 'explode', 'allowReserved', 'schema', 'content', 'example',
-  'examples',
+  'allowEmptyValue',
 ];
 const isUnsupportedKey = R.anyPass(R.map(hasKey, unsupportedKeys));
 
+const parseSchemaObjectOrRef = parseReference('schemas', parseSchemaObject);
+
 /**
  * Parse Header Object
  *
+ * The Header Object follows the structure of the Parameter Object, the
+ * result is the value of the header. The description of the header and
+ * whether it is required (or deprecated) are present on the value, the name
+ * of the header is the key it is found under in the headers map.
+ *
  * @param namespace {Namespace}
  * @param element {Element}
  * @returns ParseResult
@@ -27,22 +39,77 @@ const isUnsupportedKey = R.anyPass(R.map(hasKey, unsupportedKeys));
  */
 function parseHeaderObject(context, object) {
   const { namespace } = context;
+  const extension = createExtension(namespace, object);
 
   const parseMember = R.cond([
+    [hasKey('description'), parseString(context, name, false)],
+    [hasKey('required'), parseBoolean(context, name, false)],
+    [hasKey('style'), parseString(context, name, false)],
+    [hasKey('explode'), parseBoolean(context, name, false)],
+    [hasKey('allowReserved'), parseBoolean(context, name, false)],
+    [hasKey('deprecated'), parseBoolean(context, name, false)],
+    [hasKey('schema'), R.compose(parseSchemaObjectOrRef(context), getValue)],
+    [hasKey('example'), e => e.clone()],
+    [hasKey('examples'), R.compose(parameterValue.parseExamples(context, name), getValue)],
+    [hasKey('content'), R.compose(parameterValue.parseContent(context, name), getValue)],
+
     [isUnsupportedKey, createUnsupportedMemberWarning(namespace, name)],
 
-    // FIXME Support exposing extensions into parse result
+    // Extensions are exposed once the object has been parsed
     [isExtension, () => new namespace.elements.ParseResult()],
 
     // Return a warning for additional properties
     [R.T, createInvalidMemberWarning(namespace, name)],
   ]);
 
+  const removeDisallowedStyle = (header) => {
+    const style = header.get('style');
+    header.remove('style');
+    return new namespace.elements.ParseResult([
+      header,
+      createWarning(namespace, `'${name}' 'style' '${style.toValue()}' is not permitted, only 'simple' is permitted`, style),
+    ]);
+  };
+
+  const warnAllowReserved = (header) => {
+    const allowReserved = header.getMember('allowReserved');
+    return new namespace.elements.ParseResult([
+      header,
+      createWarning(namespace, `'${name}' 'allowReserved' is unsupported in header`, allowReserved.key),
+    ]);
+  };
+
   const parseHeader = pipeParseResult(namespace,
     parseObject(context, name, parseMember),
-    () => {
-      const result = new namespace.elements.String();
-      return result;
+    R.when(header => header.hasKey('style') && header.getValue('style') !== 'simple', removeDisallowedStyle),
+    R.when(header => header.getValue('allowReserved') === true, warnAllowReserved),
+    (header) => {
+      const value = R.defaultTo(new namespace.elements.String(), parameterValue.createParameterValue(namespace, header));
+
+      const description = header.get('description');
+      if (description) {
+        value.description = description;
+      }
+
+      if (header.getValue('required') === true) {
+        const typeAttributes = value.attributes.get('typeAttributes') || new namespace.elements.Array();
+        typeAttributes.push('required');
+        value.attributes.set('typeAttributes', typeAttributes);
+      }
+
+      if (header.hasKey('explode')) {
+        value.attributes.set('explode', header.get('explode').clone());
+      }
+
+      if (header.getValue('deprecated') === true) {
+        value.attributes.set('deprecated', header.get('deprecated').clone());
+      }
+
+      if (extension) {
+        value.attributes.set('extensions', extension);
+      }
+
+      return value;
     });
 
   return parseHeader(object);
@@ -12,6 +12,7 @@ const parseCopy = require('../parseCopy');
 const pipeParseResult = require('../../pipeParseResult');
 const parseLicenseObject = require('./parseLicenseObject');
 const parseContactObject = require('./parseContactObject');
+const { createExtension } = require('../extensions');
 
 const name = 'Info Object';
 const requiredKeys = ['title', 'version'];
@@ -32,6 +33,7 @@ const requiredKeys = ['title', 'version'];
  */
 function parseInfo(context, info) {
   const { namespace } = context;
+  const extension = createExtension(namespace, info);
 
   const parseTermsOfService = pipeParseResult(namespace,
     parseString(context, name, false),
@@ -52,7 +54,7 @@ function parseInfo(context, info) {
     [hasKey('license'), R.compose(parseLicenseObject(context), getValue)],
     [hasKey('contact'), R.compose(parseContactObject(context), getValue)],
 
-    // FIXME Support exposing extensions into parse result
+    // Extensions are exposed once the object has been parsed
     [isExtension, () => new namespace.elements.ParseResult()],
 
     // Return a warning for additional properties
@@ -85,6 +87,10 @@ function parseInfo(context, info) {
         contactArray.forEach(contact => api.links.push(contact));
       }
 
+      if (extension) {
+        api.push(extension);
+      }
+
       return api;
     });
 
@@ -0,0 +1,98 @@
+const R = require('ramda');
+const {
+  isObject, hasKey, isExtension, getValue,
+} = require('../../predicates');
+const {
+  createWarning,
+  createUnsupportedMemberWarning,
+  createInvalidMemberWarning,
+} = require('../annotations');
+const pipeParseResult = require('../../pipeParseResult');
+const parseObject = require('../parseObject');
+const parseString = require('../parseString');
+const { createExtension } = require('../extensions');
+
+const name = 'Link Object';
+const unsupportedKeys = ['server'];
+const isUnsupportedKey = R.anyPass(R.map(hasKey, unsupportedKeys));
+
+const hasOperationRefAndOperationId = object => object.hasKey('operationRef') && object.hasKey('operationId');
+const hasOperationRefOrOperationId = object => object.hasKey('operationRef') || object.hasKey('operationId');
+
+/**
+ * Parse Link Object
+ *
+ * The link is represented as a `link` element, the target operation
+ * (`operationId` or `operationRef`) is resolved once all operations of the
+ * document have been parsed. The runtime expressions of the `parameters`
+ * and `requestBody` are kept as the `parameters` and `requestBody`
+ * attributes of the link.
+ *
+ * @param context
+ * @param element {Element}
+ * @returns ParseResult<Link>
+ *
+ * @see http://spec.openapis.org/oas/v3.0.3#link-object
+ * @private
+ */
+function parseLinkObject(context, element) {
+  const { namespace } = context;
+  const extension = createExtension(namespace, element);
+
+  const parseParameters = pipeParseResult(namespace,
+    R.unless(isObject, createWarning(namespace, `'${name}' 'parameters' is not an object`)),
+    parameters => parameters.clone());
+
+  const parseMember = R.cond([
+    [hasKey('operationRef'), parseString(context, name, false)],
+    [hasKey('operationId'), parseString(context, name, false)],
+    [hasKey('parameters'), R.compose(parseParameters, getValue)],
+    [hasKey('requestBody'), member => member.clone()],
+    [hasKey('description'), parseString(context, name, false)],
+
+    [isUnsupportedKey, createUnsupportedMemberWarning(namespace, name)],
+
+    // Extensions are exposed once the object has been parsed
+    [isExtension, () => new namespace.elements.ParseResult()],
+
+    // Return a warning for additional properties
+    [R.T, createInvalidMemberWarning(namespace, name)],
+  ]);
+
+  const removeOperationRef = (object) => {
+    const operationRef = object.getMember('operationRef');
+    object.remove('operationRef');
+    return new namespace.elements.ParseResult([
+      object,
+      createWarning(namespace, `'${name}' 'operationRef' and 'operationId' are mutually exclusive, 'operationRef' has been ignored`, operationRef.key),
+    ]);
+  };
+
+  const parseLink = pipeParseResult(namespace,
+    R.unless(isObject, createWarning(namespace, `'${name}' is not an object`)),
+    parseObject(context, name, parseMember),
+    R.unless(hasOperationRefOrOperationId, createWarning(namespace, `'${name}' must contain either 'operationRef' or 'operationId'`)),
+    R.when(hasOperationRefAndOperationId, removeOperationRef),
+    (object) => {
+      const link = new namespace.elements.Link();
+
+      ['operationRef', 'operationId', 'parameters', 'requestBody']
+        .filter(key => object.hasKey(key))
+        .forEach(key => link.attributes.set(key, object.get(key)));
+
+      const description = object.get('description');
+      if (description) {
+        link.description = description;
+      }
+
+      if (extension) {
+        link.attributes.set('extensions', extension);
+      }
+
+      return link;
+    });
+
+  return parseLink(element);
+}
+
+module.exports = R.curry(parseLinkObject);
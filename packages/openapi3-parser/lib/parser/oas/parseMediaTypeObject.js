@@ -7,17 +7,21 @@ const {
 } = require('../../predicates');
 const {
   createWarning,
-  createUnsupportedMemberWarning,
   createInvalidMemberWarning,
 } = require('../annotations');
 const parseObject = require('../parseObject');
 const parseSchemaObject = require('./parseSchemaObject');
 const parseExampleObject = require('./parseExampleObject');
+const parseEncodingObject = require('./parseEncodingObject');
 const parseReference = require('../parseReference');
+const parseMap = require('../parseMap');
+const { generateJSONSchema } = require('../jsonSchema');
+const { generateXML } = require('../xml');
+const { generateFormURLEncoded, generateMultipart } = require('../form');
+const { addFormatSamples } = require('../formatSamples');
+const { createExtension } = require('../extensions');
 
 const name = 'Media Type Object';
-const unsupportedKeys = ['encoding'];
-const isUnsupportedKey = R.anyPass(R.map(hasKey, unsupportedKeys));
 
 function isJSONMediaType(mediaType) {
   const contentType = contentTyper.parse(mediaType);
@@ -34,12 +38,83 @@ function isTextMediaType(mediaType) {
 function isXMLMediaType(mediaType) {
   const contentType = contentTyper.parse(mediaType);
   const { type, suffix, subtype } = mediaTyper.parse(contentType.type);
-  return type === 'application' && (suffix === 'xml' || subtype === 'xml');
+  return (type === 'application' || type === 'text') && (suffix === 'xml' || subtype === 'xml');
 }
 
-const canGenerateMessageBodyForMediaType = R.either(isJSONMediaType, isTextMediaType);
+function isFormURLEncodedMediaType(mediaType) {
+  const contentType = contentTyper.parse(mediaType);
+  const { type, subtype } = mediaTyper.parse(contentType.type);
+  return type === 'application' && subtype === 'x-www-form-urlencoded';
+}
+
+function isMultipartMediaType(mediaType) {
+  const contentType = contentTyper.parse(mediaType);
+  const { type } = mediaTyper.parse(contentType.type);
+  return type === 'multipart';
+}
+
+const isFormMediaType = R.either(isFormURLEncodedMediaType, isMultipartMediaType);
+
+/**
+ * Returns the given media type with the default `BOUNDARY` boundary when it
+ * is a multipart media type without a boundary, as done for OpenAPI 2, so
+ * that a generated message body can be parsed against its content type
+ * @param mediaType {string}
+ * @returns {string}
+ * @private
+ */
+function withDefaultBoundary(mediaType) {
+  if (isMultipartMediaType(mediaType) && !contentTyper.parse(mediaType).parameters.boundary) {
+    return `${mediaType}; boundary=BOUNDARY`;
+  }
+
+  return mediaType;
+}
 
-function generateMessageBody(context, mediaType, dataStructure) {
+const canGenerateMessageBodyForMediaType = R.anyPass([
+  isJSONMediaType, isXMLMediaType, isTextMediaType, isFormMediaType,
+]);
+
+const hasAttribute = R.curry((attribute, element) => element !== undefined
+  && element.attributes.getValue(attribute) === true);
+
+/**
+ * Returns a copy of the given element without any of the object members
+ * which have the given attribute (such as `readOnly`), either on the member,
+ * its value or the data structure referenced by its value
+ * @param element {Element}
+ * @param attribute {string}
+ * @param elements {object} - data structures keyed by their identifier
+ * @returns {Element}
+ * @private
+ */
+function excludeMembers(element, attribute, elements) {
+  const isExcluded = member => hasAttribute(attribute, member)
+    || hasAttribute(attribute, member.value)
+    || (member.value !== undefined && hasAttribute(attribute, elements[member.value.element]));
+
+  const exclude = (e) => {
+    if (Array.isArray(e.content)) {
+      e.content = e.content.filter(item => !(item.element === 'member' && isExcluded(item)));
+      e.content.forEach(exclude);
+    } else if (e.element === 'member' && e.value) {
+      exclude(e.value);
+    }
+  };
+
+  const result = element.clone();
+  exclude(result);
+  return result;
+}
+
+/**
+ * Returns the data structures of the schema components, and of the schemas
+ * referenced by URI, keyed by their identifier
+ * @param context
+ * @returns {object}
+ * @private
+ */
+function schemaComponentElements(context) {
   const elements = {};
   const { components } = context.state;
   if (components) {
@@ -54,7 +129,71 @@ function generateMessageBody(context, mediaType, dataStructure) {
     }
   }
 
-  const value = dataStructure.content.valueOf(undefined, elements);
+  context.state.schemaReferences.forEach(({ dataStructure }) => {
+    if (dataStructure) {
+      elements[dataStructure.content.id.toValue()] = dataStructure.content;
+    }
+  });
+
+  return elements;
+}
+
+const isDiscriminatedSelect = element => element.element === 'select'
+  && element.attributes.hasKey('discriminator');
+
+const findDiscriminatedSelect = element => (Array.isArray(element.content)
+  ? element.content.find(isDiscriminatedSelect)
+  : undefined);
+
+/**
+ * Returns a variant of the given structure and elements for each subtype
+ * mapped by a discriminator of the structure, either found in the structure
+ * or in the data structure it inherits from. In each variant the `select`
+ * is replaced by the subtype and the discriminating property is set to the
+ * name of the subtype.
+ * @param namespace
+ * @param structure {Element}
+ * @param elements {object} - data structures keyed by their identifier
+ * @returns {object[]} - objects containing the `name`, `structure` and `elements` of each variant
+ * @private
+ */
+function discriminatedVariants(namespace, structure, elements) {
+  const inherited = elements[structure.element];
+  const holder = findDiscriminatedSelect(structure) ? structure : inherited;
+  const select = holder && findDiscriminatedSelect(holder);
+
+  if (!select) {
+    return [];
+  }
+
+  const discriminator = select.attributes.get('discriminator');
+  const propertyName = discriminator.getValue('propertyName');
+  const mapping = discriminator.get('mapping');
+
+  if (!propertyName || !mapping) {
+    return [];
+  }
+
+  return mapping.content.map((member) => {
+    const name = member.key.toValue();
+    const variant = holder.clone();
+    variant.content.splice(holder.content.indexOf(select), 1, member.value.clone());
+    variant.push(new namespace.elements.Member(propertyName, name));
+
+    if (holder === structure) {
+      return { name, structure: variant, elements };
+    }
+
+    return {
+      name,
+      structure,
+      elements: R.assoc(structure.element, variant, elements),
+    };
+  });
+}
+
+function generateMessageBody(context, mediaType, structure, elements, encoding) {
+  const value = structure.valueOf(undefined, elements);
   if (!value) {
     return undefined;
   }
@@ -62,9 +201,18 @@ function generateMessageBody(context, mediaType, dataStructure) {
   let body;
   if (isJSONMediaType(mediaType)) {
     body = JSON.stringify(value);
+  } else if (isXMLMediaType(mediaType)) {
+    body = generateXML(structure, elements, value);
+  } else if (isFormURLEncodedMediaType(mediaType)) {
+    body = generateFormURLEncoded(value, encoding);
+  } else if (isMultipartMediaType(mediaType)) {
+    const { boundary } = contentTyper.parse(mediaType).parameters;
+    body = generateMultipart(structure, elements, value, encoding, boundary);
   } else if (isTextMediaType(mediaType) && typeof value === 'string') {
     body = value;
-  } else {
+  }
+
+  if (body === undefined) {
     return undefined;
   }
 
@@ -74,6 +222,40 @@ function generateMessageBody(context, mediaType, dataStructure) {
   return asset;
 }
 
+/**
+ * Generates the message bodies for the given data structure, a message body
+ * is generated for each subtype of a discriminated data structure
+ * @param context
+ * @param mediaType {string}
+ * @param dataStructure {DataStructure}
+ * @param excludedAttribute {string} - members with the attribute are excluded
+ * @param encoding {ObjectElement} - Encoding Objects of form and multipart media types (if any)
+ * @returns {object[]} - objects containing the `name` (if any) and `asset` of each message body
+ * @private
+ */
+function generateMessageBodies(context, mediaType, dataStructure, excludedAttribute, encoding) {
+  const elements = schemaComponentElements(context);
+
+  // Exclude `readOnly` members from requests and `writeOnly` members from
+  // responses, elements with a `format` are given a sample of the format
+  const prepare = element => addFormatSamples(context.namespace,
+    excludeMembers(element, excludedAttribute, elements));
+  const structure = prepare(dataStructure.content);
+  const structureElements = R.map(prepare, elements);
+
+  const variants = discriminatedVariants(context.namespace, structure, structureElements);
+  if (variants.length === 0) {
+    variants.push({ structure, elements: structureElements });
+  }
+
+  return variants
+    .map(variant => ({
+      name: variant.name,
+      asset: generateMessageBody(context, mediaType, variant.structure, variant.elements, encoding),
+    }))
+    .filter(variant => variant.asset);
+}
+
 const createJSONMessageBodyAsset = R.curry((namespace, mediaType, value) => {
   const body = JSON.stringify(value.toValue());
   const asset = new namespace.elements.Asset(body);
@@ -141,6 +323,7 @@ const isValidMediaType = (mediaType) => {
 function parseMediaTypeObject(context, MessageBodyClass, element) {
   const { namespace } = context;
   const mediaType = element.key.toValue();
+  const extension = createExtension(namespace, element.value);
 
   const createInvalidMediaTypeWarning = mediaType => createWarning(namespace,
     `'${name}' media type '${mediaType.toValue()}' is invalid`, mediaType);
@@ -155,34 +338,22 @@ function parseMediaTypeObject(context, MessageBodyClass, element) {
 
   const parseExamples = pipeParseResult(namespace,
     R.unless(() => isJSONMediaType(mediaType), createExamplesNotJSONWarning),
-    parseObject(context, `${name}' 'examples`, R.compose(parseExampleObjectOrRef(context), getValue)),
-    (examples) => {
-      const parseResult = new namespace.elements.ParseResult();
-
-      if (!examples.isEmpty) {
-        const firstExample = examples.first.value;
-        const value = firstExample.get('value');
-        if (value) {
-          parseResult.push(value);
-        }
-      }
+    parseObject(context, `${name}' 'examples`, R.compose(parseExampleObjectOrRef(context), getValue)));
 
-      if (examples.length > 1) {
-        parseResult.push(createWarning(namespace, `'${name}' 'examples' only one example is supported, other examples have been ignored`, examples.content[1]));
-      }
+  const createEncodingNotFormWarning = createWarning(namespace,
+    `'${name}' 'encoding' is only supported for form and multipart media types`);
 
-      return parseResult;
-    },
-    createJSONMessageBodyAsset(namespace, mediaType));
+  const parseEncoding = R.ifElse(() => isFormMediaType(mediaType),
+    parseMap(context, name, 'encoding', parseEncodingObject),
+    R.compose(createEncodingNotFormWarning, getValue));
 
   const parseMember = R.cond([
     [hasKey('example'), parseExample(context, mediaType)],
     [hasKey('examples'), R.compose(parseExamples, getValue)],
     [hasKey('schema'), R.compose(parseSchemaObjectOrRef(context), getValue)],
+    [hasKey('encoding'), parseEncoding],
 
-    [isUnsupportedKey, createUnsupportedMemberWarning(namespace, name)],
-
-    // FIXME Support exposing extensions into parse result
+    // Extensions are exposed once the object has been parsed
     [isExtension, () => new namespace.elements.ParseResult()],
 
     // Return a warning for additional properties
@@ -194,33 +365,88 @@ function parseMediaTypeObject(context, MessageBodyClass, element) {
     getValue,
     parseObject(context, name, parseMember),
     (mediaTypeObject) => {
-      const message = new MessageBodyClass();
+      const contentType = withDefaultBoundary(mediaType);
 
-      message.headers = new namespace.elements.HttpHeaders([
-        new namespace.elements.Member('Content-Type', mediaType),
-      ]);
+      const createMessage = () => {
+        const message = new MessageBodyClass();
 
-      const messageBody = mediaTypeObject.get('example') || mediaTypeObject.get('examples');
-      if (messageBody) {
-        message.push(messageBody);
-      }
+        message.headers = new namespace.elements.HttpHeaders([
+          new namespace.elements.Member('Content-Type', contentType),
+        ]);
+
+        return message;
+      };
 
+      const messageBody = mediaTypeObject.get('example');
+      const examples = mediaTypeObject.get('examples');
+      const namedExamples = examples
+        ? examples.content.filter(example => example.value.get('value') !== undefined)
+        : [];
       const dataStructure = mediaTypeObject.get('schema');
 
-      if (!messageBody && dataStructure && context.options.generateMessageBody && canGenerateMessageBodyForMediaType(mediaType)) {
-        const asset = generateMessageBody(context, mediaType, dataStructure);
-        if (asset) {
-          message.push(asset);
+      let messages = [createMessage()];
+
+      if (messageBody) {
+        messages[0].push(messageBody);
+      } else if (namedExamples.length > 0) {
+        // A message is created for each named example, the name of the
+        // example is kept in the `exampleName` attribute to pair request and
+        // response examples
+        messages = namedExamples.map((example) => {
+          const message = createMessage();
+          message.title = example.key.clone();
+          message.attributes.set('exampleName', example.key.clone());
+
+          ['summary', 'description']
+            .map(key => example.value.get(key))
+            .filter(copy => copy !== undefined)
+            .forEach(copy => message.push(copy.clone()));
+
+          message.push(createJSONMessageBodyAsset(namespace, mediaType, example.value.get('value')));
+
+          const exampleExtension = createExtension(namespace, example.value);
+          if (exampleExtension) {
+            message.push(exampleExtension);
+          }
+
+          return message;
+        });
+      } else if (dataStructure && context.options.generateMessageBody && canGenerateMessageBodyForMediaType(mediaType)) {
+        const excludedAttribute = MessageBodyClass === namespace.elements.HttpRequest ? 'readOnly' : 'writeOnly';
+        const encoding = mediaTypeObject.get('encoding');
+        const bodies = generateMessageBodies(context, contentType, dataStructure, excludedAttribute, encoding);
+
+        if (bodies.length > 0) {
+          messages = bodies.map(({ name, asset }) => {
+            const message = createMessage();
+
+            if (name !== undefined) {
+              message.title = name;
+            }
+
+            message.push(asset);
+            return message;
+          });
         }
       }
 
+      if (dataStructure && context.options.generateMessageBodySchema && isJSONMediaType(mediaType)) {
+        const schema = generateJSONSchema(dataStructure, schemaComponentElements(context));
+        const asset = new namespace.elements.Asset(JSON.stringify(schema));
+        asset.classes.push('messageBodySchema');
+        asset.contentType = 'application/schema+json';
+        messages.forEach(message => message.push(asset.clone()));
+      }
+
       if (dataStructure) {
-        message.push(dataStructure);
+        messages.forEach(message => message.push(dataStructure.clone()));
       }
 
-      // FIXME: We should generate a JSON Schema from the schema
+      if (extension) {
+        messages.forEach(message => message.push(extension.clone()));
+      }
 
-      return message;
+      return new namespace.elements.ParseResult(messages);
     });
 
   return parseMediaType(element);
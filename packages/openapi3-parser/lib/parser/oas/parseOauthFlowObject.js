@@ -60,8 +60,8 @@ function parseOauthFlowObject(context, object) {
     [hasKey('authorizationUrl'), parseUrl],
     [hasKey('tokenUrl'), parseUrl],
 
-    // FIXME Support exposing extensions into parse result
-    [isExtension, () => new namespace.elements.ParseResult()],
+    // Extensions are kept to be exposed in the auth scheme of the flow
+    [isExtension, e => e.clone()],
 
     // Return a warning for additional properties
     [R.T, createInvalidMemberWarning(namespace, name)],
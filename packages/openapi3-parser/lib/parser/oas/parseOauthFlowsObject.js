@@ -9,6 +9,7 @@ const {
 const pipeParseResult = require('../../pipeParseResult');
 const parseObject = require('../parseObject');
 const parseOauthFlowObject = require('./parseOauthFlowObject');
+const { createExtension } = require('../extensions');
 
 const name = 'Oauth Flows Object';
 
@@ -32,6 +33,7 @@ const grantTypes = {
  */
 function parseOauthFlowsObject(context, object) {
   const { namespace } = context;
+  const extension = createExtension(namespace, object);
 
   const parseFlow = (member) => {
     const key = member.key.toValue();
@@ -55,7 +57,7 @@ function parseOauthFlowsObject(context, object) {
   const parseMember = R.cond([
     [isValidFlow, parseFlow],
 
-    // FIXME Support exposing extensions into parse result
+    // Extensions are exposed once the object has been parsed
     [isExtension, () => new namespace.elements.ParseResult()],
 
     // Return a warning for additional properties
@@ -76,6 +78,15 @@ function parseOauthFlowsObject(context, object) {
         authScheme.push(item);
       });
 
+      const flowExtension = createExtension(namespace, member.value);
+      if (flowExtension) {
+        authScheme.push(flowExtension);
+      }
+
+      if (extension) {
+        authScheme.push(extension.clone());
+      }
+
       return authScheme;
     }));
 
@@ -13,12 +13,20 @@ const parseOpenAPI = require('../openapi');
 const parseServersArray = require('./parseServersArray');
 const parseInfoObject = require('./parseInfoObject');
 const parsePathsObject = require('./parsePathsObject');
+const parsePathItemObject = require('./parsePathItemObject');
 const parseComponentsObject = require('./parseComponentsObject');
 const parseSecurityRequirementsArray = require('./parseSecurityRequirementsArray');
+const parseMap = require('../parseMap');
+const parseArray = require('../parseArray');
+const parseTagObject = require('./parseTagObject');
+const { resolveLinks } = require('../links');
+const { findRecursiveWithCallbacks } = require('../callbacks');
+const { groupResources } = require('../resourceGroups');
+const { createExtension } = require('../extensions');
 
 const name = 'OpenAPI Object';
 const requiredKeys = ['openapi', 'info', 'paths'];
-const unsupportedKeys = ['tags', 'externalDocs'];
+const unsupportedKeys = ['externalDocs'];
 
 /**
  * Returns whether the given member element is unsupported
@@ -29,8 +37,53 @@ const unsupportedKeys = ['tags', 'externalDocs'];
  */
 const isUnsupportedKey = R.anyPass(R.map(hasKey, unsupportedKeys));
 
+/**
+ * Parse a webhook, the 'Path Item Object' of the webhook is parsed into a
+ * resource without an href. The resource and its transitions have the
+ * `webhook` class.
+ * @param context
+ * @param element {Element} - the path item of the webhook
+ * @param key {StringElement} - the name of the webhook
+ * @returns ParseResult<Resource>
+ * @private
+ */
+function parseWebhook(context, element, key) {
+  const parseResult = parsePathItemObject(context, new context.namespace.elements.Member(key, element));
+
+  return R.map(R.unless(isAnnotation, (resource) => {
+    resource.attributes.remove('href');
+    resource.classes.push('webhook');
+    resource.transitions.forEach(transition => transition.classes.push('webhook'));
+    return resource;
+  }), parseResult);
+}
+
+/**
+ * Creates a category for each webhook, the category is titled with the name
+ * of the webhook and contains the webhook resource
+ * @param namespace
+ * @param webhooks {ObjectElement} - parsed webhooks keyed by their name
+ * @returns {Category[]}
+ * @private
+ */
+function createWebhookCategories(namespace, webhooks) {
+  return webhooks.content
+    .filter(member => member.value !== undefined)
+    .map((member) => {
+      const category = new namespace.elements.Category([member.value]);
+      category.title = member.key.clone();
+      category.classes.push('webhook');
+      return category;
+    });
+}
+
 function parseOASObject(context, object) {
   const { namespace } = context;
+  const extension = createExtension(namespace, object);
+
+  // Kept to resolve references to elements of the document, such as path items
+  // eslint-disable-next-line no-param-reassign
+  context.state.document = object;
 
   // Takes a parse result, and wraps all of the non annotations inside an array
   const asArray = (parseResult) => {
@@ -47,13 +100,14 @@ function parseOASObject(context, object) {
     [hasKey('components'), R.compose(parseComponentsObject(context), getValue)],
     [hasKey('paths'), R.compose(asArray, parsePathsObject(context), getValue)],
     [hasKey('security'), R.compose(parseSecurityRequirementsArray(context), getValue)],
+    [hasKey('tags'), R.compose(parseArray(context, `${name}' 'tags`, parseTagObject(context)), getValue)],
 
-    // FIXME Support exposing extensions into parse result
+    // Extensions are exposed once the object has been parsed
     [isExtension, () => new namespace.elements.ParseResult()],
 
     [
       R.both(hasKey('webhooks'), isOpenAPI31OrHigher),
-      createUnsupportedMemberWarning(namespace, name),
+      parseMap(context, name, 'webhooks', parseWebhook),
     ],
     [isUnsupportedKey, createUnsupportedMemberWarning(namespace, name)],
 
@@ -83,40 +137,56 @@ function parseOASObject(context, object) {
         api.push(hosts);
       }
 
+      if (extension) {
+        api.push(extension);
+      }
+
       const resources = object.get('paths');
       if (resources) {
-        api.content = api.content.concat(resources.content);
+        const tags = R.or(object.get('tags'), new namespace.elements.Array());
+        api.content = api.content.concat(groupResources(context, resources.content, tags.content));
+      }
+
+      const webhooks = object.get('webhooks');
+      if (webhooks) {
+        api.content = api.content.concat(createWebhookCategories(namespace, webhooks));
       }
 
-      api.resources.forEach((resource) => {
-        resource.transitions.forEach((transition) => {
-          transition.transactions.forEach((transaction) => {
-            if (!transaction.authSchemes && security && !security.isEmpty) {
-              transaction.attributes.set('authSchemes', security.clone());
-            }
-
-            if (transaction.authSchemes && transaction.authSchemes.isEmpty) {
-              transaction.attributes.remove('authSchemes');
-            }
-          });
-        });
+      // Document security applies to the transactions of resources, webhooks
+      // and callbacks without security of their own
+      findRecursiveWithCallbacks(api, 'httpTransaction').forEach((transaction) => {
+        if (!transaction.authSchemes && security && !security.isEmpty) {
+          transaction.attributes.set('authSchemes', security.clone());
+        }
+
+        if (transaction.authSchemes && transaction.authSchemes.isEmpty) {
+          transaction.attributes.remove('authSchemes');
+        }
       });
 
-      if (components) {
-        const schemas = R.or(components.get('schemas'), new namespace.elements.Array())
+      const linkWarnings = resolveLinks(context, api);
+
+      const componentSchemas = components
+        ? R.or(components.get('schemas'), new namespace.elements.Array())
           .content
           .filter(member => member.value)
-          .map(getValue);
-
-        if (schemas.length > 0) {
-          const dataStructures = new namespace.elements.Category(
-            schemas, { classes: ['dataStructures'] }
-          );
-          api.push(dataStructures);
-        }
+          .map(getValue)
+        : [];
+
+      // Schemas referenced by URI, such as from external documents
+      const referencedSchemas = Array.from(context.state.schemaReferences.values())
+        .filter(reference => reference.dataStructure)
+        .map(reference => reference.dataStructure);
+
+      const schemas = componentSchemas.concat(referencedSchemas);
+      if (schemas.length > 0) {
+        const dataStructures = new namespace.elements.Category(
+          schemas, { classes: ['dataStructures'] }
+        );
+        api.push(dataStructures);
       }
 
-      return api;
+      return new namespace.elements.ParseResult([api].concat(linkWarnings));
     });
 
   return parseOASObject(object);
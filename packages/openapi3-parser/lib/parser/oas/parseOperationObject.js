@@ -1,8 +1,9 @@
 const R = require('ramda');
 const {
-  isMember, isExtension, hasKey, getValue,
+  isMember, isString, isExtension, hasKey, getValue,
 } = require('../../predicates');
 const {
+  createWarning,
   createUnsupportedMemberWarning,
   createInvalidMemberWarning,
   createIdentifierNotUniqueWarning,
@@ -11,23 +12,66 @@ const parseCopy = require('../parseCopy');
 const pipeParseResult = require('../../pipeParseResult');
 const parseObject = require('../parseObject');
 const parseString = require('../parseString');
+const parseBoolean = require('../parseBoolean');
+const parseArray = require('../parseArray');
 const parseResponsesObject = require('./parseResponsesObject');
 const parseParameterObjects = require('./parseParameterObjects');
 const parseServersArray = require('./parseServersArray');
 const parseRequestBodyObject = require('./parseRequestBodyObject');
 const parseSecurityRequirementsArray = require('./parseSecurityRequirementsArray');
 const parseReference = require('../parseReference');
+const parseMap = require('../parseMap');
+const parseCallbackObject = require('./parseCallbackObject');
+const { addHeaderParameters } = require('../headers');
+const { hrefFromParameters } = require('../uriTemplate');
+const { createExtension } = require('../extensions');
 
 const parseRequestBodyObjectOrRef = parseReference('requestBodies', parseRequestBodyObject);
+const parseCallbackObjectOrRef = parseReference('callbacks', parseCallbackObject);
 
 const name = 'Operation Object';
 const unsupportedKeys = [
-  'tags', 'externalDocs', 'callbacks', 'deprecated',
+  'externalDocs',
 ];
 const isUnsupportedKey = R.anyPass(R.map(hasKey, unsupportedKeys));
 
 const isRequestBody = R.both(isMember, hasKey('requestBody'));
 
+// Named examples keep their name in the `exampleName` attribute, the title of
+// a message may also be the name of a discriminated subtype
+const exampleName = message => message.attributes.getValue('exampleName');
+
+/**
+ * Returns a predicate for whether a request and response should be paired
+ * in a transaction. When an example name is used by both a request and a
+ * response, the messages with that name are only paired with each other.
+ * Messages without an example name are paired with every message.
+ * @param requests {HttpRequest[]}
+ * @param responses {HttpResponse[]}
+ * @returns {function}
+ * @private
+ */
+function isTransactionPair(requests, responses) {
+  const responseNames = responses.map(exampleName);
+  const sharedNames = R.uniq(requests.map(exampleName))
+    .filter(name => name !== undefined && responseNames.includes(name));
+
+  return (request, response) => {
+    const requestName = exampleName(request);
+    const responseName = exampleName(response);
+
+    if (requestName === undefined || responseName === undefined) {
+      return true;
+    }
+
+    if (sharedNames.includes(requestName) || sharedNames.includes(responseName)) {
+      return requestName === responseName;
+    }
+
+    return true;
+  };
+}
+
 function createTransactions(namespace, member, operation) {
   const requests = R.map(getValue, R.filter(isRequestBody, operation.content));
   const responses = R.or(operation.get('responses'), new namespace.elements.Array());
@@ -41,9 +85,14 @@ function createTransactions(namespace, member, operation) {
   }
 
   const transactions = [];
+  const isPair = isTransactionPair(requests, responses.content);
 
   requests.forEach((request) => {
     responses.forEach((response) => {
+      if (!isPair(request, response)) {
+        return;
+      }
+
       const method = member.key.clone();
       method.content = method.content.toUpperCase();
 
@@ -88,18 +137,25 @@ function hrefVariablesFromParameters(namespace, parameters) {
   return undefined;
 }
 
-function hrefFromParameters(path, queryParameters) {
-  const href = path.clone();
-  const keys = queryParameters.map((value, key, member) => {
-    if (member.explode) {
-      return `${key.toValue()}*`;
-    }
+/**
+ * Creates a category for each callback of an operation, the category is
+ * titled with the name of the callback and contains the callback resources
+ * @param namespace
+ * @param callbacks {ObjectElement} - parsed callbacks keyed by their name
+ * @returns {ArrayElement<Category>}
+ * @private
+ */
+function createCallbackCategories(namespace, callbacks) {
+  const categories = callbacks.content
+    .filter(member => member.value !== undefined)
+    .map((member) => {
+      const category = new namespace.elements.Category(member.value.clone().content);
+      category.title = member.key.clone();
+      category.classes.push('callback');
+      return category;
+    });
 
-    return key.toValue();
-  });
-  const queryString = keys.join(',');
-  href.content += `{?${queryString}}`;
-  return href;
+  return new namespace.elements.Array(categories);
 }
 
 /**
@@ -115,8 +171,11 @@ function hrefFromParameters(path, queryParameters) {
  */
 function parseOperationObject(context, path, member) {
   const { namespace } = context;
+  const extension = createExtension(namespace, member.value);
 
-  const isUnique = element => context.registerId(element.toValue());
+  // Operations parsed again through a path item reference have been
+  // registered where they were first parsed
+  const isUnique = element => context.state.reparsedPathItems > 0 || context.registerId(element.toValue());
 
   const parseOperationId = R.curry(member => new namespace.elements.ParseResult([
     R.unless(
@@ -131,7 +190,11 @@ function parseOperationObject(context, path, member) {
     requiredKeys.push('responses');
   }
 
+  const parseTags = parseArray(context, `${name}' 'tags`,
+    R.unless(isString, createWarning(namespace, `'${name}' 'tags' array value is not a string`)));
+
   const parseMember = R.cond([
+    [hasKey('tags'), R.compose(parseTags, getValue)],
     [hasKey('summary'), parseString(context, name, false)],
     [hasKey('description'), parseCopy(context, name, false)],
     [hasKey('operationId'), pipeParseResult(namespace, parseString(context, name, false), parseOperationId)],
@@ -140,10 +203,12 @@ function parseOperationObject(context, path, member) {
     [hasKey('parameters'), R.compose(parseParameterObjects(context, name), getValue)],
     [hasKey('servers'), R.compose(parseServersArray(context, name), getValue)],
     [hasKey('security'), R.compose(parseSecurityRequirementsArray(context), getValue)],
+    [hasKey('callbacks'), parseMap(context, name, 'callbacks', parseCallbackObjectOrRef)],
+    [hasKey('deprecated'), parseBoolean(context, name, false)],
 
     [isUnsupportedKey, createUnsupportedMemberWarning(namespace, name)],
 
-    // FIXME Support exposing extensions into parse result
+    // Extensions are exposed once the object has been parsed
     [isExtension, () => new namespace.elements.ParseResult()],
 
     // Return a warning for additional properties
@@ -166,30 +231,25 @@ function parseOperationObject(context, path, member) {
         transition.push(description);
       }
 
+      if (operation.getValue('deprecated') === true) {
+        transition.deprecated = operation.get('deprecated');
+      }
+
       const transactions = createTransactions(namespace, member, operation);
       transition.content = transition.content.concat(transactions);
 
       const parameters = operation.get('parameters');
       if (parameters) {
-        const queryParameters = parameters.get('query');
-        if (queryParameters) {
-          transition.href = hrefFromParameters(path, queryParameters);
+        const href = hrefFromParameters(path, parameters);
+        if (href.toValue() !== path.toValue()) {
+          transition.href = href;
         }
 
         transition.hrefVariables = hrefVariablesFromParameters(namespace, parameters);
 
-        const headerParameters = parameters.get('header');
-        if (headerParameters) {
-          transactions.map(transaction => transaction.request).forEach((request) => {
-            const headers = R.or(request.headers, new namespace.elements.HttpHeaders());
-
-            headers.content = headers.content.concat(
-              R.reject(member => !headers.include(member.key.toValue()).isEmpty, headerParameters.content)
-            );
-
-            request.headers = headers.clone();
-          });
-        }
+        transactions.map(transaction => transaction.request).forEach((request) => {
+          addHeaderParameters(namespace, request, parameters);
+        });
       }
 
       transition.hosts = operation.get('servers');
@@ -201,6 +261,20 @@ function parseOperationObject(context, path, member) {
         });
       }
 
+      if (extension) {
+        transition.push(extension);
+      }
+
+      const callbacks = operation.get('callbacks');
+      if (callbacks) {
+        transition.attributes.set('callbacks', createCallbackCategories(namespace, callbacks));
+      }
+
+      // Operations are registered so they can be the target of links and
+      // grouped by their tags
+      const tags = operation.get('tags');
+      context.registerOperation(path.toValue(), member.key.toValue(), transition, tags ? tags.toValue() : []);
+
       return transition;
     });
 
@@ -12,21 +12,21 @@ const pipeParseResult = require('../../pipeParseResult');
 const parseObject = require('../parseObject');
 const parseString = require('../parseString');
 const parseBoolean = require('../parseBoolean');
+const parseReference = require('../parseReference');
+const parseSchemaObject = require('./parseSchemaObject');
+const parameterValue = require('../parameterValue');
+const { createExtension } = require('../extensions');
 
 const name = 'Parameter Object';
 const requiredKeys = ['name', 'in'];
 const unsupportedKeys = [
-  'deprecated', 'allowEmptyValue', 'style', 'allowReserved',
-  'schema', 'examples', 'content',
+  'allowEmptyValue',
 ];
 const isUnsupportedKey = R.anyPass(R.map(hasKey, unsupportedKeys));
 
 const isValidInValue = R.anyPass([
   hasValue('query'), hasValue('header'), hasValue('path'), hasValue('cookie'),
 ]);
-const isSupportedIn = R.anyPass([
-  hasValue('path'), hasValue('query'), hasValue('header'),
-]);
 
 const unreservedCharacterRegex = /^[A-z0-9\\.\\_\\~\\-]+$/;
 const reservedHeaderNamesRegex = /Accept|Content-Type|Authorization/i;
@@ -60,11 +60,55 @@ function validateRequiredForPathParameter(context, object, parameter) {
   return parseResult;
 }
 
-const hasExplodeWithoutQueryIn = R.both(
+// Permitted values of `style` for each parameter location
+const styles = {
+  path: ['matrix', 'label', 'simple'],
+  query: ['form', 'spaceDelimited', 'pipeDelimited', 'deepObject'],
+  header: ['simple'],
+  cookie: ['form'],
+};
+
+const hasDisallowedStyle = R.both(
+  object => object.hasKey('style'),
+  object => !R.propOr([], object.getValue('in'), styles).includes(object.getValue('style'))
+);
+
+// Styles of query parameters which cannot be expressed in the URI template of
+// the href, such parameters are expanded with the form style
+const uriTemplateUnsupportedStyles = ['spaceDelimited', 'pipeDelimited', 'deepObject'];
+
+const hasStyleUnsupportedInURITemplate = R.both(
+  object => object.getValue('in') === 'query',
+  object => uriTemplateUnsupportedStyles.includes(object.getValue('style'))
+);
+
+const hasExplodeWithoutPathOrQueryIn = R.both(
   object => object.getValue('explode') === true,
+  object => !['path', 'query'].includes(object.getValue('in'))
+);
+
+const hasAllowReservedWithoutQueryIn = R.both(
+  object => object.getValue('allowReserved') === true,
   object => object.getValue('in') !== 'query'
 );
 
+// Serialisation metadata exposed on path and query parameters
+const serialisationKeys = ['style', 'explode', 'allowReserved'];
+
+const parseSchemaObjectOrRef = parseReference('schemas', parseSchemaObject);
+
+/**
+ * Creates the `Cookie` header value for a cookie parameter (`name=value`)
+ * @param name {string}
+ * @param value {Element}
+ * @returns {StringElement}
+ * @private
+ */
+function createCookieValue(namespace, name, value) {
+  const cookie = value !== undefined ? value.valueOf() : undefined;
+  return new namespace.elements.String(`${name}=${R.isNil(cookie) ? '' : cookie}`);
+}
+
 /**
  * Parse Parameter Object
  *
@@ -77,6 +121,7 @@ const hasExplodeWithoutQueryIn = R.both(
  */
 function parseParameterObject(context, object) {
   const { namespace } = context;
+  const extension = createExtension(namespace, object);
 
   const createInvalidInWarning = R.compose(
     createWarning(namespace, `'${name}' 'in' must be either 'query', 'header', 'path' or 'cookie'`),
@@ -84,28 +129,32 @@ function parseParameterObject(context, object) {
   );
   const validateIn = R.unless(isValidInValue, createInvalidInWarning);
 
-  const createUnsupportedInWarning = member => createWarning(namespace,
-    `'${name}' 'in' '${member.value.toValue()}' is unsupported`, member.value);
-  const ensureSupportedIn = R.unless(isSupportedIn, createUnsupportedInWarning);
-
   const parseIn = pipeParseResult(namespace,
     parseString(context, name, true),
-    validateIn,
-    ensureSupportedIn);
+    validateIn);
 
   const parseName = pipeParseResult(namespace, parseString(context, name, true));
 
+  const parseExamples = parameterValue.parseExamples(context, name);
+  const parseContent = parameterValue.parseContent(context, name);
+
   const parseMember = R.cond([
     [hasKey('name'), parseName],
     [hasKey('in'), parseIn],
     [hasKey('description'), parseString(context, name, false)],
     [hasKey('required'), parseBoolean(context, name, false)],
+    [hasKey('style'), parseString(context, name, false)],
     [hasKey('explode'), parseBoolean(context, name, false)],
+    [hasKey('allowReserved'), parseBoolean(context, name, false)],
+    [hasKey('deprecated'), parseBoolean(context, name, false)],
     [hasKey('example'), e => e.clone()],
+    [hasKey('schema'), R.compose(parseSchemaObjectOrRef(context), getValue)],
+    [hasKey('examples'), R.compose(parseExamples, getValue)],
+    [hasKey('content'), R.compose(parseContent, getValue)],
 
     [isUnsupportedKey, createUnsupportedMemberWarning(namespace, name)],
 
-    // FIXME Support exposing extensions into parse result
+    // Extensions are exposed once the object has been parsed
     [isExtension, () => new namespace.elements.ParseResult()],
 
     // Return a warning for additional properties
@@ -143,11 +192,24 @@ function parseParameterObject(context, object) {
     R.when(nameContainsReservedCharacter, createUnsupportedNameError),
     R.when(nameContainsReservedHeaderName, createReservedHeaderNamesWarning));
 
-  const createUnsupportedExplodeWarning = (object) => {
-    const member = object.getMember('explode');
+  const createUnsupportedInLocationWarning = R.curry((key, object) => {
+    const member = object.getMember(key);
     const inValue = object.getValue('in');
     const message = `'${name}' '${member.key.toValue()}' is unsupported in ${inValue}`;
     return createWarning(namespace, message, member.key);
+  });
+
+  const removeDisallowedStyle = (object) => {
+    const style = object.get('style');
+    const message = `'${name}' 'style' '${style.toValue()}' is not permitted in ${object.getValue('in')}`;
+    object.remove('style');
+    return new namespace.elements.ParseResult([object, createWarning(namespace, message, style)]);
+  };
+
+  const createStyleUnsupportedInURITemplateWarning = (object) => {
+    const style = object.get('style');
+    const message = `'${name}' 'style' '${style.toValue()}' cannot be expressed in a URI template, the parameter is described with the form style in the href`;
+    return createWarning(namespace, message, style);
   };
 
   const attachWarning = R.curry((createWarning, value) => {
@@ -161,10 +223,17 @@ function parseParameterObject(context, object) {
     R.when(hasLocation('path'), validatePathName),
     R.when(hasLocation('query'), sanitizeQueryName),
     R.when(hasLocation('header'), validateHeaderName),
-    R.when(hasExplodeWithoutQueryIn, attachWarning(createUnsupportedExplodeWarning)),
+    R.when(hasDisallowedStyle, removeDisallowedStyle),
+    R.when(hasStyleUnsupportedInURITemplate, attachWarning(createStyleUnsupportedInURITemplateWarning)),
+    R.when(hasExplodeWithoutPathOrQueryIn, attachWarning(createUnsupportedInLocationWarning('explode'))),
+    R.when(hasAllowReservedWithoutQueryIn, attachWarning(createUnsupportedInLocationWarning('allowReserved'))),
     (parameter) => {
-      const example = parameter.get('example');
-      const member = new namespace.elements.Member(parameter.get('name'), example);
+      const value = parameterValue.createParameterValue(namespace, parameter);
+
+      // Cookie parameters are represented as `Cookie` header members
+      const member = hasLocation('cookie', parameter)
+        ? new namespace.elements.Member('Cookie', createCookieValue(namespace, parameter.getValue('name'), value))
+        : new namespace.elements.Member(parameter.get('name'), value);
 
       const description = parameter.get('description');
       if (description) {
@@ -177,8 +246,23 @@ function parseParameterObject(context, object) {
         member.attributes.set('typeAttributes', typeAttributes);
       }
 
+      if (hasLocation('path', parameter) || hasLocation('query', parameter)) {
+        serialisationKeys
+          .filter(key => parameter.hasKey(key))
+          .filter(key => key !== 'allowReserved' || hasLocation('query', parameter))
+          .forEach(key => member.attributes.set(key, parameter.get(key).clone()));
+      }
+
+      if (parameter.getValue('deprecated') === true) {
+        member.deprecated = parameter.get('deprecated');
+      }
+
       member.in = parameter.getValue('in');
-      member.explode = parameter.getValue('explode');
+
+      // The content of a member cannot contain the extension element
+      if (extension) {
+        member.attributes.set('extensions', extension);
+      }
 
       return member;
     });
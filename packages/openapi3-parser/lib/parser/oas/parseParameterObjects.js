@@ -12,6 +12,9 @@ const parseParameterObjectOrRef = parseReference('parameters', parseParameterObj
 // Given MemberElement has key `path` or `query`
 const isPathOrQuery = R.either(hasKey('path'), hasKey('query'));
 
+// Given MemberElement has key `header` or `cookie`
+const isHeaderOrCookie = R.either(hasKey('header'), hasKey('cookie'));
+
 /**
  * Parse parameters array
  * @param namespace
@@ -29,12 +32,12 @@ function parseParameterObjects(context, name, array) {
 
   // Convert an array of parameters into the correct types
   const convertParameters = R.cond([
-    [isPathOrQuery, member => new namespace.elements.HrefVariables(member.value.content.map((element) => {
-      const member = element.clone();
-      member.explode = element.explode;
-      return member;
-    }))],
-    // FIXME when headers and cookies are supported these should be converted
+    [isPathOrQuery, member => new namespace.elements.HrefVariables(
+      member.value.content.map(element => element.clone())
+    )],
+    [isHeaderOrCookie, member => new namespace.elements.HttpHeaders(
+      member.value.content.map(element => element.clone())
+    )],
     [R.T, member => member.clone()],
   ]);
 
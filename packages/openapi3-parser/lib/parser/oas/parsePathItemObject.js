@@ -1,9 +1,11 @@
 const R = require('ramda');
-const { isExtension, hasKey, getValue } = require('../../predicates');
+const {
+  isObject, isString, isExtension, hasKey, getValue,
+} = require('../../predicates');
 const {
   createError,
+  createWarning,
   createInvalidMemberWarning,
-  createUnsupportedMemberWarning,
 } = require('../annotations');
 const parseObject = require('../parseObject');
 const parseString = require('../parseString');
@@ -11,14 +13,17 @@ const parseCopy = require('../parseCopy');
 const parseParameterObjects = require('./parseParameterObjects');
 const parseServersArray = require('./parseServersArray');
 const parseOperationObject = require('./parseOperationObject');
+const { addHeaderParameters } = require('../headers');
+const { hrefFromParameters } = require('../uriTemplate');
 const pipeParseResult = require('../../pipeParseResult');
+const { createExtension } = require('../extensions');
+const { splitURI, resolveURI, parseReferencedElement } = require('../externalReferences');
 
 const name = 'Path Item Object';
 const httpMethods = ['get', 'put', 'post', 'delete', 'options', 'head', 'patch', 'trace'];
-const unsupportedKeys = ['$ref'];
 
 const isHttpMethodKey = R.anyPass(R.map(hasKey, httpMethods));
-const isUnsupportedKey = R.anyPass(R.map(hasKey, unsupportedKeys));
+const isReference = R.both(isObject, object => object.hasKey('$ref'));
 
 /**
  * Extract the path variables from a path
@@ -77,6 +82,7 @@ function parseParameters(context, path, member) {
     [hasKey('path'), R.compose(validateHrefVariablesInPath(namespace, path), getValue)],
     [hasKey('query'), member => member],
     [hasKey('header'), member => member],
+    [hasKey('cookie'), member => member],
   ]);
 
   const parseParameters = pipeParseResult(namespace,
@@ -104,23 +110,72 @@ function hrefVariablesFromParameters(namespace, parameters) {
   return undefined;
 }
 
-function hrefFromParameters(path, parameters) {
-  const href = path.clone();
+/**
+ * Returns whether the operations of the path item referenced by the given URI
+ * are parsed elsewhere, either as a path of the document or through an
+ * earlier reference to the path item
+ * @param context
+ * @param uri {string}
+ * @returns {boolean}
+ * @private
+ */
+function isReparsedPathItem(context, uri) {
+  const { document, pointer } = splitURI(uri);
+  const { pathItemReferences } = context.state;
+
+  const isReparsed = (document === '' && pointer.startsWith('/paths/')) || pathItemReferences.has(uri);
+  pathItemReferences.add(uri);
+  return isReparsed;
+}
 
-  if (parameters && parameters.get('query')) {
-    const queryString = parameters.get('query')
-      .map((value, key, member) => {
-        if (member.explode) {
-          return `${key.toValue()}*`;
-        }
+/**
+ * Parse a Path Item Object containing a `$ref`. The referenced path item is
+ * merged with the other fields of the path item, the fields of the path item
+ * take precedence over the fields of the referenced path item. Operations
+ * which are parsed elsewhere are not registered again, so their
+ * `operationId` is not reported as a duplicate.
+ * @param context
+ * @param member {MemberElement} path item member, key is the path
+ * @returns ParseResult<Resource>
+ * @private
+ */
+function parsePathItemReference(context, member) {
+  const { namespace } = context;
+  const ref = member.value.get('$ref');
 
-        return key.toValue();
-      })
-      .join(',');
-    href.content += `{?${queryString}}`;
+  if (!isString(ref)) {
+    return new namespace.elements.ParseResult([
+      createError(namespace, `'${name}' '$ref' is not a string`, ref),
+    ]);
   }
 
-  return href;
+  const isReparsed = isReparsedPathItem(context, resolveURI(context, ref.toValue()));
+
+  return parseReferencedElement(context, ref, (referenced) => {
+    if (!isObject(referenced)) {
+      return new namespace.elements.ParseResult([
+        createWarning(namespace, `'${name}' '$ref' '${ref.toValue()}' does not reference an object`, ref),
+      ]);
+    }
+
+    const fields = member.value.content.filter(R.complement(hasKey('$ref')));
+    const isOverridden = field => fields.some(hasKey(field.key.toValue()));
+    const referencedFields = referenced.content
+      .filter(R.complement(isOverridden))
+      .map(field => field.clone());
+
+    const pathItem = new namespace.elements.Object(referencedFields.concat(fields));
+
+    const { state } = context;
+    const depth = isReparsed ? 1 : 0;
+    state.reparsedPathItems += depth;
+    try {
+      // eslint-disable-next-line no-use-before-define
+      return parsePathItemObject(context, new namespace.elements.Member(member.key, pathItem));
+    } finally {
+      state.reparsedPathItems -= depth;
+    }
+  });
 }
 
 /**
@@ -132,6 +187,12 @@ function hrefFromParameters(path, parameters) {
 function parsePathItemObject(context, member) {
   const { namespace } = context;
 
+  if (isReference(member.value)) {
+    return parsePathItemReference(context, member);
+  }
+
+  const extension = createExtension(namespace, member.value);
+
   const parseMember = R.cond([
     [hasKey('summary'), parseString(context, name, false)],
     [hasKey('description'), parseCopy(context, name, false)],
@@ -139,11 +200,7 @@ function parsePathItemObject(context, member) {
     [hasKey('servers'), R.compose(parseServersArray(context, name), getValue)],
     [isHttpMethodKey, parseOperationObject(context, member.key)],
 
-    // FIXME Parse $ref
-
-    [isUnsupportedKey, createUnsupportedMemberWarning(namespace, name)],
-
-    // FIXME Support exposing extensions into parse result
+    // Extensions are exposed once the object has been parsed
     [isExtension, () => new namespace.elements.ParseResult()],
 
     // Return a warning for every other key
@@ -176,20 +233,27 @@ function parsePathItemObject(context, member) {
         .map(getValue);
       resource.content = resource.content.concat(methods);
 
-      if (parameters && parameters.get('header')) {
-        const headerParameters = parameters.get('header');
+      if (extension) {
+        resource.push(extension);
+      }
+
+      if (parameters && parameters.get('path')) {
+        // Operation hrefs are built from the path, apply the style of path
+        // parameters defined by the path item
+        const pathParameters = new namespace.elements.Object({ path: parameters.get('path') });
+        methods
+          .filter(method => method.href)
+          .forEach((method) => {
+            method.attributes.set('href', hrefFromParameters(method.href, pathParameters));
+          });
+      }
 
+      if (parameters) {
         const transactions = R.chain(method => method.transactions.elements, methods);
         const requests = R.map(transaction => transaction.request, transactions);
 
         requests.forEach((request) => {
-          const headers = R.or(request.headers, new namespace.elements.HttpHeaders());
-
-          headers.content = headers.content.concat(
-            R.reject(member => !headers.include(member.key.toValue()).isEmpty, headerParameters.content)
-          );
-
-          request.headers = headers.clone();
+          addHeaderParameters(namespace, request, parameters);
         });
       }
 
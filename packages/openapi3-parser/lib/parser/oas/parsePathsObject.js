@@ -32,7 +32,7 @@ function parsePaths(context, paths) {
   const parseMember = R.cond([
     [isPathField, parsePathItemObject(context)],
 
-    // FIXME Support exposing extensions into parse result
+    // The Paths Object has no resultant element, extensions are ignored
     [isExtension, () => new namespace.elements.ParseResult()],
 
     // Return a warning for additional properties
@@ -14,6 +14,7 @@ const {
 const parseObject = require('../parseObject');
 const parseMediaTypeObject = require('./parseMediaTypeObject');
 const parseCopy = require('../parseCopy');
+const { createExtension } = require('../extensions');
 
 const name = 'Request Body Object';
 const unsupportedKeys = [
@@ -33,6 +34,7 @@ const isUnsupportedKey = R.anyPass(R.map(hasKey, unsupportedKeys));
  */
 function parseRequestBodyObject(context, element) {
   const { namespace } = context;
+  const extension = createExtension(namespace, element);
 
   const validateIsObject = key => R.unless(isObject,
     createWarning(namespace, `'${name}' '${key}' is not an object`));
@@ -50,7 +52,7 @@ function parseRequestBodyObject(context, element) {
 
     [isUnsupportedKey, createUnsupportedMemberWarning(namespace, name)],
 
-    // FIXME Support exposing extensions into parse result
+    // Extensions are exposed once the object has been parsed
     [isExtension, () => new namespace.elements.ParseResult()],
 
     // Return a warning for additional properties
@@ -68,6 +70,10 @@ function parseRequestBodyObject(context, element) {
           request.push(description);
         }
 
+        if (extension) {
+          request.push(extension.clone());
+        }
+
         return request;
       }));
     });
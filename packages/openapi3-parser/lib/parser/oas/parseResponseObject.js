@@ -5,24 +5,22 @@ const {
 } = require('../../predicates');
 const {
   createWarning,
-  createUnsupportedMemberWarning,
   createInvalidMemberWarning,
 } = require('../annotations');
 const parseObject = require('../parseObject');
 const parseMediaTypeObject = require('./parseMediaTypeObject');
 const parseHeaderObject = require('./parseHeaderObject');
+const parseLinkObject = require('./parseLinkObject');
 const parseCopy = require('../parseCopy');
 const parseReference = require('../parseReference');
 const parseMap = require('../parseMap');
+const { createHeaderMember } = require('../headers');
+const { createExtension } = require('../extensions');
 
 const name = 'Response Object';
-const unsupportedKeys = [
-  'links',
-];
 const requiredKeys = [
   'description',
 ];
-const isUnsupportedKey = R.anyPass(R.map(hasKey, unsupportedKeys));
 
 /**
  * Parse Response Object
@@ -36,11 +34,13 @@ const isUnsupportedKey = R.anyPass(R.map(hasKey, unsupportedKeys));
  */
 function parseResponseObject(context, element) {
   const { namespace } = context;
+  const extension = createExtension(namespace, element);
 
   const validateIsObject = key => R.unless(isObject,
     createWarning(namespace, `'${name}' '${key}' is not an object`));
 
   const parseHeaderObjectOrRef = parseReference('headers', parseHeaderObject);
+  const parseLinkObjectOrRef = parseReference('links', parseLinkObject);
 
   const parseContent = pipeParseResult(namespace,
     validateIsObject('content'),
@@ -54,10 +54,9 @@ function parseResponseObject(context, element) {
     [hasKey('description'), parseCopy(context, name, false)],
 
     [hasKey('headers'), parseMap(context, name, 'headers', parseHeaderObjectOrRef)],
+    [hasKey('links'), parseMap(context, name, 'links', parseLinkObjectOrRef)],
 
-    [isUnsupportedKey, createUnsupportedMemberWarning(namespace, name)],
-
-    // FIXME Support exposing extensions into parse result
+    // Extensions are exposed once the object has been parsed
     [isExtension, () => new namespace.elements.ParseResult()],
 
     // Return a warning for additional properties
@@ -75,6 +74,16 @@ function parseResponseObject(context, element) {
 
       const headers = responseObject.get('headers');
 
+      // The name of a link is the relation of the link
+      const links = R.or(responseObject.get('links'), new namespace.elements.Object())
+        .content
+        .filter(member => member.value !== undefined)
+        .map((member) => {
+          const link = member.value.clone();
+          link.relation = member.key.clone();
+          return link;
+        });
+
       return new namespace.elements.ParseResult(responses.map((response) => {
         if (description) {
           response.push(description);
@@ -82,10 +91,18 @@ function parseResponseObject(context, element) {
 
         if (headers && headers.length > 0) {
           const httpHeaders = R.defaultTo(new namespace.elements.HttpHeaders())(response.headers);
-          headers.forEach((key, value, member) => httpHeaders.push(member));
+          headers.forEach((value, key, member) => httpHeaders.push(value ? createHeaderMember(namespace, key, value) : member));
           response.headers = httpHeaders;
         }
 
+        if (links.length > 0) {
+          response.links = new namespace.elements.Array(links.map(link => link.clone()));
+        }
+
+        if (extension) {
+          response.push(extension.clone());
+        }
+
         return response;
       }));
     });
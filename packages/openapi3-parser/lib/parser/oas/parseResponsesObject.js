@@ -7,6 +7,7 @@ const { createWarning, createInvalidMemberWarning } = require('../annotations');
 const parseObject = require('../parseObject');
 const parseResponseObject = require('./parseResponseObject');
 const parseReference = require('../parseReference');
+const { createExtension } = require('../extensions');
 
 const parseResponseObjectOrRef = parseReference('responses', parseResponseObject);
 
@@ -17,12 +18,17 @@ function isStatusCode(member) {
   return String(member.key.toValue()).match(/^\d\d\d$/);
 }
 
-// Returns if member has key that is 3 digit HTTP status code with X to represent range
-function isStatusCodeRange(member) {
+// Returns if member has key that looks like a 3 digit HTTP status code with X to represent range
+function isStatusCodeRangeLike(member) {
   return String(member.key.toValue()).match(/^[\dX]{3}$/);
 }
 
-const isResponseField = R.anyPass([isStatusCode, isStatusCodeRange, hasKey('default')]);
+// Returns if member has key that is a valid HTTP status code range (1XX to 5XX)
+function isStatusCodeRange(member) {
+  return String(member.key.toValue()).match(/^[1-5]XX$/);
+}
+
+const isResponseField = R.anyPass([isStatusCode, isStatusCodeRangeLike, hasKey('default')]);
 const isKeyString = R.compose(isString, getKey);
 
 /**
@@ -37,9 +43,10 @@ const isKeyString = R.compose(isString, getKey);
  */
 function parseResponsesObject(context, element) {
   const { namespace } = context;
+  const extension = createExtension(namespace, element);
 
-  const createUnsupportedStatusCodeWarning = (member) => {
-    const message = `'${name}' response status code ranges are unsupported`;
+  const createInvalidStatusCodeRangeWarning = (member) => {
+    const message = `'${name}' response status code range '${member.key.toValue()}' is invalid, ranges must be one of '1XX', '2XX', '3XX', '4XX' or '5XX'`;
     return createWarning(namespace, message, member.key);
   };
 
@@ -48,12 +55,10 @@ function parseResponsesObject(context, element) {
     createWarning(namespace, `'${name}' response status code must be a string and should be wrapped in quotes`, member.key),
   ]);
 
-  const isStatusCodeOrDefault = R.either(isStatusCode, hasKey('default'));
+  const isValidStatusCode = R.anyPass([isStatusCode, isStatusCodeRange, hasKey('default')]);
 
-  // FIXME Add support for status code ranges
-  // https://github.com/apiaryio/fury-adapter-oas3-parser/issues/64
   const validateStatusCode = pipeParseResult(namespace,
-    R.unless(isStatusCodeOrDefault, createUnsupportedStatusCodeWarning),
+    R.unless(isValidStatusCode, createInvalidStatusCodeRangeWarning),
     R.unless(isKeyString, attachStatusCodeNotStringWarning));
 
   const parseResponse = pipeParseResult(namespace,
@@ -63,7 +68,7 @@ function parseResponsesObject(context, element) {
   const parseMember = R.cond([
     [isResponseField, parseResponse],
 
-    // FIXME Support exposing extensions into parse result
+    // Extensions are exposed once the object has been parsed
     [isExtension, () => new namespace.elements.ParseResult()],
 
     // Return a warning for additional properties
@@ -75,10 +80,15 @@ function parseResponsesObject(context, element) {
     object => object.content.map((member) => {
       const response = member.value;
 
-      if (isStatusCode(member)) {
+      // Status code ranges (such as `4XX`) are represented as the status code
+      if (isStatusCode(member) || isStatusCodeRange(member)) {
         response.statusCode = String(member.key.toValue());
       }
 
+      if (extension) {
+        response.push(extension.clone());
+      }
+
       return response;
     }));
 
@@ -6,7 +6,7 @@ const {
 } = require('../annotations');
 const pipeParseResult = require('../../pipeParseResult');
 const {
-  isString, hasKey, hasValue, getValue,
+  isString, isNumber, isBoolean, isObject, isArray, isNull, isMember, isExtension, hasKey, hasValue, getValue,
 } = require('../../predicates');
 const parseObject = require('../parseObject');
 const parseArray = require('../parseArray');
@@ -14,28 +14,76 @@ const parseString = require('../parseString');
 const parseBoolean = require('../parseBoolean');
 const parseEnum = require('../parseEnum');
 const parseReference = require('../parseReference');
+const parseDiscriminatorObject = require('./parseDiscriminatorObject');
+const parseXMLObject = require('./parseXMLObject');
+const { createExtension } = require('../extensions');
+const { isReference } = require('../structure');
 
 const name = 'Schema Object';
 const unsupportedKeys = [
-  // JSON Schema
-  'multipleOf', 'maximum', 'exclusiveMaximum', 'minimum',
-  'exclusiveMinimum', 'maxLength', 'minLength', 'pattern', 'maxItems',
-  'minItems', 'uniqueItems', 'maxProperties', 'minProperties',
-
-  // JSON Schema + OAS 3 specific rules
-  'allOf', 'anyOf', 'not', 'additionalProperties', 'format',
-
   // OAS 3 specific
-  'discriminator', 'readOnly', 'writeOnly', 'xml', 'externalDocs', 'deprecated',
+  'externalDocs',
 ];
 const isUnsupportedKey = R.anyPass(R.map(hasKey, unsupportedKeys));
 
+// JSON Schema validation keywords, exposed in the `validation` attribute
+const numberValidationKeys = ['multipleOf', 'maximum', 'minimum'];
+const booleanValidationKeys = ['exclusiveMaximum', 'exclusiveMinimum', 'uniqueItems'];
+const nonNegativeIntegerValidationKeys = [
+  'maxLength', 'minLength', 'maxItems', 'minItems', 'maxProperties', 'minProperties',
+];
+const validationKeys = [
+  ...numberValidationKeys,
+  ...booleanValidationKeys,
+  ...nonNegativeIntegerValidationKeys,
+  'pattern',
+  'format',
+  // the parsed subschema
+  'not',
+];
+
+const isNonNegativeInteger = element => isNumber(element)
+  && Number.isInteger(element.toValue())
+  && element.toValue() >= 0;
+
 // purposely in the order defined in the JSON Schema spec, integer is an OAS 3 specific addition and thus is at the end
 const types = ['boolean', 'object', 'array', 'number', 'string', 'integer'];
 const isValidType = R.anyPass(R.map(hasValue, types));
 
+// OAS 3.1 schemas are JSON Schema 2020-12 schemas, `null` is a type rather
+// than using `nullable`
+const openAPI31Types = [...types, 'null'];
+const isValidOpenAPI31Type = element => isString(element) && openAPI31Types.includes(element.toValue());
+
+// In JSON Schema 2020-12 `exclusiveMaximum` and `exclusiveMinimum` are numbers
+const exclusiveValidationKeys = ['exclusiveMaximum', 'exclusiveMinimum'];
+
+// Content of string instances, exposed as attributes
+const contentKeys = ['contentMediaType', 'contentEncoding'];
+
+const isRequired = (member) => {
+  const typeAttributes = member.attributes.getValue('typeAttributes');
+  return typeAttributes !== undefined && typeAttributes.includes('required');
+};
+
+// `readOnly`, `writeOnly` and `deprecated` of a property schema are recorded
+// on the member
+const memberAttributes = ['readOnly', 'writeOnly', 'deprecated'];
+
+function moveMemberAttributesToMember(member) {
+  const { value } = member;
+
+  memberAttributes.forEach((attribute) => {
+    if (value && value.attributes.getValue(attribute) === true) {
+      member.attributes.set(attribute, true);
+      value.attributes.remove(attribute);
+    }
+  });
+}
+
 function constructObjectStructure(namespace, schema) {
   const element = R.or(schema.get('properties'), new namespace.elements.Object());
+  element.content.filter(isMember).forEach(moveMemberAttributesToMember);
 
   const required = schema.get('required');
   if (required) {
@@ -54,14 +102,48 @@ function constructObjectStructure(namespace, schema) {
       .forEach(member => member.attributes.set('typeAttributes', ['required']));
   }
 
+  const additionalProperties = schema.get('additionalProperties');
+  if (additionalProperties && isBoolean(additionalProperties)) {
+    if (additionalProperties.toValue() === false) {
+      const typeAttributes = element.attributes.get('typeAttributes') || new namespace.elements.Array();
+      typeAttributes.push('fixedType');
+      element.attributes.set('typeAttributes', typeAttributes);
+    }
+  } else if (additionalProperties) {
+    // Additional properties are represented by a variable property name
+    // with the value being the additional properties schema
+    const member = new namespace.elements.Member(new namespace.elements.String(), additionalProperties);
+    member.attributes.set('variable', true);
+    element.push(member);
+  }
+
   return element;
 }
 
+// `items` may be a boolean schema in OAS 3.1, unlike a parsed schema of the
+// boolean type it has a value
+const isBooleanSchema = element => isBoolean(element)
+  && element.content !== undefined
+  && !element.attributes.hasKey('typeAttributes');
+
 function constructArrayStructure(namespace, schema) {
   const element = new namespace.elements.Array();
 
+  // `prefixItems` describe the leading items of the array (a tuple) and
+  // `items` any further items, the number of leading items is kept so that
+  // their position is known
+  const prefixItems = schema.get('prefixItems');
+  if (prefixItems) {
+    prefixItems.content.forEach(item => element.push(item));
+    element.attributes.set('prefixItems', prefixItems.length);
+  }
+
   const items = schema.get('items');
-  if (items) {
+  if (items && isBooleanSchema(items)) {
+    if (items.toValue() === false) {
+      element.attributes.set('typeAttributes', ['fixedType']);
+    }
+  } else if (items) {
     element.attributes.set('typeAttributes', ['fixedType']);
     element.push(items);
   }
@@ -69,6 +151,228 @@ function constructArrayStructure(namespace, schema) {
   return element;
 }
 
+// Creates the element for a single type of a schema
+function constructTypeStructure(namespace, schema, type) {
+  if (type === 'object') {
+    return constructObjectStructure(namespace, schema);
+  }
+
+  if (type === 'array') {
+    return constructArrayStructure(namespace, schema);
+  }
+
+  if (type === 'string') {
+    return new namespace.elements.String();
+  }
+
+  if (type === 'number' || type === 'integer') {
+    return new namespace.elements.Number();
+  }
+
+  if (type === 'boolean') {
+    return new namespace.elements.Boolean();
+  }
+
+  return new namespace.elements.Null();
+}
+
+// Returns whether the given element represents an object, references
+// to data structures which are not yet known are presumed to be objects
+function isObjectLike(namespace, element) {
+  if (element instanceof namespace.elements.Object) {
+    return true;
+  }
+
+  return isReference(element) && element.constructor === namespace.elements.Element;
+}
+
+/**
+ * Merges the members of the given object into the target object. Members
+ * which already exist are only updated with the `required` type attribute.
+ * @private
+ */
+function mergeObjectMembers(namespace, target, object) {
+  object.content.forEach((item) => {
+    if (item.element !== 'member') {
+      target.push(item.clone());
+      return;
+    }
+
+    const key = item.key.toValue();
+    const existing = target.content.find(member => member.element === 'member' && member.key.toValue() === key);
+
+    if (existing === undefined) {
+      target.push(item.clone());
+    } else if (isRequired(item) && !isRequired(existing)) {
+      const typeAttributes = existing.attributes.get('typeAttributes') || new namespace.elements.Array();
+      typeAttributes.push('required');
+      existing.attributes.set('typeAttributes', typeAttributes);
+    }
+  });
+}
+
+/**
+ * Creates an element for the subschemas of `allOf`
+ *
+ * The first reference becomes the type the resultant element inherits from,
+ * any further references are included as mixins (`ref` elements) and the
+ * members of inline object schemas are merged into the element.
+ *
+ * @param context
+ * @param allOf {ArrayElement} - parsed subschemas
+ * @returns ParseResult<Element>
+ * @private
+ */
+function constructAllOfStructure(context, allOf) {
+  const { namespace } = context;
+  const parseResult = new namespace.elements.ParseResult();
+  const subschemas = allOf.content;
+
+  if (subschemas.length === 0) {
+    parseResult.push(new namespace.elements.Object());
+    return parseResult;
+  }
+
+  const createInherited = (reference) => {
+    const Element = reference.constructor === namespace.elements.Element
+      ? namespace.elements.Object
+      : reference.constructor;
+    const element = new Element();
+    element.element = reference.element;
+    return element;
+  };
+
+  if (subschemas.every(subschema => isObjectLike(namespace, subschema))) {
+    const references = subschemas.filter(isReference);
+    const element = references.length > 0 ? createInherited(references[0]) : new namespace.elements.Object();
+
+    subschemas.forEach((subschema) => {
+      if (subschema === references[0]) {
+        return;
+      }
+
+      if (isReference(subschema)) {
+        element.push(new namespace.elements.Ref(subschema.element));
+      } else {
+        mergeObjectMembers(namespace, element, subschema);
+      }
+    });
+
+    parseResult.push(element);
+    return parseResult;
+  }
+
+  const [first, ...rest] = subschemas;
+  const element = isReference(first) ? createInherited(first) : first.clone();
+
+  rest.forEach((subschema) => {
+    if (subschema.constructor !== element.constructor || isReference(subschema)) {
+      parseResult.push(createWarning(namespace,
+        `'${name}' 'allOf' has limited support, subschemas of type '${subschema.element}' cannot be combined with '${element.element}' and have been ignored`,
+        allOf));
+      return;
+    }
+
+    [['meta', subschema.meta], ['attributes', subschema.attributes]].forEach(([property, values]) => {
+      values.forEach((value, key) => {
+        if (!element[property].hasKey(key.toValue())) {
+          element[property].set(key.toValue(), value.clone());
+        }
+      });
+    });
+  });
+
+  parseResult.unshift(element);
+  return parseResult;
+}
+
+/**
+ * Creates a `select` element with an `option` for each of the given
+ * subschemas
+ *
+ * @param namespace
+ * @param subschemas {Element[]} - parsed subschemas
+ * @returns Element
+ * @private
+ */
+function constructSelectStructure(namespace, subschemas) {
+  const options = subschemas.map((subschema) => {
+    const content = isReference(subschema)
+      ? [new namespace.elements.Ref(subschema.element)]
+      : subschema.content.map(item => item.clone());
+
+    const option = new namespace.elements.Element(content);
+    option.element = 'option';
+    return option;
+  });
+
+  const select = new namespace.elements.Element(options);
+  select.element = 'select';
+  return select;
+}
+
+/**
+ * Creates an element for the subschemas of `anyOf`
+ *
+ * When all of the subschemas are objects, the element is a `select` with an
+ * `option` for each subschema which may be placed inside an object. Otherwise
+ * the subschemas are represented as an enumeration as done for `oneOf`.
+ *
+ * @param namespace
+ * @param anyOf {ArrayElement} - parsed subschemas
+ * @returns Element
+ * @private
+ */
+function constructAnyOfStructure(namespace, anyOf) {
+  if (anyOf.isEmpty || !anyOf.content.every(subschema => isObjectLike(namespace, subschema))) {
+    const element = new namespace.elements.Enum();
+    element.enumerations = anyOf;
+    return element;
+  }
+
+  return constructSelectStructure(namespace, anyOf.content);
+}
+
+/**
+ * Creates the `select` element for `oneOf` alongside a `discriminator`,
+ * returns undefined when not all of the subschemas are objects
+ *
+ * Subschemas referencing a schema component which isn't the target of a
+ * discriminator mapping are implicitly mapped by the name of the component.
+ *
+ * @param namespace
+ * @param oneOf {EnumElement}
+ * @param discriminator {ObjectElement} - parsed Discriminator Object
+ * @returns Element
+ * @private
+ */
+function constructDiscriminatedStructure(namespace, oneOf, discriminator) {
+  const subschemas = oneOf.enumerations.content;
+
+  if (subschemas.length === 0 || !subschemas.every(subschema => isObjectLike(namespace, subschema))) {
+    return undefined;
+  }
+
+  const select = constructSelectStructure(namespace, subschemas);
+  const result = discriminator.clone();
+  const mapping = result.get('mapping') || new namespace.elements.Object();
+  const mapped = mapping.content.map(member => member.value.toValue());
+
+  subschemas
+    .filter(isReference)
+    .filter(subschema => !mapped.includes(subschema.element))
+    .forEach(subschema => mapping.set(subschema.element, new namespace.elements.Ref(subschema.element)));
+
+  if (!mapping.isEmpty) {
+    result.set('mapping', mapping);
+  }
+
+  select.attributes.set('discriminator', result);
+  return select;
+}
+
+const isSelect = element => element.element === 'select';
+
 const typeToElementNameMap = {
   array: 'array',
   boolean: 'boolean',
@@ -79,11 +383,10 @@ const typeToElementNameMap = {
   string: 'string',
 };
 
-// Returns whether the given element value matches the provided schema type
-const valueMatchesType = (type, value) => {
-  const expectedElementType = typeToElementNameMap[type];
-  return value.element === expectedElementType;
-};
+// Returns whether the given element value matches the provided schema type,
+// or one of the types
+const valueMatchesType = (type, value) => [].concat(type)
+  .some(expectedType => value.element === typeToElementNameMap[expectedType]);
 
 // Returns whether the given element value matches an enumeration of fixed values
 const valueMatchesEnumerationValues = (enumeration, value) => {
@@ -109,13 +412,13 @@ function validateValuesMatchSchema(context, schema) {
     const type = schema.getValue('type');
     if (type && !valueMatchesType(type, member.value)) {
       return createWarning(namespace,
-        `'${name}' '${member.key.toValue()}' does not match expected type '${type}'`, member.value);
+        `'${name}' '${member.key.toValue()}' does not match expected type '${[].concat(type).join("' or '")}'`, member.value);
     }
 
     return member;
   };
 
-  const isDefaultOrExample = R.either(hasKey('example'), hasKey('default'));
+  const isDefaultOrExample = R.anyPass([hasKey('example'), hasKey('default'), hasKey('const')]);
   const parseMember = R.cond([
     [isDefaultOrExample, validate],
     [R.T, e => e],
@@ -153,6 +456,7 @@ function validateOneOfIsNotUsedWithUnsupportedConstraints(context) {
     hasKey('description'),
     hasKey('default'),
     hasKey('example'),
+    hasKey('examples'),
   ]);
 
   const createUnsupportedWithOneOfWarning = member => createWarning(context.namespace,
@@ -161,6 +465,7 @@ function validateOneOfIsNotUsedWithUnsupportedConstraints(context) {
 
   const parseMember = R.cond([
     [hasKey('oneOf'), R.identity],
+    [hasKey('discriminator'), R.identity],
     [hasKey('nullable'), R.identity],
     [isAnnotation, R.identity],
     [R.T, createUnsupportedWithOneOfWarning],
@@ -184,13 +489,55 @@ function parseSchema(context) {
     parseString(context, name, false),
     ensureValidType);
 
+  const isOpenAPI31OrHigher = () => context.isOpenAPIVersionMoreThanOrEqual(3, 1);
+
+  const parseOpenAPI31TypeArray = parseArray(context, `${name}' 'type`,
+    R.unless(isValidOpenAPI31Type,
+      createWarning(namespace, `'${name}' 'type' array value must be either ${openAPI31Types.join(', ')}`)));
+
+  const parseOpenAPI31Type = R.ifElse(R.compose(isArray, getValue),
+    R.compose(parseOpenAPI31TypeArray, getValue),
+    pipeParseResult(namespace,
+      parseString(context, name, false),
+      R.unless(
+        R.compose(isValidOpenAPI31Type, getValue),
+        R.compose(
+          createWarning(namespace, `'${name}' 'type' must be either ${openAPI31Types.join(', ')}`),
+          getValue
+        )
+      )));
+
+  const createNullableRemovedWarning = member => createWarning(namespace,
+    `'${name}' 'nullable' is not supported in OpenAPI 3.1, use 'null' in 'type' instead`, member.key);
+
   const parseSubSchema = element => parseReference('schemas', R.uncurryN(2, parseSchema), context, element, true);
   const parseProperties = parseObject(context, `${name}' 'properties`, R.compose(parseSubSchema, getValue));
 
+  const parseAdditionalProperties = R.cond([
+    [isBoolean, e => e.clone()],
+    [isObject, parseSubSchema],
+    [R.T, createWarning(namespace, `'${name}' 'additionalProperties' is not a boolean or an object`)],
+  ]);
+
+  const parseNumberValidation = R.unless(R.compose(isNumber, getValue),
+    member => createWarning(namespace, `'${name}' '${member.key.toValue()}' is not a number`, member.value));
+  const parseNonNegativeIntegerValidation = R.unless(R.compose(isNonNegativeInteger, getValue),
+    member => createWarning(namespace, `'${name}' '${member.key.toValue()}' is not a non-negative integer`, member.value));
+
   const parseRequiredString = R.unless(isString,
     createWarning(namespace, `'${name}' 'required' array value is not a string`));
   const parseRequired = parseArray(context, `${name}' 'required`, parseRequiredString);
 
+  const parseItems = R.ifElse(isBoolean, e => e.clone(), parseSubSchema);
+  const parsePrefixItems = parseArray(context, `${name}' 'prefixItems`, parseSubSchema);
+
+  // Definitions are parsed when they are referenced
+  const parseDefs = R.unless(isObject, createWarning(namespace, `'${name}' '$defs' is not an object`));
+
+  const parseExamples = R.ifElse(R.compose(isArray, getValue),
+    e => e.clone(),
+    member => createWarning(namespace, `'${name}' 'examples' is not an array`, member.value));
+
   const parseOneOf = pipeParseResult(namespace,
     parseArray(context, `${name}' 'oneOf`, parseSubSchema),
     (oneOf) => {
@@ -199,21 +546,67 @@ function parseSchema(context) {
       return element;
     });
 
+  // Subschemas of allOf frequently omit `type: object` when describing
+  // properties which are combined with another object schema
+  const isUntypedObjectSchema = element => isObject(element)
+    && !element.hasKey('type')
+    && (element.hasKey('properties') || element.hasKey('required'));
+  const addObjectType = (element) => {
+    const schema = element.clone();
+    schema.set('type', 'object');
+    return schema;
+  };
+  const parseAllOfSubSchema = R.compose(parseSubSchema, R.when(isUntypedObjectSchema, addObjectType));
+
+  const parseAllOf = pipeParseResult(namespace,
+    parseArray(context, `${name}' 'allOf`, parseAllOfSubSchema),
+    R.curry(constructAllOfStructure)(context));
+
+  const parseAnyOf = pipeParseResult(namespace,
+    parseArray(context, `${name}' 'anyOf`, parseSubSchema),
+    R.curry(constructAnyOfStructure)(namespace));
+
   const parseMember = R.cond([
+    // OAS 3.1 (JSON Schema 2020-12) specific
+    [R.both(hasKey('type'), isOpenAPI31OrHigher), parseOpenAPI31Type],
+    [R.both(hasKey('nullable'), isOpenAPI31OrHigher), createNullableRemovedWarning],
+    [R.both(hasKey('items'), isOpenAPI31OrHigher), R.compose(parseItems, getValue)],
+    [R.both(R.anyPass(R.map(hasKey, exclusiveValidationKeys)), isOpenAPI31OrHigher), parseNumberValidation],
+    [R.both(hasKey('const'), isOpenAPI31OrHigher), e => e.clone()],
+    [R.both(hasKey('examples'), isOpenAPI31OrHigher), parseExamples],
+    [R.both(hasKey('prefixItems'), isOpenAPI31OrHigher), R.compose(parsePrefixItems, getValue)],
+    [R.both(hasKey('$defs'), isOpenAPI31OrHigher), R.compose(parseDefs, getValue)],
+    [R.both(R.anyPass(R.map(hasKey, contentKeys)), isOpenAPI31OrHigher), parseString(context, name, false)],
+
     [hasKey('type'), parseType],
     [hasKey('enum'), R.compose(parseEnum(context, name), getValue)],
     [hasKey('properties'), R.compose(parseProperties, getValue)],
     [hasKey('items'), R.compose(parseSubSchema, getValue)],
+    [hasKey('additionalProperties'), R.compose(parseAdditionalProperties, getValue)],
     [hasKey('required'), R.compose(parseRequired, getValue)],
     [hasKey('nullable'), parseBoolean(context, name, false)],
     [hasKey('title'), parseString(context, name, false)],
     [hasKey('description'), parseString(context, name, false)],
     [hasKey('default'), e => e.clone()],
     [hasKey('example'), e => e.clone()],
+    [R.anyPass(R.map(hasKey, numberValidationKeys)), parseNumberValidation],
+    [R.anyPass(R.map(hasKey, booleanValidationKeys)), parseBoolean(context, name, false)],
+    [R.anyPass(R.map(hasKey, nonNegativeIntegerValidationKeys)), parseNonNegativeIntegerValidation],
+    [hasKey('pattern'), parseString(context, name, false)],
+    [hasKey('format'), parseString(context, name, false)],
+    [R.anyPass(R.map(hasKey, memberAttributes)), parseBoolean(context, name, false)],
     [hasKey('oneOf'), R.compose(parseOneOf, getValue)],
+    [hasKey('allOf'), R.compose(parseAllOf, getValue)],
+    [hasKey('anyOf'), R.compose(parseAnyOf, getValue)],
+    [hasKey('not'), R.compose(parseSubSchema, getValue)],
+    [hasKey('discriminator'), R.compose(parseDiscriminatorObject(context), getValue)],
+    [hasKey('xml'), R.compose(parseXMLObject(context), getValue)],
 
     [isUnsupportedKey, createUnsupportedMemberWarning(namespace, name)],
 
+    // Extensions are kept to be exposed as the `extensions` attribute
+    [isExtension, e => e.clone()],
+
     // Return a warning for additional properties
     [R.T, createInvalidMemberWarning(namespace, name)],
   ]);
@@ -226,23 +619,57 @@ function parseSchema(context) {
       let element;
 
       const oneOf = schema.get('oneOf');
+      const allOf = schema.get('allOf');
+      const anyOf = schema.get('anyOf');
+      const discriminator = schema.get('discriminator');
       const enumerations = schema.get('enum');
-      const type = schema.getValue('type');
+      const constValue = schema.get('const');
+
+      // OAS 3.1 permits an array of types, including `null` makes the
+      // element nullable
+      const typeValue = schema.getValue('type');
+      const schemaTypes = typeValue === undefined ? [] : [].concat(typeValue);
+      const nonNullTypes = schemaTypes.filter(type => type !== 'null');
+      const type = nonNullTypes.length === 1 ? nonNullTypes[0] : undefined;
+      const hasObjectConstraints = schema.hasKey('properties') || schema.hasKey('required');
+
+      let select;
+      if (anyOf && isSelect(anyOf)) {
+        select = anyOf;
+      } else if (oneOf && discriminator) {
+        select = constructDiscriminatedStructure(namespace, oneOf, discriminator);
+      }
 
-      if (oneOf) {
+      if (oneOf && !select) {
         element = oneOf;
+      } else if (constValue) {
+        element = constValue;
+
+        if (!isNull(element)) {
+          element.attributes.set('typeAttributes', ['fixed']);
+        }
       } else if (enumerations) {
         element = enumerations;
-      } else if (type === 'object') {
+      } else if (allOf) {
+        element = allOf;
+
+        if (hasObjectConstraints && element instanceof namespace.elements.Object) {
+          mergeObjectMembers(namespace, element, constructObjectStructure(namespace, schema));
+        }
+      } else if (type === 'object' || select) {
         element = constructObjectStructure(namespace, schema);
-      } else if (type === 'array') {
-        element = constructArrayStructure(namespace, schema);
-      } else if (type === 'string') {
-        element = new namespace.elements.String();
-      } else if (type === 'number' || type === 'integer') {
-        element = new namespace.elements.Number();
-      } else if (type === 'boolean') {
-        element = new namespace.elements.Boolean();
+      } else if (anyOf) {
+        element = anyOf;
+      } else if (type) {
+        element = constructTypeStructure(namespace, schema, type);
+      } else if (nonNullTypes.length > 1) {
+        element = new namespace.elements.Enum();
+        element.enumerations = R.uniqBy(
+          enumeration => enumeration.element,
+          nonNullTypes.map(nonNullType => constructTypeStructure(namespace, schema, nonNullType))
+        );
+      } else if (schemaTypes.length > 0) {
+        element = new namespace.elements.Null();
       } else {
         element = new namespace.elements.Enum();
         element.enumerations = [
@@ -254,6 +681,34 @@ function parseSchema(context) {
         ];
       }
 
+      if (select && element instanceof namespace.elements.Object) {
+        if (discriminator && !select.attributes.hasKey('discriminator')) {
+          select.attributes.set('discriminator', discriminator);
+        }
+
+        element.push(select);
+      } else if (discriminator) {
+        element.attributes.set('discriminator', discriminator);
+      }
+
+      const xml = schema.get('xml');
+      if (xml) {
+        element.attributes.set('xml', xml);
+      }
+
+      memberAttributes.forEach((attribute) => {
+        if (schema.getValue(attribute) === true) {
+          element.attributes.set(attribute, true);
+        }
+      });
+
+      const validation = schema.content
+        .filter(member => validationKeys.includes(member.key.toValue()))
+        .map(member => member.clone());
+      if (validation.length > 0) {
+        element.attributes.set('validation', new namespace.elements.Object(validation));
+      }
+
       const title = schema.getValue('title');
       if (title) {
         element.title = title;
@@ -264,7 +719,7 @@ function parseSchema(context) {
         element.description = description;
       }
 
-      const nullable = schema.getValue('nullable');
+      const nullable = schema.getValue('nullable') || (nonNullTypes.length > 0 && schemaTypes.includes('null'));
       if (nullable) {
         const typeAttributes = element.attributes.get('typeAttributes') || new namespace.elements.Array();
         typeAttributes.push('nullable');
@@ -276,9 +731,23 @@ function parseSchema(context) {
         element.attributes.set('default', defaultValue);
       }
 
+      const examples = schema.get('examples');
       const example = schema.get('example');
-      if (example) {
-        element.attributes.set('samples', [example]);
+      const samples = (examples ? examples.content : []).concat(example ? [example] : []);
+      if (samples.length > 0) {
+        element.attributes.set('samples', samples);
+      }
+
+      contentKeys.forEach((key) => {
+        const value = schema.get(key);
+        if (value) {
+          element.attributes.set(key, value);
+        }
+      });
+
+      const extension = createExtension(namespace, schema);
+      if (extension) {
+        element.attributes.set('extensions', extension);
       }
 
       return element;
@@ -288,11 +757,15 @@ function parseSchema(context) {
 /**
  * Parse Schema Object
  *
+ * Schemas of OpenAPI 3.1 documents are parsed as JSON Schema 2020-12, where
+ * `type` may be an array of types including `null` in place of `nullable`.
+ *
  * @param namespace {Namespace}
  * @param element {Element}
  * @returns ParseResult
  *
  * @see https://github.com/OAI/OpenAPI-Specification/blob/master/versions/3.0.0.md#schemaObject
+ * @see https://spec.openapis.org/oas/v3.1.0#schema-object
  * @private
  */
 function parseSchemaObject(context, element) {
@@ -11,6 +11,7 @@ const pipeParseResult = require('../../pipeParseResult');
 const parseObject = require('../parseObject');
 const parseString = require('../parseString');
 const parseOauthFlowsObject = require('./parseOauthFlowsObject');
+const { createExtension } = require('../extensions');
 
 const name = 'Security Scheme Object';
 const requiredKeys = ['type'];
@@ -110,6 +111,7 @@ function validateOauth2Scheme(context, securityScheme) {
  */
 function parseSecuritySchemeObject(context, object) {
   const { namespace } = context;
+  const extension = createExtension(namespace, object);
 
   const createInvalidTypeWarning = R.compose(
     createWarning(namespace, `'${name}' 'type' must be either 'apiKey', 'http', 'oauth2' or 'openIdConnect'`),
@@ -133,7 +135,7 @@ function parseSecuritySchemeObject(context, object) {
 
     [isUnsupportedKey, createUnsupportedMemberWarning(namespace, name)],
 
-    // FIXME Support exposing extensions into parse result
+    // Extensions are exposed once the object has been parsed
     [isExtension, () => new namespace.elements.ParseResult()],
 
     // Return a warning for additional properties
@@ -162,6 +164,10 @@ function parseSecuritySchemeObject(context, object) {
           });
         }
 
+        if (extension) {
+          flows.forEach(flow => flow.push(extension.clone()));
+        }
+
         return flows;
       }
 
@@ -192,6 +198,10 @@ function parseSecuritySchemeObject(context, object) {
         authScheme.push(new namespace.elements.Member(key, securityScheme.get('name')));
       }
 
+      if (extension) {
+        authScheme.push(extension);
+      }
+
       return authScheme;
     });
 
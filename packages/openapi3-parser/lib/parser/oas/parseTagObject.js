@@ -0,0 +1,74 @@
+const R = require('ramda');
+const { isObject, isExtension, hasKey } = require('../../predicates');
+const {
+  createWarning,
+  createUnsupportedMemberWarning,
+  createInvalidMemberWarning,
+} = require('../annotations');
+const pipeParseResult = require('../../pipeParseResult');
+const parseObject = require('../parseObject');
+const parseString = require('../parseString');
+const parseCopy = require('../parseCopy');
+const { createExtension } = require('../extensions');
+
+const name = 'Tag Object';
+const requiredKeys = ['name'];
+const unsupportedKeys = ['externalDocs'];
+const isUnsupportedKey = R.anyPass(R.map(hasKey, unsupportedKeys));
+
+/**
+ * Parse Tag Object
+ *
+ * The tag is represented as a resource group, a category with the
+ * `resourceGroup` class titled with the name of the tag. The description of
+ * the tag is the copy of the resource group. Resources are added to the
+ * resource group once all operations of the document have been parsed.
+ *
+ * @param context
+ * @param element {Element}
+ * @returns ParseResult<Category>
+ *
+ * @see http://spec.openapis.org/oas/v3.0.3#tag-object
+ * @private
+ */
+function parseTagObject(context, element) {
+  const { namespace } = context;
+  const extension = createExtension(namespace, element);
+
+  const parseMember = R.cond([
+    [hasKey('name'), parseString(context, name, false)],
+    [hasKey('description'), parseCopy(context, name, false)],
+
+    [isUnsupportedKey, createUnsupportedMemberWarning(namespace, name)],
+
+    // Extensions are exposed once the object has been parsed
+    [isExtension, () => new namespace.elements.ParseResult()],
+
+    // Return a warning for additional properties
+    [R.T, createInvalidMemberWarning(namespace, name)],
+  ]);
+
+  const parseTag = pipeParseResult(namespace,
+    R.unless(isObject, createWarning(namespace, `'${name}' is not an object`)),
+    parseObject(context, name, parseMember, requiredKeys, [], true),
+    (tag) => {
+      const group = new namespace.elements.Category();
+      group.classes.push('resourceGroup');
+      group.title = tag.get('name').clone();
+
+      const description = tag.get('description');
+      if (description) {
+        group.push(description);
+      }
+
+      if (extension) {
+        group.push(extension);
+      }
+
+      return group;
+    });
+
+  return parseTag(element);
+}
+
+module.exports = R.curry(parseTagObject);
@@ -0,0 +1,59 @@
+const R = require('ramda');
+const {
+  createWarning,
+  createInvalidMemberWarning,
+} = require('../annotations');
+const { isObject, hasKey, isExtension } = require('../../predicates');
+const parseObject = require('../parseObject');
+const parseString = require('../parseString');
+const parseBoolean = require('../parseBoolean');
+const pipeParseResult = require('../../pipeParseResult');
+const { createExtension } = require('../extensions');
+
+const name = 'XML Object';
+
+const parseMember = context => R.cond([
+  [hasKey('name'), parseString(context, name, false)],
+  [hasKey('namespace'), parseString(context, name, false)],
+  [hasKey('prefix'), parseString(context, name, false)],
+  [hasKey('attribute'), parseBoolean(context, name, false)],
+  [hasKey('wrapped'), parseBoolean(context, name, false)],
+
+  // Extensions are exposed once the object has been parsed
+  [isExtension, () => new context.namespace.elements.ParseResult()],
+
+  // Return a warning for additional properties
+  [R.T, createInvalidMemberWarning(context.namespace, name)],
+]);
+
+/**
+ * Parse the OpenAPI 'XML Object'
+ *
+ * The XML Object describes how the schema is represented in XML message
+ * bodies, such as the name of the XML element or whether a property is an
+ * XML attribute. Specification extensions are exposed as the `extensions`
+ * attribute of the object.
+ *
+ * @see http://spec.openapis.org/oas/v3.0.3#xml-object
+ * @returns ParseResult<Object>
+ * @private
+ */
+const parseXMLObject = context => (element) => {
+  const { namespace } = context;
+  const extension = createExtension(namespace, element);
+
+  const parseXML = pipeParseResult(namespace,
+    R.unless(isObject, createWarning(namespace, `'${name}' is not an object`)),
+    parseObject(context, name, parseMember(context)),
+    (xml) => {
+      if (extension) {
+        xml.attributes.set('extensions', extension);
+      }
+
+      return xml;
+    });
+
+  return parseXML(element);
+};
+
+module.exports = parseXMLObject;
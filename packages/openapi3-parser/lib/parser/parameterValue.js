@@ -0,0 +1,157 @@
+const R = require('ramda');
+const {
+  isObject, isExtension, hasKey, getValue,
+} = require('../predicates');
+const {
+  createWarning,
+  createUnsupportedMemberWarning,
+  createInvalidMemberWarning,
+} = require('./annotations');
+const pipeParseResult = require('../pipeParseResult');
+const parseObject = require('./parseObject');
+const parseReference = require('./parseReference');
+const parseSchemaObject = require('./oas/parseSchemaObject');
+const parseExampleObject = require('./oas/parseExampleObject');
+
+const mediaTypeName = 'Media Type Object';
+
+const isPrimitive = (namespace, element) => [
+  namespace.elements.String, namespace.elements.Number, namespace.elements.Boolean,
+].some(Type => element instanceof Type);
+
+const parseSchemaObjectOrRef = parseReference('schemas', parseSchemaObject);
+const parseExampleObjectOrRef = parseReference('examples', parseExampleObject);
+
+/**
+ * Returns a parser for the `examples` of a parameter (or header)
+ * @param context
+ * @param name {string} - name of the object containing the examples
+ * @returns {function}
+ * @private
+ */
+function parseExamples(context, name) {
+  const { namespace } = context;
+
+  return pipeParseResult(namespace,
+    R.unless(isObject, createWarning(namespace, `'${name}' 'examples' is not an object`)),
+    parseObject(context, `${name}' 'examples`, R.compose(parseExampleObjectOrRef(context), getValue)));
+}
+
+/**
+ * Returns a parser for the `content` of a parameter (or header), the content
+ * must contain a single media type describing the value
+ * @param context
+ * @param name {string} - name of the object containing the content
+ * @returns {function}
+ * @private
+ */
+function parseContent(context, name) {
+  const { namespace } = context;
+
+  const parseMediaTypeMember = R.cond([
+    [hasKey('schema'), R.compose(parseSchemaObjectOrRef(context), getValue)],
+    [hasKey('example'), e => e.clone()],
+    [hasKey('examples'), R.compose(parseExamples(context, mediaTypeName), getValue)],
+
+    [hasKey('encoding'), createUnsupportedMemberWarning(namespace, mediaTypeName)],
+
+    [isExtension, () => new namespace.elements.ParseResult()],
+
+    [R.T, createInvalidMemberWarning(namespace, mediaTypeName)],
+  ]);
+
+  const parseMediaType = pipeParseResult(namespace,
+    R.unless(isObject, createWarning(namespace, `'${mediaTypeName}' is not an object`)),
+    parseObject(context, mediaTypeName, parseMediaTypeMember));
+
+  const ensureSingleMediaType = (content) => {
+    if (content.length <= 1) {
+      return content;
+    }
+
+    const warning = createWarning(namespace,
+      `'${name}' 'content' must only contain one media type, other media types have been ignored`,
+      content.content[1].key);
+    return new namespace.elements.ParseResult([
+      new namespace.elements.Object([content.first]),
+      warning,
+    ]);
+  };
+
+  return pipeParseResult(namespace,
+    R.unless(isObject, createWarning(namespace, `'${name}' 'content' is not an object`)),
+    parseObject(context, `${name}' 'content`, R.compose(parseMediaType, getValue)),
+    R.unless(content => content.isEmpty, ensureSingleMediaType));
+}
+
+/**
+ * Returns the example values of a parameter (or of its media type)
+ * @param object {ObjectElement}
+ * @returns {Element[]}
+ * @private
+ */
+function exampleValues(object) {
+  const example = object.get('example');
+  if (example) {
+    return [example];
+  }
+
+  const examples = object.get('examples');
+  if (examples) {
+    return examples.content
+      .map(member => member.value.get('value'))
+      .filter(value => value !== undefined);
+  }
+
+  return [];
+}
+
+/**
+ * Creates the value of a parameter from its schema and examples, the first
+ * example becomes the content of the value when the schema is an enumeration
+ * or a primitive of the same type, other examples are added as samples
+ * @param object {ObjectElement} - the parameter or its media type
+ * @returns {Element}
+ * @private
+ */
+function createParameterValue(namespace, object) {
+  const content = object.get('content');
+  if (content && !content.isEmpty) {
+    // Parameters using `content` are described by the single media type
+    return createParameterValue(namespace, content.first.value);
+  }
+
+  const examples = exampleValues(object).map(example => example.clone());
+  const schema = object.get('schema');
+
+  let value;
+  let samples = examples;
+
+  if (schema) {
+    value = schema.content.clone();
+
+    const [example] = examples;
+    if (example && value instanceof namespace.elements.Enum) {
+      value.content = example;
+      samples = examples.slice(1);
+    } else if (example && isPrimitive(namespace, value) && example.element === value.element) {
+      value.content = example.content;
+      samples = examples.slice(1);
+    }
+  } else if (examples.length > 0) {
+    [value, ...samples] = examples;
+  }
+
+  if (value !== undefined && samples.length > 0) {
+    const existingSamples = value.attributes.get('samples');
+    value.attributes.set('samples', existingSamples ? existingSamples.content.concat(samples) : samples);
+  }
+
+  return value;
+}
+
+module.exports = {
+  parseExamples,
+  parseContent,
+  createParameterValue,
+};
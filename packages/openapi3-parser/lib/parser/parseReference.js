@@ -1,13 +1,158 @@
 const R = require('ramda');
-const { isObject, isAnnotation } = require('../predicates');
+const { isObject, isString, isAnnotation } = require('../predicates');
 const parseReferenceObject = require('./oas/parseReferenceObject');
+const {
+  unescapeJSONPointer, splitURI, resolveURI, isExternalReference, parseReferencedElement,
+} = require('./externalReferences');
 
 function isReferenceObject(element) {
   return isObject(element) && element.get('$ref') !== undefined;
 }
 
+// In OAS 3.1 a schema `$ref` is a JSON Schema keyword and may have sibling
+// keywords, which apply alongside the referenced schema
+function hasSiblingKeywords(context, component, element) {
+  return component === 'schemas'
+    && context.isOpenAPIVersionMoreThanOrEqual(3, 1)
+    && element.content.some(member => member.key.toValue() !== '$ref');
+}
+
+// In OAS 3.1 a schema `$ref` may reference any schema of the document, such
+// as a schema inside `$defs`, rather than only a schema component
+function isLocalSchemaPointer(context, component, ref) {
+  return component === 'schemas'
+    && context.isOpenAPIVersionMoreThanOrEqual(3, 1)
+    && ref.startsWith('#/')
+    && !/^#\/components\/schemas\/[^/]+$/.test(ref);
+}
+
+/**
+ * Returns an identifier for the data structure of a schema referenced by URI,
+ * named after the last token of the JSON pointer or the name of the document.
+ * The identifier is unique amongst the schema components and the other
+ * referenced schemas.
+ * @param context
+ * @param uri {string}
+ * @returns {string}
+ * @private
+ */
+function schemaReferenceId(context, uri) {
+  const { components, schemaReferences } = context.state;
+  const { document, pointer } = splitURI(uri);
+
+  const name = pointer === ''
+    ? document.split('/').pop().replace(/\.[^.]*$/, '')
+    : unescapeJSONPointer(pointer.split('/').pop());
+  const base = name.replace(/[^A-Za-z0-9._-]/g, '_') || 'Schema';
+
+  const schemas = components && components.get('schemas');
+  const ids = Array.from(schemaReferences.values()).map(reference => reference.id);
+  const isTaken = id => (schemas && schemas.hasKey(id))
+    || ids.includes(id)
+    || context.namespace.elementMap[id] !== undefined;
+
+  let id = base;
+  for (let index = 2; isTaken(id); index += 1) {
+    id = `${base}${index}`;
+  }
+
+  return id;
+}
+
+/**
+ * Parses a schema referenced by a reference to an external document, or in
+ * OAS 3.1 to a schema of the document outside of the schema components (such
+ * as inside `$defs`), into a named data structure, the first time the schema is referenced, and returns
+ * an element referencing the data structure as for references to schema
+ * components. A schema referencing itself is therefore a reference to the data
+ * structure rather than a circular reference.
+ *
+ * @param context
+ * @param parser {function}
+ * @param ref {StringElement}
+ * @param isInsideSchema {boolean}
+ * @returns ParseResult
+ * @private
+ */
+function parseSchemaReference(context, parser, ref, isInsideSchema) {
+  const { namespace } = context;
+  const { schemaReferences } = context.state;
+  const uri = resolveURI(context, ref.toValue());
+
+  let annotations = [];
+
+  if (!schemaReferences.has(uri)) {
+    const reference = { id: schemaReferenceId(context, uri) };
+    schemaReferences.set(uri, reference);
+
+    const parseResult = parseReferencedElement(context, ref,
+      // eslint-disable-next-line no-use-before-define
+      referenced => parseReference('schemas', parser, context, referenced, true));
+    annotations = parseResult.content.filter(isAnnotation);
+
+    const structure = R.reject(isAnnotation, parseResult).first;
+    if (structure === undefined) {
+      schemaReferences.delete(uri);
+      return new namespace.elements.ParseResult(annotations);
+    }
+
+    const element = structure instanceof namespace.elements.DataStructure ? structure.content : structure;
+    element.id = reference.id;
+    reference.dataStructure = new namespace.elements.DataStructure(element);
+  }
+
+  const { id, dataStructure } = schemaReferences.get(uri);
+
+  // The data structure is not known until a recursive schema has been parsed
+  const Element = dataStructure ? dataStructure.content.constructor : namespace.elements.Element;
+  const element = new Element();
+  element.element = id;
+
+  return new namespace.elements.ParseResult([
+    isInsideSchema ? element : new namespace.elements.DataStructure(element),
+  ].concat(annotations));
+}
+
+/**
+ * Converts a schema with a `$ref` and sibling keywords into a schema
+ * combining the referenced schema and the siblings with `allOf`
+ * @private
+ */
+function referenceSiblingsAsAllOf(namespace, element) {
+  const reference = new namespace.elements.Object([element.getMember('$ref').clone()]);
+  const siblings = element.content.filter(member => member.key.toValue() !== '$ref' && member.key.toValue() !== 'allOf');
+  const allOf = new namespace.elements.Array([reference]);
+
+  const existingAllOf = element.get('allOf');
+  if (existingAllOf) {
+    allOf.content = allOf.content.concat(existingAllOf.clone().content);
+  }
+
+  return new namespace.elements.Object(
+    [new namespace.elements.Member('allOf', allOf)].concat(siblings.map(member => member.clone()))
+  );
+}
+
 function parseReference(component, parser, context, element, isInsideSchema, returnReferenceElement) {
   if (isReferenceObject(element)) {
+    if (hasSiblingKeywords(context, component, element)) {
+      return parser(context, referenceSiblingsAsAllOf(context.namespace, element));
+    }
+
+    const ref = element.get('$ref');
+
+    // Schema components defined by a reference are parsed in place
+    if (isString(ref) && component === 'schemas' && !returnReferenceElement
+      && (isExternalReference(context, ref.toValue()) || isLocalSchemaPointer(context, component, ref.toValue()))) {
+      return parseSchemaReference(context, parser, ref, isInsideSchema);
+    }
+
+    if (isString(ref) && (isExternalReference(context, ref.toValue()) || isLocalSchemaPointer(context, component, ref.toValue()))) {
+      // The referenced element is parsed in place, it may be a reference itself
+      return parseReferencedElement(context, ref,
+        referenced => parseReference(component, parser, context, referenced, isInsideSchema, returnReferenceElement));
+    }
+
     const parseResult = parseReferenceObject(context, component, element, component === 'schemas' || returnReferenceElement);
 
     // If we're referencing a schema object and we're not inside a schema
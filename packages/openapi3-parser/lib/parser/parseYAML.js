@@ -102,7 +102,44 @@ function convert(node, annotations, context) {
   return element;
 }
 
-function parse(source, context) {
+/**
+ * Sets the URI of the document on the source maps of the given element and
+ * its descendants
+ * @param element {Element}
+ * @param href {string}
+ * @private
+ */
+function setSourceMapHref(element, href) {
+  if (element.element === 'member') {
+    setSourceMapHref(element.key, href);
+
+    if (element.value) {
+      setSourceMapHref(element.value, href);
+    }
+
+    return;
+  }
+
+  const sourceMap = element.attributes.get('sourceMap');
+  if (sourceMap) {
+    sourceMap.forEach(map => map.attributes.set('href', href));
+  }
+
+  if (Array.isArray(element.content)) {
+    element.content.forEach(child => setSourceMapHref(child, href));
+  }
+}
+
+/**
+ * Parses a YAML document into elements
+ * @param source {string}
+ * @param context
+ * @param href {string} - optional URI of the document, set on the source maps
+ *   when the document is not the document being parsed
+ * @returns ParseResult
+ * @private
+ */
+function parse(source, context, href) {
   const { namespace } = context;
   const parseResult = new namespace.elements.ParseResult();
   let ast;
@@ -137,6 +174,11 @@ function parse(source, context) {
     }
 
     parseResult.push(annotation);
+
+    if (href) {
+      parseResult.forEach(element => setSourceMapHref(element, href));
+    }
+
     return parseResult;
   }
 
@@ -147,6 +189,10 @@ function parse(source, context) {
   parseResult.push(result);
   parseResult.content = parseResult.content.concat(annotations);
 
+  if (href) {
+    parseResult.forEach(element => setSourceMapHref(element, href));
+  }
+
   return parseResult;
 }
 
@@ -0,0 +1,97 @@
+const R = require('ramda');
+
+const isTransition = element => element.element === 'transition';
+
+/**
+ * Splits a resource by the resource group of its transitions. The resource
+ * is returned as is when all of its transitions belong to the same resource
+ * group, otherwise a resource is created for each resource group containing
+ * the transitions of the resource group.
+ * @param namespace
+ * @param resource {Resource}
+ * @param groupName {function} - returns the resource group name of a transition
+ * @returns {object[]} - the `name` of the resource group and the `resource`
+ * @private
+ */
+function splitResource(namespace, resource, groupName) {
+  const transitions = resource.content.filter(isTransition);
+  const names = R.uniq(transitions.map(groupName));
+
+  if (names.length <= 1) {
+    return [{ name: names[0], resource }];
+  }
+
+  const otherContent = resource.content.filter(R.complement(isTransition));
+
+  return names.map(name => ({
+    name,
+    resource: new namespace.elements.Resource(
+      otherContent.map(element => element.clone())
+        .concat(transitions.filter(transition => groupName(transition) === name)),
+      resource.meta.clone(),
+      resource.attributes.clone()
+    ),
+  }));
+}
+
+/**
+ * Groups the given resources into resource groups by the tags of their
+ * operations. An operation belongs to the resource group of its first tag,
+ * resources without any tagged operations are not grouped. Resource groups
+ * are ordered as the tags of the document, followed by resource groups for
+ * tags which are only used by operations in order of appearance.
+ * @param context
+ * @param resources {Resource[]}
+ * @param tags {Category[]} - resource groups parsed from the tags of the document
+ * @returns {Element[]} - the ungrouped resources followed by the resource groups
+ * @private
+ */
+function groupResources(context, resources, tags) {
+  const { namespace } = context;
+  const operations = context.state.operations.concat(context.state.referencedOperations);
+
+  const groupName = (transition) => {
+    const operation = operations.find(op => op.transition === transition);
+    return operation && operation.tags.length > 0 ? operation.tags[0] : undefined;
+  };
+
+  const groups = new Map();
+  tags.forEach((group) => {
+    const name = group.title.toValue();
+    if (!groups.has(name)) {
+      groups.set(name, group);
+    }
+  });
+
+  const usedGroups = new Set();
+  const ungroupedResources = [];
+
+  resources.forEach((element) => {
+    splitResource(namespace, element, groupName).forEach(({ name, resource }) => {
+      if (name === undefined) {
+        ungroupedResources.push(resource);
+        return;
+      }
+
+      if (!groups.has(name)) {
+        const group = new namespace.elements.Category();
+        group.classes.push('resourceGroup');
+        group.title = name;
+        groups.set(name, group);
+      }
+
+      groups.get(name).push(resource);
+      usedGroups.add(name);
+    });
+  });
+
+  const resourceGroups = Array.from(groups.entries())
+    .filter(([name]) => usedGroups.has(name))
+    .map(([, group]) => group);
+
+  return ungroupedResources.concat(resourceGroups);
+}
+
+module.exports = {
+  groupResources,
+};
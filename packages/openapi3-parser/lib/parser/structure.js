@@ -0,0 +1,83 @@
+const R = require('ramda');
+
+// Element types of the base data structures, other element types are
+// references to data structures
+const baseTypes = [
+  'boolean', 'string', 'number', 'array', 'object', 'enum', 'null', 'member',
+  'select', 'option', 'extend', 'ref', 'link',
+];
+
+// Returns whether the element is a reference to a schema component (a type
+// inheriting from the referenced data structure)
+const isReference = element => !baseTypes.includes(element.element);
+
+/**
+ * Finds the member with the given key of an object element, including
+ * members of mixins, options and the referenced schema component
+ * @param element {Element}
+ * @param key {string}
+ * @param elements {object} - data structures of the schema components keyed by their identifier
+ * @returns {MemberElement}
+ * @private
+ */
+function findMember(element, key, elements) {
+  if (element === undefined) {
+    return undefined;
+  }
+
+  let member;
+
+  if (Array.isArray(element.content)) {
+    element.content.some((item) => {
+      if (item.element === 'member' && item.key && item.key.toValue() === key) {
+        member = item;
+      } else if (item.element === 'ref') {
+        const id = item.toValue();
+        member = findMember(elements[id], key, R.dissoc(id, elements));
+      } else if (item.element === 'select' || item.element === 'option') {
+        member = findMember(item, key, elements);
+      }
+
+      return member !== undefined;
+    });
+  }
+
+  if (member === undefined && isReference(element)) {
+    member = findMember(elements[element.element], key, R.dissoc(element.element, elements));
+  }
+
+  return member;
+}
+
+/**
+ * Finds the element describing the item at the given index of an array
+ * element, or of the referenced schema component
+ * @param element {Element}
+ * @param index {number}
+ * @param elements {object} - data structures of the schema components keyed by their identifier
+ * @returns {Element}
+ * @private
+ */
+function findItem(element, index, elements) {
+  if (element === undefined) {
+    return undefined;
+  }
+
+  if (element.element === 'array') {
+    const items = element.content;
+    return items.length > 0 ? items[Math.min(index, items.length - 1)] : undefined;
+  }
+
+  if (isReference(element)) {
+    return findItem(elements[element.element], index, R.dissoc(element.element, elements));
+  }
+
+  return undefined;
+}
+
+module.exports = {
+  baseTypes,
+  isReference,
+  findMember,
+  findItem,
+};
@@ -0,0 +1,98 @@
+const R = require('ramda');
+
+// RFC 6570 operators for the path parameter styles
+const pathOperators = {
+  simple: '',
+  label: '.',
+  matrix: ';',
+};
+
+const hasAttribute = R.curry((attribute, member) => member.attributes.getValue(attribute) === true);
+
+const isCollection = member => member.value !== undefined
+  && ['array', 'object'].includes(member.value.primitive());
+
+/**
+ * Returns whether the parameter is exploded, by default parameters with the
+ * form style are exploded. The explode modifier has no effect on primitive
+ * values and is only applied by default to array and object values.
+ * @param member {MemberElement}
+ * @param defaultStyle {string} - the default style of the parameter location
+ * @returns {boolean}
+ * @private
+ */
+function isExploded(member, defaultStyle) {
+  const explode = member.attributes.getValue('explode');
+
+  if (explode !== undefined) {
+    return explode === true;
+  }
+
+  const style = member.attributes.getValue('style') || defaultStyle;
+  return style === 'form' && isCollection(member);
+}
+
+const variableSpecification = R.curry((defaultStyle, member) => `${member.key.toValue()}${isExploded(member, defaultStyle) ? '*' : ''}`);
+
+/**
+ * Replaces the path parameter expressions in the path by expressions
+ * reflecting the style and explode modifier of the parameters
+ * @param path {string}
+ * @param parameters {HrefVariables} - path parameters
+ * @returns {string}
+ * @private
+ */
+function expandPathParameters(path, parameters) {
+  return parameters.content.reduce((href, member) => {
+    const operator = R.propOr('', member.attributes.getValue('style'), pathOperators);
+    const expression = `{${operator}${variableSpecification('simple', member)}}`;
+    return href.split(`{${member.key.toValue()}}`).join(expression);
+  }, path);
+}
+
+/**
+ * Creates the query string expressions for the query parameters, parameters
+ * allowing reserved characters use reserved expansion in a literal query
+ * string as form-style query expansion cannot permit reserved characters.
+ * Styles other than form cannot be expressed and are expanded as form style.
+ * @param parameters {HrefVariables} - query parameters
+ * @returns {string}
+ * @private
+ */
+function queryExpressions(parameters) {
+  const [reserved, unreserved] = R.partition(hasAttribute('allowReserved'), parameters.content);
+
+  const expressions = reserved.map((member, index) => `${index === 0 ? '?' : '&'}${member.key.toValue()}={+${variableSpecification('form', member)}}`);
+
+  if (unreserved.length > 0) {
+    const operator = reserved.length > 0 ? '&' : '?';
+    expressions.push(`{${operator}${unreserved.map(variableSpecification('form')).join(',')}}`);
+  }
+
+  return expressions.join('');
+}
+
+/**
+ * Creates a URI template for the given path and its parameters
+ * @param path {StringElement}
+ * @param parameters {ObjectElement} - parameters grouped by their location
+ * @returns {StringElement}
+ * @private
+ */
+function hrefFromParameters(path, parameters) {
+  const href = path.clone();
+
+  if (parameters && parameters.get('path')) {
+    href.content = expandPathParameters(href.toValue(), parameters.get('path'));
+  }
+
+  if (parameters && parameters.get('query')) {
+    href.content += queryExpressions(parameters.get('query'));
+  }
+
+  return href;
+}
+
+module.exports = {
+  hrefFromParameters,
+};
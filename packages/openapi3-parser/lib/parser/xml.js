@@ -0,0 +1,154 @@
+const R = require('ramda');
+const { isReference, findMember, findItem } = require('./structure');
+
+const isPlainObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const escapeText = value => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;');
+
+const escapeAttribute = value => escapeText(value).replace(/"/g, '&quot;');
+
+/**
+ * Returns the properties of the XML Object (the `xml` attribute) of the given
+ * element, including the properties of the XML Object of the referenced
+ * schema component which are not overridden
+ * @param element {Element}
+ * @param elements {object} - data structures of the schema components keyed by their identifier
+ * @returns {object}
+ * @private
+ */
+function xmlProperties(element, elements) {
+  if (element === undefined) {
+    return {};
+  }
+
+  const xml = element.attributes.hasKey('xml') ? element.attributes.get('xml').toValue() : {};
+
+  if (isReference(element) && elements[element.element]) {
+    const inherited = xmlProperties(elements[element.element], R.dissoc(element.element, elements));
+    return Object.assign(inherited, xml);
+  }
+
+  return xml;
+}
+
+const qualifiedName = (name, xml) => (xml.prefix ? `${xml.prefix}:${name}` : name);
+
+function openingTag(name, xml, attributes, isEmpty) {
+  const declarations = xml.namespace
+    ? [[xml.prefix ? `xmlns:${xml.prefix}` : 'xmlns', xml.namespace]]
+    : [];
+
+  const attributesString = declarations.concat(attributes)
+    .map(([key, value]) => ` ${key}="${escapeAttribute(value)}"`)
+    .join('');
+
+  return `<${name}${attributesString}${isEmpty ? '/' : ''}>`;
+}
+
+/**
+ * Serialises a value described by the given element into lines of XML
+ * @param name {string} - the name of the property or schema component holding the value
+ * @param value {any}
+ * @param element {Element} - undefined when the value is not described by the data structure
+ * @param elements {object} - data structures of the schema components keyed by their identifier
+ * @param indent {string}
+ * @param xml {object} - the XML Object properties of the element
+ * @returns {string[]}
+ * @private
+ */
+function serialise(name, value, element, elements, indent, xml = xmlProperties(element, elements)) {
+  if (Array.isArray(value)) {
+    // Items are named after the items schema, otherwise after the property
+    const items = value.map((item, index) => {
+      const itemElement = findItem(element, index, elements);
+      return serialise(name, item, itemElement, elements, xml.wrapped ? `${indent}  ` : indent);
+    });
+
+    if (!xml.wrapped) {
+      return R.flatten(items);
+    }
+
+    const tagName = qualifiedName(xml.name || name, xml);
+
+    if (items.length === 0) {
+      return [`${indent}${openingTag(tagName, xml, [], true)}`];
+    }
+
+    return [`${indent}${openingTag(tagName, xml, [], false)}`]
+      .concat(R.flatten(items))
+      .concat([`${indent}</${tagName}>`]);
+  }
+
+  const tagName = qualifiedName(xml.name || name, xml);
+
+  if (isPlainObject(value)) {
+    const attributes = [];
+    const children = [];
+
+    Object.keys(value).forEach((key) => {
+      const member = findMember(element, key, elements);
+      const propertyElement = member ? member.value : undefined;
+      const propertyXML = xmlProperties(propertyElement, elements);
+      const propertyValue = value[key];
+
+      if (propertyXML.attribute && propertyValue !== null && typeof propertyValue !== 'object') {
+        attributes.push([qualifiedName(propertyXML.name || key, propertyXML), propertyValue]);
+      } else if (!propertyXML.attribute) {
+        children.push(serialise(key, propertyValue, propertyElement, elements, `${indent}  `, propertyXML));
+      }
+    });
+
+    if (children.length === 0) {
+      return [`${indent}${openingTag(tagName, xml, attributes, true)}`];
+    }
+
+    return [`${indent}${openingTag(tagName, xml, attributes, false)}`]
+      .concat(R.flatten(children))
+      .concat([`${indent}</${tagName}>`]);
+  }
+
+  if (value === null || value === undefined) {
+    return [`${indent}${openingTag(tagName, xml, [], true)}`];
+  }
+
+  return [`${indent}${openingTag(tagName, xml, [], false)}${escapeText(value)}</${tagName}>`];
+}
+
+/**
+ * Generates an XML document for a value generated from the element of a data
+ * structure. The XML Object (`xml` attribute) of the element and of the
+ * elements describing the properties and items is honoured for the names,
+ * namespaces, prefixes, attributes and wrapping of arrays.
+ *
+ * The root XML element is named by the XML Object of the element or after the
+ * referenced schema component, the document is not generated when the element
+ * has neither.
+ *
+ * @param element {Element}
+ * @param elements {object} - data structures of the schema components keyed by their identifier
+ * @param value {any} - value generated from the data structure
+ * @returns {string}
+ * @private
+ */
+function generateXML(element, elements, value) {
+  const xml = xmlProperties(element, elements);
+  const name = xml.name || (isReference(element) ? element.element : undefined);
+
+  if (name === undefined) {
+    return undefined;
+  }
+
+  // An array is always wrapped as a document has a single root element
+  const rootXML = Array.isArray(value) ? R.assoc('wrapped', true, xml) : xml;
+
+  return ['<?xml version="1.0" encoding="UTF-8"?>']
+    .concat(serialise(name, value, element, elements, '', rootXML))
+    .join('\n');
+}
+
+module.exports = {
+  generateXML,
+};
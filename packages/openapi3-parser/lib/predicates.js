@@ -28,6 +28,7 @@ const isMember = element => element.element === 'member';
 const isObject = element => element.element === 'object';
 const isParseResult = element => element.element === 'parseResult';
 const isString = element => element.element === 'string';
+const isNumber = element => element.element === 'number';
 const isBoolean = element => element.element === 'boolean';
 const isNull = element => element.element === 'null';
 const isDataStructure = element => element.element === 'dataStructure';
@@ -84,11 +85,13 @@ module.exports = {
   isObject,
   isParseResult,
   isString,
+  isNumber,
   isBoolean,
   isNull,
   isDataStructure,
   isWarningAnnotation,
 
+  hasClass,
   hasKey: R.curry(hasKey),
   hasValue: R.curry(hasValue),
   isExtension,
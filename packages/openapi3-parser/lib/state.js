@@ -4,6 +4,25 @@ class State {
 
     this.registeredSchemes = new Set();
     this.oauthFlows = {};
+
+    this.operations = [];
+    // Operations parsed again through a path item reference, they are only
+    // grouped by their tags as they are registered where first parsed
+    this.referencedOperations = [];
+    // URIs of the path items which have been referenced, and the number of
+    // path item references being parsed whose operations are parsed again
+    this.pathItemReferences = new Set();
+    this.reparsedPathItems = 0;
+
+    // The document being parsed
+    this.document = undefined;
+    // External documents by URI, loaded before parsing
+    this.documents = new Map();
+    // URIs of the external references currently being parsed
+    this.references = [];
+    // Schemas referenced by URI which are parsed into named data structures,
+    // the `id` and `dataStructure` of each schema by URI
+    this.schemaReferences = new Map();
   }
 
   registerId(id) {
@@ -34,6 +53,16 @@ class State {
   hasScheme(id) {
     return this.registeredSchemes.has(id);
   }
+
+  registerOperation(path, method, transition, tags = []) {
+    this.operations.push({
+      path, method, transition, tags,
+    });
+  }
+
+  registerReferencedOperation(transition, tags = []) {
+    this.referencedOperations.push({ transition, tags });
+  }
 }
 
 module.exports = State;
@@ -15,8 +15,8 @@ describe('components', () => {
       return testParseFixture(file);
     });
 
-    it('handles parameter referencing unsupported parameter', () => {
-      const file = path.join(fixtures, 'path-item-object-parameters-unsupported-parameter');
+    it('handles parameter referencing cookie parameter', () => {
+      const file = path.join(fixtures, 'path-item-object-parameters-cookie');
       return testParseFixture(file);
     });
 
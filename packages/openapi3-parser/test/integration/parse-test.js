@@ -47,6 +47,16 @@ describe('#parse', () => {
     return testParseFixture(file, true);
   });
 
+  it('can parse OpenAPI 3.1 schemas', () => {
+    const file = path.join(__dirname, 'fixtures', 'openapi-3.1-schema');
+    return testParseFixture(file);
+  });
+
+  it('can parse OpenAPI 3.1 schemas generating source maps', () => {
+    const file = path.join(__dirname, 'fixtures', 'openapi-3.1-schema');
+    return testParseFixture(file, true);
+  });
+
   describe('regression fixtures', () => {
     it('can parse Dredd #1685', () => {
       const file = path.join(__dirname, 'fixtures', 'regression', 'dredd-1685');
@@ -1,5 +1,5 @@
-const { expect } = require('chai');
 const { Fury } = require('@apielements/core');
+const { expect } = require('./chai');
 
 const adapter = require('../../lib/adapter');
 
@@ -90,4 +90,271 @@ describe('Adapter', () => {
       done();
     });
   });
+
+  describe('external references', () => {
+    const { minim: namespace } = new Fury();
+
+    const source = `
+openapi: "3.0.0"
+info: {title: My API, version: 1.0.0}
+paths:
+  /pets:
+    get:
+      parameters:
+        - $ref: 'common.yaml#/components/parameters/limit'
+      responses:
+        '200':
+          $ref: 'common.yaml#/components/responses/Pets'
+`;
+
+    const documents = {
+      'common.yaml': `
+components:
+  parameters:
+    limit:
+      name: limit
+      in: query
+      unknown: true
+  responses:
+    Pets:
+      description: A list of pets
+      content:
+        application/json:
+          schema:
+            $ref: 'schemas/pets.yaml'
+`,
+      'schemas/pets.yaml': `
+type: array
+items:
+  $ref: 'pet.yaml'
+`,
+      'schemas/pet.yaml': `
+type: object
+properties:
+  name:
+    type: string
+`,
+    };
+
+    const findDataStructures = parseResult => parseResult.api.content
+      .find(element => element.classes.includes('dataStructures'));
+
+    const findDataStructure = (parseResult, id) => findDataStructures(parseResult).content
+      .find(dataStructure => dataStructure.content.id.toValue() === id).content;
+
+    const resolveRef = (uri) => {
+      if (documents[uri] === undefined) {
+        return Promise.reject(new Error('not found'));
+      }
+
+      return Promise.resolve(documents[uri]);
+    };
+
+    it('resolves external references using the resolveRef option', () => {
+      const requested = [];
+      const resolve = (uri) => {
+        requested.push(uri);
+        return resolveRef(uri);
+      };
+
+      return adapter.parse({ source, namespace, resolveRef: resolve }).then((parseResult) => {
+        expect(requested).to.deep.equal(['common.yaml', 'schemas/pets.yaml', 'schemas/pet.yaml']);
+
+        const transition = parseResult.api.first.first;
+        expect(transition.hrefVariables.getMember('limit')).to.not.be.undefined;
+
+        const { response } = transition.first;
+        expect(response.copy.toValue()).to.deep.equal(['A list of pets']);
+
+        const schema = response.dataStructure.content;
+        expect(schema).to.be.instanceof(namespace.elements.Array);
+        expect(schema.element).to.equal('pets');
+      });
+    });
+
+    it('exposes external schemas as named data structures', () => adapter.parse({ source, namespace, resolveRef }).then((parseResult) => {
+      const ids = findDataStructures(parseResult).map(dataStructure => dataStructure.content.id.toValue());
+      expect(ids).to.deep.equal(['pets', 'pet']);
+
+      const pets = findDataStructure(parseResult, 'pets');
+      expect(pets).to.be.instanceof(namespace.elements.Array);
+      expect(pets.first.element).to.equal('pet');
+
+      const pet = findDataStructure(parseResult, 'pet');
+      expect(pet).to.be.instanceof(namespace.elements.Object);
+      expect(pet.getMember('name')).to.not.be.undefined;
+
+      const { messageBody } = parseResult.api.first.first.first.response;
+      expect(messageBody.toValue()).to.equal('[{"name":""}]');
+    }));
+
+    it('provides annotations with the URI of the external document', () => adapter.parse({ source, namespace, resolveRef }).then((parseResult) => {
+      expect(parseResult).to.contain.warning("'Parameter Object' contains invalid key 'unknown'");
+
+      const warning = parseResult.warnings.get(0);
+      const sourceMap = warning.attributes.get('sourceMap').first;
+      expect(sourceMap.attributes.getValue('href')).to.equal('common.yaml');
+    }));
+
+    it('provides an error when an external document cannot be resolved', () => {
+      const options = {
+        source: source.replace('common.yaml#/components/parameters', 'missing.yaml#/components/parameters'),
+        namespace,
+        resolveRef,
+      };
+
+      return adapter.parse(options).then((parseResult) => {
+        expect(parseResult).to.contain.error("Unable to resolve 'missing.yaml': not found");
+      });
+    });
+
+    it('provides an error when an external reference is not defined', () => {
+      const options = {
+        source: source.replace('parameters/limit', 'parameters/offset'),
+        namespace,
+        resolveRef,
+      };
+
+      return adapter.parse(options).then((parseResult) => {
+        expect(parseResult).to.contain.error("'common.yaml#/components/parameters/offset' is not defined");
+      });
+    });
+
+    it('references recursive external schemas', () => {
+      const resolve = (uri) => {
+        if (uri === 'schemas/pet.yaml') {
+          return 'type: object\nproperties:\n  pets:\n    $ref: pets.yaml\n';
+        }
+
+        return resolveRef(uri);
+      };
+
+      return adapter.parse({ source, namespace, resolveRef: resolve }).then((parseResult) => {
+        expect(parseResult.errors.isEmpty).to.be.true;
+
+        const pet = findDataStructure(parseResult, 'pet');
+        expect(pet.get('pets').element).to.equal('pets');
+      });
+    });
+
+    it('references external schemas referencing themselves', () => {
+      const options = {
+        source: `
+openapi: "3.0.0"
+info: {title: My API, version: 1.0.0}
+paths:
+  /users:
+    get:
+      responses:
+        '200':
+          description: A user
+          content:
+            application/json:
+              schema:
+                $ref: 'schemas/user.yaml#/User'
+components:
+  schemas:
+    Person:
+      $ref: 'schemas/user.yaml#/Person'
+`,
+        namespace,
+        resolveRef: uri => Promise.resolve({
+          'schemas/user.yaml': `
+User:
+  type: object
+  properties:
+    friends:
+      type: array
+      items:
+        $ref: '#/User'
+Person:
+  type: object
+  properties:
+    parent:
+      $ref: '#/Person'
+`,
+        }[uri]),
+      };
+
+      return adapter.parse(options).then((parseResult) => {
+        expect(parseResult.errors.isEmpty).to.be.true;
+
+        const ids = findDataStructures(parseResult).map(dataStructure => dataStructure.content.id.toValue());
+        expect(ids).to.deep.equal(['Person', 'User']);
+
+        const user = findDataStructure(parseResult, 'User');
+        expect(user.get('friends').first.element).to.equal('User');
+
+        const person = findDataStructure(parseResult, 'Person');
+        expect(person.get('parent').element).to.equal('Person');
+
+        const { response } = parseResult.api.first.first.first;
+        expect(response.dataStructure.content.element).to.equal('User');
+      });
+    });
+
+    it('resolves external path item references', () => {
+      const options = {
+        source: 'openapi: "3.0.0"\ninfo: {title: My API, version: 1.0.0}\npaths:\n  /pets:\n    $ref: paths/pets.yaml\n',
+        namespace,
+        resolveRef: uri => ({
+          'paths/pets.yaml': 'get:\n  responses:\n    "200":\n      $ref: "../common.yaml#/components/responses/Pets"\n',
+        }[uri] || resolveRef(uri)),
+      };
+
+      return adapter.parse(options).then((parseResult) => {
+        expect(parseResult.annotations.length).to.equal(0);
+
+        const resource = parseResult.api.first;
+        expect(resource.href.toValue()).to.equal('/pets');
+
+        const { response } = resource.first.first;
+        expect(response.statusCode.toValue()).to.equal('200');
+        expect(response.copy.toValue()).to.deep.equal(['A list of pets']);
+      });
+    });
+
+    it('loads a document referenced by equivalent URIs once', () => {
+      const requested = [];
+      const options = {
+        source: `
+openapi: "3.0.0"
+info: {title: My API, version: 1.0.0}
+paths:
+  /pets:
+    get:
+      responses:
+        '200':
+          $ref: './common.yaml#/components/responses/Pets'
+components:
+  schemas:
+    Pets:
+      $ref: 'schemas/../schemas/pets.yaml'
+`,
+        namespace,
+        resolveRef: (uri) => {
+          requested.push(uri);
+          return resolveRef(uri);
+        },
+      };
+
+      return adapter.parse(options).then((parseResult) => {
+        expect(parseResult.errors.isEmpty).to.be.true;
+        expect(requested).to.deep.equal(['common.yaml', 'schemas/pets.yaml', 'schemas/pet.yaml']);
+
+        const ids = findDataStructures(parseResult).map(dataStructure => dataStructure.content.id.toValue());
+        expect(ids).to.deep.equal(['Pets', 'pet']);
+
+        const { response } = parseResult.api.first.first.first;
+        expect(response.dataStructure.content.element).to.equal('Pets');
+      });
+    });
+
+    it('provides an error for external references without the resolveRef option', () => adapter.parse({ source, namespace }).then((parseResult) => {
+      expect(parseResult.errors.toValue()).to.deep.equal([
+        "Only local references to '#/components' within the same file are supported",
+        "Only local references to '#/components' within the same file are supported",
+      ]);
+    }));
+  });
 });
@@ -0,0 +1,180 @@
+const { Fury } = require('@apielements/core');
+const { expect } = require('../chai');
+
+const { generateFormURLEncoded, generateMultipart } = require('../../../lib/parser/form');
+const parseSchemaObject = require('../../../lib/parser/oas/parseSchemaObject');
+const parseEncodingObject = require('../../../lib/parser/oas/parseEncodingObject');
+const Context = require('../../../lib/context');
+
+const { minim: namespace } = new Fury();
+
+describe('form message bodies', () => {
+  let context;
+  beforeEach(() => {
+    context = new Context(namespace);
+  });
+
+  const encodings = (encoding) => {
+    const result = new namespace.elements.Object();
+    Object.keys(encoding).forEach((key) => {
+      result.set(key, parseEncodingObject(context, new namespace.elements.Object(encoding[key])).get(0));
+    });
+    return result;
+  };
+
+  describe('#generateFormURLEncoded', () => {
+    const generate = (value, encoding = {}) => generateFormURLEncoded(value, encodings(encoding));
+
+    it('does not generate a body for a non-object', () => {
+      expect(generate('doe')).to.be.undefined;
+      expect(generate(['doe'])).to.be.undefined;
+    });
+
+    it('generates a body for an object', () => {
+      expect(generate({ name: 'doe', age: 30, admin: true })).to.equal('name=doe&age=30&admin=true');
+    });
+
+    it('encodes names and values', () => {
+      expect(generate({ 'full name': 'John & Jane/Doe' })).to.equal('full%20name=John%20%26%20Jane%2FDoe');
+    });
+
+    it('keeps reserved characters with allowReserved', () => {
+      expect(generate({ path: '/a/b?c' }, { path: { allowReserved: true } })).to.equal('path=/a/b?c');
+    });
+
+    it('generates an empty value for null', () => {
+      expect(generate({ name: null })).to.equal('name=');
+    });
+
+    it('explodes arrays and objects by default', () => {
+      expect(generate({ tags: ['a', 'b'], colour: { R: 100, G: 200 } }))
+        .to.equal('tags=a&tags=b&R=100&G=200');
+    });
+
+    it('serialises arrays and objects with form style without explode', () => {
+      const encoding = { tags: { explode: false }, colour: { explode: false } };
+
+      expect(generate({ tags: ['a', 'b'], colour: { R: 100, G: 200 } }, encoding))
+        .to.equal('tags=a,b&colour=R,100,G,200');
+    });
+
+    it('serialises arrays with spaceDelimited and pipeDelimited styles', () => {
+      const encoding = { space: { style: 'spaceDelimited' }, pipe: { style: 'pipeDelimited' } };
+
+      expect(generate({ space: ['a', 'b'], pipe: ['a', 'b'] }, encoding))
+        .to.equal('space=a%20b&pipe=a|b');
+    });
+
+    it('serialises objects with deepObject style', () => {
+      expect(generate({ colour: { R: 100, G: 200 } }, { colour: { style: 'deepObject' } }))
+        .to.equal('colour[R]=100&colour[G]=200');
+    });
+
+    it('serialises a property with a JSON content type as JSON', () => {
+      expect(generate({ colour: { R: 100 } }, { colour: { contentType: 'application/json' } }))
+        .to.equal('colour=%7B%22R%22%3A100%7D');
+    });
+  });
+
+  describe('#generateMultipart', () => {
+    const generate = (schema, value, encoding = {}) => {
+      const element = parseSchemaObject(context, new namespace.elements.Object(schema)).get(0).content;
+      return generateMultipart(element, {}, value, encodings(encoding), 'BOUNDARY');
+    };
+
+    const lines = (...body) => body.concat(['']).join('\r\n');
+
+    it('does not generate a body for a non-object', () => {
+      expect(generate({ type: 'string' }, 'doe')).to.be.undefined;
+    });
+
+    it('generates a text part for each primitive property', () => {
+      const body = generate({ type: 'object' }, { name: 'doe', age: 30 });
+
+      expect(body).to.equal(lines(
+        '--BOUNDARY',
+        'Content-Disposition: form-data; name="name"',
+        '',
+        'doe',
+        '--BOUNDARY',
+        'Content-Disposition: form-data; name="age"',
+        '',
+        '30',
+        '--BOUNDARY--'
+      ));
+    });
+
+    it('generates a JSON part for an object property', () => {
+      const body = generate({ type: 'object' }, { address: { city: 'Prague' } });
+
+      expect(body).to.equal(lines(
+        '--BOUNDARY',
+        'Content-Disposition: form-data; name="address"',
+        'Content-Type: application/json',
+        '',
+        '{"city":"Prague"}',
+        '--BOUNDARY--'
+      ));
+    });
+
+    it('generates a file part for each item of an array of binary strings', () => {
+      const body = generate({
+        type: 'object',
+        properties: {
+          photos: { type: 'array', items: { type: 'string', format: 'binary' } },
+        },
+      }, { photos: ['a', 'b'] });
+
+      expect(body).to.equal(lines(
+        '--BOUNDARY',
+        'Content-Disposition: form-data; name="photos"; filename="photos"',
+        'Content-Type: application/octet-stream',
+        '',
+        'a',
+        '--BOUNDARY',
+        'Content-Disposition: form-data; name="photos"; filename="photos"',
+        'Content-Type: application/octet-stream',
+        '',
+        'b',
+        '--BOUNDARY--'
+      ));
+    });
+
+    it('generates a single part for an array with a JSON content type', () => {
+      const body = generate({ type: 'object' }, { tags: ['a', 'b'] }, {
+        tags: { contentType: 'application/json' },
+      });
+
+      expect(body).to.equal(lines(
+        '--BOUNDARY',
+        'Content-Disposition: form-data; name="tags"',
+        'Content-Type: application/json',
+        '',
+        '["a","b"]',
+        '--BOUNDARY--'
+      ));
+    });
+
+    it('uses the content type and headers of the encoding', () => {
+      const body = generate({ type: 'object' }, { avatar: 'image' }, {
+        avatar: {
+          contentType: 'image/png, image/jpeg',
+          headers: {
+            'X-Rate-Limit': { schema: { type: 'integer', example: 5 } },
+            'Content-Type': { schema: { type: 'string', example: 'text/html' } },
+          },
+        },
+      });
+
+      expect(body).to.equal(lines(
+        '--BOUNDARY',
+        'Content-Disposition: form-data; name="avatar"; filename="avatar"',
+        'Content-Type: image/png',
+        'X-Rate-Limit: 5',
+        '',
+        'image',
+        '--BOUNDARY--'
+      ));
+    });
+  });
+});
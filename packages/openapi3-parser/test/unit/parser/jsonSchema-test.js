@@ -0,0 +1,289 @@
+const { Fury } = require('@apielements/core');
+const { expect } = require('../chai');
+
+const { generateJSONSchema } = require('../../../lib/parser/jsonSchema');
+const parseSchemaObject = require('../../../lib/parser/oas/parseSchemaObject');
+const Context = require('../../../lib/context');
+
+const { minim: namespace } = new Fury();
+
+const draft4 = 'http://json-schema.org/draft-04/schema#';
+
+describe('#generateJSONSchema', () => {
+  let context;
+  beforeEach(() => {
+    context = new Context(namespace);
+  });
+
+  const generate = (schema) => {
+    const dataStructure = parseSchemaObject(context, new namespace.elements.Object(schema)).get(0);
+    return generateJSONSchema(dataStructure, {});
+  };
+
+  it('generates a schema for primitive types', () => {
+    expect(generate({ type: 'string' })).to.deep.equal({ $schema: draft4, type: 'string' });
+    expect(generate({ type: 'number' })).to.deep.equal({ $schema: draft4, type: 'number' });
+    expect(generate({ type: 'boolean' })).to.deep.equal({ $schema: draft4, type: 'boolean' });
+  });
+
+  it('generates a schema for an object', () => {
+    const schema = generate({
+      type: 'object',
+      properties: {
+        id: { type: 'string', readOnly: true },
+        name: { type: 'string' },
+      },
+      required: ['name'],
+      additionalProperties: false,
+    });
+
+    expect(schema).to.deep.equal({
+      $schema: draft4,
+      type: 'object',
+      properties: {
+        id: { type: 'string' },
+        name: { type: 'string' },
+      },
+      required: ['name'],
+      additionalProperties: false,
+    });
+  });
+
+  it('generates a schema for an object with additional properties schema', () => {
+    const schema = generate({
+      type: 'object',
+      additionalProperties: { type: 'number' },
+    });
+
+    expect(schema).to.deep.equal({
+      $schema: draft4,
+      type: 'object',
+      additionalProperties: { type: 'number' },
+    });
+  });
+
+  it('generates a schema for an array', () => {
+    const schema = generate({
+      type: 'array',
+      items: { type: 'string' },
+      minItems: 1,
+    });
+
+    expect(schema).to.deep.equal({
+      $schema: draft4,
+      type: 'array',
+      items: { type: 'string' },
+      minItems: 1,
+    });
+  });
+
+  it('generates a schema for an enum', () => {
+    const schema = generate({
+      type: 'string',
+      enum: ['north', 'south'],
+      nullable: true,
+    });
+
+    expect(schema).to.deep.equal({
+      $schema: draft4,
+      enum: ['north', 'south', null],
+    });
+  });
+
+  it('generates a schema for a nullable type', () => {
+    expect(generate({ type: 'string', nullable: true })).to.deep.equal({
+      $schema: draft4,
+      type: ['string', 'null'],
+    });
+  });
+
+  it('generates a schema with the annotations defined in draft 4', () => {
+    const schema = generate({
+      type: 'string',
+      title: 'Name',
+      description: 'The name of the user',
+      default: 'doe',
+      example: 'pavan',
+      deprecated: true,
+    });
+
+    expect(schema).to.deep.equal({
+      $schema: draft4,
+      type: 'string',
+      title: 'Name',
+      description: 'The name of the user',
+      default: 'doe',
+    });
+  });
+
+  it('generates a schema for not', () => {
+    expect(generate({ type: 'string', not: { type: 'string', enum: ['admin'] } })).to.deep.equal({
+      $schema: draft4,
+      type: 'string',
+      not: { enum: ['admin'] },
+    });
+  });
+
+  it('generates a schema for oneOf', () => {
+    expect(generate({ oneOf: [{ type: 'string' }, { type: 'number' }] })).to.deep.equal({
+      $schema: draft4,
+      anyOf: [{ type: 'string' }, { type: 'number' }],
+    });
+  });
+
+  it('generates a schema for anyOf objects', () => {
+    const schema = generate({
+      anyOf: [
+        { type: 'object', properties: { name: { type: 'string' } } },
+        { type: 'object', properties: { id: { type: 'number' } } },
+      ],
+    });
+
+    expect(schema).to.deep.equal({
+      $schema: draft4,
+      type: 'object',
+      allOf: [
+        {
+          anyOf: [
+            { type: 'object', properties: { name: { type: 'string' } } },
+            { type: 'object', properties: { id: { type: 'number' } } },
+          ],
+        },
+      ],
+    });
+  });
+
+  describe('OpenAPI 3.1 schemas', () => {
+    beforeEach(() => {
+      context.openapiVersion.minor = 1;
+    });
+
+    it('generates a schema for a nullable type', () => {
+      expect(generate({ type: ['number', 'null'] })).to.deep.equal({
+        $schema: draft4,
+        type: ['number', 'null'],
+      });
+    });
+
+    it('generates a schema for const', () => {
+      expect(generate({ type: 'string', const: 'cat' })).to.deep.equal({
+        $schema: draft4,
+        enum: ['cat'],
+      });
+    });
+
+    it('generates draft 4 exclusive bounds', () => {
+      expect(generate({ type: 'number', exclusiveMinimum: 0, exclusiveMaximum: 10 })).to.deep.equal({
+        $schema: draft4,
+        type: 'number',
+        minimum: 0,
+        exclusiveMinimum: true,
+        maximum: 10,
+        exclusiveMaximum: true,
+      });
+    });
+
+    it('generates a schema without examples and content keywords', () => {
+      const schema = generate({
+        type: 'string',
+        contentMediaType: 'image/png',
+        contentEncoding: 'base64',
+        examples: ['iVBORw0KGgo='],
+      });
+
+      expect(schema).to.deep.equal({
+        $schema: draft4,
+        type: 'string',
+      });
+    });
+
+    it('generates positional items for prefixItems', () => {
+      const schema = generate({
+        type: 'array',
+        prefixItems: [{ type: 'string' }, { type: 'number' }],
+        items: { type: 'boolean' },
+      });
+
+      expect(schema).to.deep.equal({
+        $schema: draft4,
+        type: 'array',
+        items: [{ type: 'string' }, { type: 'number' }],
+        additionalItems: { type: 'boolean' },
+      });
+    });
+
+    it('generates positional items for prefixItems without further items', () => {
+      const schema = generate({
+        type: 'array',
+        prefixItems: [{ type: 'string' }, { type: 'number' }],
+        items: false,
+      });
+
+      expect(schema).to.deep.equal({
+        $schema: draft4,
+        type: 'array',
+        items: [{ type: 'string' }, { type: 'number' }],
+        additionalItems: false,
+      });
+    });
+  });
+
+  describe('schema components', () => {
+    let elements;
+
+    beforeEach(() => {
+      const user = new namespace.elements.Object({
+        name: new namespace.elements.String(),
+        manager: new namespace.elements.Element(),
+      });
+      user.id = 'User';
+      user.get('manager').element = 'User';
+
+      const customer = new namespace.elements.Element([
+        new namespace.elements.Member('email', new namespace.elements.String()),
+      ]);
+      customer.element = 'User';
+      customer.id = 'Customer';
+
+      elements = { User: user, Customer: customer };
+    });
+
+    const reference = (id) => {
+      const element = new namespace.elements.Element();
+      element.element = id;
+      return element;
+    };
+
+    it('includes the definitions of referenced schema components', () => {
+      const schema = generateJSONSchema(new namespace.elements.DataStructure(reference('Customer')), elements);
+
+      expect(schema).to.deep.equal({
+        $schema: draft4,
+        allOf: [{ $ref: '#/definitions/Customer' }],
+        definitions: {
+          Customer: {
+            allOf: [
+              { $ref: '#/definitions/User' },
+              { properties: { email: { type: 'string' } } },
+            ],
+          },
+          User: {
+            type: 'object',
+            properties: {
+              name: { type: 'string' },
+              manager: { $ref: '#/definitions/User' },
+            },
+          },
+        },
+      });
+    });
+
+    it('includes the definitions of schema components referenced by properties', () => {
+      const array = new namespace.elements.Array([reference('User')]);
+      const schema = generateJSONSchema(new namespace.elements.DataStructure(array), elements);
+
+      expect(schema.items).to.deep.equal({ $ref: '#/definitions/User' });
+      expect(Object.keys(schema.definitions)).to.deep.equal(['User']);
+    });
+  });
+});
@@ -0,0 +1,64 @@
+const { Fury } = require('@apielements/core');
+const { expect } = require('../../chai');
+const parse = require('../../../../lib/parser/oas/parseCallbackObject');
+const Context = require('../../../../lib/context');
+
+const { minim: namespace } = new Fury();
+
+describe('Callback Object', () => {
+  let context;
+
+  beforeEach(() => {
+    context = new Context(namespace);
+  });
+
+  it('provides warning when callback is non-object', () => {
+    const callback = new namespace.elements.String();
+
+    const parseResult = parse(context, callback);
+
+    expect(parseResult).to.contain.warning("'Callback Object' is not an object");
+  });
+
+  it('parses runtime expressions into callback resources', () => {
+    const callback = new namespace.elements.Object({
+      '{$request.body#/callbackUrl}': {
+        post: {
+          responses: {},
+        },
+      },
+      '{$request.query.url}/cancel': {
+        delete: {
+          responses: {},
+        },
+      },
+    });
+
+    const parseResult = parse(context, callback);
+
+    expect(parseResult).to.not.contain.annotations;
+
+    const resources = parseResult.get(0);
+    expect(resources).to.be.instanceof(namespace.elements.Array);
+    expect(resources.length).to.equal(2);
+
+    const resource = resources.get(0);
+    expect(resource).to.be.instanceof(namespace.elements.Resource);
+    expect(resource.href.toValue()).to.equal('{$request.body#/callbackUrl}');
+    expect(resource.classes.toValue()).to.deep.equal(['callback']);
+    expect(resource.transitions.get(0).classes.toValue()).to.deep.equal(['callback']);
+
+    expect(resources.get(1).href.toValue()).to.equal('{$request.query.url}/cancel');
+  });
+
+  it('ignores extensions', () => {
+    const callback = new namespace.elements.Object({
+      'x-extension': {},
+    });
+
+    const parseResult = parse(context, callback);
+
+    expect(parseResult).to.not.contain.annotations;
+    expect(parseResult.get(0).isEmpty).to.be.true;
+  });
+});
@@ -167,11 +167,11 @@ describe('Components Object', () => {
       expect(parameters.get('limitParam').key.toValue()).to.equal('limit');
     });
 
-    it('parses unsupported parameters', () => {
+    it('parses cookie parameters', () => {
       const components = new namespace.elements.Object({
         parameters: {
-          limitParam: {
-            name: 'limit',
+          sessionParam: {
+            name: 'session',
             in: 'cookie',
           },
         },
@@ -179,18 +179,18 @@ describe('Components Object', () => {
 
       const parseResult = parse(context, components);
 
-      expect(parseResult).to.contain.warning("'Parameter Object' 'in' 'cookie' is unsupported");
+      expect(parseResult.length).to.equal(1);
 
       const parsedComponents = parseResult.get(0);
       expect(parsedComponents).to.be.instanceof(namespace.elements.Object);
 
       const parameters = parsedComponents.get('parameters');
       expect(parameters).to.be.instanceof(namespace.elements.Object);
-      expect(parseResult.length).to.equal(2);
 
-      const parameter = parameters.getMember('limitParam');
+      const parameter = parameters.get('sessionParam');
       expect(parameter).to.be.instanceof(namespace.elements.Member);
-      expect(parameter.value).to.be.undefined;
+      expect(parameter.key.toValue()).to.equal('Cookie');
+      expect(parameter.value.toValue()).to.equal('session=');
     });
   });
 
@@ -527,27 +527,55 @@ describe('Components Object', () => {
     });
   });
 
-  describe('warnings for unsupported properties', () => {
-    it('provides warning for unsupported links key', () => {
+  describe('#callbacks', () => {
+    it('parses callbacks into callback resources', () => {
       const components = new namespace.elements.Object({
-        links: {},
+        callbacks: {
+          Event: {
+            '{$request.body#/callbackUrl}': {
+              post: {
+                responses: {},
+              },
+            },
+          },
+        },
       });
 
       const parseResult = parse(context, components);
 
-      expect(parseResult).to.contain.warning("'Components Object' contains unsupported key 'links'");
+      expect(parseResult).to.not.contain.annotations;
+
+      const callbacks = parseResult.get(0).get('callbacks');
+      expect(callbacks).to.be.instanceof(namespace.elements.Object);
+
+      const event = callbacks.get('Event');
+      expect(event).to.be.instanceof(namespace.elements.Array);
+      expect(event.get(0)).to.be.instanceof(namespace.elements.Resource);
+      expect(event.get(0).href.toValue()).to.equal('{$request.body#/callbackUrl}');
     });
+  });
 
-    it('provides warning for unsupported callbacks key', () => {
+  describe('#links', () => {
+    it('parses links', () => {
       const components = new namespace.elements.Object({
-        callbacks: {},
+        links: {
+          User: {
+            operationId: 'getUser',
+          },
+        },
       });
 
       const parseResult = parse(context, components);
 
-      expect(parseResult).to.contain.warning("'Components Object' contains unsupported key 'callbacks'");
+      expect(parseResult).to.not.contain.annotations;
+
+      const link = parseResult.get(0).get('links').get('User');
+      expect(link).to.be.instanceof(namespace.elements.Link);
+      expect(link.attributes.getValue('operationId')).to.equal('getUser');
     });
+  });
 
+  describe('warnings for unsupported properties', () => {
     it('does not provide warning for Info Object extensions', () => {
       const components = new namespace.elements.Object({
         'x-extension': {},
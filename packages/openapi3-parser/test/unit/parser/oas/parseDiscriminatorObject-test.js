@@ -0,0 +1,152 @@
+const { Fury } = require('@apielements/core');
+const { expect } = require('../../chai');
+
+const parse = require('../../../../lib/parser/oas/parseDiscriminatorObject');
+const Context = require('../../../../lib/context');
+
+const { minim: namespace } = new Fury();
+
+describe('#parseDiscriminatorObject', () => {
+  let context;
+
+  beforeEach(() => {
+    context = new Context(namespace);
+    context.state.components = new namespace.elements.Object({
+      schemas: {
+        Cat: { type: 'object' },
+        Dog: { type: 'object' },
+      },
+    });
+  });
+
+  it('provides warning when discriminator is non-object', () => {
+    const discriminator = new namespace.elements.String();
+
+    const parseResult = parse(context)(discriminator);
+
+    expect(parseResult.length).to.equal(1);
+    expect(parseResult).to.contain.warning("'Discriminator Object' is not an object");
+  });
+
+  describe('#propertyName', () => {
+    it('provides warning for missing required propertyName', () => {
+      const discriminator = new namespace.elements.Object({});
+
+      const parseResult = parse(context)(discriminator);
+
+      expect(parseResult.length).to.equal(1);
+      expect(parseResult).to.contain.warning("'Discriminator Object' is missing required property 'propertyName'");
+    });
+
+    it('provides warning when propertyName is non-string', () => {
+      const discriminator = new namespace.elements.Object({
+        propertyName: 1,
+      });
+
+      const parseResult = parse(context)(discriminator);
+
+      expect(parseResult.length).to.equal(1);
+      expect(parseResult).to.contain.warning("'Discriminator Object' 'propertyName' is not a string");
+    });
+
+    it('parses propertyName', () => {
+      const discriminator = new namespace.elements.Object({
+        propertyName: 'petType',
+      });
+
+      const parseResult = parse(context)(discriminator);
+
+      expect(parseResult.length).to.equal(1);
+      expect(parseResult.get(0).getValue('propertyName')).to.equal('petType');
+    });
+  });
+
+  describe('#mapping', () => {
+    it('provides warning when mapping is non-object', () => {
+      const discriminator = new namespace.elements.Object({
+        propertyName: 'petType',
+        mapping: 1,
+      });
+
+      const parseResult = parse(context)(discriminator);
+
+      expect(parseResult).to.contain.warning("'Discriminator Object' 'mapping' is not an object");
+      expect(parseResult.get(0).hasKey('mapping')).to.be.false;
+    });
+
+    it('provides warning when a mapping value is non-string', () => {
+      const discriminator = new namespace.elements.Object({
+        propertyName: 'petType',
+        mapping: {
+          dog: 1,
+        },
+      });
+
+      const parseResult = parse(context)(discriminator);
+
+      expect(parseResult).to.contain.warning("'Discriminator Object' 'mapping' 'dog' is not a string");
+      expect(parseResult.get(0).get('mapping').isEmpty).to.be.true;
+    });
+
+    it('provides warning when a mapping value does not reference a schema component', () => {
+      const discriminator = new namespace.elements.Object({
+        propertyName: 'petType',
+        mapping: {
+          fish: '#/components/schemas/Fish',
+        },
+      });
+
+      const parseResult = parse(context)(discriminator);
+
+      expect(parseResult).to.contain.warning(
+        "'Discriminator Object' 'mapping' 'fish' does not reference a schema in '#/components/schemas', it has been ignored"
+      );
+      expect(parseResult.get(0).get('mapping').isEmpty).to.be.true;
+    });
+
+    it('parses mapping values into references', () => {
+      const discriminator = new namespace.elements.Object({
+        propertyName: 'petType',
+        mapping: {
+          dog: '#/components/schemas/Dog',
+          cat: 'Cat',
+        },
+      });
+
+      const parseResult = parse(context)(discriminator);
+
+      expect(parseResult.length).to.equal(1);
+
+      const mapping = parseResult.get(0).get('mapping');
+      expect(mapping.keys()).to.deep.equal(['dog', 'cat']);
+      expect(mapping.get('dog')).to.be.instanceof(namespace.elements.Ref);
+      expect(mapping.get('dog').toValue()).to.equal('Dog');
+      expect(mapping.get('cat')).to.be.instanceof(namespace.elements.Ref);
+      expect(mapping.get('cat').toValue()).to.equal('Cat');
+    });
+  });
+
+  describe('warnings for unsupported properties', () => {
+    it('provides warning for invalid keys', () => {
+      const discriminator = new namespace.elements.Object({
+        propertyName: 'petType',
+        invalid: {},
+      });
+
+      const parseResult = parse(context)(discriminator);
+
+      expect(parseResult).to.contain.warning("'Discriminator Object' contains invalid key 'invalid'");
+    });
+
+    it('does not provide warning for extensions', () => {
+      const discriminator = new namespace.elements.Object({
+        propertyName: 'petType',
+        'x-extension': {},
+      });
+
+      const parseResult = parse(context)(discriminator);
+
+      expect(parseResult).to.not.contain.annotations;
+    });
+  });
+});
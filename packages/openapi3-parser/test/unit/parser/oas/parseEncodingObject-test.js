@@ -0,0 +1,127 @@
+const { Fury } = require('@apielements/core');
+const { expect } = require('../../chai');
+const parse = require('../../../../lib/parser/oas/parseEncodingObject');
+const Context = require('../../../../lib/context');
+
+const { minim: namespace } = new Fury();
+
+describe('Encoding Object', () => {
+  let context;
+  beforeEach(() => {
+    context = new Context(namespace);
+  });
+
+  it('provides warning when encoding is non-object', () => {
+    const encoding = new namespace.elements.String();
+
+    const result = parse(context, encoding);
+
+    expect(result.length).to.equal(1);
+    expect(result).to.contain.warning("'Encoding Object' is not an object");
+  });
+
+  it('parses the Encoding Object', () => {
+    const encoding = new namespace.elements.Object({
+      contentType: 'image/png',
+      style: 'deepObject',
+      explode: false,
+      allowReserved: true,
+    });
+
+    const result = parse(context, encoding);
+
+    expect(result).to.not.contain.annotations;
+    expect(result.get(0).toValue()).to.deep.equal({
+      contentType: 'image/png',
+      style: 'deepObject',
+      explode: false,
+      allowReserved: true,
+    });
+  });
+
+  it('parses headers as Header Objects', () => {
+    const encoding = new namespace.elements.Object({
+      headers: {
+        'X-Rate-Limit': {
+          schema: { type: 'integer', example: 5 },
+        },
+      },
+    });
+
+    const result = parse(context, encoding);
+
+    expect(result).to.not.contain.annotations;
+    const header = result.get(0).get('headers').get('X-Rate-Limit');
+    expect(header.valueOf()).to.equal(5);
+  });
+
+  it('provides warning when contentType is non-string', () => {
+    const encoding = new namespace.elements.Object({
+      contentType: 1,
+    });
+
+    const result = parse(context, encoding);
+
+    expect(result).to.contain.warning("'Encoding Object' 'contentType' is not a string");
+    expect(result.get(0).toValue()).to.deep.equal({});
+  });
+
+  it('provides warning when style is not permitted', () => {
+    const encoding = new namespace.elements.Object({
+      style: 'matrix',
+    });
+
+    const result = parse(context, encoding);
+
+    expect(result).to.contain.warning("'Encoding Object' 'style' must be either form, spaceDelimited, pipeDelimited, deepObject");
+    expect(result.get(0).toValue()).to.deep.equal({});
+  });
+
+  it('provides warning when explode is non-boolean', () => {
+    const encoding = new namespace.elements.Object({
+      explode: 'yes',
+    });
+
+    const result = parse(context, encoding);
+
+    expect(result).to.contain.warning("'Encoding Object' 'explode' is not a boolean");
+    expect(result.get(0).toValue()).to.deep.equal({});
+  });
+
+  it('provides warning for invalid keys', () => {
+    const encoding = new namespace.elements.Object({
+      invalid: true,
+    });
+
+    const result = parse(context, encoding);
+
+    expect(result).to.contain.warning("'Encoding Object' contains invalid key 'invalid'");
+  });
+
+  it('does not provide warning for extensions', () => {
+    const encoding = new namespace.elements.Object({
+      'x-extension': true,
+    });
+
+    const result = parse(context, encoding);
+
+    expect(result).to.not.contain.annotations;
+  });
+
+  it('exposes extensions as the extensions attribute of the object', () => {
+    const encoding = new namespace.elements.Object({
+      contentType: 'image/png',
+      'x-extension': true,
+    });
+
+    const result = parse(context, encoding);
+
+    const object = result.get(0);
+    expect(object.hasKey('x-extension')).to.be.false;
+
+    const extension = object.attributes.get('extensions');
+    expect(extension).to.be.instanceof(namespace.elements.Extension);
+    expect(extension.profile.toValue()).to.equal('https://help.apiary.io/profiles/api-elements/vendor-extensions/');
+    expect(extension.toValue()).to.deep.equal([{ key: 'x-extension', value: true }]);
+  });
+});
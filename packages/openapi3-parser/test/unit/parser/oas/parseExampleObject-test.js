@@ -37,27 +37,35 @@ describe('Example Object', () => {
     });
   });
 
-  describe('warnings for unsupported properties', () => {
-    it('provides warning for unsupported summary key', () => {
-      const example = new namespace.elements.Object({
-        summary: 'summary',
-      });
-
-      const parseResult = parse(context, example);
-
-      expect(parseResult).to.contain.warning("'Example Object' contains unsupported key 'summary'");
+  it('returns an object with summary and description as copy', () => {
+    const example = new namespace.elements.Object({
+      summary: 'A cat',
+      description: 'An example of a **cat**',
+      value: { name: 'Tom' },
     });
 
-    it('provides warning for unsupported description key', () => {
-      const example = new namespace.elements.Object({
-        description: 'description',
-      });
+    const parseResult = parse(context, example);
 
-      const parseResult = parse(context, example);
+    expect(parseResult).to.not.contain.annotations;
 
-      expect(parseResult).to.contain.warning("'Example Object' contains unsupported key 'description'");
+    const object = parseResult.get(0);
+    expect(object.get('summary')).to.be.instanceof(namespace.elements.Copy);
+    expect(object.get('summary').toValue()).to.equal('A cat');
+    expect(object.get('description')).to.be.instanceof(namespace.elements.Copy);
+    expect(object.get('description').toValue()).to.equal('An example of a **cat**');
+  });
+
+  it('provides warning when summary is not a string', () => {
+    const example = new namespace.elements.Object({
+      summary: 1,
     });
 
+    const parseResult = parse(context, example);
+
+    expect(parseResult).to.contain.warning("'Example Object' 'summary' is not a string");
+  });
+
+  describe('warnings for unsupported properties', () => {
     it('provides warning for unsupported externalValue key', () => {
       const example = new namespace.elements.Object({
         externalValue: 'externalValue',
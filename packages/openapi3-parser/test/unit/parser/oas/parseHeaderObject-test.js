@@ -52,15 +52,220 @@ describe('Header Object', () => {
     });
   });
 
-  describe('report unsupported keys', () => {
-    it('#description', () => {
+  describe('#description', () => {
+    it('adds the description to the header value', () => {
       const header = new namespace.elements.Object({
-        description: 'dummy',
+        description: 'The URL of the created resource',
       });
 
       const result = parse(context, header);
 
-      expect(result).to.contain.warning("'Header Object' contains unsupported key 'description'");
+      expect(result).to.not.contain.annotations;
+      expect(result.get(0).description.toValue()).to.equal('The URL of the created resource');
     });
+
+    it('provides warning when description is not a string', () => {
+      const header = new namespace.elements.Object({
+        description: true,
+      });
+
+      const result = parse(context, header);
+
+      expect(result).to.contain.warning("'Header Object' 'description' is not a string");
+    });
+  });
+
+  describe('#required', () => {
+    it('adds the required type attribute to the header value', () => {
+      const header = new namespace.elements.Object({
+        required: true,
+      });
+
+      const result = parse(context, header);
+
+      expect(result).to.not.contain.annotations;
+      expect(result.get(0).attributes.getValue('typeAttributes')).to.deep.equal(['required']);
+    });
+
+    it('provides warning when required is not a boolean', () => {
+      const header = new namespace.elements.Object({
+        required: 'yes',
+      });
+
+      const result = parse(context, header);
+
+      expect(result).to.contain.warning("'Header Object' 'required' is not a boolean");
+    });
+  });
+
+  describe('#schema', () => {
+    it('uses the schema as the value of the header', () => {
+      const header = new namespace.elements.Object({
+        schema: {
+          type: 'integer',
+        },
+      });
+
+      const result = parse(context, header);
+
+      expect(result).to.not.contain.annotations;
+      expect(result.get(0)).to.be.instanceof(namespace.elements.Number);
+    });
+
+    it('uses the example as content of the schema value', () => {
+      const header = new namespace.elements.Object({
+        schema: {
+          type: 'integer',
+        },
+        example: 42,
+      });
+
+      const result = parse(context, header);
+
+      expect(result).to.not.contain.annotations;
+      expect(result.get(0)).to.be.instanceof(namespace.elements.Number);
+      expect(result.get(0).toValue()).to.equal(42);
+    });
+
+    it('uses the examples as content and samples of the schema value', () => {
+      const header = new namespace.elements.Object({
+        schema: {
+          type: 'integer',
+        },
+        examples: {
+          low: { value: 1 },
+          high: { value: 99 },
+        },
+      });
+
+      const result = parse(context, header);
+
+      expect(result).to.not.contain.annotations;
+      expect(result.get(0).toValue()).to.equal(1);
+      expect(result.get(0).attributes.getValue('samples')).to.deep.equal([99]);
+    });
+  });
+
+  describe('#content', () => {
+    it('uses the schema and example of the media type', () => {
+      const header = new namespace.elements.Object({
+        content: {
+          'text/plain': {
+            schema: {
+              type: 'string',
+            },
+            example: 'en',
+          },
+        },
+      });
+
+      const result = parse(context, header);
+
+      expect(result).to.not.contain.annotations;
+      expect(result.get(0)).to.be.instanceof(namespace.elements.String);
+      expect(result.get(0).toValue()).to.equal('en');
+    });
+
+    it('provides warning when content contains multiple media types', () => {
+      const header = new namespace.elements.Object({
+        content: {
+          'text/plain': {},
+          'application/json': {},
+        },
+      });
+
+      const result = parse(context, header);
+
+      expect(result).to.contain.warning("'Header Object' 'content' must only contain one media type, other media types have been ignored");
+    });
+  });
+
+  describe('#style', () => {
+    it('allows the simple style', () => {
+      const header = new namespace.elements.Object({
+        style: 'simple',
+      });
+
+      const result = parse(context, header);
+
+      expect(result).to.not.contain.annotations;
+    });
+
+    it('provides warning for styles other than simple', () => {
+      const header = new namespace.elements.Object({
+        style: 'form',
+      });
+
+      const result = parse(context, header);
+
+      expect(result).to.contain.warning("'Header Object' 'style' 'form' is not permitted, only 'simple' is permitted");
+    });
+  });
+
+  it('adds explode to the header value', () => {
+    const header = new namespace.elements.Object({
+      explode: true,
+    });
+
+    const result = parse(context, header);
+
+    expect(result).to.not.contain.annotations;
+    expect(result.get(0).attributes.getValue('explode')).to.be.true;
+  });
+
+  it('provides warning when allowReserved is used', () => {
+    const header = new namespace.elements.Object({
+      allowReserved: true,
+    });
+
+    const result = parse(context, header);
+
+    expect(result).to.contain.warning("'Header Object' 'allowReserved' is unsupported in header");
+  });
+
+  describe('#deprecated', () => {
+    it('provides warning when deprecated is not a boolean', () => {
+      const header = new namespace.elements.Object({
+        deprecated: 'yes',
+      });
+
+      const result = parse(context, header);
+
+      expect(result).to.contain.warning("'Header Object' 'deprecated' is not a boolean");
+    });
+
+    it('marks the value as deprecated', () => {
+      const header = new namespace.elements.Object({
+        deprecated: true,
+      });
+
+      const result = parse(context, header);
+
+      expect(result).to.not.contain.annotations;
+      expect(result.get(0).attributes.getValue('deprecated')).to.be.true;
+    });
+
+    it('does not mark the value as deprecated when deprecated is false', () => {
+      const header = new namespace.elements.Object({
+        deprecated: false,
+      });
+
+      const result = parse(context, header);
+
+      expect(result.get(0).attributes.hasKey('deprecated')).to.be.false;
+    });
+  });
+
+  it('exposes extensions as the extensions attribute of the header value', () => {
+    const header = new namespace.elements.Object({
+      'x-extension': '',
+    });
+
+    const parseResult = parse(context, header);
+
+    const extension = parseResult.get(0).attributes.get('extensions');
+    expect(extension).to.be.instanceof(namespace.elements.Extension);
+    expect(extension.profile.toValue()).to.equal('https://help.apiary.io/profiles/api-elements/vendor-extensions/');
+    expect(extension.toValue()).to.deep.equal([{ key: 'x-extension', value: '' }]);
   });
 });
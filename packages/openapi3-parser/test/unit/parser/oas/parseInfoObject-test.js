@@ -97,6 +97,21 @@ describe('#parseInfoObject', () => {
       expect(parseResult).to.not.contain.annotations;
     });
 
+    it('exposes Info Object extensions in the api category', () => {
+      const object = new namespace.elements.Object({
+        title: 'My API',
+        version: '1.0.0',
+        'x-logo': 'logo.png',
+      });
+
+      const parseResult = parse(context, object);
+
+      const extension = parseResult.get(0).content[0];
+      expect(extension).to.be.instanceof(namespace.elements.Extension);
+      expect(extension.profile.toValue()).to.equal('https://help.apiary.io/profiles/api-elements/vendor-extensions/');
+      expect(extension.toValue()).to.deep.equal([{ key: 'x-logo', value: 'logo.png' }]);
+    });
+
     it('provides warning for invalid keys', () => {
       const object = new namespace.elements.Object({
         title: 'My API',
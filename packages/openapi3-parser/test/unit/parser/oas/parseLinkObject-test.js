@@ -0,0 +1,128 @@
+const { Fury } = require('@apielements/core');
+const { expect } = require('../../chai');
+const parse = require('../../../../lib/parser/oas/parseLinkObject');
+const Context = require('../../../../lib/context');
+
+const { minim: namespace } = new Fury();
+
+describe('Link Object', () => {
+  let context;
+
+  beforeEach(() => {
+    context = new Context(namespace);
+  });
+
+  it('provides warning when link is non-object', () => {
+    const link = new namespace.elements.String();
+
+    const parseResult = parse(context, link);
+
+    expect(parseResult).to.contain.warning("'Link Object' is not an object");
+  });
+
+  it('provides warning when link does not contain an operationRef or operationId', () => {
+    const link = new namespace.elements.Object({});
+
+    const parseResult = parse(context, link);
+
+    expect(parseResult.isEmpty).to.be.false;
+    expect(parseResult).to.contain.warning("'Link Object' must contain either 'operationRef' or 'operationId'");
+  });
+
+  it('parses a link with an operationId', () => {
+    const link = new namespace.elements.Object({
+      operationId: 'getUser',
+      description: 'The user',
+    });
+
+    const parseResult = parse(context, link);
+
+    expect(parseResult).to.not.contain.annotations;
+
+    const element = parseResult.get(0);
+    expect(element).to.be.instanceof(namespace.elements.Link);
+    expect(element.attributes.getValue('operationId')).to.equal('getUser');
+    expect(element.description.toValue()).to.equal('The user');
+  });
+
+  it('parses a link with an operationRef', () => {
+    const link = new namespace.elements.Object({
+      operationRef: '#/paths/~1users~1{id}/get',
+    });
+
+    const parseResult = parse(context, link);
+
+    expect(parseResult).to.not.contain.annotations;
+    expect(parseResult.get(0).attributes.getValue('operationRef')).to.equal('#/paths/~1users~1{id}/get');
+  });
+
+  it('provides warning when link contains both operationRef and operationId', () => {
+    const link = new namespace.elements.Object({
+      operationRef: '#/paths/~1users~1{id}/get',
+      operationId: 'getUser',
+    });
+
+    const parseResult = parse(context, link);
+
+    expect(parseResult).to.contain.warning("'Link Object' 'operationRef' and 'operationId' are mutually exclusive, 'operationRef' has been ignored");
+
+    const element = parseResult.get(0);
+    expect(element.attributes.getValue('operationId')).to.equal('getUser');
+    expect(element.attributes.hasKey('operationRef')).to.be.false;
+  });
+
+  it('keeps the runtime expressions of parameters and requestBody', () => {
+    const link = new namespace.elements.Object({
+      operationId: 'updateUser',
+      parameters: {
+        id: '$response.body#/id',
+      },
+      requestBody: '$response.body#/user',
+    });
+
+    const parseResult = parse(context, link);
+
+    expect(parseResult).to.not.contain.annotations;
+
+    const element = parseResult.get(0);
+    expect(element.attributes.getValue('parameters')).to.deep.equal({ id: '$response.body#/id' });
+    expect(element.attributes.getValue('requestBody')).to.equal('$response.body#/user');
+  });
+
+  it('provides warning when parameters is not an object', () => {
+    const link = new namespace.elements.Object({
+      operationId: 'getUser',
+      parameters: 'id',
+    });
+
+    const parseResult = parse(context, link);
+
+    expect(parseResult).to.contain.warning("'Link Object' 'parameters' is not an object");
+  });
+
+  it('provides warning for unsupported server key', () => {
+    const link = new namespace.elements.Object({
+      operationId: 'getUser',
+      server: {},
+    });
+
+    const parseResult = parse(context, link);
+
+    expect(parseResult).to.contain.warning("'Link Object' contains unsupported key 'server'");
+  });
+
+  it('exposes extensions as the extensions attribute of the link', () => {
+    const link = new namespace.elements.Object({
+      operationId: 'getUser',
+      'x-extension': '',
+    });
+
+    const parseResult = parse(context, link);
+
+    expect(parseResult).to.not.contain.annotations;
+    const extension = parseResult.get(0).attributes.get('extensions');
+    expect(extension).to.be.instanceof(namespace.elements.Extension);
+    expect(extension.profile.toValue()).to.equal('https://help.apiary.io/profiles/api-elements/vendor-extensions/');
+    expect(extension.toValue()).to.deep.equal([{ key: 'x-extension', value: '' }]);
+  });
+});
@@ -57,15 +57,67 @@ describe('Media Type Object', () => {
     expect(message.contentType.toValue()).to.equal('application/json');
   });
 
-  describe('warnings for unsupported properties', () => {
-    it('provides warning for unsupported encoding key', () => {
+  it('exposes extensions in the message', () => {
+    const mediaType = new namespace.elements.Member('application/json', {
+      'x-extension': '',
+    });
+
+    const parseResult = parse(context, messageBodyClass, mediaType);
+
+    expect(parseResult).to.not.contain.annotations;
+    const extension = parseResult.get(0).content
+      .find(element => element instanceof namespace.elements.Extension);
+    expect(extension.profile.toValue()).to.equal('https://help.apiary.io/profiles/api-elements/vendor-extensions/');
+    expect(extension.toValue()).to.deep.equal([{ key: 'x-extension', value: '' }]);
+  });
+
+  describe('#encoding', () => {
+    it('provides warning for encoding with non-form media type', () => {
       const mediaType = new namespace.elements.Member('application/json', {
         encoding: {},
       });
 
       const parseResult = parse(context, messageBodyClass, mediaType);
 
-      expect(parseResult).to.contain.warning("'Media Type Object' contains unsupported key 'encoding'");
+      expect(parseResult).to.contain.warning("'Media Type Object' 'encoding' is only supported for form and multipart media types");
+    });
+
+    it('provides warning when encoding is non-object', () => {
+      const mediaType = new namespace.elements.Member('multipart/form-data', {
+        encoding: 'json',
+      });
+
+      const parseResult = parse(context, messageBodyClass, mediaType);
+
+      expect(parseResult).to.contain.warning("'Media Type Object' 'encoding' is not an object");
+    });
+
+    it('parses encoding for multipart media type', () => {
+      const mediaType = new namespace.elements.Member('multipart/form-data', {
+        encoding: {
+          avatar: {
+            contentType: 'image/png',
+          },
+        },
+      });
+
+      const parseResult = parse(context, messageBodyClass, mediaType);
+
+      expect(parseResult).to.not.contain.annotations;
+    });
+
+    it('provides warnings from the Encoding Objects', () => {
+      const mediaType = new namespace.elements.Member('application/x-www-form-urlencoded', {
+        encoding: {
+          tags: {
+            style: 'matrix',
+          },
+        },
+      });
+
+      const parseResult = parse(context, messageBodyClass, mediaType);
+
+      expect(parseResult).to.contain.warning("'Encoding Object' 'style' must be either form, spaceDelimited, pipeDelimited, deepObject");
     });
   });
 
@@ -217,6 +269,24 @@ describe('Media Type Object', () => {
       expect(message.messageBody.contentType.toValue()).to.equal('application/json');
     });
 
+    it('exposes extensions of an example in its message', () => {
+      const mediaType = new namespace.elements.Member('application/json', {
+        examples: {
+          cat: {
+            value: {},
+            'x-extension': '',
+          },
+        },
+      });
+
+      const parseResult = parse(context, messageBodyClass, mediaType);
+
+      expect(parseResult).to.not.contain.annotations;
+      const extension = parseResult.get(0).content
+        .find(element => element instanceof namespace.elements.Extension);
+      expect(extension.toValue()).to.deep.equal([{ key: 'x-extension', value: '' }]);
+    });
+
     it('warns for examples without JSON type', () => {
       const mediaType = new namespace.elements.Member('application/xml', {
         examples: {
@@ -239,17 +309,17 @@ describe('Media Type Object', () => {
       );
     });
 
-    it('warns for unsupported multiple examples', () => {
+    it('creates a message for each example', () => {
       const mediaType = new namespace.elements.Member('application/json', {
         examples: {
           cat: {
             value: {
-              message: 'Hello World',
+              name: 'Tom',
             },
           },
           dog: {
             value: {
-              message: 'Hello World',
+              name: 'Spike',
             },
           },
         },
@@ -257,12 +327,40 @@ describe('Media Type Object', () => {
 
       const parseResult = parse(context, messageBodyClass, mediaType);
 
-      const message = parseResult.get(0);
-      expect(message).to.be.instanceof(messageBodyClass);
+      expect(parseResult).to.not.contain.annotations;
+      expect(parseResult.length).to.equal(2);
 
-      expect(parseResult).to.contain.warning(
-        "'Media Type Object' 'examples' only one example is supported, other examples have been ignored"
-      );
+      const cat = parseResult.get(0);
+      expect(cat).to.be.instanceof(messageBodyClass);
+      expect(cat.title.toValue()).to.equal('cat');
+      expect(cat.attributes.getValue('exampleName')).to.equal('cat');
+      expect(cat.messageBody.toValue()).to.equal('{"name":"Tom"}');
+
+      const dog = parseResult.get(1);
+      expect(dog).to.be.instanceof(messageBodyClass);
+      expect(dog.title.toValue()).to.equal('dog');
+      expect(dog.messageBody.toValue()).to.equal('{"name":"Spike"}');
+    });
+
+    it('adds the summary and description of an example as copy', () => {
+      const mediaType = new namespace.elements.Member('application/json', {
+        examples: {
+          cat: {
+            summary: 'A cat',
+            description: 'A cat named Tom',
+            value: {
+              name: 'Tom',
+            },
+          },
+        },
+      });
+
+      const parseResult = parse(context, messageBodyClass, mediaType);
+
+      expect(parseResult).to.not.contain.annotations;
+
+      const message = parseResult.get(0);
+      expect(message.copy.toValue()).to.deep.equal(['A cat', 'A cat named Tom']);
     });
   });
 
@@ -399,6 +497,289 @@ describe('Media Type Object', () => {
       expect(message.messageBody.contentType.toValue()).to.equal('application/json');
     });
 
+    it('generates a messageBody asset for a request excluding readOnly properties', () => {
+      const mediaType = new namespace.elements.Member('application/json', {
+        schema: {
+          type: 'object',
+          properties: {
+            id: { type: 'string', example: '1', readOnly: true },
+            name: { type: 'string', example: 'doe' },
+            password: { type: 'string', example: 'secret', writeOnly: true },
+          },
+        },
+      });
+
+      const parseResult = parse(context, namespace.elements.HttpRequest, mediaType);
+
+      const message = parseResult.get(0);
+      expect(message).to.be.instanceof(namespace.elements.HttpRequest);
+      expect(message.messageBody.toValue()).to.equal('{"name":"doe","password":"secret"}');
+      expect(message.dataStructure.content.keys()).to.deep.equal(['id', 'name', 'password']);
+    });
+
+    it('generates a messageBody asset for a response excluding writeOnly properties', () => {
+      const mediaType = new namespace.elements.Member('application/json', {
+        schema: {
+          type: 'object',
+          properties: {
+            id: { type: 'string', example: '1', readOnly: true },
+            name: { type: 'string', example: 'doe' },
+            password: { type: 'string', example: 'secret', writeOnly: true },
+          },
+        },
+      });
+
+      const parseResult = parse(context, namespace.elements.HttpResponse, mediaType);
+
+      const message = parseResult.get(0);
+      expect(message).to.be.instanceof(namespace.elements.HttpResponse);
+      expect(message.messageBody.toValue()).to.equal('{"id":"1","name":"doe"}');
+    });
+
+    it('generates a messageBody asset for a request excluding properties referencing readOnly schemas', () => {
+      const id = new namespace.elements.String('1', { id: 'Id' });
+      id.attributes.set('readOnly', true);
+
+      const user = new namespace.elements.Object({ name: 'doe' }, { id: 'User' });
+      const userId = new namespace.Element();
+      userId.element = 'Id';
+      user.push(new namespace.elements.Member('id', userId));
+
+      context.state.components = new namespace.elements.Object({
+        schemas: {
+          Id: new namespace.elements.DataStructure(id),
+          User: new namespace.elements.DataStructure(user),
+        },
+      });
+
+      const mediaType = new namespace.elements.Member('application/json', {
+        schema: {
+          $ref: '#/components/schemas/User',
+        },
+      });
+
+      const parseResult = parse(context, namespace.elements.HttpRequest, mediaType);
+
+      const message = parseResult.get(0);
+      expect(message.messageBody.toValue()).to.equal('{"name":"doe"}');
+    });
+
+    it('generates a messageBody asset with samples valid for the format of values', () => {
+      const mediaType = new namespace.elements.Member('application/json', {
+        schema: {
+          type: 'object',
+          properties: {
+            id: { type: 'string', format: 'uuid' },
+            email: { type: 'string', format: 'email' },
+            created: { type: 'string', format: 'date-time' },
+            count: { type: 'integer', format: 'int64' },
+            price: { type: 'number', format: 'float' },
+            name: { type: 'string', format: 'unknown' },
+            updated: { type: 'string', format: 'date-time', example: '2020-01-01T00:00:00Z' },
+          },
+        },
+      });
+
+      const parseResult = parse(context, messageBodyClass, mediaType);
+
+      const message = parseResult.get(0);
+      expect(JSON.parse(message.messageBody.toValue())).to.deep.equal({
+        id: '095be615-a8ad-4c33-8e9c-c7612fbf6c9f',
+        email: 'user@example.com',
+        created: '2019-08-24T14:15:22Z',
+        count: 1,
+        price: 1.5,
+        name: '',
+        updated: '2020-01-01T00:00:00Z',
+      });
+    });
+
+    it('generates a messageBody asset with samples valid for the format of referenced schemas', () => {
+      const id = new namespace.elements.String(undefined, { id: 'Id' });
+      id.attributes.set('validation', { format: 'uuid' });
+
+      context.state.components = new namespace.elements.Object({
+        schemas: {
+          Id: new namespace.elements.DataStructure(id),
+        },
+      });
+
+      const mediaType = new namespace.elements.Member('application/json', {
+        schema: {
+          type: 'object',
+          properties: {
+            id: { $ref: '#/components/schemas/Id' },
+          },
+        },
+      });
+
+      const parseResult = parse(context, messageBodyClass, mediaType);
+
+      const message = parseResult.get(0);
+      expect(message.messageBody.toValue()).to.equal('{"id":"095be615-a8ad-4c33-8e9c-c7612fbf6c9f"}');
+      expect(id.attributes.hasKey('samples')).to.be.false;
+    });
+
+    describe('discriminated schemas', () => {
+      beforeEach(() => {
+        const cat = new namespace.elements.Object({ meows: true }, { id: 'Cat' });
+        const dog = new namespace.elements.Object({ barks: true }, { id: 'Dog' });
+
+        context.state.components = new namespace.elements.Object({
+          schemas: {
+            Cat: new namespace.elements.DataStructure(cat),
+            Dog: new namespace.elements.DataStructure(dog),
+          },
+        });
+      });
+
+      it('generates a message with a messageBody asset for each mapped subtype', () => {
+        const mediaType = new namespace.elements.Member('application/json', {
+          schema: {
+            oneOf: [
+              { $ref: '#/components/schemas/Cat' },
+              { $ref: '#/components/schemas/Dog' },
+            ],
+            discriminator: {
+              propertyName: 'petType',
+              mapping: {
+                dog: '#/components/schemas/Dog',
+              },
+            },
+          },
+        });
+
+        const parseResult = parse(context, messageBodyClass, mediaType);
+
+        expect(parseResult.length).to.equal(2);
+
+        const dog = parseResult.get(0);
+        expect(dog).to.be.instanceof(messageBodyClass);
+        expect(dog.title.toValue()).to.equal('dog');
+        expect(dog.messageBody.toValue()).to.equal('{"barks":true,"petType":"dog"}');
+        expect(dog.dataStructure).to.be.instanceof(namespace.elements.DataStructure);
+
+        const cat = parseResult.get(1);
+        expect(cat).to.be.instanceof(messageBodyClass);
+        expect(cat.title.toValue()).to.equal('Cat');
+        expect(cat.messageBody.toValue()).to.equal('{"meows":true,"petType":"Cat"}');
+        expect(cat.dataStructure).to.be.instanceof(namespace.elements.DataStructure);
+      });
+
+      it('generates a message for each mapped subtype of a referenced schema', () => {
+        const pet = new namespace.elements.Object({ name: 'Tom' }, { id: 'Pet' });
+        const createOption = (id) => {
+          const option = new namespace.elements.Element([new namespace.elements.Ref(id)]);
+          option.element = 'option';
+          return option;
+        };
+        const select = new namespace.elements.Element([createOption('Cat'), createOption('Dog')]);
+        select.element = 'select';
+        select.attributes.set('discriminator', {
+          propertyName: 'petType',
+          mapping: {
+            cat: new namespace.elements.Ref('Cat'),
+            dog: new namespace.elements.Ref('Dog'),
+          },
+        });
+        pet.push(select);
+        context.state.components.get('schemas').set('Pet', new namespace.elements.DataStructure(pet));
+
+        const mediaType = new namespace.elements.Member('application/json', {
+          schema: {
+            $ref: '#/components/schemas/Pet',
+          },
+        });
+
+        const parseResult = parse(context, messageBodyClass, mediaType);
+
+        expect(parseResult.length).to.equal(2);
+        expect(parseResult.get(0).messageBody.toValue()).to.equal('{"name":"Tom","meows":true,"petType":"cat"}');
+        expect(parseResult.get(1).messageBody.toValue()).to.equal('{"name":"Tom","barks":true,"petType":"dog"}');
+      });
+
+      it('generates a single message when generateMessageBody is disabled', () => {
+        context.options.generateMessageBody = false;
+
+        const mediaType = new namespace.elements.Member('application/json', {
+          schema: {
+            oneOf: [
+              { $ref: '#/components/schemas/Cat' },
+              { $ref: '#/components/schemas/Dog' },
+            ],
+            discriminator: {
+              propertyName: 'petType',
+            },
+          },
+        });
+
+        const parseResult = parse(context, messageBodyClass, mediaType);
+
+        expect(parseResult.length).to.equal(1);
+        expect(parseResult.get(0).messageBody).to.be.undefined;
+      });
+    });
+
+    describe('XML', () => {
+      beforeEach(() => {
+        const pet = new namespace.elements.Object({ name: 'doe' }, { id: 'Pet' });
+        pet.attributes.set('xml', { name: 'pet' });
+
+        context.state.components = new namespace.elements.Object({
+          schemas: {
+            Pet: new namespace.elements.DataStructure(pet),
+          },
+        });
+      });
+
+      it('generates a messageBody asset for XML type', () => {
+        const mediaType = new namespace.elements.Member('application/xml', {
+          schema: {
+            $ref: '#/components/schemas/Pet',
+          },
+        });
+
+        const parseResult = parse(context, messageBodyClass, mediaType);
+
+        const message = parseResult.get(0);
+        expect(message.messageBody.toValue()).to.equal('<?xml version="1.0" encoding="UTF-8"?>\n<pet>\n  <name>doe</name>\n</pet>');
+        expect(message.messageBody.contentType.toValue()).to.equal('application/xml');
+      });
+
+      it('generates a messageBody asset for text XML type', () => {
+        const mediaType = new namespace.elements.Member('text/xml', {
+          schema: {
+            type: 'object',
+            properties: {
+              id: { type: 'string', example: '1', xml: { attribute: true } },
+            },
+            xml: { name: 'user' },
+          },
+        });
+
+        const parseResult = parse(context, messageBodyClass, mediaType);
+
+        const message = parseResult.get(0);
+        expect(message.messageBody.toValue()).to.equal('<?xml version="1.0" encoding="UTF-8"?>\n<user id="1"/>');
+        expect(message.messageBody.contentType.toValue()).to.equal('text/xml');
+      });
+
+      it('does not generate a messageBody asset for XML type without a name for the root element', () => {
+        const mediaType = new namespace.elements.Member('application/xml', {
+          schema: {
+            type: 'object',
+            properties: {
+              name: { type: 'string' },
+            },
+          },
+        });
+
+        const parseResult = parse(context, messageBodyClass, mediaType);
+
+        expect(parseResult.get(0).messageBody).to.be.undefined;
+      });
+    });
+
     it('generates an messageBody asset for text type with string schema', () => {
       const mediaType = new namespace.elements.Member('text/plain', {
         schema: {
@@ -451,5 +832,220 @@ describe('Media Type Object', () => {
       expect(message).to.be.instanceof(messageBodyClass);
       expect(message.messageBody).to.be.undefined;
     });
+
+    describe('forms', () => {
+      it('generates a messageBody asset for form type', () => {
+        const mediaType = new namespace.elements.Member('application/x-www-form-urlencoded', {
+          schema: {
+            type: 'object',
+            properties: {
+              name: { type: 'string', example: 'Doggie & co' },
+              tags: { type: 'array', items: { type: 'string' }, example: ['a', 'b'] },
+              colour: { type: 'object', example: { R: 100, G: 200 } },
+            },
+          },
+          encoding: {
+            colour: { style: 'deepObject' },
+          },
+        });
+
+        const parseResult = parse(context, messageBodyClass, mediaType);
+
+        const message = parseResult.get(0);
+        expect(message.messageBody.toValue()).to.equal('name=Doggie%20%26%20co&tags=a&tags=b&colour[R]=100&colour[G]=200');
+        expect(message.messageBody.contentType.toValue()).to.equal('application/x-www-form-urlencoded');
+      });
+
+      it('generates a messageBody asset for multipart type', () => {
+        const mediaType = new namespace.elements.Member('multipart/form-data; boundary=abc', {
+          schema: {
+            type: 'object',
+            properties: {
+              id: { type: 'string', example: '1' },
+              address: { type: 'object', properties: { city: { type: 'string', example: 'Prague' } } },
+              avatar: { type: 'string', format: 'binary', example: 'image' },
+            },
+          },
+          encoding: {
+            avatar: {
+              contentType: 'image/png, image/jpeg',
+              headers: {
+                'X-Rate-Limit': { schema: { type: 'integer', example: 5 } },
+              },
+            },
+          },
+        });
+
+        const parseResult = parse(context, messageBodyClass, mediaType);
+
+        const message = parseResult.get(0);
+        expect(message.messageBody.toValue()).to.equal([
+          '--abc',
+          'Content-Disposition: form-data; name="id"',
+          '',
+          '1',
+          '--abc',
+          'Content-Disposition: form-data; name="address"',
+          'Content-Type: application/json',
+          '',
+          '{"city":"Prague"}',
+          '--abc',
+          'Content-Disposition: form-data; name="avatar"; filename="avatar"',
+          'Content-Type: image/png',
+          'X-Rate-Limit: 5',
+          '',
+          'image',
+          '--abc--',
+          '',
+        ].join('\r\n'));
+        expect(message.messageBody.contentType.toValue()).to.equal('multipart/form-data; boundary=abc');
+      });
+
+      it('adds the default boundary to a multipart type without a boundary', () => {
+        const mediaType = new namespace.elements.Member('multipart/form-data', {
+          schema: {
+            type: 'object',
+            properties: {
+              id: { type: 'string', example: '1' },
+            },
+          },
+        });
+
+        const parseResult = parse(context, messageBodyClass, mediaType);
+
+        const message = parseResult.get(0);
+        expect(message.headers.toValue()).to.deep.equal([
+          { key: 'Content-Type', value: 'multipart/form-data; boundary=BOUNDARY' },
+        ]);
+        expect(message.messageBody.toValue()).to.equal([
+          '--BOUNDARY',
+          'Content-Disposition: form-data; name="id"',
+          '',
+          '1',
+          '--BOUNDARY--',
+          '',
+        ].join('\r\n'));
+        expect(message.messageBody.contentType.toValue()).to.equal('multipart/form-data; boundary=BOUNDARY');
+      });
+
+      it('keeps the boundary of a multipart type', () => {
+        const mediaType = new namespace.elements.Member('multipart/form-data; boundary=abc', {});
+
+        const parseResult = parse(context, messageBodyClass, mediaType);
+
+        expect(parseResult.get(0).headers.toValue()).to.deep.equal([
+          { key: 'Content-Type', value: 'multipart/form-data; boundary=abc' },
+        ]);
+      });
+
+      it('does not generate a messageBody asset for form type with non-object schema', () => {
+        const mediaType = new namespace.elements.Member('application/x-www-form-urlencoded', {
+          schema: {
+            type: 'string',
+            example: 'doe',
+          },
+        });
+
+        const parseResult = parse(context, messageBodyClass, mediaType);
+
+        expect(parseResult.get(0).messageBody).to.be.undefined;
+      });
+    });
+
+    describe('messageBodySchema', () => {
+      it('generates a messageBodySchema asset for JSON type', () => {
+        const mediaType = new namespace.elements.Member('application/json', {
+          schema: {
+            type: 'object',
+            properties: {
+              name: {
+                type: 'string',
+              },
+            },
+            required: ['name'],
+          },
+        });
+
+        const parseResult = parse(context, messageBodyClass, mediaType);
+
+        const message = parseResult.get(0);
+        expect(message.messageBodySchema.contentType.toValue()).to.equal('application/schema+json');
+        expect(JSON.parse(message.messageBodySchema.toValue())).to.deep.equal({
+          $schema: 'http://json-schema.org/draft-04/schema#',
+          type: 'object',
+          properties: {
+            name: {
+              type: 'string',
+            },
+          },
+          required: ['name'],
+        });
+      });
+
+      it('generates a messageBodySchema asset including referenced schema components', () => {
+        context.state.components = new namespace.elements.Object({
+          schemas: {
+            User: new namespace.elements.DataStructure(
+              new namespace.elements.Object({ name: new namespace.elements.String() }, {
+                id: 'User',
+              })
+            ),
+          },
+        });
+
+        const mediaType = new namespace.elements.Member('application/json', {
+          schema: {
+            $ref: '#/components/schemas/User',
+          },
+        });
+
+        const parseResult = parse(context, messageBodyClass, mediaType);
+
+        const message = parseResult.get(0);
+        expect(JSON.parse(message.messageBodySchema.toValue())).to.deep.equal({
+          $schema: 'http://json-schema.org/draft-04/schema#',
+          allOf: [{ $ref: '#/definitions/User' }],
+          definitions: {
+            User: {
+              type: 'object',
+              properties: {
+                name: {
+                  type: 'string',
+                },
+              },
+            },
+          },
+        });
+      });
+
+      it('does not generate a messageBodySchema asset for non-JSON type', () => {
+        const mediaType = new namespace.elements.Member('text/plain', {
+          schema: {
+            type: 'string',
+          },
+        });
+
+        const parseResult = parse(context, messageBodyClass, mediaType);
+
+        const message = parseResult.get(0);
+        expect(message.messageBodySchema).to.be.undefined;
+      });
+
+      it('does not generate a messageBodySchema asset when generateMessageBodySchema is disabled', () => {
+        context.options.generateMessageBodySchema = false;
+
+        const mediaType = new namespace.elements.Member('application/json', {
+          schema: {
+            type: 'object',
+          },
+        });
+
+        const parseResult = parse(context, messageBodyClass, mediaType);
+
+        const message = parseResult.get(0);
+        expect(message.messageBodySchema).to.be.undefined;
+        expect(message.dataStructure).to.be.instanceof(namespace.elements.DataStructure);
+      });
+    });
   });
 });
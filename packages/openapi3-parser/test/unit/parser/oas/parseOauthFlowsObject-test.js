@@ -281,4 +281,27 @@ describe('Oauth Flows Object', () => {
 
     expect(parseResult).to.not.contain.annotations;
   });
+
+  it('exposes extensions of the flows and the flow in the auth scheme', () => {
+    const oauthFlows = new namespace.elements.Object({
+      clientCredentials: {
+        tokenUrl: '/token',
+        scopes: {},
+        'x-flow': '',
+      },
+      'x-flows': '',
+    });
+
+    const parseResult = parse(context, oauthFlows);
+
+    expect(parseResult).to.not.contain.annotations;
+    const authScheme = parseResult.get(0).get(0);
+    const extensions = authScheme.content
+      .filter(element => element instanceof namespace.elements.Extension);
+    expect(extensions.map(extension => extension.toValue())).to.deep.equal([
+      [{ key: 'x-flow', value: '' }],
+      [{ key: 'x-flows', value: '' }],
+    ]);
+    expect(extensions[0].profile.toValue()).to.equal('https://help.apiary.io/profiles/api-elements/vendor-extensions/');
+  });
 });
@@ -207,20 +207,290 @@ describe('#parseOpenAPIObject', () => {
     expect(parseResult).to.contain.warning("'OpenAPI Object' contains invalid key 'invalid'");
   });
 
-  it('provides warning for unsupported tags key', () => {
-    const object = new namespace.elements.Object({
+  describe('tags', () => {
+    const createDocument = (paths, tags = []) => new namespace.elements.Object({
       openapi: '3.0.0',
       info: {
         title: 'My API',
         version: '1.0.0',
       },
+      paths,
+      tags,
+    });
+
+    it('provides warning when tags is not an array', () => {
+      const object = createDocument({}, {});
+
+      const parseResult = parse(context, object);
+
+      expect(parseResult).to.contain.warning("'OpenAPI Object' 'tags' is not an array");
+    });
+
+    it('groups resources by the tags of their operations', () => {
+      const object = createDocument({
+        '/pets': {
+          get: {
+            tags: ['pets'],
+            responses: {},
+          },
+        },
+        '/health': {
+          get: {
+            responses: {},
+          },
+        },
+      }, [
+        {
+          name: 'pets',
+          description: 'Everything about your pets',
+        },
+      ]);
+
+      const parseResult = parse(context, object);
+
+      expect(parseResult).to.not.contain.annotations;
+
+      const { api } = parseResult;
+      expect(api.resources.length).to.equal(1);
+      expect(api.resources.get(0).href.toValue()).to.equal('/health');
+
+      expect(api.resourceGroups.length).to.equal(1);
+      const group = api.resourceGroups.get(0);
+      expect(group.title.toValue()).to.equal('pets');
+      expect(group.copy.toValue()).to.deep.equal(['Everything about your pets']);
+      expect(group.resources.length).to.equal(1);
+      expect(group.resources.get(0).href.toValue()).to.equal('/pets');
+    });
+
+    it('groups operations of a path item referencing a path of the document once', () => {
+      const object = createDocument({
+        '/users/{id}': {
+          get: {
+            operationId: 'getUser',
+            tags: ['users'],
+            responses: {},
+          },
+        },
+        '/v2/users/{id}': {
+          $ref: '#/paths/~1users~1{id}',
+        },
+      });
+
+      const parseResult = parse(context, object);
+
+      expect(parseResult).to.not.contain.annotations;
+      expect(context.state.operations.map(operation => operation.path)).to.deep.equal(['/users/{id}']);
+
+      const group = parseResult.api.resourceGroups.get(0);
+      expect(group.resources.map(resource => resource.href.toValue()))
+        .to.deep.equal(['/users/{id}', '/v2/users/{id}']);
+    });
+
+    it('orders resource groups by the tags of the document', () => {
+      const object = createDocument({
+        '/pets': {
+          get: {
+            tags: ['pets'],
+            responses: {},
+          },
+        },
+        '/users': {
+          get: {
+            tags: ['users'],
+            responses: {},
+          },
+        },
+        '/orders': {
+          get: {
+            tags: ['store'],
+            responses: {},
+          },
+        },
+      }, [
+        { name: 'users' },
+        { name: 'unused' },
+        { name: 'pets' },
+      ]);
+
+      const parseResult = parse(context, object);
+
+      expect(parseResult).to.not.contain.annotations;
+
+      const titles = parseResult.api.resourceGroups.map(group => group.title.toValue());
+      expect(titles).to.deep.equal(['users', 'pets', 'store']);
+    });
+
+    it('groups operations with multiple tags by their first tag', () => {
+      const object = createDocument({
+        '/pets': {
+          get: {
+            tags: ['pets', 'store'],
+            responses: {},
+          },
+        },
+      }, [
+        { name: 'store' },
+        { name: 'pets' },
+      ]);
+
+      const parseResult = parse(context, object);
+
+      const groups = parseResult.api.resourceGroups;
+      expect(groups.length).to.equal(1);
+      expect(groups.get(0).title.toValue()).to.equal('pets');
+    });
+
+    it('splits resources with operations of different tags', () => {
+      const object = createDocument({
+        '/pets': {
+          summary: 'Pets',
+          get: {
+            tags: ['pets'],
+            responses: {},
+          },
+          post: {
+            tags: ['admin'],
+            responses: {},
+          },
+          delete: {
+            tags: ['admin'],
+            responses: {},
+          },
+        },
+      });
+
+      const parseResult = parse(context, object);
+
+      const groups = parseResult.api.resourceGroups;
+      expect(groups.map(group => group.title.toValue())).to.deep.equal(['pets', 'admin']);
+
+      const pets = groups.get(0).resources.get(0);
+      expect(pets.href.toValue()).to.equal('/pets');
+      expect(pets.title.toValue()).to.equal('Pets');
+      expect(pets.transitions.map(transition => transition.method.toValue())).to.deep.equal(['GET']);
+
+      const admin = groups.get(1).resources.get(0);
+      expect(admin.href.toValue()).to.equal('/pets');
+      expect(admin.title.toValue()).to.equal('Pets');
+      expect(admin.transitions.map(transition => transition.method.toValue())).to.deep.equal(['POST', 'DELETE']);
+    });
+
+    it('applies the document security to grouped resources', () => {
+      const object = createDocument({
+        '/pets': {
+          get: {
+            tags: ['pets'],
+            responses: {},
+          },
+        },
+      });
+      object.set('security', [{ apiKey: [] }]);
+      object.set('components', {
+        securitySchemes: {
+          apiKey: {
+            type: 'apiKey',
+            name: 'token',
+            in: 'query',
+          },
+        },
+      });
+
+      const parseResult = parse(context, object);
+
+      const resource = parseResult.api.resourceGroups.get(0).resources.get(0);
+      const transaction = resource.transitions.get(0).transactions.get(0);
+      expect(transaction.authSchemes.length).to.equal(1);
+    });
+  });
+
+  describe('security', () => {
+    const createDocument = (openapi = '3.0.0') => new namespace.elements.Object({
+      openapi,
+      info: {
+        title: 'My API',
+        version: '1.0.0',
+      },
       paths: {},
-      tags: [],
+      security: [{ apiKey: [] }],
+      components: {
+        securitySchemes: {
+          apiKey: {
+            type: 'apiKey',
+            name: 'token',
+            in: 'query',
+          },
+          basic: {
+            type: 'http',
+            scheme: 'basic',
+          },
+        },
+      },
     });
 
-    const parseResult = parse(context, object);
+    const authSchemeNames = transaction => transaction.authSchemes
+      .map(authScheme => authScheme.element);
+
+    it('applies the document security to webhook transactions', () => {
+      const object = createDocument('3.1.0');
+      object.set('webhooks', {
+        newPet: {
+          post: {
+            responses: {},
+          },
+        },
+        deletedPet: {
+          post: {
+            security: [{ basic: [] }],
+            responses: {},
+          },
+        },
+      });
+
+      const parseResult = parse(context, object);
+
+      const [newPet, deletedPet] = parseResult.api.content
+        .filter(element => element.classes.includes('webhook'))
+        .map(category => category.resources.get(0).transitions.get(0).transactions.get(0));
+
+      expect(authSchemeNames(newPet)).to.deep.equal(['apiKey']);
+      expect(authSchemeNames(deletedPet)).to.deep.equal(['basic']);
+    });
 
-    expect(parseResult).to.contain.warning("'OpenAPI Object' contains unsupported key 'tags'");
+    it('applies the document security to callback transactions', () => {
+      const object = createDocument();
+      object.set('paths', {
+        '/pets': {
+          post: {
+            callbacks: {
+              petCreated: {
+                '{$request.body#/callbackUrl}': {
+                  post: {
+                    responses: {},
+                  },
+                  delete: {
+                    security: [],
+                    responses: {},
+                  },
+                },
+              },
+            },
+            responses: {},
+          },
+        },
+      });
+
+      const parseResult = parse(context, object);
+
+      expect(parseResult).to.not.contain.annotations;
+
+      const transition = parseResult.api.resources.get(0).transitions.get(0);
+      const callback = transition.attributes.get('callbacks').get(0).resources.get(0);
+      const [post, remove] = callback.transitions
+        .map(callbackTransition => callbackTransition.transactions.get(0));
+
+      expect(authSchemeNames(post)).to.deep.equal(['apiKey']);
+      expect(remove.authSchemes).to.be.undefined;
+    });
   });
 
   it('provides warning for unsupported externalDocs key', () => {
@@ -239,7 +509,7 @@ describe('#parseOpenAPIObject', () => {
     expect(parseResult).to.contain.warning("'OpenAPI Object' contains unsupported key 'externalDocs'");
   });
 
-  it('provides warning for unsupported webhooks key in OpenAPI 3.1', () => {
+  it('exposes webhooks as categories of webhook resources in OpenAPI 3.1', () => {
     const object = new namespace.elements.Object({
       openapi: '3.1.0',
       info: {
@@ -247,12 +517,36 @@ describe('#parseOpenAPIObject', () => {
         version: '1.0.0',
       },
       paths: {},
-      webhooks: {},
+      webhooks: {
+        newPet: {
+          post: {
+            summary: 'New pet',
+            responses: {
+              200: {
+                description: 'Received',
+              },
+            },
+          },
+        },
+      },
     });
 
     const parseResult = parse(context, object);
 
-    expect(parseResult.warnings.get(1).toValue()).to.equal("'OpenAPI Object' contains unsupported key 'webhooks'");
+    const api = parseResult.get(0);
+    const category = api.get(0);
+    expect(category).to.be.instanceof(namespace.elements.Category);
+    expect(category.title.toValue()).to.equal('newPet');
+    expect(category.classes.toValue()).to.deep.equal(['webhook']);
+
+    const resource = category.get(0);
+    expect(resource).to.be.instanceof(namespace.elements.Resource);
+    expect(resource.href).to.be.undefined;
+    expect(resource.classes.toValue()).to.deep.equal(['webhook']);
+
+    const transition = resource.transitions.get(0);
+    expect(transition.title.toValue()).to.equal('New pet');
+    expect(transition.classes.toValue()).to.deep.equal(['webhook']);
   });
 
   it('provides warning for invalid key webhooks in OpenAPI 3.0', () => {
@@ -271,6 +565,153 @@ describe('#parseOpenAPIObject', () => {
     expect(parseResult).to.contain.warning("'OpenAPI Object' contains invalid key 'webhooks'");
   });
 
+  describe('links', () => {
+    const createDocument = links => new namespace.elements.Object({
+      openapi: '3.0.0',
+      info: {
+        title: 'My API',
+        version: '1.0.0',
+      },
+      paths: {
+        '/users': {
+          post: {
+            responses: {
+              201: {
+                description: 'Created',
+                links,
+              },
+            },
+          },
+        },
+        '/users/{id}': {
+          get: {
+            operationId: 'getUser',
+            responses: {
+              200: {
+                description: 'User',
+              },
+            },
+          },
+        },
+      },
+    });
+
+    const findTransition = (api, href) => api
+      .findRecursive('resource')
+      .find(resource => resource.href.toValue() === href)
+      .transitions.get(0);
+
+    it('resolves links by operationId', () => {
+      const object = createDocument({
+        GetUserById: {
+          operationId: 'getUser',
+        },
+      });
+
+      const parseResult = parse(context, object);
+
+      expect(parseResult).to.not.contain.annotations;
+
+      const { api } = parseResult;
+      const link = findTransition(api, '/users').transactions.get(0).response.links.get(0);
+      expect(link.relation.toValue()).to.equal('GetUserById');
+      expect(link.href.toValue()).to.equal('/users/{id}');
+
+      const transition = findTransition(api, '/users/{id}');
+      expect(transition.relation).to.be.undefined;
+    });
+
+    it('keeps the name of each link targeting the same operation', () => {
+      const object = createDocument({
+        GetUserById: {
+          operationId: 'getUser',
+        },
+        GetCreatedUser: {
+          operationId: 'getUser',
+        },
+      });
+
+      const parseResult = parse(context, object);
+
+      expect(parseResult).to.not.contain.annotations;
+
+      const { links } = findTransition(parseResult.api, '/users').transactions.get(0).response;
+      expect(links.map(link => link.relation.toValue())).to.deep.equal(['GetUserById', 'GetCreatedUser']);
+      expect(links.map(link => link.href.toValue())).to.deep.equal(['/users/{id}', '/users/{id}']);
+    });
+
+    it('resolves links of callback responses', () => {
+      const object = createDocument({});
+      object.get('paths').get('/users').get('post').set('callbacks', {
+        userCreated: {
+          '{$request.body#/callbackUrl}': {
+            post: {
+              responses: {
+                200: {
+                  description: 'Received',
+                  links: {
+                    GetUserById: {
+                      operationId: 'getUser',
+                    },
+                  },
+                },
+              },
+            },
+          },
+        },
+      });
+
+      const parseResult = parse(context, object);
+
+      expect(parseResult).to.not.contain.annotations;
+
+      const callback = findTransition(parseResult.api, '/users').attributes.get('callbacks').get(0);
+      const link = callback.resources.get(0).transitions.get(0).transactions.get(0).response.links.get(0);
+      expect(link.relation.toValue()).to.equal('GetUserById');
+      expect(link.href.toValue()).to.equal('/users/{id}');
+    });
+
+    it('resolves links by operationRef', () => {
+      const object = createDocument({
+        GetUserById: {
+          operationRef: '#/paths/~1users~1{id}/get',
+        },
+      });
+
+      const parseResult = parse(context, object);
+
+      expect(parseResult).to.not.contain.annotations;
+
+      const link = findTransition(parseResult.api, '/users').transactions.get(0).response.links.get(0);
+      expect(link.relation.toValue()).to.equal('GetUserById');
+      expect(link.href.toValue()).to.equal('/users/{id}');
+    });
+
+    it('provides warning when operationId does not reference an operation', () => {
+      const object = createDocument({
+        GetUserById: {
+          operationId: 'unknown',
+        },
+      });
+
+      const parseResult = parse(context, object);
+
+      expect(parseResult).to.contain.warning("'Link Object' 'operationId' 'unknown' does not reference an operation");
+    });
+
+    it('provides warning for operationRef to another document', () => {
+      const object = createDocument({
+        GetUserById: {
+          operationRef: 'https://example.com/openapi.yaml#/paths/~1users/get',
+        },
+      });
+
+      const parseResult = parse(context, object);
+
+      expect(parseResult).to.contain.warning("'Link Object' 'operationRef' 'https://example.com/openapi.yaml#/paths/~1users/get' is unsupported, only references to operations of the document are supported");
+    });
+  });
+
   it('provides warning for invalid keys', () => {
     const object = new namespace.elements.Object({
       openapi: '3.0.0',
@@ -299,4 +740,23 @@ describe('#parseOpenAPIObject', () => {
 
     expect(parseResult.warnings.isEmpty).to.be.true;
   });
+
+  it('exposes OpenAPI Object extensions in the api category', () => {
+    const object = new namespace.elements.Object({
+      openapi: '3.0.0',
+      info: {
+        title: 'My API',
+        version: '1.0.0',
+      },
+      paths: {},
+      'x-api-id': 'abc',
+    });
+
+    const parseResult = parse(context, object);
+
+    const extension = parseResult.api.content
+      .find(element => element instanceof namespace.elements.Extension);
+    expect(extension.profile.toValue()).to.equal('https://help.apiary.io/profiles/api-elements/vendor-extensions/');
+    expect(extension.toValue()).to.deep.equal([{ key: 'x-api-id', value: 'abc' }]);
+  });
 });
@@ -61,18 +61,47 @@ describe('Operation Object', () => {
     expect(parseResult).to.contain.warning("'Operation Object' is not an object");
   });
 
-  describe('warnings for unsupported properties', () => {
-    it('provides warning for unsupported tags key', () => {
+  describe('#tags', () => {
+    it('provides warning when tags is not an array', () => {
+      const operation = new namespace.elements.Member('get', {
+        tags: 'pets',
+        responses: {},
+      });
+
+      const parseResult = parse(context, path, operation);
+
+      expect(parseResult).to.contain.warning("'Operation Object' 'tags' is not an array");
+    });
+
+    it('provides warning when tag is not a string', () => {
       const operation = new namespace.elements.Member('get', {
-        tags: [],
+        tags: ['pets', 1],
         responses: {},
       });
 
       const parseResult = parse(context, path, operation);
 
-      expect(parseResult).to.contain.warning("'Operation Object' contains unsupported key 'tags'");
+      expect(parseResult).to.contain.warning("'Operation Object' 'tags' array value is not a string");
+      expect(context.state.operations[0].tags).to.deep.equal(['pets']);
     });
 
+    it('registers the operation with its tags', () => {
+      const operation = new namespace.elements.Member('get', {
+        tags: ['pets', 'store'],
+        responses: {},
+      });
+
+      const parseResult = parse(context, path, operation);
+
+      expect(parseResult).to.not.contain.annotations;
+
+      const [registered] = context.state.operations;
+      expect(registered.tags).to.deep.equal(['pets', 'store']);
+      expect(registered.transition).to.equal(parseResult.get(0));
+    });
+  });
+
+  describe('warnings for unsupported properties', () => {
     it('provides warning for unsupported externalDocs key', () => {
       const operation = new namespace.elements.Member('get', {
         externalDocs: '',
@@ -84,26 +113,38 @@ describe('Operation Object', () => {
       expect(parseResult).to.contain.warning("'Operation Object' contains unsupported key 'externalDocs'");
     });
 
-    it('provides warning for unsupported callbacks key', () => {
+    it('provides warning when deprecated is not a boolean', () => {
       const operation = new namespace.elements.Member('get', {
-        callbacks: '',
+        deprecated: '',
         responses: {},
       });
 
       const parseResult = parse(context, path, operation);
 
-      expect(parseResult).to.contain.warning("'Operation Object' contains unsupported key 'callbacks'");
+      expect(parseResult).to.contain.warning("'Operation Object' 'deprecated' is not a boolean");
     });
 
-    it('provides warning for unsupported deprecated key', () => {
+    it('marks the transition as deprecated', () => {
       const operation = new namespace.elements.Member('get', {
-        deprecated: '',
+        deprecated: true,
+        responses: {},
+      });
+
+      const parseResult = parse(context, path, operation);
+
+      expect(parseResult).to.not.contain.annotations;
+      expect(parseResult.get(0).deprecated.toValue()).to.be.true;
+    });
+
+    it('does not mark the transition as deprecated when deprecated is false', () => {
+      const operation = new namespace.elements.Member('get', {
+        deprecated: false,
         responses: {},
       });
 
       const parseResult = parse(context, path, operation);
 
-      expect(parseResult).to.contain.warning("'Operation Object' contains unsupported key 'deprecated'");
+      expect(parseResult.get(0).deprecated).to.be.undefined;
     });
 
     it('does not provide warning/errors for extensions', () => {
@@ -116,6 +157,20 @@ describe('Operation Object', () => {
 
       expect(parseResult).to.not.contain.annotations;
     });
+
+    it('exposes extensions in the transition', () => {
+      const operation = new namespace.elements.Member('get', {
+        responses: {},
+        'x-rate-limit': 100,
+      });
+
+      const parseResult = parse(context, path, operation);
+
+      const extension = parseResult.get(0).content
+        .find(element => element instanceof namespace.elements.Extension);
+      expect(extension.profile.toValue()).to.equal('https://help.apiary.io/profiles/api-elements/vendor-extensions/');
+      expect(extension.toValue()).to.deep.equal([{ key: 'x-rate-limit', value: 100 }]);
+    });
   });
 
   it('provides warning for invalid keys', () => {
@@ -331,6 +386,49 @@ describe('Operation Object', () => {
         expect(transition.href.toValue()).to.equal('/{?categories*}');
       });
 
+      it('exposes path parameter style in href', () => {
+        const operation = new namespace.elements.Member('get', {
+          parameters: [
+            {
+              name: 'id',
+              in: 'path',
+              required: true,
+              style: 'matrix',
+              explode: true,
+            },
+          ],
+          responses: {},
+        });
+
+        const parseResult = parse(context, new namespace.elements.String('/pets/{id}'), operation);
+
+        expect(parseResult.length).to.equal(1);
+
+        const transition = parseResult.get(0);
+        expect(transition.href.toValue()).to.equal('/pets/{;id*}');
+        expect(transition.hrefVariables.getMember('id').attributes.getValue('style')).to.equal('matrix');
+      });
+
+      it('exposes query parameter allowing reserved characters in href', () => {
+        const operation = new namespace.elements.Member('get', {
+          parameters: [
+            {
+              name: 'filter',
+              in: 'query',
+              allowReserved: true,
+            },
+          ],
+          responses: {},
+        });
+
+        const parseResult = parse(context, path, operation);
+
+        expect(parseResult.length).to.equal(1);
+
+        const transition = parseResult.get(0);
+        expect(transition.href.toValue()).to.equal('/?filter={+filter}');
+      });
+
       it('exposes multiple query parameter in href', () => {
         const operation = new namespace.elements.Member('get', {
           parameters: [
@@ -415,6 +513,111 @@ describe('Operation Object', () => {
         ]);
       });
 
+      it('exposes header parameter with schema in request headers', () => {
+        const operation = new namespace.elements.Member('get', {
+          parameters: [
+            {
+              name: 'X-Version',
+              in: 'header',
+              required: true,
+              schema: {
+                type: 'string',
+                enum: ['v1', 'v2'],
+                default: 'v2',
+              },
+            },
+          ],
+          responses: {
+            200: {
+              description: 'dummy',
+            },
+          },
+        });
+
+        const parseResult = parse(context, path, operation);
+
+        expect(parseResult.length).to.equal(1);
+
+        const transition = parseResult.get(0);
+        const { request } = transition.transactions.get(0);
+
+        const header = request.headers.content[0];
+        expect(header.key.toValue()).to.equal('X-Version');
+        expect(header.attributes.getValue('typeAttributes')).to.deep.equal(['required']);
+        expect(header.value).to.be.instanceof(namespace.elements.Enum);
+        expect(header.value.enumerations.toValue()).to.deep.equal(['v1', 'v2']);
+        expect(header.value.attributes.getValue('default')).to.equal('v2');
+      });
+
+      it('exposes cookie parameters as Cookie request headers', () => {
+        const operation = new namespace.elements.Member('get', {
+          parameters: [
+            {
+              name: 'session',
+              in: 'cookie',
+              example: 'abc123',
+            },
+          ],
+          responses: {
+            200: {
+              description: 'dummy',
+            },
+          },
+        });
+
+        const parseResult = parse(context, path, operation);
+
+        expect(parseResult.length).to.equal(1);
+
+        const transition = parseResult.get(0);
+        const { request } = transition.transactions.get(0);
+
+        expect(request.headers).to.be.instanceof(namespace.elements.HttpHeaders);
+        expect(request.headers.toValue()).to.deep.equal([
+          {
+            key: 'Cookie',
+            value: 'session=abc123',
+          },
+        ]);
+      });
+
+      it('combines cookie parameters into a single Cookie request header', () => {
+        const operation = new namespace.elements.Member('get', {
+          parameters: [
+            {
+              name: 'session',
+              in: 'cookie',
+              example: 'abc123',
+            },
+            {
+              name: 'theme',
+              in: 'cookie',
+              required: true,
+              example: 'dark',
+            },
+          ],
+          responses: {
+            200: {
+              description: 'dummy',
+            },
+          },
+        });
+
+        const parseResult = parse(context, path, operation);
+
+        expect(parseResult.length).to.equal(1);
+
+        const transition = parseResult.get(0);
+        const { request } = transition.transactions.get(0);
+
+        expect(request.headers.length).to.equal(1);
+
+        const cookie = request.headers.content[0];
+        expect(cookie.key.toValue()).to.equal('Cookie');
+        expect(cookie.value.toValue()).to.equal('session=abc123; theme=dark');
+        expect(cookie.attributes.getValue('typeAttributes')).to.deep.equal(['required']);
+      });
+
       it('does not override request body content type header', () => {
         const operation = new namespace.elements.Member('post', {
           parameters: [
@@ -712,5 +915,234 @@ describe('Operation Object', () => {
       expect(transaction2.request.contentType.toValue()).to.equal('application/xml');
       expect(transaction2.response).to.be.instanceof(namespace.elements.HttpResponse);
     });
+
+    it('pairs request and response examples with the same name', () => {
+      const operation = new namespace.elements.Member('post', {
+        requestBody: {
+          content: {
+            'application/json': {
+              examples: {
+                cat: { value: { name: 'Tom' } },
+                dog: { value: { name: 'Spike' } },
+              },
+            },
+          },
+        },
+        responses: {
+          200: {
+            description: 'created pet',
+            content: {
+              'application/json': {
+                examples: {
+                  cat: { value: { id: 1, name: 'Tom' } },
+                  dog: { value: { id: 2, name: 'Spike' } },
+                },
+              },
+            },
+          },
+          400: {
+            description: 'invalid pet',
+          },
+        },
+      });
+
+      const parseResult = parse(context, path, operation);
+
+      expect(parseResult).to.not.contain.annotations;
+
+      const transition = parseResult.get(0);
+      const pairs = transition.transactions.map(transaction => [
+        transaction.request.title.toValue(),
+        transaction.response.statusCode.toValue(),
+        transaction.response.meta.hasKey('title') ? transaction.response.title.toValue() : undefined,
+      ]);
+
+      expect(pairs).to.deep.equal([
+        ['cat', '200', 'cat'],
+        ['cat', '400', undefined],
+        ['dog', '200', 'dog'],
+        ['dog', '400', undefined],
+      ]);
+    });
+
+    it('does not pair examples with discriminated subtypes of the same name', () => {
+      const cat = new namespace.elements.Object({ meows: true }, { id: 'Cat' });
+      const dog = new namespace.elements.Object({ barks: true }, { id: 'Dog' });
+
+      context.state.components = new namespace.elements.Object({
+        schemas: {
+          Cat: new namespace.elements.DataStructure(cat),
+          Dog: new namespace.elements.DataStructure(dog),
+        },
+      });
+
+      const operation = new namespace.elements.Member('post', {
+        requestBody: {
+          content: {
+            'application/json': {
+              examples: {
+                Cat: { value: { name: 'Tom' } },
+              },
+            },
+          },
+        },
+        responses: {
+          200: {
+            description: 'created pet',
+            content: {
+              'application/json': {
+                schema: {
+                  oneOf: [
+                    { $ref: '#/components/schemas/Cat' },
+                    { $ref: '#/components/schemas/Dog' },
+                  ],
+                  discriminator: {
+                    propertyName: 'petType',
+                  },
+                },
+              },
+            },
+          },
+        },
+      });
+
+      const parseResult = parse(context, path, operation);
+
+      const transition = parseResult.get(0);
+      const pairs = transition.transactions.map(transaction => [
+        transaction.request.title.toValue(),
+        transaction.response.title.toValue(),
+      ]);
+
+      expect(pairs).to.deep.equal([
+        ['Cat', 'Cat'],
+        ['Cat', 'Dog'],
+      ]);
+    });
+
+    it('pairs examples without a matching name with all messages', () => {
+      const operation = new namespace.elements.Member('post', {
+        requestBody: {
+          content: {
+            'application/json': {
+              examples: {
+                cat: { value: { name: 'Tom' } },
+              },
+            },
+          },
+        },
+        responses: {
+          200: {
+            description: 'created pet',
+            content: {
+              'application/json': {
+                examples: {
+                  first: { value: { id: 1 } },
+                  second: { value: { id: 2 } },
+                },
+              },
+            },
+          },
+        },
+      });
+
+      const parseResult = parse(context, path, operation);
+
+      const transition = parseResult.get(0);
+      const pairs = transition.transactions.map(transaction => [
+        transaction.request.title.toValue(),
+        transaction.response.title.toValue(),
+      ]);
+
+      expect(pairs).to.deep.equal([
+        ['cat', 'first'],
+        ['cat', 'second'],
+      ]);
+    });
+  });
+
+  describe('#callbacks', () => {
+    it('provides warning when callbacks is not an object', () => {
+      const operation = new namespace.elements.Member('get', {
+        callbacks: '',
+        responses: {},
+      });
+
+      const parseResult = parse(context, path, operation);
+
+      expect(parseResult).to.contain.warning("'Operation Object' 'callbacks' is not an object");
+    });
+
+    it('exposes callbacks as categories of callback resources', () => {
+      const operation = new namespace.elements.Member('post', {
+        responses: {},
+        callbacks: {
+          onEvent: {
+            '{$request.body#/callbackUrl}': {
+              post: {
+                summary: 'Event notification',
+                responses: {
+                  200: {
+                    description: 'Received',
+                  },
+                },
+              },
+            },
+          },
+        },
+      });
+
+      const parseResult = parse(context, path, operation);
+
+      expect(parseResult).to.not.contain.annotations;
+
+      const callbacks = parseResult.get(0).attributes.get('callbacks');
+      expect(callbacks).to.be.instanceof(namespace.elements.Array);
+      expect(callbacks.length).to.equal(1);
+
+      const category = callbacks.get(0);
+      expect(category).to.be.instanceof(namespace.elements.Category);
+      expect(category.title.toValue()).to.equal('onEvent');
+      expect(category.classes.toValue()).to.deep.equal(['callback']);
+
+      const resource = category.get(0);
+      expect(resource).to.be.instanceof(namespace.elements.Resource);
+      expect(resource.href.toValue()).to.equal('{$request.body#/callbackUrl}');
+      expect(resource.classes.toValue()).to.deep.equal(['callback']);
+
+      const transition = resource.transitions.get(0);
+      expect(transition.title.toValue()).to.equal('Event notification');
+      expect(transition.classes.toValue()).to.deep.equal(['callback']);
+      expect(transition.transactions.get(0).request.method.toValue()).to.equal('POST');
+    });
+
+    it('exposes referenced callbacks', () => {
+      const resource = new namespace.elements.Resource();
+      resource.href = '{$request.query.url}';
+      resource.classes.push('callback');
+
+      context.state.components = new namespace.elements.Object({
+        callbacks: {
+          Event: new namespace.elements.Array([resource]),
+        },
+      });
+
+      const operation = new namespace.elements.Member('post', {
+        responses: {},
+        callbacks: {
+          onEvent: {
+            $ref: '#/components/callbacks/Event',
+          },
+        },
+      });
+
+      const parseResult = parse(context, path, operation);
+
+      expect(parseResult).to.not.contain.annotations;
+
+      const category = parseResult.get(0).attributes.get('callbacks').get(0);
+      expect(category.title.toValue()).to.equal('onEvent');
+      expect(category.get(0).href.toValue()).to.equal('{$request.query.url}');
+    });
   });
 });
@@ -196,16 +196,140 @@ describe('Parameter Object', () => {
       expect(parseResult).to.contain.warning("'Parameter Object' 'in' must be either 'query', 'header', 'path' or 'cookie'");
     });
 
-    it('provides an unsupported error for cookie parameters', () => {
+    it('parses cookie parameters into Cookie header members', () => {
       const parameter = new namespace.elements.Object({
-        name: 'example',
+        name: 'session',
+        in: 'cookie',
+        example: 'abc123',
+      });
+
+      const parseResult = parse(context, parameter);
+
+      expect(parseResult.length).to.equal(1);
+
+      const member = parseResult.get(0);
+      expect(member).to.be.instanceof(namespace.elements.Member);
+      expect(member.key.toValue()).to.equal('Cookie');
+      expect(member.value.toValue()).to.equal('session=abc123');
+      expect(member.in).to.equal('cookie');
+    });
+
+    it('uses the schema default in the value of a cookie parameter', () => {
+      const parameter = new namespace.elements.Object({
+        name: 'theme',
         in: 'cookie',
+        schema: {
+          type: 'string',
+          default: 'dark',
+        },
       });
 
       const parseResult = parse(context, parameter);
 
       expect(parseResult.length).to.equal(1);
-      expect(parseResult).to.contain.warning("'Parameter Object' 'in' 'cookie' is unsupported");
+      expect(parseResult.get(0).value.toValue()).to.equal('theme=dark');
+    });
+  });
+
+  describe('#schema', () => {
+    it('uses the schema as the value of a header parameter', () => {
+      const parameter = new namespace.elements.Object({
+        name: 'X-Rate-Limit',
+        in: 'header',
+        example: 100,
+        schema: {
+          type: 'number',
+          default: 50,
+        },
+      });
+
+      const parseResult = parse(context, parameter);
+
+      expect(parseResult.length).to.equal(1);
+
+      const member = parseResult.get(0);
+      expect(member.key.toValue()).to.equal('X-Rate-Limit');
+      expect(member.value).to.be.instanceof(namespace.elements.Number);
+      expect(member.value.toValue()).to.equal(100);
+      expect(member.value.attributes.getValue('default')).to.equal(50);
+    });
+
+    it('uses an enumeration schema as the value of a header parameter', () => {
+      const parameter = new namespace.elements.Object({
+        name: 'X-Version',
+        in: 'header',
+        example: 'v2',
+        schema: {
+          type: 'string',
+          enum: ['v1', 'v2'],
+        },
+      });
+
+      const parseResult = parse(context, parameter);
+
+      expect(parseResult.length).to.equal(1);
+
+      const { value } = parseResult.get(0);
+      expect(value).to.be.instanceof(namespace.elements.Enum);
+      expect(value.toValue()).to.equal('v2');
+      expect(value.enumerations.toValue()).to.deep.equal(['v1', 'v2']);
+    });
+
+    it('adds an example which does not match the schema type as a sample', () => {
+      const parameter = new namespace.elements.Object({
+        name: 'X-Request-Id',
+        in: 'header',
+        example: 5,
+        schema: {
+          type: 'string',
+        },
+      });
+
+      const parseResult = parse(context, parameter);
+
+      const { value } = parseResult.get(0);
+      expect(value).to.be.instanceof(namespace.elements.String);
+      expect(value.content).to.be.undefined;
+      expect(value.attributes.get('samples').toValue()).to.deep.equal([5]);
+    });
+
+    it('uses the schema as the value of a query parameter', () => {
+      const parameter = new namespace.elements.Object({
+        name: 'tags',
+        in: 'query',
+        schema: {
+          type: 'array',
+          items: { type: 'string' },
+        },
+      });
+
+      const parseResult = parse(context, parameter);
+
+      expect(parseResult.length).to.equal(1);
+
+      const { value } = parseResult.get(0);
+      expect(value).to.be.instanceof(namespace.elements.Array);
+      expect(value.get(0)).to.be.instanceof(namespace.elements.String);
+    });
+
+    it('uses the schema as the value of a path parameter with example', () => {
+      const parameter = new namespace.elements.Object({
+        name: 'id',
+        in: 'path',
+        required: true,
+        example: 5,
+        schema: {
+          type: 'number',
+        },
+      });
+
+      const parseResult = parse(context, parameter);
+
+      expect(parseResult.length).to.equal(1);
+
+      const { value } = parseResult.get(0);
+      expect(value).to.be.instanceof(namespace.elements.Number);
+      expect(value.toValue()).to.equal(5);
     });
   });
 
@@ -317,6 +441,162 @@ describe('Parameter Object', () => {
     });
   });
 
+  describe('#examples', () => {
+    it('provides a warning when examples is not an object', () => {
+      const parameter = new namespace.elements.Object({
+        name: 'direction',
+        in: 'query',
+        examples: [],
+      });
+
+      const parseResult = parse(context, parameter);
+
+      expect(parseResult).to.contain.warning("'Parameter Object' 'examples' is not an object");
+    });
+
+    it('attaches the first example to member and others as samples', () => {
+      const parameter = new namespace.elements.Object({
+        name: 'direction',
+        in: 'query',
+        examples: {
+          ascending: { value: 'asc' },
+          descending: { value: 'desc' },
+        },
+      });
+
+      const parseResult = parse(context, parameter);
+
+      expect(parseResult.length).to.equal(1);
+
+      const { value } = parseResult.get(0);
+      expect(value.toValue()).to.equal('asc');
+      expect(value.attributes.get('samples').toValue()).to.deep.equal(['desc']);
+    });
+
+    it('attaches examples to the schema value', () => {
+      const parameter = new namespace.elements.Object({
+        name: 'limit',
+        in: 'query',
+        schema: { type: 'number' },
+        examples: {
+          small: { value: 10 },
+          large: { value: 100 },
+        },
+      });
+
+      const parseResult = parse(context, parameter);
+
+      expect(parseResult.length).to.equal(1);
+
+      const { value } = parseResult.get(0);
+      expect(value).to.be.instanceof(namespace.elements.Number);
+      expect(value.toValue()).to.equal(10);
+      expect(value.attributes.get('samples').toValue()).to.deep.equal([100]);
+    });
+
+    it('resolves examples referencing example components', () => {
+      context.state.components = new namespace.elements.Object({
+        examples: {
+          Ascending: new namespace.elements.Object({ value: 'asc' }),
+        },
+      });
+
+      const parameter = new namespace.elements.Object({
+        name: 'direction',
+        in: 'query',
+        examples: {
+          ascending: { $ref: '#/components/examples/Ascending' },
+        },
+      });
+
+      const parseResult = parse(context, parameter);
+
+      expect(parseResult).to.not.contain.annotations;
+      expect(parseResult.get(0).value.toValue()).to.equal('asc');
+    });
+  });
+
+  describe('#content', () => {
+    it('provides a warning when content is not an object', () => {
+      const parameter = new namespace.elements.Object({
+        name: 'filter',
+        in: 'query',
+        content: [],
+      });
+
+      const parseResult = parse(context, parameter);
+
+      expect(parseResult).to.contain.warning("'Parameter Object' 'content' is not an object");
+    });
+
+    it('provides a warning when content contains multiple media types', () => {
+      const parameter = new namespace.elements.Object({
+        name: 'filter',
+        in: 'query',
+        content: {
+          'application/json': {
+            schema: { type: 'object' },
+          },
+          'application/xml': {
+            schema: { type: 'string' },
+          },
+        },
+      });
+
+      const parseResult = parse(context, parameter);
+
+      expect(parseResult).to.contain.warning("'Parameter Object' 'content' must only contain one media type, other media types have been ignored");
+      expect(parseResult.get(0).value).to.be.instanceof(namespace.elements.Object);
+    });
+
+    it('provides a warning for invalid media type keys', () => {
+      const parameter = new namespace.elements.Object({
+        name: 'filter',
+        in: 'query',
+        content: {
+          'application/json': {
+            invalid: true,
+          },
+        },
+      });
+
+      const parseResult = parse(context, parameter);
+
+      expect(parseResult).to.contain.warning("'Media Type Object' contains invalid key 'invalid'");
+    });
+
+    it('uses the schema and example of the media type as the value', () => {
+      const parameter = new namespace.elements.Object({
+        name: 'coordinates',
+        in: 'query',
+        content: {
+          'application/json': {
+            schema: {
+              type: 'object',
+              properties: {
+                lat: { type: 'number' },
+                long: { type: 'number' },
+              },
+            },
+            example: {
+              lat: 50.08,
+              long: 14.42,
+            },
+          },
+        },
+      });
+
+      const parseResult = parse(context, parameter);
+
+      expect(parseResult.length).to.equal(1);
+
+      const { value } = parseResult.get(0);
+      expect(value).to.be.instanceof(namespace.elements.Object);
+      expect(value.keys()).to.deep.equal(['lat', 'long']);
+      expect(value.attributes.get('samples').toValue()).to.deep.equal([{ lat: 50.08, long: 14.42 }]);
+    });
+  });
+
   describe('#explode', () => {
     it('provides a warning when explode is not a boolean', () => {
       const parameter = new namespace.elements.Object({
@@ -342,7 +622,7 @@ describe('Parameter Object', () => {
       expect(parseResult).to.contain.warning("'Parameter Object' 'explode' is unsupported in header");
     });
 
-    it('provides an unsupported warning when explode is used in path parameter', () => {
+    it('exposes explode of a path parameter', () => {
       const parameter = new namespace.elements.Object({
         name: 'example',
         in: 'path',
@@ -350,9 +630,127 @@ describe('Parameter Object', () => {
         explode: true,
       });
 
+      const parseResult = parse(context, parameter);
+      expect(parseResult.length).to.equal(1);
+      expect(parseResult.get(0).attributes.getValue('explode')).to.be.true;
+    });
+
+    it('exposes explode of a query parameter', () => {
+      const parameter = new namespace.elements.Object({
+        name: 'example',
+        in: 'query',
+        explode: false,
+      });
+
+      const parseResult = parse(context, parameter);
+      expect(parseResult.length).to.equal(1);
+      expect(parseResult.get(0).attributes.getValue('explode')).to.be.false;
+    });
+  });
+
+  describe('#style', () => {
+    it('provides a warning when style is not a string', () => {
+      const parameter = new namespace.elements.Object({
+        name: 'example',
+        in: 'query',
+        style: 1,
+      });
+
+      const parseResult = parse(context, parameter);
+      expect(parseResult).to.contain.warning("'Parameter Object' 'style' is not a string");
+    });
+
+    it('provides a warning when style is not permitted in the location', () => {
+      const parameter = new namespace.elements.Object({
+        name: 'example',
+        in: 'query',
+        style: 'matrix',
+      });
+
+      const parseResult = parse(context, parameter);
+      expect(parseResult.length).to.equal(2);
+      expect(parseResult).to.contain.warning("'Parameter Object' 'style' 'matrix' is not permitted in query");
+      expect(parseResult.get(0).attributes.hasKey('style')).to.be.false;
+    });
+
+    it('exposes style of a path parameter', () => {
+      const parameter = new namespace.elements.Object({
+        name: 'example',
+        in: 'path',
+        required: true,
+        style: 'label',
+      });
+
+      const parseResult = parse(context, parameter);
+      expect(parseResult.length).to.equal(1);
+      expect(parseResult.get(0).attributes.getValue('style')).to.equal('label');
+    });
+
+    it('exposes style of a query parameter', () => {
+      const parameter = new namespace.elements.Object({
+        name: 'example',
+        in: 'query',
+        style: 'form',
+      });
+
+      const parseResult = parse(context, parameter);
+      expect(parseResult.length).to.equal(1);
+      expect(parseResult.get(0).attributes.getValue('style')).to.equal('form');
+    });
+
+    ['spaceDelimited', 'pipeDelimited', 'deepObject'].forEach((style) => {
+      it(`provides a warning for the ${style} style which cannot be expressed in a URI template`, () => {
+        const parameter = new namespace.elements.Object({
+          name: 'example',
+          in: 'query',
+          style,
+        });
+
+        const parseResult = parse(context, parameter);
+        expect(parseResult).to.contain.warning(
+          `'Parameter Object' 'style' '${style}' cannot be expressed in a URI template, the parameter is described with the form style in the href`
+        );
+        expect(parseResult.get(0).attributes.getValue('style')).to.equal(style);
+      });
+    });
+  });
+
+  describe('#allowReserved', () => {
+    it('provides a warning when allowReserved is not a boolean', () => {
+      const parameter = new namespace.elements.Object({
+        name: 'example',
+        in: 'query',
+        allowReserved: 1,
+      });
+
+      const parseResult = parse(context, parameter);
+      expect(parseResult).to.contain.warning("'Parameter Object' 'allowReserved' is not a boolean");
+    });
+
+    it('provides an unsupported warning when allowReserved is used in path parameter', () => {
+      const parameter = new namespace.elements.Object({
+        name: 'example',
+        in: 'path',
+        required: true,
+        allowReserved: true,
+      });
+
       const parseResult = parse(context, parameter);
       expect(parseResult.length).to.equal(2);
-      expect(parseResult).to.contain.warning("'Parameter Object' 'explode' is unsupported in path");
+      expect(parseResult).to.contain.warning("'Parameter Object' 'allowReserved' is unsupported in path");
+      expect(parseResult.get(0).attributes.hasKey('allowReserved')).to.be.false;
+    });
+
+    it('exposes allowReserved of a query parameter', () => {
+      const parameter = new namespace.elements.Object({
+        name: 'example',
+        in: 'query',
+        allowReserved: true,
+      });
+
+      const parseResult = parse(context, parameter);
+      expect(parseResult.length).to.equal(1);
+      expect(parseResult.get(0).attributes.getValue('allowReserved')).to.be.true;
     });
   });
 
@@ -470,7 +868,7 @@ describe('Parameter Object', () => {
   });
 
   describe('warnings for unsupported properties', () => {
-    it('provides warning for unsupported deprecated property', () => {
+    it('marks the member as deprecated', () => {
       const parameter = new namespace.elements.Object({
         name: 'example',
         in: 'query',
@@ -479,91 +877,59 @@ describe('Parameter Object', () => {
 
       const parseResult = parse(context, parameter);
 
-      expect(parseResult).to.contain.warning("'Parameter Object' contains unsupported key 'deprecated'");
-    });
-
-    it('provides warning for unsupported allowEmptyValue property', () => {
-      const parameter = new namespace.elements.Object({
-        name: 'example',
-        in: 'query',
-        allowEmptyValue: true,
-      });
-
-      const parseResult = parse(context, parameter);
-
-      expect(parseResult).to.contain.warning("'Parameter Object' contains unsupported key 'allowEmptyValue'");
+      expect(parseResult).to.not.contain.annotations;
+      expect(parseResult.get(0).deprecated.toValue()).to.be.true;
     });
 
-    it('provides warning for unsupported style property', () => {
+    it('provides warning when deprecated is not a boolean', () => {
       const parameter = new namespace.elements.Object({
         name: 'example',
         in: 'query',
-        style: 'simple',
+        deprecated: 'yes',
       });
 
       const parseResult = parse(context, parameter);
 
-      expect(parseResult).to.contain.warning("'Parameter Object' contains unsupported key 'style'");
+      expect(parseResult).to.contain.warning("'Parameter Object' 'deprecated' is not a boolean");
     });
 
-    it('provides warning for unsupported allowReserved property', () => {
+    it('provides warning for unsupported allowEmptyValue property', () => {
       const parameter = new namespace.elements.Object({
         name: 'example',
         in: 'query',
-        allowReserved: true,
+        allowEmptyValue: true,
       });
 
       const parseResult = parse(context, parameter);
 
-      expect(parseResult).to.contain.warning("'Parameter Object' contains unsupported key 'allowReserved'");
+      expect(parseResult).to.contain.warning("'Parameter Object' contains unsupported key 'allowEmptyValue'");
     });
 
-    it('provides warning for unsupported schema property', () => {
+    it('does not provide warning/errors for extensions', () => {
       const parameter = new namespace.elements.Object({
         name: 'example',
         in: 'query',
-        schema: { type: 'string' },
-      });
-
-      const parseResult = parse(context, parameter);
-
-      expect(parseResult).to.contain.warning("'Parameter Object' contains unsupported key 'schema'");
-    });
-
-    it('provides warning for unsupported examples property', () => {
-      const parameter = new namespace.elements.Object({
-        name: 'direction',
-        in: 'query',
-        examples: {},
-      });
-
-      const parseResult = parse(context, parameter);
-
-      expect(parseResult).to.contain.warning("'Parameter Object' contains unsupported key 'examples'");
-    });
-
-    it('provides warning for unsupported content property', () => {
-      const parameter = new namespace.elements.Object({
-        name: 'direction',
-        in: 'query',
-        content: {},
+        'x-extension': '',
       });
 
       const parseResult = parse(context, parameter);
 
-      expect(parseResult).to.contain.warning("'Parameter Object' contains unsupported key 'content'");
+      expect(parseResult).to.not.contain.annotations;
     });
 
-    it('does not provide warning/errors for extensions', () => {
+    it('exposes extensions as the extensions attribute of the member', () => {
       const parameter = new namespace.elements.Object({
         name: 'example',
         in: 'query',
-        'x-extension': '',
+        'x-internal': true,
       });
 
       const parseResult = parse(context, parameter);
 
-      expect(parseResult).to.not.contain.annotations;
+      const extension = parseResult.get(0).attributes.get('extensions');
+      expect(extension).to.be.instanceof(namespace.elements.Extension);
+      expect(extension.profile.toValue()).to.equal('https://help.apiary.io/profiles/api-elements/vendor-extensions/');
+      expect(extension.toValue()).to.deep.equal([{ key: 'x-internal', value: true }]);
     });
   });
 
@@ -53,21 +53,152 @@ describe('Path Item Object', () => {
     expect(parseResult).to.contain.warning("'Path Item Object' is not an object");
   });
 
-  describe('warnings for keys', () => {
-    it('warns for $ref', () => {
-      const path = new namespace.elements.Member('/', {
-        $ref: '',
+  describe('#$ref', () => {
+    const document = new namespace.elements.Object({
+      paths: {
+        '/users': {
+          summary: 'Users',
+          get: {
+            responses: {
+              200: {
+                description: 'dummy',
+              },
+            },
+          },
+        },
+        '/people': {
+          $ref: '#/paths/~1users',
+        },
+        '/a': {
+          $ref: '#/paths/~1b',
+        },
+        '/b': {
+          $ref: '#/paths/~1a',
+        },
+      },
+    });
+
+    beforeEach(() => {
+      context.state.document = document;
+    });
+
+    it('parses a referenced path item', () => {
+      const path = new namespace.elements.Member('/users', {
+        $ref: '#/paths/~1users',
       });
 
       const parseResult = parse(context, path);
 
-      expect(parseResult.length).to.equal(2);
-      expect(parseResult.get(0)).to.be.instanceof(namespace.elements.Resource);
-      expect(parseResult.get(0).href.toValue()).to.equal('/');
+      expect(parseResult.length).to.equal(1);
+
+      const resource = parseResult.get(0);
+      expect(resource).to.be.instanceof(namespace.elements.Resource);
+      expect(resource.href.toValue()).to.equal('/users');
+      expect(resource.title.toValue()).to.equal('Users');
+      expect(resource.get(0).method.toValue()).to.equal('GET');
+    });
+
+    it('parses a path item referencing a path item reference', () => {
+      const path = new namespace.elements.Member('/persons', {
+        $ref: '#/paths/~1people',
+      });
+
+      const parseResult = parse(context, path);
+
+      expect(parseResult.length).to.equal(1);
+
+      const resource = parseResult.get(0);
+      expect(resource.href.toValue()).to.equal('/persons');
+      expect(resource.get(0).method.toValue()).to.equal('GET');
+    });
+
+    it('merges the fields of the path item with the referenced path item', () => {
+      const path = new namespace.elements.Member('/users', {
+        $ref: '#/paths/~1users',
+        summary: 'All Users',
+        post: {
+          responses: {
+            201: {
+              description: 'dummy',
+            },
+          },
+        },
+      });
+
+      const parseResult = parse(context, path);
+
+      expect(parseResult.length).to.equal(1);
+
+      const resource = parseResult.get(0);
+      expect(resource.title.toValue()).to.equal('All Users');
+      expect(resource.transitions.map(transition => transition.method.toValue()))
+        .to.deep.equal(['GET', 'POST']);
+    });
+
+    it('provides an error when the reference is not a string', () => {
+      const path = new namespace.elements.Member('/users', {
+        $ref: 1,
+      });
+
+      const parseResult = parse(context, path);
+
+      expect(parseResult).to.contain.error("'Path Item Object' '$ref' is not a string");
+    });
+
+    it('provides an error when the referenced path item is not defined', () => {
+      const path = new namespace.elements.Member('/users', {
+        $ref: '#/paths/~1unknown',
+      });
+
+      const parseResult = parse(context, path);
+
+      expect(parseResult).to.contain.error("'#/paths/~1unknown' is not defined");
+    });
+
+    it('provides an error when a parent of the referenced path item is not defined', () => {
+      const path = new namespace.elements.Member('/a', {
+        $ref: '#/x-missing/paths/a',
+      });
+
+      const parseResult = parse(context, path);
+
+      expect(parseResult).to.contain.error("'#/x-missing/paths/a' is not defined");
+    });
+
+    it('provides a warning when the reference does not reference an object', () => {
+      const path = new namespace.elements.Member('/users', {
+        $ref: '#/paths/~1users/summary',
+      });
+
+      const parseResult = parse(context, path);
+
+      expect(parseResult).to.contain.warning("'Path Item Object' '$ref' '#/paths/~1users/summary' does not reference an object");
+    });
+
+    it('provides an error for circular references', () => {
+      const path = new namespace.elements.Member('/a', {
+        $ref: '#/paths/~1b',
+      });
+
+      const parseResult = parse(context, path);
 
-      expect(parseResult).to.contain.warning("'Path Item Object' contains unsupported key '$ref'");
+      expect(parseResult).to.contain.error(
+        "Reference cannot be circular, '#/paths/~1b' causes a circular reference via #/paths/~1b, #/paths/~1a, #/paths/~1b"
+      );
     });
 
+    it('provides an error for external references without a resolver', () => {
+      const path = new namespace.elements.Member('/users', {
+        $ref: 'users.yaml',
+      });
+
+      const parseResult = parse(context, path);
+
+      expect(parseResult).to.contain.error("Unable to resolve 'users.yaml', external references require the 'resolveRef' option");
+    });
+  });
+
+  describe('warnings for keys', () => {
     it('does not provide warning for Info Object extensions', () => {
       const path = new namespace.elements.Member('/', {
         'x-extension': '',
@@ -79,6 +210,19 @@ describe('Path Item Object', () => {
       expect(parseResult.get(0)).to.be.instanceof(namespace.elements.Resource);
     });
 
+    it('exposes extensions in the resource', () => {
+      const path = new namespace.elements.Member('/', {
+        'x-extension': '',
+      });
+
+      const parseResult = parse(context, path);
+
+      const extension = parseResult.get(0).content[0];
+      expect(extension).to.be.instanceof(namespace.elements.Extension);
+      expect(extension.profile.toValue()).to.equal('https://help.apiary.io/profiles/api-elements/vendor-extensions/');
+      expect(extension.toValue()).to.deep.equal([{ key: 'x-extension', value: '' }]);
+    });
+
     it('provides warning for invalid keys', () => {
       const path = new namespace.elements.Member('/', {
         invalid: '',
@@ -246,6 +390,36 @@ describe('Path Item Object', () => {
         expect(resource.href.toValue()).to.equal('/{?categories*}');
       });
 
+      it('applies path parameter style to operation href', () => {
+        const path = new namespace.elements.Member('/{id}', {
+          parameters: [
+            {
+              name: 'id',
+              in: 'path',
+              required: true,
+              style: 'label',
+            },
+          ],
+          get: {
+            parameters: [
+              {
+                name: 'categories',
+                in: 'query',
+              },
+            ],
+            responses: {},
+          },
+        });
+
+        const parseResult = parse(context, path);
+
+        const resource = parseResult.get(0);
+        expect(resource.href.toValue()).to.equal('/{.id}');
+
+        const transition = resource.transitions.get(0);
+        expect(transition.href.toValue()).to.equal('/{.id}{?categories}');
+      });
+
       it('exposes multiple query parameter in href', () => {
         const path = new namespace.elements.Member('/', {
           parameters: [
@@ -375,6 +549,51 @@ describe('Path Item Object', () => {
         ]);
       });
 
+      it('merges cookie parameters with operation cookie parameters', () => {
+        const path = new namespace.elements.Member('/', {
+          parameters: [
+            {
+              name: 'session',
+              in: 'cookie',
+              example: 'abc',
+            },
+            {
+              name: 'theme',
+              in: 'cookie',
+              example: 'light',
+            },
+          ],
+          get: {
+            parameters: [
+              {
+                name: 'theme',
+                in: 'cookie',
+                example: 'dark',
+              },
+            ],
+            responses: {
+              200: {
+                description: 'dummy',
+              },
+            },
+          },
+        });
+
+        const parseResult = parse(context, path);
+
+        expect(parseResult.length).to.equal(1);
+
+        const resource = parseResult.get(0);
+        const { request } = resource.transitions.get(0).transactions.get(0);
+
+        expect(request.headers.toValue()).to.deep.equal([
+          {
+            key: 'Cookie',
+            value: 'theme=dark; session=abc',
+          },
+        ]);
+      });
+
       it('merges headers with operation headers', () => {
         const path = new namespace.elements.Member('/', {
           parameters: [
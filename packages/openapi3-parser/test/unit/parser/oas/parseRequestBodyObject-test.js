@@ -63,6 +63,26 @@ describe('Request Body Object', () => {
 
       expect(parseResult).to.not.contain.annotations;
     });
+
+    it('exposes extensions in the requests', () => {
+      const request = new namespace.elements.Object({
+        content: {
+          'application/json': {},
+          'application/xml': {},
+        },
+        'x-extension': '',
+      });
+
+      const parseResult = parse(context, request);
+
+      expect(parseResult.length).to.equal(2);
+      parseResult.forEach((message) => {
+        const extension = message.content
+          .find(element => element instanceof namespace.elements.Extension);
+        expect(extension.profile.toValue()).to.equal('https://help.apiary.io/profiles/api-elements/vendor-extensions/');
+        expect(extension.toValue()).to.deep.equal([{ key: 'x-extension', value: '' }]);
+      });
+    });
   });
 
   it('provides warning for invalid keys', () => {
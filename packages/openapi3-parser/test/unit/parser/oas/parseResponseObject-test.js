@@ -155,6 +155,84 @@ describe('Response Object', () => {
       expect(headers.length).to.be.equal(1);
     });
 
+    it('exposes the description, type and example of headers', () => {
+      const response = new namespace.elements.Object({
+        description: 'dummy',
+        headers: {
+          Location: {
+            description: 'The URL of the created resource',
+            required: true,
+            schema: {
+              type: 'string',
+            },
+            example: '/items/1',
+          },
+        },
+      });
+
+      const result = parse(context, response);
+
+      expect(result).to.not.contain.annotations;
+
+      const header = result.get(0).headers.get(0);
+      expect(header.key.toValue()).to.equal('Location');
+      expect(header.description.toValue()).to.equal('The URL of the created resource');
+      expect(header.attributes.getValue('typeAttributes')).to.deep.equal(['required']);
+      expect(header.value).to.be.instanceof(namespace.elements.String);
+      expect(header.value.toValue()).to.equal('/items/1');
+      expect(header.value.description.toValue()).to.equal('');
+      expect(header.value.attributes.hasKey('typeAttributes')).to.be.false;
+    });
+
+    it('marks deprecated headers', () => {
+      const response = new namespace.elements.Object({
+        description: 'dummy',
+        headers: {
+          'X-Rate-Limit': {
+            deprecated: true,
+          },
+        },
+      });
+
+      const result = parse(context, response);
+
+      expect(result).to.not.contain.annotations;
+
+      const header = result.get(0).headers.get(0);
+      expect(header.deprecated.toValue()).to.be.true;
+      expect(header.value.attributes.hasKey('deprecated')).to.be.false;
+    });
+
+    it('uses the name of the header for referenced headers', () => {
+      const response = new namespace.elements.Object({
+        description: 'dummy',
+        headers: {
+          'X-RateLimit-Remaining': {
+            $ref: '#/components/headers/RateLimit',
+          },
+        },
+      });
+
+      const rateLimit = new namespace.elements.Number(10);
+      rateLimit.description = 'The number of remaining requests';
+
+      context.state.components = new namespace.elements.Object({
+        headers: {},
+      });
+      context.state.components.get('headers').set('RateLimit', rateLimit);
+
+      const result = parse(context, response);
+
+      expect(result).to.not.contain.annotations;
+
+      const header = result.get(0).headers.get(0);
+      expect(header.key.toValue()).to.equal('X-RateLimit-Remaining');
+      expect(header.description.toValue()).to.equal('The number of remaining requests');
+      expect(header.value).to.be.instanceof(namespace.elements.Number);
+      expect(header.value.toValue()).to.equal(10);
+      expect(rateLimit.description.toValue()).to.equal('The number of remaining requests');
+    });
+
     it('headers do not override content', () => {
       const response = new namespace.elements.Object({
         description: 'response 200',
@@ -201,8 +279,8 @@ describe('Response Object', () => {
     });
   });
 
-  describe('warnings for unsupported properties', () => {
-    it('provides warning for unsupported links key', () => {
+  describe('#links', () => {
+    it('provides warning when links is not an object', () => {
       const response = new namespace.elements.Object({
         description: 'response 200',
         links: 'dummy',
@@ -210,9 +288,66 @@ describe('Response Object', () => {
 
       const parseResult = parse(context, response);
 
-      expect(parseResult).to.contain.warning("'Response Object' contains unsupported key 'links'");
+      expect(parseResult).to.contain.warning("'Response Object' 'links' is not an object");
+    });
+
+    it('exposes links with their name as relation', () => {
+      const response = new namespace.elements.Object({
+        description: 'response 201',
+        links: {
+          GetUserById: {
+            operationId: 'getUser',
+            parameters: {
+              id: '$response.body#/id',
+            },
+          },
+        },
+      });
+
+      const parseResult = parse(context, response);
+
+      expect(parseResult).to.not.contain.annotations;
+
+      const { links } = parseResult.get(0);
+      expect(links.length).to.equal(1);
+
+      const link = links.get(0);
+      expect(link).to.be.instanceof(namespace.elements.Link);
+      expect(link.relation.toValue()).to.equal('GetUserById');
+      expect(link.attributes.getValue('operationId')).to.equal('getUser');
+      expect(link.attributes.getValue('parameters')).to.deep.equal({ id: '$response.body#/id' });
     });
 
+    it('exposes referenced links', () => {
+      const link = new namespace.elements.Link();
+      link.attributes.set('operationId', 'getUser');
+
+      context.state.components = new namespace.elements.Object({
+        links: {},
+      });
+      context.state.components.get('links').set('User', link);
+
+      const response = new namespace.elements.Object({
+        description: 'response 201',
+        links: {
+          GetUserById: {
+            $ref: '#/components/links/User',
+          },
+        },
+      });
+
+      const parseResult = parse(context, response);
+
+      expect(parseResult).to.not.contain.annotations;
+
+      const { links } = parseResult.get(0);
+      expect(links.get(0).relation.toValue()).to.equal('GetUserById');
+      expect(links.get(0).attributes.getValue('operationId')).to.equal('getUser');
+      expect(link.relation).to.be.undefined;
+    });
+  });
+
+  describe('warnings for unsupported properties', () => {
     it('does not provide warning/errors for extensions', () => {
       const response = new namespace.elements.Object({
         description: 'response 200',
@@ -223,6 +358,20 @@ describe('Response Object', () => {
 
       expect(parseResult).to.not.contain.annotations;
     });
+
+    it('exposes extensions in the response', () => {
+      const response = new namespace.elements.Object({
+        description: 'response 200',
+        'x-cache': 60,
+      });
+
+      const parseResult = parse(context, response);
+
+      const extension = parseResult.get(0).content
+        .find(element => element instanceof namespace.elements.Extension);
+      expect(extension.profile.toValue()).to.equal('https://help.apiary.io/profiles/api-elements/vendor-extensions/');
+      expect(extension.toValue()).to.deep.equal([{ key: 'x-cache', value: 60 }]);
+    });
   });
 
   it('provides warning for invalid keys', () => {
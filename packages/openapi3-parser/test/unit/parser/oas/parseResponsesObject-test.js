@@ -29,6 +29,29 @@ describe('Responses Object', () => {
     expect(parseResult).to.not.contain.annotations;
   });
 
+  it('exposes extensions in the responses', () => {
+    const responses = new namespace.elements.Object({
+      200: {
+        description: 'OK',
+      },
+      default: {
+        description: 'Error',
+      },
+      'x-extension': '',
+    });
+
+    const parseResult = parse(context, responses);
+
+    const array = parseResult.get(0);
+    expect(array.length).to.equal(2);
+    array.forEach((response) => {
+      const extension = response.content
+        .find(element => element instanceof namespace.elements.Extension);
+      expect(extension.profile.toValue()).to.equal('https://help.apiary.io/profiles/api-elements/vendor-extensions/');
+      expect(extension.toValue()).to.deep.equal([{ key: 'x-extension', value: '' }]);
+    });
+  });
+
   it('provides warning for invalid keys', () => {
     const responses = new namespace.elements.Object({
       invalid: '',
@@ -124,12 +147,33 @@ describe('Responses Object', () => {
     );
   });
 
-  it('parses a status code range as warning', () => {
+  it('parses a status code range', () => {
     const responses = new namespace.elements.Object({
-      '2XX': {},
+      '4XX': {
+        description: 'Client error',
+      },
     });
 
     const parseResult = parse(context, responses);
-    expect(parseResult).to.contain.warning("'Responses Object' response status code ranges are unsupported");
+    expect(parseResult).to.not.contain.annotations;
+
+    const response = parseResult.get(0).get(0);
+    expect(response).to.be.instanceof(namespace.elements.HttpResponse);
+    expect(response.statusCode.toValue()).to.equal('4XX');
+    expect(response.isStatusCodeRange).to.be.true;
+  });
+
+  it('provides a warning for an invalid status code range', () => {
+    const responses = new namespace.elements.Object({
+      '2X0': {
+        description: 'Success',
+      },
+    });
+
+    const parseResult = parse(context, responses);
+    expect(parseResult.get(0).isEmpty).to.be.true;
+    expect(parseResult).to.contain.warning(
+      "'Responses Object' response status code range '2X0' is invalid, ranges must be one of '1XX', '2XX', '3XX', '4XX' or '5XX'"
+    );
   });
 });
@@ -20,6 +20,22 @@ describe('Schema Object', () => {
     expect(parseResult).to.contain.warning("'Schema Object' is not an object");
   });
 
+  it('exposes extensions as the extensions attribute', () => {
+    const schema = new namespace.elements.Object({
+      type: 'string',
+      'x-internal': true,
+    });
+
+    const parseResult = parse(context, schema);
+
+    expect(parseResult).to.not.contain.annotations;
+
+    const extension = parseResult.get(0).content.attributes.get('extensions');
+    expect(extension).to.be.instanceof(namespace.elements.Extension);
+    expect(extension.profile.toValue()).to.equal('https://help.apiary.io/profiles/api-elements/vendor-extensions/');
+    expect(extension.toValue()).to.deep.equal([{ key: 'x-internal', value: true }]);
+  });
+
   describe('#type', () => {
     it('warns when type is not a string', () => {
       const schema = new namespace.elements.Object({
@@ -443,6 +459,99 @@ describe('Schema Object', () => {
     });
   });
 
+  describe('#additionalProperties', () => {
+    it('warns when additionalProperties is not a boolean or an object', () => {
+      const schema = new namespace.elements.Object({
+        type: 'object',
+        additionalProperties: 'yes',
+      });
+      const parseResult = parse(context, schema);
+
+      expect(parseResult).to.contain.warning(
+        "'Schema Object' 'additionalProperties' is not a boolean or an object"
+      );
+    });
+
+    it('returns a fixed type object when additionalProperties is false', () => {
+      const schema = new namespace.elements.Object({
+        type: 'object',
+        properties: {
+          name: { type: 'string' },
+        },
+        additionalProperties: false,
+      });
+      const parseResult = parse(context, schema);
+
+      expect(parseResult.length).to.equal(1);
+      expect(parseResult).to.not.contain.annotations;
+
+      const object = parseResult.get(0).content;
+      expect(object).to.be.instanceof(namespace.elements.Object);
+      expect(object.attributes.getValue('typeAttributes')).to.deep.equal(['fixedType']);
+      expect(object.keys()).to.deep.equal(['name']);
+    });
+
+    it('returns an object without constraints when additionalProperties is true', () => {
+      const schema = new namespace.elements.Object({
+        type: 'object',
+        additionalProperties: true,
+      });
+      const parseResult = parse(context, schema);
+
+      expect(parseResult.length).to.equal(1);
+      expect(parseResult).to.not.contain.annotations;
+
+      const object = parseResult.get(0).content;
+      expect(object).to.be.instanceof(namespace.elements.Object);
+      expect(object.attributes.get('typeAttributes')).to.be.undefined;
+      expect(object.isEmpty).to.be.true;
+    });
+
+    it('returns an object with a variable member when additionalProperties is a schema', () => {
+      const schema = new namespace.elements.Object({
+        type: 'object',
+        additionalProperties: {
+          type: 'number',
+        },
+      });
+      const parseResult = parse(context, schema);
+
+      expect(parseResult.length).to.equal(1);
+      expect(parseResult).to.not.contain.annotations;
+
+      const object = parseResult.get(0).content;
+      expect(object).to.be.instanceof(namespace.elements.Object);
+      expect(object.length).to.equal(1);
+
+      const member = object.content[0];
+      expect(member.attributes.getValue('variable')).to.be.true;
+      expect(member.key).to.be.instanceof(namespace.elements.String);
+      expect(member.value).to.be.instanceof(namespace.elements.Number);
+    });
+
+    it('returns an object with a variable member referencing a schema', () => {
+      context.state.components = new namespace.elements.Object({
+        schemas: {
+          User: { type: 'object' },
+        },
+      });
+      const schema = new namespace.elements.Object({
+        type: 'object',
+        additionalProperties: {
+          $ref: '#/components/schemas/User',
+        },
+      });
+      const parseResult = parse(context, schema);
+
+      expect(parseResult.length).to.equal(1);
+      expect(parseResult).to.not.contain.annotations;
+
+      const member = parseResult.get(0).content.content[0];
+      expect(member.attributes.getValue('variable')).to.be.true;
+      expect(member.value.element).to.equal('User');
+    });
+  });
+
   describe('#items', () => {
     it('warns when items is not an object', () => {
       const schema = new namespace.elements.Object({
@@ -552,6 +661,256 @@ describe('Schema Object', () => {
     });
   });
 
+  describe('validation', () => {
+    it('adds validation keywords to the validation attribute', () => {
+      const schema = new namespace.elements.Object({
+        type: 'string',
+        minLength: 1,
+        maxLength: 140,
+        pattern: '^[a-z]+$',
+      });
+      const parseResult = parse(context, schema);
+
+      expect(parseResult.length).to.equal(1);
+      expect(parseResult).to.not.contain.annotations;
+
+      const element = parseResult.get(0).content;
+      expect(element).to.be.instanceof(namespace.elements.String);
+      expect(element.attributes.get('validation')).to.be.instanceof(namespace.elements.Object);
+      expect(element.attributes.getValue('validation')).to.deep.equal({
+        minLength: 1,
+        maxLength: 140,
+        pattern: '^[a-z]+$',
+      });
+    });
+
+    it('adds format to the validation attribute', () => {
+      const schema = new namespace.elements.Object({
+        type: 'string',
+        format: 'date-time',
+      });
+      const parseResult = parse(context, schema);
+
+      expect(parseResult).to.not.contain.annotations;
+
+      const element = parseResult.get(0).content;
+      expect(element.attributes.getValue('validation')).to.deep.equal({
+        format: 'date-time',
+      });
+    });
+
+    it('warns when format is not a string', () => {
+      const schema = new namespace.elements.Object({
+        type: 'string',
+        format: 1,
+      });
+      const parseResult = parse(context, schema);
+
+      expect(parseResult).to.contain.warning("'Schema Object' 'format' is not a string");
+    });
+
+    it('adds number validation keywords to the validation attribute', () => {
+      const schema = new namespace.elements.Object({
+        type: 'number',
+        minimum: 0,
+        exclusiveMinimum: true,
+        maximum: 10.5,
+        multipleOf: 0.5,
+      });
+      const parseResult = parse(context, schema);
+
+      expect(parseResult).to.not.contain.annotations;
+
+      const element = parseResult.get(0).content;
+      expect(element.attributes.getValue('validation')).to.deep.equal({
+        minimum: 0,
+        exclusiveMinimum: true,
+        maximum: 10.5,
+        multipleOf: 0.5,
+      });
+    });
+
+    it('adds array and object validation keywords to the validation attribute', () => {
+      const schema = new namespace.elements.Object({
+        type: 'object',
+        minProperties: 1,
+        maxProperties: 2,
+        properties: {
+          tags: {
+            type: 'array',
+            minItems: 1,
+            maxItems: 3,
+            uniqueItems: true,
+          },
+        },
+      });
+      const parseResult = parse(context, schema);
+
+      expect(parseResult).to.not.contain.annotations;
+
+      const element = parseResult.get(0).content;
+      expect(element.attributes.getValue('validation')).to.deep.equal({
+        minProperties: 1,
+        maxProperties: 2,
+      });
+
+      const tags = element.get('tags');
+      expect(tags.attributes.getValue('validation')).to.deep.equal({
+        minItems: 1,
+        maxItems: 3,
+        uniqueItems: true,
+      });
+    });
+
+    it('does not add a validation attribute without validation keywords', () => {
+      const schema = new namespace.elements.Object({ type: 'string' });
+      const parseResult = parse(context, schema);
+
+      const element = parseResult.get(0).content;
+      expect(element.attributes.get('validation')).to.be.undefined;
+    });
+
+    it('warns when a number validation keyword is not a number', () => {
+      const schema = new namespace.elements.Object({
+        type: 'number',
+        minimum: '1',
+      });
+      const parseResult = parse(context, schema);
+
+      expect(parseResult).to.contain.warning("'Schema Object' 'minimum' is not a number");
+
+      const element = parseResult.get(0).content;
+      expect(element.attributes.get('validation')).to.be.undefined;
+    });
+
+    it('warns when a length validation keyword is not a non-negative integer', () => {
+      const schema = new namespace.elements.Object({
+        type: 'string',
+        maxLength: -1,
+      });
+      const parseResult = parse(context, schema);
+
+      expect(parseResult).to.contain.warning("'Schema Object' 'maxLength' is not a non-negative integer");
+    });
+
+    it('warns when uniqueItems is not a boolean', () => {
+      const schema = new namespace.elements.Object({
+        type: 'array',
+        uniqueItems: 'yes',
+      });
+      const parseResult = parse(context, schema);
+
+      expect(parseResult).to.contain.warning("'Schema Object' 'uniqueItems' is not a boolean");
+    });
+
+    it('warns when pattern is not a string', () => {
+      const schema = new namespace.elements.Object({
+        type: 'string',
+        pattern: 1,
+      });
+      const parseResult = parse(context, schema);
+
+      expect(parseResult).to.contain.warning("'Schema Object' 'pattern' is not a string");
+    });
+  });
+
+  describe('#deprecated', () => {
+    it('warns when deprecated is not a boolean', () => {
+      const schema = new namespace.elements.Object({
+        type: 'string',
+        deprecated: 'yes',
+      });
+      const parseResult = parse(context, schema);
+
+      expect(parseResult).to.contain.warning("'Schema Object' 'deprecated' is not a boolean");
+    });
+
+    it('adds deprecated attribute to the returned element', () => {
+      const schema = new namespace.elements.Object({
+        type: 'string',
+        deprecated: true,
+      });
+      const parseResult = parse(context, schema);
+
+      expect(parseResult).to.not.contain.annotations;
+      expect(parseResult.get(0).content.attributes.getValue('deprecated')).to.be.true;
+    });
+
+    it('marks deprecated object members', () => {
+      const schema = new namespace.elements.Object({
+        type: 'object',
+        properties: {
+          name: { type: 'string', deprecated: true },
+          fullName: { type: 'string' },
+        },
+      });
+      const parseResult = parse(context, schema);
+
+      expect(parseResult).to.not.contain.annotations;
+
+      const object = parseResult.get(0).content;
+
+      const name = object.getMember('name');
+      expect(name.deprecated.toValue()).to.be.true;
+      expect(name.value.attributes.get('deprecated')).to.be.undefined;
+
+      expect(object.getMember('fullName').deprecated).to.be.undefined;
+    });
+  });
+
+  describe('#readOnly and #writeOnly', () => {
+    it('warns when readOnly is not a boolean', () => {
+      const schema = new namespace.elements.Object({
+        type: 'string',
+        readOnly: 'yes',
+      });
+      const parseResult = parse(context, schema);
+
+      expect(parseResult).to.contain.warning("'Schema Object' 'readOnly' is not a boolean");
+    });
+
+    it('adds readOnly and writeOnly attributes to object members', () => {
+      const schema = new namespace.elements.Object({
+        type: 'object',
+        properties: {
+          id: { type: 'string', readOnly: true },
+          password: { type: 'string', writeOnly: true },
+          name: { type: 'string' },
+        },
+      });
+      const parseResult = parse(context, schema);
+
+      expect(parseResult.length).to.equal(1);
+      expect(parseResult).to.not.contain.annotations;
+
+      const object = parseResult.get(0).content;
+
+      const id = object.getMember('id');
+      expect(id.attributes.getValue('readOnly')).to.be.true;
+      expect(id.value.attributes.get('readOnly')).to.be.undefined;
+
+      const password = object.getMember('password');
+      expect(password.attributes.getValue('writeOnly')).to.be.true;
+
+      const name = object.getMember('name');
+      expect(name.attributes.get('readOnly')).to.be.undefined;
+      expect(name.attributes.get('writeOnly')).to.be.undefined;
+    });
+
+    it('adds readOnly attribute to the returned element', () => {
+      const schema = new namespace.elements.Object({
+        type: 'string',
+        readOnly: true,
+      });
+      const parseResult = parse(context, schema);
+
+      expect(parseResult).to.not.contain.annotations;
+
+      const element = parseResult.get(0).content;
+      expect(element.attributes.getValue('readOnly')).to.be.true;
+    });
+  });
+
   describe('#title', () => {
     it('warns when title is not a string', () => {
       const schema = new namespace.elements.Object({
@@ -991,4 +1350,713 @@ describe('Schema Object', () => {
       expect(element.enumerations.get(1)).to.be.instanceof(namespace.elements.Array);
     });
   });
+
+  describe('#allOf', () => {
+    it('returns an object inheriting from the first referenced schema', () => {
+      context.state.components = new namespace.elements.Object({
+        schemas: {
+          Pet: { type: 'object' },
+          Named: { type: 'object' },
+        },
+      });
+      const schema = new namespace.elements.Object({
+        allOf: [
+          { $ref: '#/components/schemas/Pet' },
+          { $ref: '#/components/schemas/Named' },
+          {
+            properties: {
+              name: { type: 'string' },
+            },
+            required: ['name'],
+          },
+        ],
+      });
+      const parseResult = parse(context, schema);
+
+      expect(parseResult.length).to.equal(1);
+      expect(parseResult.get(0)).to.be.instanceof(namespace.elements.DataStructure);
+      expect(parseResult).to.not.contain.annotations;
+
+      const element = parseResult.get(0).content;
+      expect(element).to.be.instanceof(namespace.elements.Object);
+      expect(element.element).to.equal('Pet');
+
+      const ref = element.content[0];
+      expect(ref).to.be.instanceof(namespace.elements.Ref);
+      expect(ref.toValue()).to.equal('Named');
+
+      const name = element.content[1];
+      expect(name.key.toValue()).to.equal('name');
+      expect(name.value).to.be.instanceof(namespace.elements.String);
+      expect(name.attributes.getValue('typeAttributes')).to.deep.equal(['required']);
+    });
+
+    it('returns an object merging the properties of inline schemas', () => {
+      const schema = new namespace.elements.Object({
+        allOf: [
+          {
+            type: 'object',
+            properties: {
+              name: { type: 'string' },
+            },
+          },
+          {
+            type: 'object',
+            properties: {
+              age: { type: 'number' },
+            },
+            required: ['name'],
+          },
+        ],
+        properties: {
+          email: { type: 'string' },
+        },
+      });
+      const parseResult = parse(context, schema);
+
+      expect(parseResult.length).to.equal(1);
+      expect(parseResult).to.not.contain.annotations;
+
+      const element = parseResult.get(0).content;
+      expect(element).to.be.instanceof(namespace.elements.Object);
+      expect(element.keys()).to.deep.equal(['name', 'age', 'email']);
+      expect(element.getMember('name').attributes.getValue('typeAttributes')).to.deep.equal(['required']);
+    });
+
+    it('combines subschemas of the same type', () => {
+      const schema = new namespace.elements.Object({
+        allOf: [
+          { type: 'string' },
+          { type: 'string', description: 'A name' },
+        ],
+      });
+      const parseResult = parse(context, schema);
+
+      expect(parseResult.length).to.equal(1);
+      expect(parseResult).to.not.contain.annotations;
+
+      const element = parseResult.get(0).content;
+      expect(element).to.be.instanceof(namespace.elements.String);
+      expect(element.description.toValue()).to.equal('A name');
+    });
+
+    it('warns when subschemas of differing types are combined', () => {
+      const schema = new namespace.elements.Object({
+        allOf: [
+          { type: 'string' },
+          { type: 'number' },
+        ],
+      });
+      const parseResult = parse(context, schema);
+
+      expect(parseResult.get(0)).to.be.instanceof(namespace.elements.DataStructure);
+      expect(parseResult).to.contain.warning(
+        "'Schema Object' 'allOf' has limited support, subschemas of type 'number' cannot be combined with 'string' and have been ignored"
+      );
+
+      const element = parseResult.get(0).content;
+      expect(element).to.be.instanceof(namespace.elements.String);
+    });
+  });
+
+  describe('#anyOf', () => {
+    it('returns an object with a select for object subschemas', () => {
+      context.state.components = new namespace.elements.Object({
+        schemas: {
+          Cat: { type: 'object' },
+        },
+      });
+      const schema = new namespace.elements.Object({
+        anyOf: [
+          { $ref: '#/components/schemas/Cat' },
+          {
+            type: 'object',
+            properties: {
+              bark: { type: 'boolean' },
+            },
+          },
+        ],
+      });
+      const parseResult = parse(context, schema);
+
+      expect(parseResult.length).to.equal(1);
+      expect(parseResult.get(0)).to.be.instanceof(namespace.elements.DataStructure);
+      expect(parseResult).to.not.contain.annotations;
+
+      const element = parseResult.get(0).content;
+      expect(element).to.be.instanceof(namespace.elements.Object);
+
+      const select = element.content[0];
+      expect(select.element).to.equal('select');
+      expect(select.content.length).to.equal(2);
+
+      const [cat, dog] = select.content;
+      expect(cat.element).to.equal('option');
+      expect(cat.content[0]).to.be.instanceof(namespace.elements.Ref);
+      expect(cat.content[0].toValue()).to.equal('Cat');
+
+      expect(dog.element).to.equal('option');
+      expect(dog.content[0]).to.be.instanceof(namespace.elements.Member);
+      expect(dog.content[0].key.toValue()).to.equal('bark');
+    });
+
+    it('returns an enumeration for non-object subschemas', () => {
+      const schema = new namespace.elements.Object({
+        anyOf: [
+          { type: 'string' },
+          { type: 'number' },
+        ],
+      });
+      const parseResult = parse(context, schema);
+
+      expect(parseResult.length).to.equal(1);
+      expect(parseResult).to.not.contain.annotations;
+
+      const element = parseResult.get(0).content;
+      expect(element).to.be.instanceof(namespace.elements.Enum);
+      expect(element.enumerations.length).to.equal(2);
+      expect(element.enumerations.get(0)).to.be.instanceof(namespace.elements.String);
+      expect(element.enumerations.get(1)).to.be.instanceof(namespace.elements.Number);
+    });
+  });
+
+  describe('#not', () => {
+    it('adds not to the validation attribute of the returned element', () => {
+      const schema = new namespace.elements.Object({
+        type: 'string',
+        not: { type: 'string', enum: ['admin'] },
+      });
+      const parseResult = parse(context, schema);
+
+      expect(parseResult.length).to.equal(1);
+      expect(parseResult).to.not.contain.annotations;
+
+      const element = parseResult.get(0).content;
+      expect(element).to.be.instanceof(namespace.elements.String);
+
+      expect(element.attributes.hasKey('not')).to.be.false;
+
+      const not = element.attributes.get('validation').get('not');
+      expect(not).to.be.instanceof(namespace.elements.Enum);
+      expect(not.enumerations.get(0).toValue()).to.equal('admin');
+    });
+  });
+
+  describe('#xml', () => {
+    it('adds an xml attribute to the returned element', () => {
+      const schema = new namespace.elements.Object({
+        type: 'object',
+        xml: { name: 'pet', prefix: 'p' },
+      });
+      const parseResult = parse(context, schema);
+
+      expect(parseResult).to.not.contain.annotations;
+
+      const element = parseResult.get(0).content;
+      expect(element.attributes.getValue('xml')).to.deep.equal({ name: 'pet', prefix: 'p' });
+    });
+
+    it('keeps the xml attribute of a property on the value', () => {
+      const schema = new namespace.elements.Object({
+        type: 'object',
+        properties: {
+          id: { type: 'string', xml: { attribute: true } },
+        },
+      });
+      const parseResult = parse(context, schema);
+
+      expect(parseResult).to.not.contain.annotations;
+
+      const id = parseResult.get(0).content.get('id');
+      expect(id.attributes.getValue('xml')).to.deep.equal({ attribute: true });
+    });
+  });
+
+  describe('#discriminator', () => {
+    beforeEach(() => {
+      context.state.components = new namespace.elements.Object({
+        schemas: {
+          Cat: { type: 'object' },
+          Dog: { type: 'object' },
+        },
+      });
+    });
+
+    it('returns an object with a select exposing the discriminator for oneOf', () => {
+      const schema = new namespace.elements.Object({
+        oneOf: [
+          { $ref: '#/components/schemas/Cat' },
+          { $ref: '#/components/schemas/Dog' },
+        ],
+        discriminator: {
+          propertyName: 'petType',
+          mapping: {
+            dog: '#/components/schemas/Dog',
+          },
+        },
+      });
+      const parseResult = parse(context, schema);
+
+      expect(parseResult.length).to.equal(1);
+      expect(parseResult).to.not.contain.annotations;
+
+      const element = parseResult.get(0).content;
+      expect(element).to.be.instanceof(namespace.elements.Object);
+
+      const select = element.content[0];
+      expect(select.element).to.equal('select');
+      expect(select.content.length).to.equal(2);
+      expect(select.content[0].content[0].toValue()).to.equal('Cat');
+      expect(select.content[1].content[0].toValue()).to.equal('Dog');
+
+      const discriminator = select.attributes.get('discriminator');
+      expect(discriminator.getValue('propertyName')).to.equal('petType');
+
+      const mapping = discriminator.get('mapping');
+      expect(mapping.keys()).to.deep.equal(['dog', 'Cat']);
+      expect(mapping.content[0].value).to.be.instanceof(namespace.elements.Ref);
+      expect(mapping.content[0].value.toValue()).to.equal('Dog');
+      expect(mapping.content[1].value).to.be.instanceof(namespace.elements.Ref);
+      expect(mapping.content[1].value.toValue()).to.equal('Cat');
+    });
+
+    it('exposes the discriminator on the select of anyOf', () => {
+      const schema = new namespace.elements.Object({
+        anyOf: [
+          { $ref: '#/components/schemas/Cat' },
+          { $ref: '#/components/schemas/Dog' },
+        ],
+        discriminator: {
+          propertyName: 'petType',
+        },
+      });
+      const parseResult = parse(context, schema);
+
+      expect(parseResult).to.not.contain.annotations;
+
+      const select = parseResult.get(0).content.content[0];
+      expect(select.element).to.equal('select');
+      expect(select.attributes.get('discriminator').getValue('propertyName')).to.equal('petType');
+    });
+
+    it('returns an enumeration for oneOf with non-object subschemas', () => {
+      const schema = new namespace.elements.Object({
+        oneOf: [
+          { type: 'string' },
+          { type: 'number' },
+        ],
+        discriminator: {
+          propertyName: 'petType',
+        },
+      });
+      const parseResult = parse(context, schema);
+
+      expect(parseResult).to.not.contain.annotations;
+
+      const element = parseResult.get(0).content;
+      expect(element).to.be.instanceof(namespace.elements.Enum);
+      expect(element.attributes.get('discriminator').getValue('propertyName')).to.equal('petType');
+    });
+
+    it('adds a discriminator attribute to an object schema', () => {
+      const schema = new namespace.elements.Object({
+        type: 'object',
+        discriminator: {
+          propertyName: 'petType',
+        },
+      });
+      const parseResult = parse(context, schema);
+
+      expect(parseResult).to.not.contain.annotations;
+
+      const element = parseResult.get(0).content;
+      expect(element).to.be.instanceof(namespace.elements.Object);
+      expect(element.attributes.get('discriminator').getValue('propertyName')).to.equal('petType');
+    });
+  });
+
+  describe('OpenAPI 3.1', () => {
+    beforeEach(() => {
+      context.openapiVersion.minor = 1;
+    });
+
+    it('does not support JSON Schema 2020-12 keywords in OpenAPI 3.0', () => {
+      context.openapiVersion.minor = 0;
+
+      const schema = new namespace.elements.Object({
+        type: 'string',
+        const: 'doe',
+      });
+      const parseResult = parse(context, schema);
+
+      expect(parseResult).to.contain.warning("'Schema Object' contains invalid key 'const'");
+    });
+
+    describe('#type', () => {
+      it('permits the null type', () => {
+        const schema = new namespace.elements.Object({
+          type: 'null',
+        });
+        const parseResult = parse(context, schema);
+
+        expect(parseResult).to.not.contain.annotations;
+        expect(parseResult.get(0).content).to.be.instanceof(namespace.elements.Null);
+      });
+
+      it('warns when type is not a valid type', () => {
+        const schema = new namespace.elements.Object({
+          type: 'invalid',
+        });
+        const parseResult = parse(context, schema);
+
+        expect(parseResult).to.contain.warning(
+          "'Schema Object' 'type' must be either boolean, object, array, number, string, integer, null"
+        );
+      });
+
+      it('warns when a type of an array of types is not a valid type', () => {
+        const schema = new namespace.elements.Object({
+          type: ['string', 'invalid'],
+        });
+        const parseResult = parse(context, schema);
+
+        expect(parseResult).to.contain.warning(
+          "'Schema Object' 'type' array value must be either boolean, object, array, number, string, integer, null"
+        );
+        expect(parseResult.get(0).content).to.be.instanceof(namespace.elements.String);
+      });
+
+      it('returns a nullable element for an array of a type and null', () => {
+        const schema = new namespace.elements.Object({
+          type: ['string', 'null'],
+        });
+        const parseResult = parse(context, schema);
+
+        expect(parseResult).to.not.contain.annotations;
+
+        const element = parseResult.get(0).content;
+        expect(element).to.be.instanceof(namespace.elements.String);
+        expect(element.attributes.getValue('typeAttributes')).to.deep.equal(['nullable']);
+      });
+
+      it('returns an enumeration for an array of types', () => {
+        const schema = new namespace.elements.Object({
+          type: ['string', 'integer', 'number', 'null'],
+        });
+        const parseResult = parse(context, schema);
+
+        expect(parseResult).to.not.contain.annotations;
+
+        const element = parseResult.get(0).content;
+        expect(element).to.be.instanceof(namespace.elements.Enum);
+        expect(element.enumerations.length).to.equal(2);
+        expect(element.enumerations.get(0)).to.be.instanceof(namespace.elements.String);
+        expect(element.enumerations.get(1)).to.be.instanceof(namespace.elements.Number);
+        expect(element.attributes.getValue('typeAttributes')).to.deep.equal(['nullable']);
+      });
+
+      it('validates examples against an array of types', () => {
+        const schema = new namespace.elements.Object({
+          type: ['string', 'number'],
+          example: true,
+        });
+        const parseResult = parse(context, schema);
+
+        expect(parseResult).to.contain.warning(
+          "'Schema Object' 'example' does not match expected type 'string' or 'number'"
+        );
+      });
+    });
+
+    describe('#nullable', () => {
+      it('warns that nullable is not supported', () => {
+        const schema = new namespace.elements.Object({
+          type: 'string',
+          nullable: true,
+        });
+        const parseResult = parse(context, schema);
+
+        expect(parseResult).to.contain.warning(
+          "'Schema Object' 'nullable' is not supported in OpenAPI 3.1, use 'null' in 'type' instead"
+        );
+
+        const element = parseResult.get(0).content;
+        expect(element.attributes.hasKey('typeAttributes')).to.be.false;
+      });
+    });
+
+    describe('#const', () => {
+      it('returns a fixed value', () => {
+        const schema = new namespace.elements.Object({
+          type: 'string',
+          const: 'cat',
+        });
+        const parseResult = parse(context, schema);
+
+        expect(parseResult).to.not.contain.annotations;
+
+        const element = parseResult.get(0).content;
+        expect(element).to.be.instanceof(namespace.elements.String);
+        expect(element.toValue()).to.equal('cat');
+        expect(element.attributes.getValue('typeAttributes')).to.deep.equal(['fixed']);
+      });
+
+      it('returns a null value', () => {
+        const schema = new namespace.elements.Object({
+          const: null,
+        });
+        const parseResult = parse(context, schema);
+
+        expect(parseResult).to.not.contain.annotations;
+
+        const element = parseResult.get(0).content;
+        expect(element).to.be.instanceof(namespace.elements.Null);
+        expect(element.attributes.hasKey('typeAttributes')).to.be.false;
+      });
+
+      it('warns when const does not match the type', () => {
+        const schema = new namespace.elements.Object({
+          type: 'string',
+          const: 1,
+        });
+        const parseResult = parse(context, schema);
+
+        expect(parseResult).to.contain.warning("'Schema Object' 'const' does not match expected type 'string'");
+      });
+    });
+
+    describe('#examples', () => {
+      it('adds the examples and example to the samples', () => {
+        const schema = new namespace.elements.Object({
+          type: 'string',
+          examples: ['doe', 'smith'],
+          example: 'jones',
+        });
+        const parseResult = parse(context, schema);
+
+        expect(parseResult).to.not.contain.annotations;
+
+        const element = parseResult.get(0).content;
+        expect(element.attributes.get('samples').toValue()).to.deep.equal(['doe', 'smith', 'jones']);
+      });
+
+      it('warns when examples is not an array', () => {
+        const schema = new namespace.elements.Object({
+          type: 'string',
+          examples: 'doe',
+        });
+        const parseResult = parse(context, schema);
+
+        expect(parseResult).to.contain.warning("'Schema Object' 'examples' is not an array");
+      });
+    });
+
+    describe('#prefixItems', () => {
+      it('returns an array with the prefix items', () => {
+        const schema = new namespace.elements.Object({
+          type: 'array',
+          prefixItems: [
+            { type: 'number' },
+            { type: 'string' },
+          ],
+        });
+        const parseResult = parse(context, schema);
+
+        expect(parseResult).to.not.contain.annotations;
+
+        const element = parseResult.get(0).content;
+        expect(element).to.be.instanceof(namespace.elements.Array);
+        expect(element.length).to.equal(2);
+        expect(element.get(0)).to.be.instanceof(namespace.elements.Number);
+        expect(element.get(1)).to.be.instanceof(namespace.elements.String);
+        expect(element.attributes.hasKey('typeAttributes')).to.be.false;
+        expect(element.attributes.getValue('prefixItems')).to.equal(2);
+      });
+
+      it('returns a fixed type array for prefix items without further items', () => {
+        const schema = new namespace.elements.Object({
+          type: 'array',
+          prefixItems: [{ type: 'number' }],
+          items: false,
+        });
+        const parseResult = parse(context, schema);
+
+        expect(parseResult).to.not.contain.annotations;
+
+        const element = parseResult.get(0).content;
+        expect(element.length).to.equal(1);
+        expect(element.attributes.getValue('typeAttributes')).to.deep.equal(['fixedType']);
+      });
+
+      it('includes the items after the prefix items', () => {
+        const schema = new namespace.elements.Object({
+          type: 'array',
+          prefixItems: [{ type: 'number' }],
+          items: { type: 'boolean' },
+        });
+        const parseResult = parse(context, schema);
+
+        expect(parseResult).to.not.contain.annotations;
+
+        const element = parseResult.get(0).content;
+        expect(element.length).to.equal(2);
+        expect(element.get(1)).to.be.instanceof(namespace.elements.Boolean);
+        expect(element.attributes.getValue('typeAttributes')).to.deep.equal(['fixedType']);
+      });
+    });
+
+    describe('validation', () => {
+      it('adds numeric exclusive bounds to the validation attribute', () => {
+        const schema = new namespace.elements.Object({
+          type: 'number',
+          exclusiveMinimum: 0,
+          exclusiveMaximum: 100,
+        });
+        const parseResult = parse(context, schema);
+
+        expect(parseResult).to.not.contain.annotations;
+
+        const element = parseResult.get(0).content;
+        expect(element.attributes.get('validation').toValue()).to.deep.equal({
+          exclusiveMinimum: 0,
+          exclusiveMaximum: 100,
+        });
+      });
+
+      it('warns when an exclusive bound is not a number', () => {
+        const schema = new namespace.elements.Object({
+          type: 'number',
+          exclusiveMinimum: true,
+        });
+        const parseResult = parse(context, schema);
+
+        expect(parseResult).to.contain.warning("'Schema Object' 'exclusiveMinimum' is not a number");
+      });
+    });
+
+    describe('#contentMediaType and #contentEncoding', () => {
+      it('adds the content attributes to the element', () => {
+        const schema = new namespace.elements.Object({
+          type: 'string',
+          contentMediaType: 'image/png',
+          contentEncoding: 'base64',
+        });
+        const parseResult = parse(context, schema);
+
+        expect(parseResult).to.not.contain.annotations;
+
+        const element = parseResult.get(0).content;
+        expect(element.attributes.getValue('contentMediaType')).to.equal('image/png');
+        expect(element.attributes.getValue('contentEncoding')).to.equal('base64');
+      });
+    });
+
+    describe('#$ref', () => {
+      beforeEach(() => {
+        context.state.components = new namespace.elements.Object({
+          schemas: {
+            User: { type: 'object' },
+          },
+        });
+      });
+
+      it('applies sibling keywords of a reference', () => {
+        const schema = new namespace.elements.Object({
+          type: 'object',
+          properties: {
+            manager: {
+              $ref: '#/components/schemas/User',
+              description: 'The manager of the user',
+              properties: {
+                team: { type: 'string' },
+              },
+            },
+          },
+        });
+        const parseResult = parse(context, schema);
+
+        expect(parseResult).to.not.contain.annotations;
+
+        const manager = parseResult.get(0).content.get('manager');
+        expect(manager).to.be.instanceof(namespace.elements.Object);
+        expect(manager.element).to.equal('User');
+        expect(manager.description.toValue()).to.equal('The manager of the user');
+        expect(manager.get('team')).to.be.instanceof(namespace.elements.String);
+      });
+
+      it('parses a reference to a schema inside $defs', () => {
+        const schema = new namespace.elements.Object({
+          type: 'object',
+          properties: {
+            tag: { $ref: '#/components/schemas/Pet/$defs/Tag' },
+          },
+          $defs: {
+            Tag: { type: 'string' },
+          },
+        });
+        context.state.document = new namespace.elements.Object({
+          components: { schemas: { Pet: schema } },
+        });
+        const parseResult = parse(context, schema);
+
+        expect(parseResult).to.not.contain.annotations;
+        expect(parseResult.get(0).content.get('tag')).to.be.instanceof(namespace.elements.String);
+      });
+
+      it('references a recursive schema inside $defs', () => {
+        const schema = new namespace.elements.Object({
+          type: 'object',
+          properties: {
+            root: { $ref: '#/components/schemas/Tree/$defs/Node' },
+          },
+          $defs: {
+            Node: {
+              type: 'object',
+              properties: {
+                children: {
+                  type: 'array',
+                  items: { $ref: '#/components/schemas/Tree/$defs/Node' },
+                },
+              },
+            },
+          },
+        });
+        context.state.document = new namespace.elements.Object({
+          components: { schemas: { Tree: schema } },
+        });
+        const parseResult = parse(context, schema);
+
+        expect(parseResult).to.not.contain.annotations;
+        expect(parseResult.get(0).content.get('root').element).to.equal('Node');
+
+        const node = context.state.schemaReferences.get('#/components/schemas/Tree/$defs/Node').dataStructure.content;
+        expect(node.id.toValue()).to.equal('Node');
+        expect(node.get('children').first.element).to.equal('Node');
+      });
+
+      it('provides an error for a reference to an undefined location', () => {
+        const schema = new namespace.elements.Object({
+          type: 'object',
+          properties: {
+            foo: { $ref: '#/$defs/Foo' },
+          },
+        });
+        context.state.document = new namespace.elements.Object({
+          openapi: '3.1.0',
+        });
+        const parseResult = parse(context, schema);
+
+        expect(parseResult).to.contain.error("'#/$defs/Foo' is not defined");
+      });
+
+      it('warns when $defs is not an object', () => {
+        const schema = new namespace.elements.Object({
+          $defs: [],
+        });
+        const parseResult = parse(context, schema);
+
+        expect(parseResult).to.contain.warning("'Schema Object' '$defs' is not an object");
+      });
+    });
+  });
 });
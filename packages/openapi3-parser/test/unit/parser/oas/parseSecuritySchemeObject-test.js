@@ -468,6 +468,22 @@ describe('Security Scheme Object', () => {
 
       expect(parseResult).to.not.contain.annotations;
     });
+
+    it('exposes extensions in the auth scheme', () => {
+      const securityScheme = new namespace.elements.Object({
+        type: 'apiKey',
+        name: 'example',
+        in: 'query',
+        'x-extension': '',
+      });
+
+      const parseResult = parse(context, securityScheme);
+
+      const extension = parseResult.get(0).content
+        .find(element => element instanceof namespace.elements.Extension);
+      expect(extension.profile.toValue()).to.equal('https://help.apiary.io/profiles/api-elements/vendor-extensions/');
+      expect(extension.toValue()).to.deep.equal([{ key: 'x-extension', value: '' }]);
+    });
   });
 
   it('provides warning for invalid keys', () => {
@@ -0,0 +1,88 @@
+const { Fury } = require('@apielements/core');
+const { expect } = require('../../chai');
+const parse = require('../../../../lib/parser/oas/parseTagObject');
+const Context = require('../../../../lib/context');
+
+const { minim: namespace } = new Fury();
+
+describe('Tag Object', () => {
+  let context;
+
+  beforeEach(() => {
+    context = new Context(namespace);
+  });
+
+  it('provides warning when tag is non-object', () => {
+    const tag = new namespace.elements.String();
+
+    const parseResult = parse(context, tag);
+
+    expect(parseResult).to.contain.warning("'Tag Object' is not an object");
+  });
+
+  it('provides warning when tag is missing a name', () => {
+    const tag = new namespace.elements.Object({
+      description: 'Everything about your pets',
+    });
+
+    const parseResult = parse(context, tag);
+
+    expect(parseResult.length).to.equal(1);
+    expect(parseResult).to.contain.warning("'Tag Object' is missing required property 'name'");
+  });
+
+  it('parses a tag into a resource group', () => {
+    const tag = new namespace.elements.Object({
+      name: 'pets',
+      description: 'Everything about your pets',
+    });
+
+    const parseResult = parse(context, tag);
+
+    expect(parseResult).to.not.contain.annotations;
+
+    const group = parseResult.get(0);
+    expect(group).to.be.instanceof(namespace.elements.Category);
+    expect(group.classes.toValue()).to.deep.equal(['resourceGroup']);
+    expect(group.title.toValue()).to.equal('pets');
+    expect(group.copy.toValue()).to.deep.equal(['Everything about your pets']);
+  });
+
+  it('exposes extensions in the resource group', () => {
+    const tag = new namespace.elements.Object({
+      name: 'pets',
+      'x-display': 'Pets',
+    });
+
+    const parseResult = parse(context, tag);
+
+    expect(parseResult).to.not.contain.annotations;
+
+    const extension = parseResult.get(0).content[0];
+    expect(extension).to.be.instanceof(namespace.elements.Extension);
+    expect(extension.profile.toValue()).to.equal('https://help.apiary.io/profiles/api-elements/vendor-extensions/');
+    expect(extension.toValue()).to.deep.equal([{ key: 'x-display', value: 'Pets' }]);
+  });
+
+  it('provides warning for unsupported externalDocs key', () => {
+    const tag = new namespace.elements.Object({
+      name: 'pets',
+      externalDocs: {},
+    });
+
+    const parseResult = parse(context, tag);
+
+    expect(parseResult).to.contain.warning("'Tag Object' contains unsupported key 'externalDocs'");
+  });
+
+  it('provides warning for invalid keys', () => {
+    const tag = new namespace.elements.Object({
+      name: 'pets',
+      invalid: {},
+    });
+
+    const parseResult = parse(context, tag);
+
+    expect(parseResult).to.contain.warning("'Tag Object' contains invalid key 'invalid'");
+  });
+});
@@ -0,0 +1,93 @@
+const { Fury } = require('@apielements/core');
+const { expect } = require('../../chai');
+
+const parse = require('../../../../lib/parser/oas/parseXMLObject');
+const Context = require('../../../../lib/context');
+
+const { minim: namespace } = new Fury();
+
+describe('#parseXMLObject', () => {
+  let context;
+
+  beforeEach(() => {
+    context = new Context(namespace);
+  });
+
+  it('provides warning when xml is non-object', () => {
+    const xml = new namespace.elements.String();
+
+    const parseResult = parse(context)(xml);
+
+    expect(parseResult.length).to.equal(1);
+    expect(parseResult).to.contain.warning("'XML Object' is not an object");
+  });
+
+  it('parses the XML Object', () => {
+    const xml = new namespace.elements.Object({
+      name: 'pet',
+      namespace: 'http://example.com/schema/pet',
+      prefix: 'p',
+      attribute: false,
+      wrapped: true,
+    });
+
+    const parseResult = parse(context)(xml);
+
+    expect(parseResult).to.not.contain.annotations;
+    expect(parseResult.get(0).toValue()).to.deep.equal({
+      name: 'pet',
+      namespace: 'http://example.com/schema/pet',
+      prefix: 'p',
+      attribute: false,
+      wrapped: true,
+    });
+  });
+
+  it('provides warning when name is non-string', () => {
+    const xml = new namespace.elements.Object({
+      name: 1,
+    });
+
+    const parseResult = parse(context)(xml);
+
+    expect(parseResult).to.contain.warning("'XML Object' 'name' is not a string");
+    expect(parseResult.get(0).toValue()).to.deep.equal({});
+  });
+
+  it('provides warning when attribute is non-boolean', () => {
+    const xml = new namespace.elements.Object({
+      attribute: 'yes',
+    });
+
+    const parseResult = parse(context)(xml);
+
+    expect(parseResult).to.contain.warning("'XML Object' 'attribute' is not a boolean");
+  });
+
+  it('provides warning for invalid keys', () => {
+    const xml = new namespace.elements.Object({
+      invalid: true,
+    });
+
+    const parseResult = parse(context)(xml);
+
+    expect(parseResult).to.contain.warning("'XML Object' contains invalid key 'invalid'");
+  });
+
+  it('exposes extensions as the extensions attribute of the object', () => {
+    const xml = new namespace.elements.Object({
+      'x-extension': true,
+    });
+
+    const parseResult = parse(context)(xml);
+
+    expect(parseResult).to.not.contain.annotations;
+    const object = parseResult.get(0);
+    expect(object.hasKey('x-extension')).to.be.false;
+
+    const extension = object.attributes.get('extensions');
+    expect(extension).to.be.instanceof(namespace.elements.Extension);
+    expect(extension.profile.toValue()).to.equal('https://help.apiary.io/profiles/api-elements/vendor-extensions/');
+    expect(extension.toValue()).to.deep.equal([{ key: 'x-extension', value: true }]);
+  });
+});
@@ -616,4 +616,32 @@ describe('#parseYAML', () => {
     expect(outerWarning).to.have.sourceMapEndLine(2);
     expect(outerWarning).to.have.sourceMapEndColumn(23);
   });
+
+  it('sets the URI of an external document on the source maps', () => {
+    const parseResult = parseYAML('name: !!binary NDIK\n', context, 'common.yaml');
+
+    const href = element => element.attributes.get('sourceMap').first.attributes.getValue('href');
+
+    const object = parseResult.get(0);
+    expect(href(object)).to.equal('common.yaml');
+    expect(href(object.getMember('name').key)).to.equal('common.yaml');
+    expect(href(object.get('name'))).to.equal('common.yaml');
+
+    const warning = parseResult.get(1);
+    expect(warning).to.be.instanceof(namespace.elements.Annotation);
+    expect(href(warning)).to.equal('common.yaml');
+  });
+
+  it('sets the URI of an external document on the source maps of YAML errors', () => {
+    const parseResult = parseYAML('{}{}', context, 'common.yaml');
+
+    expect(parseResult.errors.get(0).attributes.get('sourceMap').first.attributes.getValue('href'))
+      .to.equal('common.yaml');
+  });
+
+  it('does not set a URI on the source maps of the document being parsed', () => {
+    const parseResult = parseYAML('name: doe\n', context);
+
+    expect(parseResult.get(0).attributes.get('sourceMap').first.attributes.hasKey('href')).to.be.false;
+  });
 });
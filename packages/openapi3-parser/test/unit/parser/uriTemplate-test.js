@@ -0,0 +1,125 @@
+const { Fury } = require('@apielements/core');
+const { expect } = require('../chai');
+const { hrefFromParameters } = require('../../../lib/parser/uriTemplate');
+
+const { minim: namespace } = new Fury();
+
+describe('#hrefFromParameters', () => {
+  const createParameter = (name, attributes) => {
+    const member = new namespace.elements.Member(name);
+    Object.keys(attributes || {}).forEach((key) => {
+      member.attributes.set(key, attributes[key]);
+    });
+    return member;
+  };
+
+  const createParameters = (path, query) => {
+    const parameters = new namespace.elements.Object();
+
+    if (path) {
+      parameters.set('path', new namespace.elements.HrefVariables(path));
+    }
+
+    if (query) {
+      parameters.set('query', new namespace.elements.HrefVariables(query));
+    }
+
+    return parameters;
+  };
+
+  const path = new namespace.elements.String('/pets/{id}');
+
+  it('returns the path without parameters', () => {
+    expect(hrefFromParameters(path).toValue()).to.equal('/pets/{id}');
+  });
+
+  it('uses simple string expansion for simple path parameters', () => {
+    const parameters = createParameters([createParameter('id', { style: 'simple' })]);
+    expect(hrefFromParameters(path, parameters).toValue()).to.equal('/pets/{id}');
+  });
+
+  it('uses label expansion for label path parameters', () => {
+    const parameters = createParameters([createParameter('id', { style: 'label' })]);
+    expect(hrefFromParameters(path, parameters).toValue()).to.equal('/pets/{.id}');
+  });
+
+  it('uses path-style parameter expansion for matrix path parameters', () => {
+    const parameters = createParameters([createParameter('id', { style: 'matrix', explode: true })]);
+    expect(hrefFromParameters(path, parameters).toValue()).to.equal('/pets/{;id*}');
+  });
+
+  it('adds the explode modifier to exploded path parameters', () => {
+    const parameters = createParameters([createParameter('id', { explode: true })]);
+    expect(hrefFromParameters(path, parameters).toValue()).to.equal('/pets/{id*}');
+  });
+
+  it('uses form-style query expansion for query parameters', () => {
+    const parameters = createParameters(undefined, [
+      createParameter('tags', { explode: true }),
+      createParameter('limit'),
+    ]);
+    expect(hrefFromParameters(path, parameters).toValue()).to.equal('/pets/{id}{?tags*,limit}');
+  });
+
+  describe('default explode', () => {
+    const createValueParameter = (name, value, attributes) => {
+      const member = createParameter(name, attributes);
+      member.value = value;
+      return member;
+    };
+
+    it('explodes array and object query parameters by default', () => {
+      const parameters = createParameters(undefined, [
+        createValueParameter('tags', new namespace.elements.Array()),
+        createValueParameter('filter', new namespace.elements.Object()),
+        createValueParameter('limit', new namespace.elements.Number()),
+      ]);
+      expect(hrefFromParameters(path, parameters).toValue()).to.equal('/pets/{id}{?tags*,filter*,limit}');
+    });
+
+    it('explodes query parameters with the form style by default', () => {
+      const parameters = createParameters(undefined, [
+        createValueParameter('tags', new namespace.elements.Array(), { style: 'form' }),
+      ]);
+      expect(hrefFromParameters(path, parameters).toValue()).to.equal('/pets/{id}{?tags*}');
+    });
+
+    it('does not explode query parameters with other styles by default', () => {
+      const parameters = createParameters(undefined, [
+        createValueParameter('tags', new namespace.elements.Array(), { style: 'pipeDelimited' }),
+        createValueParameter('filter', new namespace.elements.Object(), { style: 'deepObject' }),
+      ]);
+      expect(hrefFromParameters(path, parameters).toValue()).to.equal('/pets/{id}{?tags,filter}');
+    });
+
+    it('does not explode query parameters with explode disabled', () => {
+      const parameters = createParameters(undefined, [
+        createValueParameter('tags', new namespace.elements.Array(), { explode: false }),
+      ]);
+      expect(hrefFromParameters(path, parameters).toValue()).to.equal('/pets/{id}{?tags}');
+    });
+
+    it('does not explode path parameters by default', () => {
+      const parameters = createParameters([
+        createValueParameter('id', new namespace.elements.Array()),
+      ]);
+      expect(hrefFromParameters(path, parameters).toValue()).to.equal('/pets/{id}');
+    });
+
+    it('explodes query parameters with reserved expansion by default', () => {
+      const parameters = createParameters(undefined, [
+        createValueParameter('tags', new namespace.elements.Array(), { allowReserved: true }),
+      ]);
+      expect(hrefFromParameters(path, parameters).toValue()).to.equal('/pets/{id}?tags={+tags*}');
+    });
+  });
+
+  it('uses reserved expansion for query parameters allowing reserved characters', () => {
+    const parameters = createParameters(undefined, [
+      createParameter('limit'),
+      createParameter('filter', { allowReserved: true }),
+      createParameter('sort', { allowReserved: true }),
+    ]);
+    expect(hrefFromParameters(path, parameters).toValue()).to.equal('/pets/{id}?filter={+filter}&sort={+sort}{&limit}');
+  });
+});
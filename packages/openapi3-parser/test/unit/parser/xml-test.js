@@ -0,0 +1,241 @@
+const { Fury } = require('@apielements/core');
+const { expect } = require('../chai');
+
+const { generateXML } = require('../../../lib/parser/xml');
+const parseSchemaObject = require('../../../lib/parser/oas/parseSchemaObject');
+const Context = require('../../../lib/context');
+
+const { minim: namespace } = new Fury();
+
+const declaration = '<?xml version="1.0" encoding="UTF-8"?>';
+
+describe('#generateXML', () => {
+  let context;
+  beforeEach(() => {
+    context = new Context(namespace);
+  });
+
+  const generate = (schema, value, elements = {}) => {
+    const element = parseSchemaObject(context, new namespace.elements.Object(schema)).get(0).content;
+    return generateXML(element, elements, value);
+  };
+
+  const lines = (...xml) => [declaration].concat(xml).join('\n');
+
+  it('does not generate a document without a name for the root element', () => {
+    expect(generate({ type: 'object' }, {})).to.be.undefined;
+  });
+
+  it('generates a document for an object', () => {
+    const xml = generate({
+      type: 'object',
+      properties: {
+        name: { type: 'string' },
+        age: { type: 'number' },
+      },
+      xml: { name: 'user' },
+    }, { name: 'doe', age: 30 });
+
+    expect(xml).to.equal(lines(
+      '<user>',
+      '  <name>doe</name>',
+      '  <age>30</age>',
+      '</user>'
+    ));
+  });
+
+  it('generates an empty element for an empty object and null values', () => {
+    expect(generate({ type: 'object', xml: { name: 'user' } }, {})).to.equal(lines('<user/>'));
+    expect(generate({ type: 'string', nullable: true, xml: { name: 'name' } }, null)).to.equal(lines('<name/>'));
+  });
+
+  it('escapes values', () => {
+    const xml = generate({
+      type: 'object',
+      properties: {
+        id: { type: 'string', xml: { attribute: true } },
+        name: { type: 'string' },
+      },
+      xml: { name: 'user' },
+    }, { id: '"1"', name: '<doe> & co' });
+
+    expect(xml).to.equal(lines(
+      '<user id="&quot;1&quot;">',
+      '  <name>&lt;doe&gt; &amp; co</name>',
+      '</user>'
+    ));
+  });
+
+  it('uses the name of properties', () => {
+    const xml = generate({
+      type: 'object',
+      properties: {
+        name: { type: 'string', xml: { name: 'fullName' } },
+      },
+      xml: { name: 'user' },
+    }, { name: 'doe' });
+
+    expect(xml).to.equal(lines(
+      '<user>',
+      '  <fullName>doe</fullName>',
+      '</user>'
+    ));
+  });
+
+  it('generates attributes', () => {
+    const xml = generate({
+      type: 'object',
+      properties: {
+        id: { type: 'number', xml: { attribute: true, name: 'identifier' } },
+        name: { type: 'string' },
+      },
+      xml: { name: 'user' },
+    }, { id: 1, name: 'doe' });
+
+    expect(xml).to.equal(lines(
+      '<user identifier="1">',
+      '  <name>doe</name>',
+      '</user>'
+    ));
+  });
+
+  it('declares namespaces with prefixes', () => {
+    const xml = generate({
+      type: 'object',
+      properties: {
+        name: { type: 'string', xml: { namespace: 'http://example.com/name' } },
+        id: { type: 'string', xml: { prefix: 'u', attribute: true } },
+      },
+      xml: { name: 'user', namespace: 'http://example.com/user', prefix: 'u' },
+    }, { name: 'doe', id: '1' });
+
+    expect(xml).to.equal(lines(
+      '<u:user xmlns:u="http://example.com/user" u:id="1">',
+      '  <name xmlns="http://example.com/name">doe</name>',
+      '</u:user>'
+    ));
+  });
+
+  it('generates unwrapped arrays named after the property', () => {
+    const xml = generate({
+      type: 'object',
+      properties: {
+        tags: { type: 'array', items: { type: 'string' }, xml: { name: 'ignored' } },
+      },
+      xml: { name: 'user' },
+    }, { tags: ['a', 'b'] });
+
+    expect(xml).to.equal(lines(
+      '<user>',
+      '  <tags>a</tags>',
+      '  <tags>b</tags>',
+      '</user>'
+    ));
+  });
+
+  it('generates wrapped arrays', () => {
+    const xml = generate({
+      type: 'object',
+      properties: {
+        tags: {
+          type: 'array',
+          items: { type: 'string', xml: { name: 'tag' } },
+          xml: { name: 'labels', wrapped: true },
+        },
+        empty: {
+          type: 'array',
+          items: { type: 'string' },
+          xml: { wrapped: true },
+        },
+      },
+      xml: { name: 'user' },
+    }, { tags: ['a', 'b'], empty: [] });
+
+    expect(xml).to.equal(lines(
+      '<user>',
+      '  <labels>',
+      '    <tag>a</tag>',
+      '    <tag>b</tag>',
+      '  </labels>',
+      '  <empty/>',
+      '</user>'
+    ));
+  });
+
+  it('wraps an array at the root of the document', () => {
+    const xml = generate({
+      type: 'array',
+      items: { type: 'string', xml: { name: 'tag' } },
+      xml: { name: 'tags' },
+    }, ['a']);
+
+    expect(xml).to.equal(lines(
+      '<tags>',
+      '  <tag>a</tag>',
+      '</tags>'
+    ));
+  });
+
+  describe('schema components', () => {
+    let elements;
+
+    beforeEach(() => {
+      const user = new namespace.elements.Object({
+        id: new namespace.elements.String(),
+      });
+      user.id = 'User';
+      user.attributes.set('xml', { name: 'user', prefix: 'u', namespace: 'http://example.com/user' });
+      user.get('id').attributes.set('xml', { attribute: true });
+
+      elements = { User: user };
+    });
+
+    const reference = (id) => {
+      const element = new namespace.elements.Element();
+      element.element = id;
+      return element;
+    };
+
+    it('names the root element after the referenced schema component', () => {
+      const customer = reference('Customer');
+      elements.Customer = new namespace.elements.Object({ name: 'doe' }, { id: 'Customer' });
+
+      expect(generateXML(customer, elements, { name: 'doe' })).to.equal(lines(
+        '<Customer>',
+        '  <name>doe</name>',
+        '</Customer>'
+      ));
+    });
+
+    it('honours the XML Object and properties of the referenced schema component', () => {
+      expect(generateXML(reference('User'), elements, { id: '1' })).to.equal(lines(
+        '<u:user xmlns:u="http://example.com/user" id="1"/>'
+      ));
+    });
+
+    it('overrides the XML Object of the referenced schema component', () => {
+      const manager = reference('User');
+      manager.attributes.set('xml', { name: 'manager' });
+
+      const team = new namespace.elements.Object([
+        new namespace.elements.Member('manager', manager),
+      ]);
+      team.attributes.set('xml', { name: 'team' });
+
+      expect(generateXML(team, elements, { manager: { id: '1' } })).to.equal(lines(
+        '<team>',
+        '  <u:manager xmlns:u="http://example.com/user" id="1"/>',
+        '</team>'
+      ));
+    });
+
+    it('honours properties of mixins', () => {
+      const customer = new namespace.elements.Object([
+        new namespace.elements.Ref('User'),
+      ]);
+      customer.attributes.set('xml', { name: 'customer' });
+
+      expect(generateXML(customer, elements, { id: '1' })).to.equal(lines('<customer id="1"/>'));
+    });
+  });
+});
@@ -0,0 +1,40 @@
+const contentType = require('content-type');
+const yaml = require('js-yaml');
+const serializeOpenAPI = require('./serializeOpenAPI');
+
+const name = 'openapi3-serializer';
+
+// Per https://github.com/OAI/OpenAPI-Specification/issues/110#issuecomment-364498200
+const mediaTypes = [
+  'application/vnd.oai.openapi',
+  'application/vnd.oai.openapi+json',
+  'application/vnd.oai.openapi;version=3.0.3',
+  'application/vnd.oai.openapi+json;version=3.0.3',
+  'application/vnd.oai.openapi;version=3.1.0',
+  'application/vnd.oai.openapi+json;version=3.1.0',
+];
+
+const defaultVersion = '3.0.3';
+
+/*
+ * Elements which cannot be represented in OpenAPI 3 are reported to the
+ * optional `report` function with a message describing what was omitted.
+ */
+function serializeSync({ api, mediaType = mediaTypes[0], report }) {
+  const { type, parameters } = contentType.parse(mediaType);
+  const document = serializeOpenAPI(api, { version: parameters.version || defaultVersion, report });
+
+  if (type === 'application/vnd.oai.openapi+json') {
+    return JSON.stringify(document, null, 2);
+  }
+
+  return yaml.safeDump(document, { noRefs: true });
+}
+
+function serialize(options) {
+  return new Promise(resolve => resolve(serializeSync(options)));
+}
+
+module.exports = {
+  name, mediaTypes, serialize, serializeSync,
+};
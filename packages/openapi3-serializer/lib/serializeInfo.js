@@ -0,0 +1,55 @@
+const {
+  getMetaValue, getAttributeValue, getDescription,
+} = require('./utils');
+
+/**
+ * Serializes the title, version, description and the links (terms of
+ * service, license and contact) of the API category into an Info Object
+ * @param api {Category}
+ * @returns {object}
+ * @private
+ */
+function serializeInfo(api) {
+  const info = {
+    title: getMetaValue(api, 'title') || '',
+    version: String(getAttributeValue(api, 'version') || '1.0.0'),
+  };
+
+  const description = getDescription(api);
+  if (description) {
+    info.description = description;
+  }
+
+  const links = getMetaValue(api, 'links') ? api.links : [];
+  links.forEach((link) => {
+    const relation = getAttributeValue(link, 'relation');
+    const href = getAttributeValue(link, 'href');
+    const title = getMetaValue(link, 'title');
+
+    if (relation === 'terms-of-service') {
+      info.termsOfService = href;
+    } else if (relation === 'license') {
+      info.license = { name: title || '' };
+
+      if (href && href !== 'http://purl.org/atompub/license#unspecified') {
+        info.license.url = href;
+      }
+    } else if (relation === 'contact' && href) {
+      info.contact = info.contact || {};
+
+      if (title) {
+        info.contact.name = title;
+      }
+
+      if (href.startsWith('mailto:')) {
+        info.contact.email = href.substring('mailto:'.length);
+      } else {
+        info.contact.url = href;
+      }
+    }
+  });
+
+  return info;
+}
+
+module.exports = serializeInfo;
@@ -0,0 +1,518 @@
+const serializeSchema = require('./serializeSchema');
+const serializeInfo = require('./serializeInfo');
+const { serializeSecuritySchemes, serializeSecurityRequirement } = require('./serializeSecurity');
+const {
+  getMetaValue, getAttribute, getAttributeValue, hasTypeAttribute, hasClass,
+  getDescription, filterContent, findAsset, getHeaders, getContentType,
+  isJSONMediaType, parseHref, findHrefVariable, componentName,
+} = require('./utils');
+
+// Headers which are described by other parts of an OpenAPI document
+const reservedHeaders = ['content-type', 'accept', 'authorization'];
+
+const methods = ['get', 'put', 'post', 'delete', 'options', 'head', 'patch', 'trace'];
+
+function serializeParameter(name, location, member, options) {
+  const parameter = { name, in: location };
+
+  const description = member && getMetaValue(member, 'description');
+  if (description) {
+    parameter.description = description;
+  }
+
+  if (location === 'path' || (member && hasTypeAttribute(member, 'required'))) {
+    parameter.required = true;
+  }
+
+  parameter.schema = (member && member.value) ? serializeSchema(member.value, options) : { type: 'string' };
+
+  return parameter;
+}
+
+// Styles of path parameters for the operators of RFC 6570 URI Templates
+const pathStyles = {
+  '': 'simple',
+  '.': 'label',
+  ';': 'matrix',
+};
+
+/**
+ * Serializes a path or query parameter of a URI Template variable, the
+ * operator of the variable is described by the `style` of the parameter
+ * @param variable {object} - variable of the URI Template from `parseHref`
+ * @param location {string} - `path` or `query`
+ * @param member {MemberElement} - the href variable describing the variable
+ * @param options
+ * @returns {object}
+ * @private
+ */
+function serializeVariableParameter(variable, location, member, options) {
+  const parameter = serializeParameter(variable.name, location, member, options);
+
+  if (location === 'path') {
+    const style = pathStyles[variable.operator];
+
+    // Expressions without a style are reported and described as simple
+    if (style !== undefined && style !== 'simple') {
+      parameter.style = style;
+    }
+
+    if (variable.explode) {
+      parameter.explode = true;
+    }
+  }
+
+  return parameter;
+}
+
+function serializeHeaderParameters(request, options) {
+  return getHeaders(request)
+    .filter(member => !reservedHeaders.includes(member.key.toValue().toLowerCase()))
+    .map(member => serializeParameter(member.key.toValue(), 'header', member, options));
+}
+
+function serializeMediaType(message, mediaType, options) {
+  const object = {};
+
+  const dataStructure = filterContent(message, 'dataStructure')[0];
+  const messageBody = findAsset(message, 'messageBody');
+  const messageBodySchema = findAsset(message, 'messageBodySchema');
+
+  if (dataStructure) {
+    object.schema = serializeSchema(dataStructure, options);
+  } else if (messageBodySchema) {
+    try {
+      object.schema = JSON.parse(messageBodySchema.toValue());
+    } catch (error) {
+      options.report('Message body schema is not valid JSON, it has been omitted');
+    }
+  }
+
+  if (messageBody && messageBody.toValue()) {
+    const body = messageBody.toValue();
+    object.example = body;
+
+    if (isJSONMediaType(mediaType)) {
+      try {
+        object.example = JSON.parse(body);
+      } catch (error) {
+        // Retain the body as a string
+      }
+    }
+  }
+
+  return object;
+}
+
+const hasPayload = message => filterContent(message, 'dataStructure').length > 0
+  || findAsset(message, 'messageBody') !== undefined
+  || findAsset(message, 'messageBodySchema') !== undefined;
+
+function serializeContent(message, options) {
+  if (!hasPayload(message)) {
+    return undefined;
+  }
+
+  const mediaType = getContentType(message) || '*/*';
+  return { [mediaType]: serializeMediaType(message, mediaType, options) };
+}
+
+function serializeRequestBody(request, options) {
+  const content = serializeContent(request, options);
+
+  if (content === undefined) {
+    return undefined;
+  }
+
+  const requestBody = { content };
+
+  const description = getDescription(request);
+  if (description) {
+    requestBody.description = description;
+  }
+
+  return requestBody;
+}
+
+function serializeResponse(response, options) {
+  const object = {
+    // description is required in the 'Response Object'
+    description: getDescription(response) || '',
+  };
+
+  const headers = {};
+  getHeaders(response)
+    .filter(member => member.key.toValue().toLowerCase() !== 'content-type')
+    .forEach((member) => {
+      const header = {
+        schema: member.value ? serializeSchema(member.value, options) : { type: 'string' },
+      };
+
+      const description = getMetaValue(member, 'description');
+      if (description) {
+        header.description = description;
+      }
+
+      headers[member.key.toValue()] = header;
+    });
+
+  if (Object.keys(headers).length > 0) {
+    object.headers = headers;
+  }
+
+  const content = serializeContent(response, options);
+  if (content) {
+    object.content = content;
+  }
+
+  return object;
+}
+
+/**
+ * Merges the given content into the content of an existing Request Body or
+ * Response Object. The first occurrence of a media type wins, differing
+ * content for the same media type is reported as omitted.
+ * @param existing {object} - Request Body or Response Object
+ * @param content {object}
+ * @param omitted {function} - returns the message for an omitted media type
+ * @param options
+ * @private
+ */
+function mergeContent(existing, content, omitted, options) {
+  /* eslint-disable no-param-reassign */
+  existing.content = existing.content || {};
+
+  Object.keys(content).forEach((mediaType) => {
+    if (existing.content[mediaType] === undefined) {
+      existing.content[mediaType] = content[mediaType];
+    } else if (JSON.stringify(existing.content[mediaType]) !== JSON.stringify(content[mediaType])) {
+      options.report(omitted(mediaType));
+    }
+  });
+  /* eslint-enable no-param-reassign */
+}
+
+/**
+ * Merges the request body and responses of a transaction into an existing
+ * Operation Object. The first occurrence of a media type or status code wins.
+ * @private
+ */
+function mergeTransaction(operation, transaction, options) {
+  const request = filterContent(transaction, 'httpRequest')[0];
+  const response = filterContent(transaction, 'httpResponse')[0];
+
+  if (request) {
+    const requestBody = serializeRequestBody(request, options);
+
+    if (requestBody) {
+      if (operation.requestBody) {
+        mergeContent(operation.requestBody, requestBody.content, mediaType => `OpenAPI 3 only supports a single request body per media type, the additional request body for '${mediaType}' has been omitted`, options);
+      } else {
+        // eslint-disable-next-line no-param-reassign
+        operation.requestBody = requestBody;
+      }
+    }
+  }
+
+  if (response) {
+    const statusCode = getAttributeValue(response, 'statusCode');
+    const key = (statusCode === undefined || statusCode === null || statusCode === '') ? 'default' : String(statusCode);
+    const responseObject = serializeResponse(response, options);
+    const existing = operation.responses[key];
+
+    if (existing === undefined) {
+      // eslint-disable-next-line no-param-reassign
+      operation.responses[key] = responseObject;
+    } else if (responseObject.content) {
+      mergeContent(existing, responseObject.content, mediaType => `OpenAPI 3 only supports a single response per status code and media type, the additional '${key}' response for '${mediaType}' has been omitted`, options);
+    }
+  }
+
+  const authSchemes = getAttribute(transaction, 'authSchemes');
+  if (authSchemes && !authSchemes.isEmpty && operation.security === undefined) {
+    // eslint-disable-next-line no-param-reassign
+    operation.security = [serializeSecurityRequirement(authSchemes)];
+  }
+}
+
+function serializeTransition(transition, resource, tag, paths, options) {
+  const href = getAttributeValue(transition, 'href') || getAttributeValue(resource, 'href') || '/';
+  const { path, pathVariables, queryVariables } = parseHref(href);
+
+  pathVariables
+    .filter(variable => pathStyles[variable.operator] === undefined)
+    .map(variable => variable.expression)
+    .filter((expression, index, expressions) => expressions.indexOf(expression) === index)
+    .forEach((expression) => {
+      options.report(`OpenAPI 3 does not support the URI Template expression '${expression}' in '${href}', it has been described as a simple path parameter`);
+    });
+
+  const hrefVariables = [getAttribute(transition, 'hrefVariables'), getAttribute(resource, 'hrefVariables')]
+    .filter(variables => variables !== undefined);
+
+  if (paths[path] === undefined) {
+    // eslint-disable-next-line no-param-reassign
+    paths[path] = {};
+
+    const summary = getMetaValue(resource, 'title');
+    if (summary) {
+      // eslint-disable-next-line no-param-reassign
+      paths[path].summary = summary;
+    }
+
+    const description = getDescription(resource);
+    if (description) {
+      // eslint-disable-next-line no-param-reassign
+      paths[path].description = description;
+    }
+  }
+
+  const pathItem = paths[path];
+
+  filterContent(transition, 'httpTransaction').forEach((transaction) => {
+    const request = filterContent(transaction, 'httpRequest')[0];
+    const method = ((request && getAttributeValue(request, 'method')) || 'get').toLowerCase();
+
+    if (!methods.includes(method)) {
+      options.report(`OpenAPI 3 does not support the HTTP method '${method.toUpperCase()}', the transaction for '${path}' has been omitted`);
+      return;
+    }
+
+    // Resources which only differ in their query parameters share an
+    // operation, parameters which are not described by it are added
+    const parameters = []
+      .concat(pathVariables.map(variable => serializeVariableParameter(variable, 'path', findHrefVariable(variable.name, hrefVariables), options)))
+      .concat(queryVariables.map(variable => serializeVariableParameter(variable, 'query', findHrefVariable(variable.name, hrefVariables), options)))
+      .concat(request ? serializeHeaderParameters(request, options) : []);
+
+    if (pathItem[method] === undefined) {
+      const operation = {};
+
+      const summary = getMetaValue(transition, 'title');
+      if (summary) {
+        operation.summary = summary;
+      }
+
+      const description = getDescription(transition);
+      if (description) {
+        operation.description = description;
+      }
+
+      const operationId = getMetaValue(transition, 'id');
+      if (operationId) {
+        operation.operationId = operationId;
+      }
+
+      if (tag) {
+        operation.tags = [tag];
+      }
+
+      if (parameters.length > 0) {
+        operation.parameters = parameters;
+      }
+
+      operation.responses = {};
+      pathItem[method] = operation;
+    } else {
+      const operation = pathItem[method];
+      const isDescribed = parameter => (operation.parameters || [])
+        .some(({ name, in: location }) => name === parameter.name && location === parameter.in);
+      const additionalParameters = parameters.filter(parameter => !isDescribed(parameter));
+
+      if (additionalParameters.length > 0) {
+        operation.parameters = (operation.parameters || []).concat(additionalParameters);
+      }
+    }
+
+    mergeTransaction(pathItem[method], transaction, options);
+  });
+}
+
+function serializeResource(resource, tag, paths, options) {
+  filterContent(resource, 'transition').forEach((transition) => {
+    serializeTransition(transition, resource, tag, paths, options);
+  });
+}
+
+/**
+ * Adds a default response to the operations without a response, the
+ * Responses Object of an operation must contain at least one response
+ * @param paths {object}
+ * @private
+ */
+function addDefaultResponses(paths) {
+  Object.keys(paths).forEach((path) => {
+    methods
+      .map(method => paths[path][method])
+      .filter(operation => operation !== undefined && Object.keys(operation.responses).length === 0)
+      .forEach((operation) => {
+        // eslint-disable-next-line no-param-reassign
+        operation.responses.default = { description: '' };
+      });
+  });
+}
+
+function serializeServers(api) {
+  const servers = [];
+
+  const metadata = getAttribute(api, 'metadata');
+  if (metadata) {
+    const host = filterContent(metadata, 'member').find(member => member.key.toValue() === 'HOST');
+
+    if (host && host.value) {
+      servers.push({ url: host.value.toValue() });
+    }
+  }
+
+  filterContent(api, 'category')
+    .filter(category => hasClass(category, 'hosts'))
+    .forEach((category) => {
+      filterContent(category, 'resource').forEach((resource) => {
+        const server = { url: getAttributeValue(resource, 'href') };
+
+        const description = getDescription(resource);
+        if (description) {
+          server.description = description;
+        }
+
+        const hrefVariables = getAttribute(resource, 'hrefVariables');
+        if (hrefVariables && !hrefVariables.isEmpty) {
+          server.variables = {};
+
+          filterContent(hrefVariables, 'member').forEach((member) => {
+            const value = member.value || {};
+            const defaultValue = getAttributeValue(value, 'default');
+            const variable = {
+              default: defaultValue !== undefined ? String(defaultValue) : String(value.toValue ? value.toValue() || '' : ''),
+            };
+
+            const enumerations = getAttribute(value, 'enumerations');
+            if (enumerations && !enumerations.isEmpty) {
+              variable.enum = enumerations.toValue().map(String);
+            }
+
+            const description = getMetaValue(member, 'description');
+            if (description) {
+              variable.description = description;
+            }
+
+            server.variables[member.key.toValue()] = variable;
+          });
+        }
+
+        servers.push(server);
+      });
+    });
+
+  return servers;
+}
+
+function serializeSchemas(api, options) {
+  const schemas = {};
+
+  filterContent(api, 'category')
+    .filter(category => hasClass(category, 'dataStructures'))
+    .forEach((category) => {
+      filterContent(category, 'dataStructure').forEach((dataStructure) => {
+        const id = dataStructure.content && getMetaValue(dataStructure.content, 'id');
+
+        if (id) {
+          schemas[componentName(id)] = serializeSchema(dataStructure, options);
+        }
+      });
+    });
+
+  return schemas;
+}
+
+/**
+ * Serialize an API Elements API category into an OpenAPI 3 document
+ *
+ * @param api {Category} - The API category, a parse result is also accepted
+ * @param options {object}
+ * @param options.version {string} - The OpenAPI version to produce
+ * @returns {object} OpenAPI Object
+ * @private
+ */
+function serializeOpenAPI(api, options = {}) {
+  if (api.element === 'parseResult') {
+    const category = filterContent(api, 'category').find(item => hasClass(item, 'api'));
+
+    if (category === undefined) {
+      throw new Error('Parse result does not contain an API');
+    }
+
+    return serializeOpenAPI(category, options);
+  }
+
+  const version = options.version || '3.0.3';
+  const schemaOptions = {
+    version,
+    report: options.report || (() => {}),
+  };
+
+  const document = {
+    openapi: version,
+    info: serializeInfo(api),
+  };
+
+  const servers = serializeServers(api);
+  if (servers.length > 0) {
+    document.servers = servers;
+  }
+
+  const tags = [];
+  const paths = {};
+
+  filterContent(api, 'resource').forEach((resource) => {
+    serializeResource(resource, undefined, paths, schemaOptions);
+  });
+
+  filterContent(api, 'category')
+    .filter(category => hasClass(category, 'resourceGroup'))
+    .forEach((category) => {
+      const name = getMetaValue(category, 'title');
+
+      if (name) {
+        const tag = { name };
+        const description = getDescription(category);
+
+        if (description) {
+          tag.description = description;
+        }
+
+        tags.push(tag);
+      }
+
+      filterContent(category, 'resource').forEach((resource) => {
+        serializeResource(resource, name || undefined, paths, schemaOptions);
+      });
+    });
+
+  if (tags.length > 0) {
+    document.tags = tags;
+  }
+
+  addDefaultResponses(paths);
+  document.paths = paths;
+
+  const components = {};
+
+  const schemas = serializeSchemas(api, schemaOptions);
+  if (Object.keys(schemas).length > 0) {
+    components.schemas = schemas;
+  }
+
+  const securitySchemes = serializeSecuritySchemes(api);
+  if (Object.keys(securitySchemes).length > 0) {
+    components.securitySchemes = securitySchemes;
+  }
+
+  if (Object.keys(components).length > 0) {
+    document.components = components;
+  }
+
+  return document;
+}
+
+module.exports = serializeOpenAPI;
@@ -0,0 +1,365 @@
+const {
+  getMetaValue, getAttribute, getAttributeValue, hasTypeAttribute, componentName,
+} = require('./utils');
+
+const primitiveTypes = ['string', 'number', 'boolean', 'null'];
+const baseTypes = primitiveTypes.concat([
+  'object', 'array', 'enum', 'select', 'option', 'ref', 'member', 'extend', 'element',
+]);
+
+const isPrimitive = element => primitiveTypes.includes(element.element);
+const isNamedType = element => !baseTypes.includes(element.element);
+const hasValue = element => element.content !== undefined && element.content !== null;
+
+const isOpenAPI31 = options => String(options.version).startsWith('3.1');
+
+/**
+ * Creates a Schema Object referencing the given data structure
+ * @param id {string} - data structure identifier
+ * @returns {object}
+ * @private
+ */
+const referenceSchema = id => ({ $ref: `#/components/schemas/${componentName(id)}` });
+
+/**
+ * Attaches the given annotations (description, default etc) to a schema.
+ *
+ * In OpenAPI 3.0 siblings of `$ref` are ignored, in that case the reference
+ * is wrapped in `allOf` so the annotations are retained.
+ *
+ * @param schema {object}
+ * @param annotations {object}
+ * @param options {object}
+ * @returns {object}
+ * @private
+ */
+function annotateSchema(schema, annotations, options) {
+  const keys = Object.keys(annotations).filter(key => annotations[key] !== undefined);
+
+  if (keys.length === 0) {
+    return schema;
+  }
+
+  let result = schema;
+  if (result.$ref && !isOpenAPI31(options)) {
+    result = { allOf: [schema] };
+  }
+
+  keys.forEach((key) => {
+    result[key] = annotations[key];
+  });
+
+  return result;
+}
+
+/**
+ * Marks the schema as permitting null
+ *
+ * OpenAPI 3.0 uses the `nullable` keyword, whereas OpenAPI 3.1 follows
+ * JSON Schema and adds `null` to the permitted types.
+ *
+ * @param schema {object}
+ * @param options {object}
+ * @returns {object}
+ * @private
+ */
+function makeNullable(schema, options) {
+  if (!isOpenAPI31(options)) {
+    return annotateSchema(schema, { nullable: true }, options);
+  }
+
+  if (typeof schema.type === 'string') {
+    return Object.assign({}, schema, { type: [schema.type, 'null'] });
+  }
+
+  return { anyOf: [schema, { type: 'null' }] };
+}
+
+/* eslint-disable no-use-before-define */
+
+function serializePrimitive(element, options) {
+  if (element.element === 'null') {
+    if (isOpenAPI31(options)) {
+      return { type: 'null' };
+    }
+
+    return { nullable: true, enum: [null] };
+  }
+
+  const schema = { type: element.element };
+
+  if (hasValue(element)) {
+    if (options.fixed) {
+      schema.enum = [element.toValue()];
+    } else {
+      schema.example = element.toValue();
+    }
+  }
+
+  return schema;
+}
+
+/**
+ * Serializes the discriminator of a select element as a Discriminator Object
+ * @param select {Element}
+ * @returns {object|undefined}
+ * @private
+ */
+function serializeDiscriminator(select) {
+  const discriminator = getAttribute(select, 'discriminator');
+  if (discriminator === undefined || !discriminator.getValue('propertyName')) {
+    return undefined;
+  }
+
+  const result = { propertyName: discriminator.getValue('propertyName') };
+
+  const mapping = discriminator.get('mapping');
+  if (mapping && !mapping.isEmpty) {
+    result.mapping = {};
+    mapping.forEach((value, key) => {
+      result.mapping[key.toValue()] = referenceSchema(value.toValue()).$ref;
+    });
+  }
+
+  return result;
+}
+
+function serializeMember(member, options) {
+  const memberOptions = Object.assign({}, options, {
+    fixed: options.fixed || hasTypeAttribute(member, 'fixed'),
+  });
+
+  let schema = member.value ? serializeSchema(member.value, memberOptions) : {};
+
+  schema = annotateSchema(schema, {
+    description: getMetaValue(member, 'description') || undefined,
+    readOnly: getAttributeValue(member, 'readOnly') === true || undefined,
+    writeOnly: getAttributeValue(member, 'writeOnly') === true || undefined,
+  }, options);
+
+  if (hasTypeAttribute(member, 'nullable')) {
+    schema = makeNullable(schema, options);
+  }
+
+  return schema;
+}
+
+function serializeObject(element, options) {
+  const schema = { type: 'object' };
+  const properties = {};
+  const required = [];
+  const mixins = [];
+  let additionalProperties;
+  let discriminator;
+  const oneOf = [];
+
+  (element.content || []).forEach((item) => {
+    if (item.element === 'member') {
+      if (getAttributeValue(item, 'variable') === true) {
+        // Variable property names describe the additional properties
+        additionalProperties = serializeMember(item, options);
+        return;
+      }
+
+      const key = item.key && item.key.toValue();
+
+      if (key === undefined) {
+        return;
+      }
+
+      properties[key] = serializeMember(item, options);
+
+      if (hasTypeAttribute(item, 'required')) {
+        required.push(key);
+      }
+    } else if (item.element === 'ref') {
+      mixins.push(referenceSchema(item.toValue()));
+    } else if (item.element === 'select') {
+      item.content.forEach((option) => {
+        oneOf.push(serializeObject(option, options));
+      });
+      discriminator = serializeDiscriminator(item);
+    }
+  });
+
+  if (Object.keys(properties).length > 0) {
+    schema.properties = properties;
+  }
+
+  if (required.length > 0) {
+    schema.required = required;
+  }
+
+  if (options.fixed || hasTypeAttribute(element, 'fixedType')) {
+    schema.additionalProperties = false;
+  } else if (additionalProperties) {
+    schema.additionalProperties = additionalProperties;
+  }
+
+  if (oneOf.length > 0) {
+    schema.oneOf = oneOf;
+  }
+
+  if (discriminator) {
+    schema.discriminator = discriminator;
+  }
+
+  if (mixins.length > 0) {
+    if (!schema.properties && !schema.required && !schema.oneOf) {
+      return { allOf: mixins };
+    }
+
+    return { allOf: mixins.concat([schema]) };
+  }
+
+  return schema;
+}
+
+function serializeArray(element, options) {
+  const schema = { type: 'array' };
+  const content = element.content || [];
+
+  const isSamePrimitive = content.length > 0
+    && content.every(item => isPrimitive(item) && item.element === content[0].element);
+
+  if (isSamePrimitive && !options.fixed) {
+    schema.items = { type: content[0].element };
+
+    if (content.some(hasValue)) {
+      schema.example = element.toValue();
+    }
+  } else if (content.length === 1) {
+    schema.items = serializeSchema(content[0], options);
+  } else if (content.length > 1) {
+    schema.items = { anyOf: content.map(item => serializeSchema(item, options)) };
+  } else {
+    schema.items = {};
+  }
+
+  return schema;
+}
+
+function serializeEnum(element, options) {
+  const enumerations = getAttribute(element, 'enumerations');
+  const values = enumerations ? enumerations.content : [];
+
+  let schema;
+
+  if (values.every(value => isPrimitive(value) && hasValue(value))) {
+    schema = {};
+
+    const types = values.map(value => value.element);
+    if (types.length > 0 && types.every(type => type === types[0])) {
+      [schema.type] = types;
+    }
+
+    schema.enum = values.map(value => value.toValue());
+  } else {
+    schema = { oneOf: values.map(value => serializeSchema(value, options)) };
+  }
+
+  if (hasValue(element)) {
+    schema.example = element.toValue();
+  }
+
+  return schema;
+}
+
+function serializeNamedType(element, options) {
+  const reference = referenceSchema(element.element);
+  const content = Array.isArray(element.content) ? element.content : [];
+
+  if (content.length === 0) {
+    if (hasValue(element) && !Array.isArray(element.content)) {
+      return annotateSchema(reference, { example: element.toValue() }, options);
+    }
+
+    return reference;
+  }
+
+  const isObjectLike = content.some(item => ['member', 'ref', 'select'].includes(item.element));
+  const extension = isObjectLike ? serializeObject(element, options) : serializeArray(element, options);
+
+  return { allOf: [reference, extension] };
+}
+
+/**
+ * Serialize an API Elements data structure into an OpenAPI Schema Object
+ *
+ * @param element {Element} - A data structure element or the content of a
+ *   data structure element
+ * @param options {object}
+ * @param options.version {string} - The OpenAPI version being produced
+ * @returns {object} Schema Object
+ * @private
+ */
+function serializeSchema(element, options = {}) {
+  if (element === undefined) {
+    return {};
+  }
+
+  if (element.element === 'dataStructure') {
+    return serializeSchema(element.content, options);
+  }
+
+  const elementOptions = Object.assign({}, options, {
+    fixed: options.fixed || hasTypeAttribute(element, 'fixed'),
+  });
+
+  let schema;
+
+  if (element.element === 'ref') {
+    schema = referenceSchema(element.toValue());
+  } else if (isPrimitive(element)) {
+    schema = serializePrimitive(element, elementOptions);
+  } else if (element.element === 'object' || element.element === 'option') {
+    schema = serializeObject(element, elementOptions);
+  } else if (element.element === 'array') {
+    schema = serializeArray(element, elementOptions);
+  } else if (element.element === 'enum') {
+    schema = serializeEnum(element, elementOptions);
+  } else if (element.element === 'select') {
+    schema = { oneOf: element.content.map(option => serializeObject(option, elementOptions)) };
+
+    const discriminator = serializeDiscriminator(element);
+    if (discriminator) {
+      schema.discriminator = discriminator;
+    }
+  } else if (isNamedType(element)) {
+    schema = serializeNamedType(element, elementOptions);
+  } else {
+    schema = {};
+  }
+
+  const defaultValue = getAttribute(element, 'default');
+  const samples = getAttribute(element, 'samples');
+
+  // Validation keywords (minimum, pattern etc) are kept as is, `not` is a
+  // subschema
+  const validation = getAttribute(element, 'validation');
+  const keywords = {};
+  if (validation && Array.isArray(validation.content)) {
+    validation.content.forEach((member) => {
+      const key = member.key.toValue();
+      keywords[key] = key === 'not' ? serializeSchema(member.value, options) : member.value.toValue();
+    });
+  }
+
+  schema = annotateSchema(schema, Object.assign({
+    title: getMetaValue(element, 'title') || undefined,
+    description: getMetaValue(element, 'description') || undefined,
+    default: defaultValue ? defaultValue.toValue() : undefined,
+    example: samples && !samples.isEmpty ? samples.first.toValue() : undefined,
+  }, keywords), options);
+
+  if (hasTypeAttribute(element, 'nullable')) {
+    schema = makeNullable(schema, options);
+  }
+
+  return schema;
+}
+
+/* eslint-enable no-use-before-define */
+
+module.exports = serializeSchema;
+module.exports.referenceSchema = referenceSchema;
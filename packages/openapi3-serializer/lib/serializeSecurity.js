@@ -0,0 +1,167 @@
+const {
+  getMetaValue, getAttributeValue, hasClass, componentName,
+} = require('./utils');
+
+// API Elements grant type to OpenAPI 'OAuth Flows Object' key
+const flows = {
+  implicit: 'implicit',
+  'resource owner password credentials': 'password',
+  'client credentials': 'clientCredentials',
+  'authorization code': 'authorizationCode',
+};
+
+const isOAuth2Scheme = element => element.element === 'OAuth2 Scheme' || element.element === 'Oauth2 Scheme';
+
+/**
+ * Finds the value of the member with the given key in an auth scheme
+ * @param scheme {AuthScheme}
+ * @param key {string}
+ * @returns {Element}
+ * @private
+ */
+function findMemberValue(scheme, key) {
+  const member = scheme.content.find(item => item.element === 'member' && item.key.toValue() === key);
+  return member ? member.value : undefined;
+}
+
+function serializeScopes(scheme) {
+  const scopes = {};
+  const value = findMemberValue(scheme, 'scopes');
+
+  if (value && Array.isArray(value.content)) {
+    value.content.forEach((scope) => {
+      scopes[scope.toValue()] = getMetaValue(scope, 'description') || '';
+    });
+  }
+
+  return scopes;
+}
+
+function serializeOAuthFlow(scheme) {
+  const flow = {};
+
+  scheme.content
+    .filter(item => item.element === 'transition')
+    .forEach((transition) => {
+      const relation = getAttributeValue(transition, 'relation');
+      const href = getAttributeValue(transition, 'href');
+
+      if (relation === 'authorize') {
+        flow.authorizationUrl = href;
+      } else if (relation === 'token') {
+        flow.tokenUrl = href;
+      } else if (relation === 'refresh') {
+        flow.refreshUrl = href;
+      }
+    });
+
+  flow.scopes = serializeScopes(scheme);
+
+  const grantType = findMemberValue(scheme, 'grantType');
+  let flowName = grantType && flows[grantType.toValue()];
+
+  if (!flowName) {
+    // Infer the flow from the available URLs when there is no grant type
+    if (flow.authorizationUrl && flow.tokenUrl) {
+      flowName = 'authorizationCode';
+    } else if (flow.tokenUrl) {
+      flowName = 'clientCredentials';
+    } else {
+      flowName = 'implicit';
+    }
+  }
+
+  return { [flowName]: flow };
+}
+
+/**
+ * Serialize an API Elements auth scheme into an OpenAPI Security Scheme Object
+ * @param scheme {AuthScheme}
+ * @returns {object|undefined}
+ * @private
+ */
+function serializeSecurityScheme(scheme) {
+  let securityScheme;
+
+  if (scheme.element === 'Basic Authentication Scheme') {
+    securityScheme = { type: 'http', scheme: 'basic' };
+  } else if (scheme.element === 'Token Authentication Scheme') {
+    const locations = {
+      httpHeaderName: 'header',
+      queryParameterName: 'query',
+      cookieName: 'cookie',
+    };
+    const key = Object.keys(locations).find(key => findMemberValue(scheme, key));
+
+    if (key) {
+      securityScheme = {
+        type: 'apiKey',
+        name: findMemberValue(scheme, key).toValue(),
+        in: locations[key],
+      };
+    } else {
+      securityScheme = { type: 'http', scheme: 'bearer' };
+    }
+  } else if (isOAuth2Scheme(scheme)) {
+    securityScheme = { type: 'oauth2', flows: serializeOAuthFlow(scheme) };
+  } else {
+    return undefined;
+  }
+
+  const description = getMetaValue(scheme, 'description');
+  if (description) {
+    securityScheme.description = description;
+  }
+
+  return securityScheme;
+}
+
+/**
+ * Serialize all of the auth schemes found in `authSchemes` categories
+ * @param api {Category}
+ * @returns {object} - Security Scheme Objects keyed by their name
+ * @private
+ */
+function serializeSecuritySchemes(api) {
+  const securitySchemes = {};
+
+  const groups = api.content
+    .filter(item => item.element === 'category' && hasClass(item, 'authSchemes'));
+
+  groups.forEach((group) => {
+    group.content.forEach((scheme) => {
+      const id = getMetaValue(scheme, 'id');
+      const securityScheme = serializeSecurityScheme(scheme);
+
+      if (id && securityScheme) {
+        securitySchemes[componentName(id)] = securityScheme;
+      }
+    });
+  });
+
+  return securitySchemes;
+}
+
+/**
+ * Serialize the `authSchemes` attribute of a transaction into an OpenAPI
+ * Security Requirement Object
+ * @param authSchemes {ArrayElement}
+ * @returns {object}
+ * @private
+ */
+function serializeSecurityRequirement(authSchemes) {
+  const requirement = {};
+
+  authSchemes.forEach((scheme) => {
+    const scopes = findMemberValue(scheme, 'scopes');
+    requirement[componentName(scheme.element)] = scopes ? scopes.toValue() : [];
+  });
+
+  return requirement;
+}
+
+module.exports = {
+  serializeSecurityScheme,
+  serializeSecuritySchemes,
+  serializeSecurityRequirement,
+};
@@ -0,0 +1,70 @@
+const { expect } = require('chai');
+const { Fury } = require('@apielements/core');
+const adapter = require('../lib/adapter');
+
+describe('OpenAPI 3 Serialiser Adapter', () => {
+  let fury;
+  let api;
+
+  before(() => {
+    fury = new Fury();
+    fury.use(adapter);
+  });
+
+  beforeEach(() => {
+    api = new fury.minim.elements.Category([], { classes: ['api'], title: 'Polls API' });
+  });
+
+  it('has a name', () => {
+    expect(adapter.name).to.equal('openapi3-serializer');
+  });
+
+  it('has OpenAPI media types', () => {
+    expect(adapter.mediaTypes).to.include('application/vnd.oai.openapi');
+    expect(adapter.mediaTypes).to.include('application/vnd.oai.openapi+json');
+  });
+
+  it('can serialize an API asynchronously', (done) => {
+    fury.serialize({ api, mediaType: 'application/vnd.oai.openapi' }, (error, result) => {
+      expect(error).to.be.null;
+      expect(result).to.equal('openapi: 3.0.3\ninfo:\n  title: Polls API\n  version: 1.0.0\npaths: {}\n');
+      done();
+    });
+  });
+
+  it('can serialize an API synchronously as JSON', () => {
+    const result = fury.serializeSync({ api, mediaType: 'application/vnd.oai.openapi+json' });
+
+    expect(JSON.parse(result)).to.deep.equal({
+      openapi: '3.0.3',
+      info: {
+        title: 'Polls API',
+        version: '1.0.0',
+      },
+      paths: {},
+    });
+  });
+
+  it('can serialize an API as OpenAPI 3.1', () => {
+    const result = fury.serializeSync({ api, mediaType: 'application/vnd.oai.openapi+json;version=3.1.0' });
+
+    expect(JSON.parse(result).openapi).to.equal('3.1.0');
+  });
+
+  it('reports elements which cannot be represented to the report option', () => {
+    const request = new fury.minim.elements.HttpRequest();
+    request.method = 'LINK';
+
+    const transition = new fury.minim.elements.Transition([
+      new fury.minim.elements.HttpTransaction([request]),
+    ]);
+    const resource = new fury.minim.elements.Resource([transition]);
+    resource.href = '/questions';
+    api.push(resource);
+
+    const messages = [];
+    adapter.serializeSync({ api, mediaType: 'application/vnd.oai.openapi+json', report: message => messages.push(message) });
+
+    expect(messages).to.deep.equal(["OpenAPI 3 does not support the HTTP method 'LINK', the transaction for '/questions' has been omitted"]);
+  });
+});
@@ -0,0 +1,406 @@
+const { expect } = require('chai');
+const { Fury } = require('@apielements/core');
+const serializeOpenAPI = require('../lib/serializeOpenAPI');
+
+const { minim: namespace } = new Fury();
+
+const {
+  Category, Copy, Resource, Transition, HttpTransaction, HttpRequest,
+  HttpResponse, HttpHeaders, HrefVariables, Member, Asset, DataStructure,
+  Object: ObjectElement, String: StringElement, AuthScheme, Link,
+} = namespace.elements;
+
+describe('#serializeOpenAPI', () => {
+  let api;
+
+  beforeEach(() => {
+    api = new Category([], { classes: ['api'], title: 'Polls API' });
+  });
+
+  it('serializes the API title and description into the info object', () => {
+    api.push(new Copy('Polls is a simple API'));
+    api.attributes.set('version', '2.0.0');
+
+    expect(serializeOpenAPI(api).info).to.deep.equal({
+      title: 'Polls API',
+      version: '2.0.0',
+      description: 'Polls is a simple API',
+    });
+  });
+
+  it('serializes the API links into the info object', () => {
+    const license = new Link();
+    license.relation = 'license';
+    license.title = 'MIT';
+    license.href = 'https://opensource.org/licenses/MIT';
+
+    const contact = new Link();
+    contact.relation = 'contact';
+    contact.title = 'Support';
+    contact.href = 'mailto:support@example.com';
+
+    api.links = [license, contact];
+
+    const { info } = serializeOpenAPI(api);
+
+    expect(info.license).to.deep.equal({ name: 'MIT', url: 'https://opensource.org/licenses/MIT' });
+    expect(info.contact).to.deep.equal({ name: 'Support', email: 'support@example.com' });
+  });
+
+  it('accepts a parse result', () => {
+    const parseResult = new namespace.elements.ParseResult([api]);
+
+    expect(serializeOpenAPI(parseResult).info.title).to.equal('Polls API');
+  });
+
+  it('uses the given OpenAPI version', () => {
+    expect(serializeOpenAPI(api, { version: '3.1.0' }).openapi).to.equal('3.1.0');
+  });
+
+  it('serializes the HOST metadata into servers', () => {
+    api.attributes.set('metadata', [new Member('HOST', 'https://polls.example.com')]);
+
+    expect(serializeOpenAPI(api).servers).to.deep.equal([
+      { url: 'https://polls.example.com' },
+    ]);
+  });
+
+  it('serializes hosts into servers', () => {
+    const host = new Resource();
+    host.classes = ['host'];
+    host.href = 'https://{region}.example.com';
+    host.push(new Copy('Production'));
+
+    const region = new StringElement();
+    region.attributes.set('default', 'eu');
+    host.hrefVariables = new HrefVariables([new Member('region', region)]);
+
+    api.push(new Category([host], { classes: ['hosts'] }));
+
+    expect(serializeOpenAPI(api).servers).to.deep.equal([
+      {
+        url: 'https://{region}.example.com',
+        description: 'Production',
+        variables: {
+          region: { default: 'eu' },
+        },
+      },
+    ]);
+  });
+
+  describe('paths', () => {
+    let resource;
+    let transition;
+    let request;
+    let response;
+
+    beforeEach(() => {
+      request = new HttpRequest();
+      request.method = 'POST';
+
+      response = new HttpResponse();
+      response.statusCode = 201;
+      response.push(new Copy('Created'));
+
+      transition = new Transition([new HttpTransaction([request, response])]);
+      transition.title = 'Create a Question';
+
+      resource = new Resource([transition]);
+      resource.title = 'Questions';
+      resource.href = '/questions{?page}';
+    });
+
+    it('serializes a resource into a path item', () => {
+      api.push(resource);
+
+      expect(serializeOpenAPI(api).paths).to.deep.equal({
+        '/questions': {
+          summary: 'Questions',
+          post: {
+            summary: 'Create a Question',
+            parameters: [
+              { name: 'page', in: 'query', schema: { type: 'string' } },
+            ],
+            responses: {
+              201: {
+                description: 'Created',
+              },
+            },
+          },
+        },
+      });
+    });
+
+    it('serializes href variables into parameters', () => {
+      resource.href = '/questions/{id}';
+
+      const id = new Member('id', new StringElement('1'));
+      id.description = 'Question identifier';
+      resource.hrefVariables = new HrefVariables([id]);
+
+      api.push(resource);
+
+      const operation = serializeOpenAPI(api).paths['/questions/{id}'].post;
+
+      expect(operation.parameters).to.deep.equal([
+        {
+          name: 'id',
+          in: 'path',
+          description: 'Question identifier',
+          required: true,
+          schema: { type: 'string', example: '1' },
+        },
+      ]);
+    });
+
+    it('serializes label and matrix expressions into parameter styles', () => {
+      resource.href = '/questions/{.id}/choices{;page*}';
+      api.push(resource);
+
+      const document = serializeOpenAPI(api);
+
+      expect(document.paths['/questions/{id}/choices{page}'].post.parameters).to.deep.equal([
+        {
+          name: 'id', in: 'path', required: true, style: 'label', schema: { type: 'string' },
+        },
+        {
+          name: 'page', in: 'path', required: true, style: 'matrix', explode: true, schema: { type: 'string' },
+        },
+      ]);
+    });
+
+    it('reports URI Template expressions without a parameter style', () => {
+      resource.href = '/questions{/id}';
+      api.push(resource);
+
+      const messages = [];
+      const document = serializeOpenAPI(api, { report: message => messages.push(message) });
+
+      expect(document.paths['/questions{id}'].post.parameters).to.deep.equal([
+        {
+          name: 'id', in: 'path', required: true, schema: { type: 'string' },
+        },
+      ]);
+      expect(messages).to.deep.equal([
+        "OpenAPI 3 does not support the URI Template expression '{/id}' in '/questions{/id}', it has been described as a simple path parameter",
+      ]);
+    });
+
+    it('serializes query parameters of resources which only differ in their query parameters', () => {
+      const otherResponse = new HttpResponse();
+      otherResponse.statusCode = 201;
+      otherResponse.push(new Copy('Created'));
+
+      const otherTransition = new Transition([new HttpTransaction([request.clone(), otherResponse])]);
+      const otherResource = new Resource([otherTransition]);
+      otherResource.href = '/questions{?page,tag}';
+
+      api.push(resource);
+      api.push(otherResource);
+
+      const operation = serializeOpenAPI(api).paths['/questions'].post;
+
+      expect(operation.parameters).to.deep.equal([
+        { name: 'page', in: 'query', schema: { type: 'string' } },
+        { name: 'tag', in: 'query', schema: { type: 'string' } },
+      ]);
+    });
+
+    it('serializes request headers into header parameters', () => {
+      request.headers = new HttpHeaders([
+        new Member('Content-Type', 'application/json'),
+        new Member('X-Request-Id', 'abc'),
+      ]);
+      api.push(resource);
+
+      const operation = serializeOpenAPI(api).paths['/questions'].post;
+
+      expect(operation.parameters).to.deep.include({
+        name: 'X-Request-Id',
+        in: 'header',
+        schema: { type: 'string', example: 'abc' },
+      });
+      expect(operation.parameters.map(parameter => parameter.name)).not.to.include('Content-Type');
+    });
+
+    it('serializes message bodies into request body and response content', () => {
+      request.headers = new HttpHeaders([new Member('Content-Type', 'application/json')]);
+      request.push(new Asset('{"question": "Favourite language?"}', { classes: ['messageBody'] }));
+
+      response.headers = new HttpHeaders([
+        new Member('Content-Type', 'application/json'),
+        new Member('Location', '/questions/1'),
+      ]);
+      response.push(new DataStructure(new ObjectElement({ question: 'Favourite language?' })));
+
+      api.push(resource);
+
+      const operation = serializeOpenAPI(api).paths['/questions'].post;
+
+      expect(operation.requestBody).to.deep.equal({
+        content: {
+          'application/json': {
+            example: { question: 'Favourite language?' },
+          },
+        },
+      });
+
+      expect(operation.responses[201]).to.deep.equal({
+        description: 'Created',
+        headers: {
+          Location: {
+            schema: { type: 'string', example: '/questions/1' },
+          },
+        },
+        content: {
+          'application/json': {
+            schema: {
+              type: 'object',
+              properties: {
+                question: { type: 'string', example: 'Favourite language?' },
+              },
+            },
+          },
+        },
+      });
+    });
+
+    it('reports additional request bodies and responses with the same media type', () => {
+      request.headers = new HttpHeaders([new Member('Content-Type', 'application/json')]);
+      request.push(new Asset('{"question": "Favourite language?"}', { classes: ['messageBody'] }));
+
+      response.headers = new HttpHeaders([new Member('Content-Type', 'application/json')]);
+      response.push(new Asset('{"id": 1}', { classes: ['messageBody'] }));
+
+      const otherRequest = request.clone();
+      otherRequest.messageBody.content = '{"question": "Favourite editor?"}';
+
+      const otherResponse = response.clone();
+      otherResponse.messageBody.content = '{"id": 2}';
+
+      transition.push(new HttpTransaction([otherRequest, otherResponse]));
+      api.push(resource);
+
+      const messages = [];
+      const operation = serializeOpenAPI(api, { report: message => messages.push(message) }).paths['/questions'].post;
+
+      expect(operation.requestBody.content['application/json'].example).to.deep.equal({ question: 'Favourite language?' });
+      expect(operation.responses[201].content['application/json'].example).to.deep.equal({ id: 1 });
+      expect(messages).to.deep.equal([
+        "OpenAPI 3 only supports a single request body per media type, the additional request body for 'application/json' has been omitted",
+        "OpenAPI 3 only supports a single response per status code and media type, the additional '201' response for 'application/json' has been omitted",
+      ]);
+    });
+
+    it('serializes a response without status code as default', () => {
+      response.attributes.remove('statusCode');
+      api.push(resource);
+
+      const operation = serializeOpenAPI(api).paths['/questions'].post;
+
+      expect(operation.responses).to.have.key('default');
+    });
+
+    it('serializes an operation without a response with a default response', () => {
+      transition.transactions.first.content = [request];
+      api.push(resource);
+
+      const operation = serializeOpenAPI(api).paths['/questions'].post;
+
+      expect(operation.responses).to.deep.equal({
+        default: { description: '' },
+      });
+    });
+
+    it('reports transactions with an unsupported HTTP method', () => {
+      request.method = 'LINK';
+      api.push(resource);
+
+      const messages = [];
+      const document = serializeOpenAPI(api, { report: message => messages.push(message) });
+
+      expect(document.paths['/questions']).to.deep.equal({ summary: 'Questions' });
+      expect(messages).to.deep.equal([
+        "OpenAPI 3 does not support the HTTP method 'LINK', the transaction for '/questions' has been omitted",
+      ]);
+    });
+
+    it('reports message body schemas which are not valid JSON', () => {
+      response.headers = new HttpHeaders([new Member('Content-Type', 'application/json')]);
+      response.push(new Asset('{', { classes: ['messageBodySchema'] }));
+      api.push(resource);
+
+      const messages = [];
+      const operation = serializeOpenAPI(api, { report: message => messages.push(message) }).paths['/questions'].post;
+
+      expect(operation.responses[201].content).to.deep.equal({
+        'application/json': {},
+      });
+      expect(messages).to.deep.equal([
+        'Message body schema is not valid JSON, it has been omitted',
+      ]);
+    });
+
+    it('serializes resource groups into tags', () => {
+      const group = new Category([new Copy('Questions related resources'), resource], {
+        classes: ['resourceGroup'],
+        title: 'Questions',
+      });
+      api.push(group);
+
+      const document = serializeOpenAPI(api);
+
+      expect(document.tags).to.deep.equal([
+        { name: 'Questions', description: 'Questions related resources' },
+      ]);
+      expect(document.paths['/questions'].post.tags).to.deep.equal(['Questions']);
+    });
+
+    it('serializes transaction auth schemes into security requirements', () => {
+      const requirement = new AuthScheme();
+      requirement.element = 'basic';
+
+      const transaction = transition.transactions.first;
+      transaction.attributes.set('authSchemes', [requirement]);
+      api.push(resource);
+
+      const operation = serializeOpenAPI(api).paths['/questions'].post;
+
+      expect(operation.security).to.deep.equal([{ basic: [] }]);
+    });
+  });
+
+  describe('components', () => {
+    it('serializes data structures into schemas', () => {
+      const user = new ObjectElement({ name: 'Doe' });
+      user.id = 'User';
+
+      api.push(new Category([new DataStructure(user)], { classes: ['dataStructures'] }));
+
+      expect(serializeOpenAPI(api).components).to.deep.equal({
+        schemas: {
+          User: {
+            type: 'object',
+            properties: {
+              name: { type: 'string', example: 'Doe' },
+            },
+          },
+        },
+      });
+    });
+
+    it('serializes auth schemes into security schemes', () => {
+      const basic = new AuthScheme();
+      basic.element = 'Basic Authentication Scheme';
+      basic.id = 'basic';
+
+      api.push(new Category([basic], { classes: ['authSchemes'] }));
+
+      expect(serializeOpenAPI(api).components).to.deep.equal({
+        securitySchemes: {
+          basic: { type: 'http', scheme: 'basic' },
+        },
+      });
+    });
+  });
+});
@@ -0,0 +1,271 @@
+const { expect } = require('chai');
+const { Fury } = require('@apielements/core');
+const serializeSchema = require('../lib/serializeSchema');
+
+const { minim: namespace } = new Fury();
+
+describe('#serializeSchema', () => {
+  it('can serialize a primitive', () => {
+    const element = new namespace.elements.String('Doe');
+
+    expect(serializeSchema(element)).to.deep.equal({ type: 'string', example: 'Doe' });
+  });
+
+  it('can serialize a fixed primitive as an enum', () => {
+    const element = new namespace.elements.Number(5);
+    element.attributes.set('typeAttributes', ['fixed']);
+
+    expect(serializeSchema(element)).to.deep.equal({ type: 'number', enum: [5] });
+  });
+
+  it('can serialize a data structure with a title and description', () => {
+    const element = new namespace.elements.Boolean();
+    element.title = 'Enabled';
+    element.description = 'Whether it is enabled';
+
+    expect(serializeSchema(new namespace.elements.DataStructure(element))).to.deep.equal({
+      type: 'boolean',
+      title: 'Enabled',
+      description: 'Whether it is enabled',
+    });
+  });
+
+  it('can serialize validation keywords', () => {
+    const element = new namespace.elements.String();
+    element.attributes.set('validation', { minLength: 1, pattern: '^[a-z]+$' });
+
+    expect(serializeSchema(element)).to.deep.equal({
+      type: 'string',
+      minLength: 1,
+      pattern: '^[a-z]+$',
+    });
+  });
+
+  it('can serialize the not validation keyword as a subschema', () => {
+    const not = new namespace.elements.Enum();
+    not.enumerations = ['admin'];
+    const element = new namespace.elements.String();
+    element.attributes.set('validation', {
+      not,
+    });
+
+    expect(serializeSchema(element)).to.deep.equal({
+      type: 'string',
+      not: { type: 'string', enum: ['admin'] },
+    });
+  });
+
+  it('can serialize read and write only properties', () => {
+    const id = new namespace.elements.Member('id', new namespace.elements.String());
+    id.attributes.set('readOnly', true);
+    const password = new namespace.elements.Member('password', new namespace.elements.String());
+    password.attributes.set('writeOnly', true);
+    const element = new namespace.elements.Object([id, password]);
+
+    expect(serializeSchema(element)).to.deep.equal({
+      type: 'object',
+      properties: {
+        id: {
+          type: 'string',
+          readOnly: true,
+        },
+        password: {
+          type: 'string',
+          writeOnly: true,
+        },
+      },
+    });
+  });
+
+  it('can serialize an object with required properties', () => {
+    const name = new namespace.elements.Member('name', new namespace.elements.String());
+    name.attributes.set('typeAttributes', ['required']);
+    name.description = 'The name';
+    const element = new namespace.elements.Object([name]);
+
+    expect(serializeSchema(element)).to.deep.equal({
+      type: 'object',
+      properties: {
+        name: {
+          type: 'string',
+          description: 'The name',
+        },
+      },
+      required: ['name'],
+    });
+  });
+
+  it('can serialize a fixed type object', () => {
+    const element = new namespace.elements.Object({ name: 'Doe' });
+    element.attributes.set('typeAttributes', ['fixedType']);
+
+    expect(serializeSchema(element)).to.deep.equal({
+      type: 'object',
+      properties: {
+        name: { type: 'string', example: 'Doe' },
+      },
+      additionalProperties: false,
+    });
+  });
+
+  it('can serialize an object with a variable property as additional properties', () => {
+    const member = new namespace.elements.Member('id', new namespace.elements.Number());
+    member.attributes.set('variable', true);
+    const element = new namespace.elements.Object([member]);
+
+    expect(serializeSchema(element)).to.deep.equal({
+      type: 'object',
+      additionalProperties: { type: 'number' },
+    });
+  });
+
+  it('can serialize an array of primitives', () => {
+    const element = new namespace.elements.Array(['one', 'two']);
+
+    expect(serializeSchema(element)).to.deep.equal({
+      type: 'array',
+      items: { type: 'string' },
+      example: ['one', 'two'],
+    });
+  });
+
+  it('can serialize an enum', () => {
+    const element = new namespace.elements.Enum();
+    element.enumerations = ['north', 'south'];
+
+    expect(serializeSchema(element)).to.deep.equal({
+      type: 'string',
+      enum: ['north', 'south'],
+    });
+  });
+
+  it('can serialize a reference to a data structure', () => {
+    const element = new namespace.elements.Element();
+    element.element = 'User';
+
+    expect(serializeSchema(element)).to.deep.equal({ $ref: '#/components/schemas/User' });
+  });
+
+  it('can serialize an object inheriting from a data structure', () => {
+    const element = new namespace.elements.Object({ admin: true });
+    element.element = 'User';
+
+    expect(serializeSchema(element)).to.deep.equal({
+      allOf: [
+        { $ref: '#/components/schemas/User' },
+        {
+          type: 'object',
+          properties: {
+            admin: { type: 'boolean', example: true },
+          },
+        },
+      ],
+    });
+  });
+
+  it('can serialize a mixin', () => {
+    const element = new namespace.elements.Object([
+      new namespace.elements.Ref('User'),
+    ]);
+
+    expect(serializeSchema(element)).to.deep.equal({
+      allOf: [{ $ref: '#/components/schemas/User' }],
+    });
+  });
+
+  it('can serialize a select as oneOf', () => {
+    const option = (key, value) => {
+      const element = new namespace.elements.Array([new namespace.elements.Member(key, value)]);
+      element.element = 'option';
+      return element;
+    };
+
+    const select = new namespace.elements.Array([
+      option('email', 'doe@example.com'),
+      option('phone', '123'),
+    ]);
+    select.element = 'select';
+
+    const element = new namespace.elements.Object([select]);
+
+    expect(serializeSchema(element)).to.deep.equal({
+      type: 'object',
+      oneOf: [
+        { type: 'object', properties: { email: { type: 'string', example: 'doe@example.com' } } },
+        { type: 'object', properties: { phone: { type: 'string', example: '123' } } },
+      ],
+    });
+  });
+
+  it('can serialize the discriminator of a select', () => {
+    const option = (id) => {
+      const element = new namespace.elements.Array([new namespace.elements.Ref(id)]);
+      element.element = 'option';
+      return element;
+    };
+
+    const select = new namespace.elements.Array([option('Cat'), option('Dog')]);
+    select.element = 'select';
+    select.attributes.set('discriminator', {
+      propertyName: 'petType',
+      mapping: {
+        dog: new namespace.elements.Ref('Dog'),
+      },
+    });
+
+    const element = new namespace.elements.Object([select]);
+
+    expect(serializeSchema(element)).to.deep.equal({
+      type: 'object',
+      oneOf: [
+        { allOf: [{ $ref: '#/components/schemas/Cat' }] },
+        { allOf: [{ $ref: '#/components/schemas/Dog' }] },
+      ],
+      discriminator: {
+        propertyName: 'petType',
+        mapping: {
+          dog: '#/components/schemas/Dog',
+        },
+      },
+    });
+  });
+
+  describe('nullable', () => {
+    let element;
+
+    beforeEach(() => {
+      element = new namespace.elements.String();
+      element.attributes.set('typeAttributes', ['nullable']);
+    });
+
+    it('uses nullable in OpenAPI 3.0', () => {
+      expect(serializeSchema(element, { version: '3.0.3' })).to.deep.equal({
+        type: 'string',
+        nullable: true,
+      });
+    });
+
+    it('uses a null type in OpenAPI 3.1', () => {
+      expect(serializeSchema(element, { version: '3.1.0' })).to.deep.equal({
+        type: ['string', 'null'],
+      });
+    });
+  });
+
+  it('wraps a reference with a description in allOf in OpenAPI 3.0', () => {
+    const element = new namespace.elements.Ref('User');
+    element.description = 'The author';
+
+    expect(serializeSchema(element, { version: '3.0.3' })).to.deep.equal({
+      allOf: [{ $ref: '#/components/schemas/User' }],
+      description: 'The author',
+    });
+  });
+
+  it('does not mutate the given element', () => {
+    const element = new namespace.elements.Object({ name: 'Doe' });
+    element.freeze();
+
+    expect(() => serializeSchema(element)).not.to.throw();
+  });
+});
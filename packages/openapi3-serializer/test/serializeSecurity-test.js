@@ -0,0 +1,76 @@
+const { expect } = require('chai');
+const { Fury } = require('@apielements/core');
+const { serializeSecurityScheme } = require('../lib/serializeSecurity');
+
+const { minim: namespace } = new Fury();
+
+describe('#serializeSecurityScheme', () => {
+  const createScheme = (element, members) => {
+    const scheme = new namespace.elements.AuthScheme(members);
+    scheme.element = element;
+    return scheme;
+  };
+
+  it('serializes a basic authentication scheme', () => {
+    const scheme = createScheme('Basic Authentication Scheme');
+    scheme.description = 'Basic auth';
+
+    expect(serializeSecurityScheme(scheme)).to.deep.equal({
+      type: 'http',
+      scheme: 'basic',
+      description: 'Basic auth',
+    });
+  });
+
+  it('serializes a token authentication scheme with a header name as an API key', () => {
+    const scheme = createScheme('Token Authentication Scheme', [
+      new namespace.elements.Member('httpHeaderName', 'X-API-Key'),
+    ]);
+
+    expect(serializeSecurityScheme(scheme)).to.deep.equal({
+      type: 'apiKey',
+      name: 'X-API-Key',
+      in: 'header',
+    });
+  });
+
+  it('serializes a token authentication scheme without a location as bearer', () => {
+    const scheme = createScheme('Token Authentication Scheme');
+
+    expect(serializeSecurityScheme(scheme)).to.deep.equal({
+      type: 'http',
+      scheme: 'bearer',
+    });
+  });
+
+  it('serializes an OAuth 2 scheme', () => {
+    const authorize = new namespace.elements.Transition();
+    authorize.relation = 'authorize';
+    authorize.href = 'https://example.com/authorize';
+
+    const scope = new namespace.elements.String('read');
+    scope.description = 'Read access';
+
+    const scheme = createScheme('Oauth2 Scheme', [
+      new namespace.elements.Member('grantType', 'implicit'),
+      new namespace.elements.Member('scopes', [scope]),
+      authorize,
+    ]);
+
+    expect(serializeSecurityScheme(scheme)).to.deep.equal({
+      type: 'oauth2',
+      flows: {
+        implicit: {
+          authorizationUrl: 'https://example.com/authorize',
+          scopes: {
+            read: 'Read access',
+          },
+        },
+      },
+    });
+  });
+
+  it('returns undefined for an unknown scheme', () => {
+    expect(serializeSecurityScheme(createScheme('Custom Scheme'))).to.be.undefined;
+  });
+});
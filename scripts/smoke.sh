@@ -28,6 +28,8 @@ install openapi2-parser
 install openapi3-parser
 install apiaryb-parser
 install apib-serializer
+install openapi2-serializer
+install openapi3-serializer
 install cli
 
 cd "$TMPDIR"
@@ -71,4 +73,13 @@ info:
 paths: {}
 EOF
 
+# Serialize OpenAPI 3.0
+cat << EOF | npx fury --format application/vnd.oai.openapi -
+FORMAT: 1A
+
+# GET /
+
++ Response 204
+EOF
+
 rm -fr "$TMPDIR"